@@ -3,4 +3,116 @@ dotenv.config();
 
 export const PORT = process.env.PORT;
 export const DB_URL = process.env.DB_URL;
-export const JWT_SECRET = process.env.JWT_SECRET;
\ No newline at end of file
+export const JWT_SECRET = process.env.JWT_SECRET;
+
+// Token lifetimes
+export const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+export const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 7;
+
+// Frontend base URL used for links in emails
+export const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Mail delivery ('console' logs messages, 'smtp' sends them)
+export const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+export const MAIL_FROM = process.env.MAIL_FROM || 'HRMS <no-reply@hrms.local>';
+export const SMTP_HOST = process.env.SMTP_HOST || 'localhost';
+export const SMTP_PORT = parseInt(process.env.SMTP_PORT, 10) || 1025;
+export const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+export const SMTP_USER = process.env.SMTP_USER;
+export const SMTP_PASS = process.env.SMTP_PASS;
+
+// Registration is invite-only unless explicitly opened up
+export const ALLOW_OPEN_REGISTRATION = process.env.ALLOW_OPEN_REGISTRATION === 'true';
+export const INVITE_EXPIRES_DAYS = parseInt(process.env.INVITE_EXPIRES_DAYS, 10) || 7;
+// First admin account, created on startup when no admin exists yet
+export const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
+export const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+
+// Admin impersonation tokens are short-lived and cannot be refreshed
+export const IMPERSONATION_EXPIRES_IN = process.env.IMPERSONATION_EXPIRES_IN || '15m';
+
+// Password policy, enforced everywhere a password is set
+export const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+// bcrypt ignores everything after 72 bytes
+export const PASSWORD_MAX_LENGTH = Math.min(parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 72, 72);
+export const PASSWORD_REQUIRE_UPPERCASE = process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false';
+export const PASSWORD_REQUIRE_LOWERCASE = process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false';
+export const PASSWORD_REQUIRE_DIGIT = process.env.PASSWORD_REQUIRE_DIGIT !== 'false';
+export const PASSWORD_REQUIRE_SYMBOL = process.env.PASSWORD_REQUIRE_SYMBOL === 'true';
+// Optional replacement for the bundled breached-password list (one password per line)
+export const PASSWORD_DENYLIST_FILE = process.env.PASSWORD_DENYLIST_FILE;
+// Number of recent passwords (including the current one) that cannot be reused, 0 to allow reuse
+export const PASSWORD_HISTORY_COUNT = parseInt(process.env.PASSWORD_HISTORY_COUNT ?? '5', 10) || 0;
+// Force a password change after this many days, 0 to disable rotation
+export const PASSWORD_MAX_AGE_DAYS = parseInt(process.env.PASSWORD_MAX_AGE_DAYS, 10) || 0;
+
+// Password reset
+export const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 30;
+
+// Bulk employee import (CSV/XLSX)
+export const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 2000;
+
+// Employee document vault (stored outside the public /uploads mount)
+export const DOCUMENT_STORAGE_DIR = process.env.DOCUMENT_STORAGE_DIR || 'storage/documents';
+export const DOCUMENT_MAX_SIZE_MB = parseInt(process.env.DOCUMENT_MAX_SIZE_MB, 10) || 10;
+// Days before expiry on which a reminder is sent, e.g. "30,7,1"
+export const DOCUMENT_EXPIRY_REMINDER_DAYS = (process.env.DOCUMENT_EXPIRY_REMINDER_DAYS || '30,7,1')
+    .split(',')
+    .map(days => parseInt(days.trim(), 10))
+    .filter(days => days > 0)
+    .sort((a, b) => b - a);
+// Extra recipient of every expiry reminder (e.g. the HR mailbox)
+export const DOCUMENT_REMINDER_EMAIL = process.env.DOCUMENT_REMINDER_EMAIL;
+
+// Self-service profile edits employees may make without HR approval (the others become change requests)
+export const PROFILE_DIRECT_EDIT_FIELDS = (process.env.PROFILE_DIRECT_EDIT_FIELDS ?? 'phoneNumber')
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean);
+
+// Dependents: parental leave needs a child born (or due) within this many days of the leave start
+export const PARENTAL_LEAVE_WINDOW_DAYS = parseInt(process.env.PARENTAL_LEAVE_WINDOW_DAYS, 10) || 180;
+// Monthly health insurance premium deducted in payroll: the employee's share plus one per insured dependent (0 disables)
+export const INSURANCE_EMPLOYEE_PREMIUM = parseFloat(process.env.INSURANCE_EMPLOYEE_PREMIUM) || 0;
+export const INSURANCE_DEPENDENT_PREMIUM = parseFloat(process.env.INSURANCE_DEPENDENT_PREMIUM) || 0;
+// Children are insured until this age
+export const INSURANCE_CHILD_MAX_AGE = parseInt(process.env.INSURANCE_CHILD_MAX_AGE, 10) || 25;
+
+// Login lockout (lock duration doubles with every consecutive lockout)
+export const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+export const LOGIN_LOCKOUT_BASE_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES, 10) || 15;
+export const LOGIN_LOCKOUT_MAX_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 24 * 60;
+
+// Per-IP rate limiting for login and registration
+export const AUTH_RATE_LIMIT_WINDOW_MINUTES = parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES, 10) || 15;
+export const AUTH_RATE_LIMIT_MAX = parseInt(process.env.AUTH_RATE_LIMIT_MAX, 10) || 20;
+
+// API keys for machine integrations
+export const API_KEY_DEFAULT_EXPIRES_DAYS = parseInt(process.env.API_KEY_DEFAULT_EXPIRES_DAYS, 10) || 90;
+
+// OpenID Connect single sign-on (enabled when an issuer and client ID are set)
+export const OIDC_ISSUER_URL = process.env.OIDC_ISSUER_URL;
+export const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID;
+export const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET;
+export const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || 'http://localhost:5000/api/auth/oidc/callback';
+export const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid email profile';
+export const OIDC_GROUPS_CLAIM = process.env.OIDC_GROUPS_CLAIM || 'groups';
+// Comma-separated group=role pairs, the first matching pair wins
+export const OIDC_ROLE_MAPPING = (process.env.OIDC_ROLE_MAPPING || '')
+    .split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([group, role]) => group && role)
+    .map(([group, role]) => ({ group, role: role.toLowerCase() }));
+export const OIDC_AUTO_PROVISION = process.env.OIDC_AUTO_PROVISION !== 'false';
+export const OIDC_DEFAULT_ROLE = process.env.OIDC_DEFAULT_ROLE || 'employee';
+// Only for local mock providers served over plain HTTP
+export const OIDC_ALLOW_INSECURE_REQUESTS = process.env.OIDC_ALLOW_INSECURE_REQUESTS === 'true';
+
+// Multi-factor authentication
+export const MFA_ISSUER = process.env.MFA_ISSUER || 'HRMS';
+export const MFA_TOKEN_EXPIRES_IN = process.env.MFA_TOKEN_EXPIRES_IN || '5m';
+// Roles that must enroll in MFA before they can use the API
+export const MFA_REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES ?? 'admin')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
@@ -0,0 +1,19 @@
+/**
+ * Relations of emergency contacts and dependents
+ * - insurable: the dependent can be covered by the employee's health insurance
+ * - parental: the dependent makes the employee eligible for maternity and paternity leave
+ */
+export const DEPENDENT_RELATIONS = {
+    spouse: { label: 'Spouse / partner', insurable: true, parental: false },
+    child: { label: 'Child', insurable: true, parental: true },
+    parent: { label: 'Parent', insurable: true, parental: false },
+    sibling: { label: 'Sibling', insurable: false, parental: false },
+    other: { label: 'Other', insurable: false, parental: false }
+};
+
+// Leave types that need a child dependent born (or due) around the leave
+export const PARENTAL_LEAVE_TYPES = ['maternity', 'paternity'];
+
+// Limits per employee
+export const MAX_EMERGENCY_CONTACTS = 5;
+export const MAX_DEPENDENTS = 20;
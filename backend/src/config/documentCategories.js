@@ -0,0 +1,23 @@
+/**
+ * Employee document categories
+ * - employeeCanUpload: employees may upload and replace documents of this category themselves
+ *   (everything else is managed by holders of documents:write)
+ * - expiryRequired: an expiry date must be given (reminders are sent before it)
+ */
+export const DOCUMENT_CATEGORIES = {
+    contract: { label: 'Employment contract', employeeCanUpload: false, expiryRequired: false },
+    id_proof: { label: 'ID proof', employeeCanUpload: true, expiryRequired: false },
+    certificate: { label: 'Certificate', employeeCanUpload: true, expiryRequired: false },
+    visa: { label: 'Visa / work permit', employeeCanUpload: true, expiryRequired: true },
+    other: { label: 'Other', employeeCanUpload: true, expiryRequired: false }
+};
+
+// File types accepted in the vault
+export const DOCUMENT_FILE_TYPES = {
+    '.pdf': 'application/pdf',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
@@ -0,0 +1,26 @@
+/**
+ * Employment lifecycle
+ * Every employee is in exactly one employment status. A status change is a dated transition
+ * (with a reason) and only the transitions listed here are allowed.
+ */
+export const EMPLOYMENT_STATUSES = {
+    offer_accepted: 'Offer accepted, not started yet',
+    onboarding: 'Started, completing onboarding',
+    probation: 'In the probation period',
+    confirmed: 'Confirmed employee',
+    on_notice: 'Serving the notice period',
+    exited: 'Left the company (the effective date is the last working day)'
+};
+
+export const EMPLOYMENT_TRANSITIONS = {
+    offer_accepted: ['onboarding', 'exited'],
+    onboarding: ['probation', 'confirmed', 'exited'],
+    probation: ['confirmed', 'on_notice', 'exited'],
+    confirmed: ['on_notice', 'exited'],
+    on_notice: ['confirmed', 'exited'],
+    // Rehiring starts the lifecycle again
+    exited: ['offer_accepted']
+};
+
+// Status of employees created before the lifecycle existed, and of users created directly
+export const DEFAULT_EMPLOYMENT_STATUS = 'confirmed';
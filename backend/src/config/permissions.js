@@ -0,0 +1,66 @@
+/**
+ * Permission catalog
+ * Every permission a route can require, with a description shown in the role admin API
+ */
+export const PERMISSIONS = {
+    'users:read': 'View any employee record and list users',
+    'users:read:sensitive': 'See salary and other compensation fields of any employee',
+    'users:write': 'Create, update, deactivate, and unlock users',
+    'users:invite': 'Invite new employees and manage pending invitations',
+    'users:impersonate': 'Sign in as another user to see what they see (admins only by default)',
+    'documents:read': 'View and download documents of any employee, including confidential ones',
+    'documents:write': 'Upload, replace, and delete documents of any employee',
+    'custom-fields:manage': 'Define the custom fields on employee profiles',
+    'profile-changes:approve': 'Approve and reject profile changes requested by employees',
+    'departments:write': 'Create, update, and delete departments',
+    'attendance:read': 'View attendance reports for all employees',
+    'attendance:write': 'Edit attendance records of any employee',
+    'attendance:approve': 'Correct attendance records of employees in your reporting line',
+    'leave:read': 'View leave applications of all employees',
+    'leave:approve': 'Approve and reject leave applications of employees in your reporting line',
+    'leave:approve:any': 'Approve and reject leave applications of any employee',
+    'payroll:read': 'View payroll records of all employees',
+    'payroll:write': 'Create, update, and delete payroll records',
+    'roles:manage': 'Create and edit roles and their permissions',
+    'audit:read': 'View the audit trail of changes',
+    'api-keys:manage': 'Create and revoke API keys for machine integrations'
+};
+
+export const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+/**
+ * Roles created on first start
+ * The admin role is a system role and always holds every permission
+ */
+export const DEFAULT_ROLES = [
+    {
+        name: 'admin',
+        description: 'Full access to every feature',
+        permissions: ALL_PERMISSIONS,
+        isSystem: true
+    },
+    {
+        name: 'hr',
+        description: 'HR officer managing employee records, attendance, and leave',
+        permissions: ['users:read', 'users:read:sensitive', 'users:write', 'users:invite', 'attendance:read', 'attendance:write', 'leave:read', 'leave:approve', 'leave:approve:any', 'documents:read', 'documents:write', 'custom-fields:manage', 'profile-changes:approve'],
+        isSystem: false
+    },
+    {
+        name: 'finance',
+        description: 'Finance clerk processing payroll',
+        permissions: ['users:read', 'users:read:sensitive', 'payroll:read', 'payroll:write'],
+        isSystem: false
+    },
+    {
+        name: 'manager',
+        description: 'Team manager approving leave and attendance corrections for their reporting line',
+        permissions: ['attendance:read', 'attendance:approve', 'leave:read', 'leave:approve'],
+        isSystem: false
+    },
+    {
+        name: 'employee',
+        description: 'Self-service access only',
+        permissions: [],
+        isSystem: true
+    }
+];
@@ -0,0 +1,12 @@
+/**
+ * Profile fields employees may change themselves through PUT /api/auth/profile
+ * Fields listed in PROFILE_DIRECT_EDIT_FIELDS change immediately; the others become a
+ * profile change request that HR approves or rejects (see profileChangeService)
+ */
+export const SELF_SERVICE_PROFILE_FIELDS = {
+    name: { label: 'Legal name' },
+    email: { label: 'Email' },
+    phoneNumber: { label: 'Phone number' },
+    address: { label: 'Address' },
+    bankDetails: { label: 'Bank details' }
+};
@@ -51,6 +51,34 @@ const options = {
       {
         name: 'Payroll',
         description: 'Payroll and salary management'
+      },
+      {
+        name: 'Roles',
+        description: 'Roles and permission management'
+      },
+      {
+        name: 'Invitations',
+        description: 'Invite-only employee onboarding'
+      },
+      {
+        name: 'Audit',
+        description: 'Audit trail of changes'
+      },
+      {
+        name: 'API Keys',
+        description: 'API keys for machine integrations'
+      },
+      {
+        name: 'Documents',
+        description: 'Employee document vault with versions and expiry reminders'
+      },
+      {
+        name: 'Custom Fields',
+        description: 'Admin-defined fields on employee profiles'
+      },
+      {
+        name: 'Profile Changes',
+        description: 'Employee profile changes that need HR approval'
       }
     ],
     components: {
@@ -65,12 +93,19 @@ const options = {
           type: 'apiKey',
           in: 'cookie',
           name: 'jwt',
-          description: 'JWT token stored in HTTP-only cookie'
+          description: 'JWT token stored in HTTP-only cookie. POST, PUT, and DELETE requests must also send the csrfToken cookie value in the X-CSRF-Token header'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key for machine integrations (accepted only where listed)'
         }
       },
       schemas: {
         User: {
           type: 'object',
+          description: 'Fields are filtered per viewer (see src/config/userFields.js); salary, contact, and account fields are omitted when the viewer may not see them',
           required: ['name', 'email', 'password'],
           properties: {
             _id: {
@@ -90,14 +125,12 @@ const options = {
             },
             password: {
               type: 'string',
-              description: 'User password (hashed)',
-              minLength: 6
+              description: 'User password (hashed), must meet the password policy'
             },
             role: {
               type: 'string',
-              enum: ['admin', 'manager', 'employee'],
               default: 'employee',
-              description: 'User role'
+              description: 'Role name; roles and their permissions are managed through /api/roles'
             },
             department: {
               type: 'string',
@@ -107,6 +140,41 @@ const options = {
               type: 'string',
               description: 'Job designation/title'
             },
+            reportsTo: {
+              type: 'string',
+              nullable: true,
+              description: 'ObjectId of the manager this user reports to (cycles are rejected)'
+            },
+            employmentStatus: {
+              type: 'string',
+              enum: ['offer_accepted', 'onboarding', 'probation', 'confirmed', 'on_notice', 'exited'],
+              default: 'confirmed',
+              description: 'Employment lifecycle status'
+            },
+            lastWorkingDay: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Last working day of an exited employee'
+            },
+            bankDetails: {
+              $ref: '#/components/schemas/BankDetails'
+            },
+            emergencyContacts: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/EmergencyContact' }
+            },
+            dependents: {
+              type: 'array',
+              description: 'Only shown to the employee and holders of users:read:sensitive',
+              items: { $ref: '#/components/schemas/Dependent' }
+            },
+            customFields: {
+              type: 'object',
+              additionalProperties: true,
+              description: 'Values of admin-defined custom fields by key (see /api/custom-fields); each is shown only to viewers its visibility allows',
+              example: { bloodGroup: 'O+', tshirtSize: 'M' }
+            },
             salary: {
               type: 'number',
               minimum: 0,
@@ -135,6 +203,30 @@ const options = {
               default: true,
               description: 'Account active status'
             },
+            oidc: {
+              type: 'object',
+              description: 'Linked single sign-on identity',
+              properties: {
+                issuer: { type: 'string', example: 'https://login.company.com/realms/hrms' },
+                subject: { type: 'string', example: '248289761001' },
+                linkedAt: { type: 'string', format: 'date-time' }
+              }
+            },
+            passwordLoginDisabled: {
+              type: 'boolean',
+              default: false,
+              description: 'Only single sign-on is accepted for this account (requires a linked identity)'
+            },
+            mustChangePassword: {
+              type: 'boolean',
+              default: false,
+              description: 'The password must be changed (POST /api/auth/change-password) before the API can be used; set when an admin sets the password'
+            },
+            passwordChangedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the password was last set'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -284,9 +376,14 @@ const options = {
               default: 'pending',
               description: 'Leave status'
             },
+            approver: {
+              type: 'string',
+              nullable: true,
+              description: "Manager the application was routed to (the applicant's reportsTo)"
+            },
             approvedBy: {
               type: 'string',
-              description: 'Approver ObjectId reference'
+              description: 'ObjectId of the user who approved or rejected the application'
             },
             appliedDate: {
               type: 'string',
@@ -405,6 +502,492 @@ const options = {
           }
         },
 
+        Role: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'MongoDB ObjectId'
+            },
+            name: {
+              type: 'string',
+              description: 'Role name (unique, lowercase)',
+              example: 'finance'
+            },
+            description: {
+              type: 'string',
+              description: 'Role description'
+            },
+            permissions: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['payroll:read', 'payroll:write'],
+              description: 'Permissions granted by the role'
+            },
+            isSystem: {
+              type: 'boolean',
+              description: 'System roles cannot be deleted'
+            },
+            userCount: {
+              type: 'number',
+              description: 'Number of active users with this role (list endpoint only)'
+            }
+          }
+        },
+
+        Invitation: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'MongoDB ObjectId'
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              example: 'jane.smith@company.com'
+            },
+            name: {
+              type: 'string',
+              example: 'Jane Smith'
+            },
+            role: {
+              type: 'string',
+              example: 'employee',
+              description: 'Role assigned when the invitation is accepted'
+            },
+            department: {
+              type: 'string',
+              description: 'Department ID (or populated department)'
+            },
+            designation: {
+              type: 'string',
+              example: 'Software Developer'
+            },
+            salary: {
+              type: 'number',
+              example: 75000
+            },
+            invitedBy: {
+              type: 'string',
+              description: 'Inviting user ID (or populated user)'
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'accepted', 'revoked', 'expired']
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            acceptedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            revokedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+
+        ApiKey: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'MongoDB ObjectId'
+            },
+            name: {
+              type: 'string',
+              example: 'Biometric device bridge'
+            },
+            description: {
+              type: 'string'
+            },
+            keyPrefix: {
+              type: 'string',
+              example: 'hrms_Ab12Cd',
+              description: 'First characters of the key, to recognise it'
+            },
+            permissions: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['attendance:read', 'attendance:write']
+            },
+            allowedIps: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['10.20.0.0/16', '203.0.113.7'],
+              description: 'Addresses or CIDR ranges the key may be used from (empty allows any)'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            lastUsedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            lastUsedIp: {
+              type: 'string',
+              nullable: true
+            },
+            createdBy: {
+              type: 'string',
+              description: 'Creating user ID (or populated user)'
+            },
+            revokedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+
+        BankDetails: {
+          type: 'object',
+          description: 'Salary account; only shown to the employee and holders of users:read:sensitive',
+          properties: {
+            accountHolder: {
+              type: 'string',
+              example: 'John Doe'
+            },
+            bankName: {
+              type: 'string',
+              example: 'First National Bank'
+            },
+            accountNumber: {
+              type: 'string',
+              example: 'GB29NWBK60161331926819'
+            },
+            routingCode: {
+              type: 'string',
+              description: 'IFSC, sort code, routing number, or SWIFT/BIC',
+              example: 'NWBKGB2L'
+            }
+          }
+        },
+
+        ProfileChangeRequest: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'MongoDB ObjectId'
+            },
+            userId: {
+              type: 'string',
+              description: 'Requesting employee ID (or populated user)'
+            },
+            changes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: {
+                    type: 'string',
+                    enum: ['name', 'email', 'phoneNumber', 'address', 'bankDetails']
+                  },
+                  currentValue: {
+                    description: 'Value when the change was requested'
+                  },
+                  requestedValue: {
+                    description: 'Value applied on approval'
+                  }
+                }
+              }
+            },
+            reason: {
+              type: 'string'
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'approved', 'rejected', 'cancelled']
+            },
+            reviewedBy: {
+              type: 'string',
+              nullable: true,
+              description: 'User who approved or rejected the request'
+            },
+            reviewedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            reviewComment: {
+              type: 'string'
+            }
+          }
+        },
+
+        EmergencyContact: {
+          type: 'object',
+          required: ['name', 'relation', 'phone'],
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'MongoDB ObjectId'
+            },
+            name: {
+              type: 'string',
+              example: 'Maria Doe'
+            },
+            relation: {
+              type: 'string',
+              enum: ['spouse', 'child', 'parent', 'sibling', 'other'],
+              example: 'spouse'
+            },
+            phone: {
+              type: 'string',
+              pattern: '^\\d{10,15}$',
+              example: '1234567890'
+            },
+            isPrimary: {
+              type: 'boolean',
+              description: 'Contacted first (only one contact)'
+            }
+          }
+        },
+
+        Dependent: {
+          type: 'object',
+          required: ['name', 'relation', 'dateOfBirth'],
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'MongoDB ObjectId'
+            },
+            name: {
+              type: 'string',
+              example: 'Sam Doe'
+            },
+            relation: {
+              type: 'string',
+              enum: ['spouse', 'child', 'parent', 'sibling', 'other'],
+              example: 'child'
+            },
+            phone: {
+              type: 'string',
+              pattern: '^\\d{10,15}$'
+            },
+            dateOfBirth: {
+              type: 'string',
+              format: 'date',
+              description: 'Due date for an expected child (up to 300 days ahead)',
+              example: '2024-05-14'
+            },
+            isBeneficiary: {
+              type: 'boolean',
+              default: false,
+              description: 'Named beneficiary of insurance and benefits'
+            },
+            isInsured: {
+              type: 'boolean',
+              default: false,
+              description: 'Covered by health insurance; adds INSURANCE_DEPENDENT_PREMIUM to the monthly insurance deduction'
+            }
+          }
+        },
+
+        CustomField: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'MongoDB ObjectId'
+            },
+            key: {
+              type: 'string',
+              example: 'bloodGroup',
+              description: 'Name of the value in User.customFields; cannot change'
+            },
+            label: {
+              type: 'string',
+              example: 'Blood group'
+            },
+            type: {
+              type: 'string',
+              enum: ['text', 'number', 'date', 'boolean', 'select'],
+              description: 'Cannot change'
+            },
+            options: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
+              description: 'Allowed values of a select field'
+            },
+            validation: {
+              type: 'object',
+              description: 'text: minLength, maxLength, pattern; number: min, max; date: min, max (YYYY-MM-DD)',
+              properties: {
+                minLength: { type: 'integer' },
+                maxLength: { type: 'integer' },
+                pattern: { type: 'string', example: '^[A-Z]{2}[0-9]{6}$' },
+                min: { oneOf: [{ type: 'number' }, { type: 'string', format: 'date' }] },
+                max: { oneOf: [{ type: 'number' }, { type: 'string', format: 'date' }] }
+              }
+            },
+            required: {
+              type: 'boolean',
+              default: false,
+              description: 'Every employee must have a value (checked on create and update)'
+            },
+            visibility: {
+              type: 'string',
+              enum: ['everyone', 'team', 'private', 'hr'],
+              default: 'team',
+              description: 'everyone: all users; team: the employee, their managers, and users:read; private: the employee and users:read:sensitive; hr: users:read:sensitive only'
+            },
+            order: {
+              type: 'integer',
+              default: 0
+            },
+            isActive: {
+              type: 'boolean',
+              description: 'False once archived'
+            }
+          }
+        },
+
+        Session: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Session ID'
+            },
+            device: {
+              type: 'object',
+              properties: {
+                browser: { type: 'string', nullable: true, example: 'Chrome' },
+                os: { type: 'string', nullable: true, example: 'Windows' },
+                isMobile: { type: 'boolean', example: false },
+                label: { type: 'string', example: 'Chrome on Windows' }
+              }
+            },
+            userAgent: {
+              type: 'string',
+              nullable: true
+            },
+            ipAddress: {
+              type: 'string',
+              nullable: true,
+              example: '203.0.113.7'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the user signed in'
+            },
+            lastSeenAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last request or token refresh (updated at most once a minute)'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            current: {
+              type: 'boolean',
+              description: 'True for the session making the request'
+            }
+          }
+        },
+
+        AuditLog: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'MongoDB ObjectId'
+            },
+            actor: {
+              type: 'object',
+              nullable: true,
+              description: 'User who made the change (null for unauthenticated actions such as accepting an invitation)',
+              properties: {
+                _id: { type: 'string' },
+                name: { type: 'string' },
+                email: { type: 'string' }
+              }
+            },
+            actorEmail: {
+              type: 'string',
+              nullable: true,
+              description: 'Email of the actor at the time of the change'
+            },
+            apiKey: {
+              type: 'object',
+              nullable: true,
+              description: 'API key that made the change, for machine integrations',
+              properties: {
+                _id: { type: 'string' },
+                name: { type: 'string' },
+                keyPrefix: { type: 'string' }
+              }
+            },
+            impersonator: {
+              type: 'object',
+              nullable: true,
+              description: 'Admin who was impersonating the actor',
+              properties: {
+                _id: { type: 'string' },
+                name: { type: 'string' },
+                email: { type: 'string' }
+              }
+            },
+            impersonatorEmail: {
+              type: 'string',
+              nullable: true
+            },
+            action: {
+              type: 'string',
+              enum: ['create', 'update', 'delete', 'impersonate', 'access']
+            },
+            entityType: {
+              type: 'string',
+              example: 'Payroll'
+            },
+            entityId: {
+              type: 'string',
+              description: 'ID of the record changed'
+            },
+            changes: {
+              type: 'object',
+              description: 'Changed fields as { field: { from, to } }',
+              example: { basicSalary: { from: 5000, to: 5500 } }
+            },
+            request: {
+              type: 'object',
+              description: "Request made while impersonating (action 'access' only)",
+              properties: {
+                method: { type: 'string', example: 'GET' },
+                path: { type: 'string', example: '/api/leaves/user/60d5ecb74b24c1001f8e8b12' },
+                statusCode: { type: 'integer', example: 200 }
+              }
+            },
+            ipAddress: {
+              type: 'string',
+              nullable: true
+            },
+            userAgent: {
+              type: 'string',
+              nullable: true
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+
         Error: {
           type: 'object',
           properties: {
@@ -412,6 +995,10 @@ const options = {
               type: 'boolean',
               example: false
             },
+            code: {
+              type: 'string',
+              description: 'Machine-readable error code (e.g. ACCOUNT_LOCKED, RATE_LIMITED)'
+            },
             message: {
               type: 'string',
               description: 'Error message'
@@ -472,10 +1059,28 @@ const options = {
                 department: {
                   $ref: '#/components/schemas/Department'
                 },
+                mfaRequired: {
+                  type: 'boolean',
+                  example: false,
+                  description: 'True when a second step is needed; only mfaToken is returned in that case'
+                },
+                mfaToken: {
+                  type: 'string',
+                  description: 'Short-lived token for POST /api/auth/mfa/challenge'
+                },
+                mfaEnrollmentRequired: {
+                  type: 'boolean',
+                  example: false,
+                  description: 'True when the role requires MFA and the user has not enrolled yet'
+                },
                 token: {
                   type: 'string',
                   example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
                 },
+                refreshToken: {
+                  type: 'string',
+                  example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
+                },
                 cookieSet: {
                   type: 'boolean',
                   example: true,
@@ -0,0 +1,59 @@
+/**
+ * User field visibility
+ * User fields are grouped by sensitivity and each group lists who may see it:
+ * - everyone: any signed-in user (peers included)
+ * - self: the user themselves
+ * - manager: the head of the user's department, or anyone above the user in the reporting line
+ * - permissions: any of these permissions (granted through roles such as HR or admin)
+ * Fields that are not listed in any group (password hash, token version, reset tokens, ...)
+ * are never serialized.
+ */
+export const USER_FIELD_GROUPS = {
+    profile: {
+        fields: ['_id', 'name', 'email', 'designation', 'department', 'reportsTo', 'role', 'profilePicture'],
+        visibleTo: { everyone: true }
+    },
+    contact: {
+        fields: ['phoneNumber', 'address'],
+        visibleTo: { self: true, manager: true, permissions: ['users:read'] }
+    },
+    employment: {
+        fields: ['dateOfJoining', 'employmentStatus', 'lastWorkingDay', 'isActive', 'createdAt', 'updatedAt'],
+        visibleTo: { self: true, manager: true, permissions: ['users:read'] }
+    },
+    emergency: {
+        fields: ['emergencyContacts'],
+        visibleTo: { self: true, manager: true, permissions: ['users:read'] }
+    },
+    // Family details and beneficiaries are personal, like compensation
+    dependents: {
+        fields: ['dependents'],
+        visibleTo: { self: true, permissions: ['users:read:sensitive'] }
+    },
+    compensation: {
+        fields: ['salary', 'bankDetails'],
+        visibleTo: { self: true, permissions: ['users:read:sensitive'] }
+    },
+    account: {
+        fields: [
+            'mfa', 'oidc', 'passwordLoginDisabled', 'mustChangePassword', 'passwordChangedAt',
+            'failedLoginAttempts', 'lockCount', 'lockUntil'
+        ],
+        visibleTo: { self: true, permissions: ['users:write'] }
+    }
+};
+
+/**
+ * Visibility choices for admin-defined custom fields (see customFieldService)
+ * Each maps to the same rules as the groups above
+ */
+export const CUSTOM_FIELD_VISIBILITY = {
+    // Like the profile group, e.g. T-shirt size
+    everyone: { everyone: true },
+    // Like contact details, e.g. blood group
+    team: { self: true, manager: true, permissions: ['users:read'] },
+    // Like salary, e.g. national ID number
+    private: { self: true, permissions: ['users:read:sensitive'] },
+    // Not even the employee sees it, e.g. internal risk rating
+    hr: { permissions: ['users:read:sensitive'] }
+};
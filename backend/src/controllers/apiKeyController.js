@@ -0,0 +1,92 @@
+import apiKeyService from '../services/apiKeyService.js';
+import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/responseHandler.js';
+import { validateRequiredFields } from '../utils/validation.js';
+
+/**
+ * @desc    Get all API keys
+ * @route   GET /api/api-keys
+ * @access  Private (api-keys:manage)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getApiKeys = asyncHandler(async (req, res) => {
+    try {
+        const apiKeys = await apiKeyService.getApiKeys();
+        sendSuccessResponse(res, 200, 'API keys retrieved successfully', apiKeys);
+    } catch (error) {
+        sendErrorResponse(res, 500, error.message);
+    }
+});
+
+/**
+ * @desc    Get API key by ID
+ * @route   GET /api/api-keys/:id
+ * @access  Private (api-keys:manage)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getApiKeyById = asyncHandler(async (req, res) => {
+    try {
+        const apiKey = await apiKeyService.getApiKeyById(req.params.id);
+        sendSuccessResponse(res, 200, 'API key retrieved successfully', apiKey);
+    } catch (error) {
+        sendErrorResponse(res, 404, error.message);
+    }
+});
+
+/**
+ * @desc    Create API key
+ * @route   POST /api/api-keys
+ * @access  Private (api-keys:manage)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const createApiKey = asyncHandler(async (req, res) => {
+    try {
+        const validation = validateRequiredFields(req.body, ['name', 'permissions']);
+        if (!validation.isValid) {
+            return sendErrorResponse(res, 400, `Missing required fields: ${validation.missingFields.join(', ')}`);
+        }
+
+        const apiKey = await apiKeyService.createApiKey(req.body, req.user, req.permissions);
+        sendSuccessResponse(res, 201, 'API key created successfully. Copy the key now, it will not be shown again', apiKey);
+    } catch (error) {
+        const statusCode = error.message.includes('do not hold') ? 403 : 400;
+        sendErrorResponse(res, statusCode, error.message);
+    }
+});
+
+/**
+ * @desc    Update API key
+ * @route   PUT /api/api-keys/:id
+ * @access  Private (api-keys:manage)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const updateApiKey = asyncHandler(async (req, res) => {
+    try {
+        const apiKey = await apiKeyService.updateApiKey(req.params.id, req.body, req.permissions);
+        sendSuccessResponse(res, 200, 'API key updated successfully', apiKey);
+    } catch (error) {
+        let statusCode = 400;
+        if (error.message.includes('not found')) statusCode = 404;
+        if (error.message.includes('do not hold')) statusCode = 403;
+        sendErrorResponse(res, statusCode, error.message);
+    }
+});
+
+/**
+ * @desc    Revoke API key
+ * @route   DELETE /api/api-keys/:id
+ * @access  Private (api-keys:manage)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const revokeApiKey = asyncHandler(async (req, res) => {
+    try {
+        const result = await apiKeyService.revokeApiKey(req.params.id);
+        sendSuccessResponse(res, 200, result.message);
+    } catch (error) {
+        sendErrorResponse(res, 404, error.message);
+    }
+});
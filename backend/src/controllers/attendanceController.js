@@ -77,17 +77,18 @@ export const getAttendanceReport = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Update attendance record (Admin only)
+ * @desc    Update attendance record
  * @route   PUT /api/attendance/:id
- * @access  Private/Admin
+ * @access  Private (attendance:write, or attendance:approve for the reporting line)
  * @param   {Object} req - Express request object
  * @param   {Object} res - Express response object
  */
 export const updateAttendance = asyncHandler(async (req, res) => {
     try {
-        const attendance = await attendanceService.updateAttendance(req.params.id, req.body);
+        const attendance = await attendanceService.updateAttendance(req.params.id, req.body, req.user, req.permissions);
         sendSuccessResponse(res, 200, 'Attendance updated successfully', attendance);
     } catch (error) {
-        sendErrorResponse(res, 404, error.message);
+        const statusCode = error.code === 'NOT_IN_REPORTING_LINE' ? 403 : 404;
+        sendErrorResponse(res, statusCode, error.message);
     }
 });
@@ -0,0 +1,39 @@
+import auditService from '../services/auditService.js';
+import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/responseHandler.js';
+import { validateObjectId, validateDate } from '../utils/validation.js';
+
+/**
+ * @desc    Get audit log entries
+ * @route   GET /api/audit
+ * @access  Private (audit:read)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getAuditLogs = asyncHandler(async (req, res) => {
+    try {
+        const { actor, apiKey, impersonator, action, entityType, entityId, startDate, endDate } = req.query;
+
+        for (const [name, value] of Object.entries({ actor, apiKey, impersonator, entityId })) {
+            if (value && !validateObjectId(value)) {
+                return sendErrorResponse(res, 400, `Invalid ${name}`);
+            }
+        }
+
+        for (const [name, value] of Object.entries({ startDate, endDate })) {
+            if (value && !validateDate(value)) {
+                return sendErrorResponse(res, 400, `Invalid ${name}`);
+            }
+        }
+
+        const filters = { actor, apiKey, impersonator, action, entityType, entityId, startDate, endDate };
+        const pagination = {
+            page: parseInt(req.query.page) || 1,
+            limit: Math.min(parseInt(req.query.limit) || 50, 200)
+        };
+
+        const result = await auditService.getAuditLogs(filters, pagination);
+        sendSuccessResponse(res, 200, 'Audit logs retrieved successfully', result);
+    } catch (error) {
+        sendErrorResponse(res, 500, error.message);
+    }
+});
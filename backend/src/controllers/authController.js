@@ -1,17 +1,34 @@
 import authService from '../services/authService.js';
+import userVisibilityService from '../services/userVisibilityService.js';
+import passwordPolicyService from '../services/passwordPolicyService.js';
 import { asyncHandler } from '../utils/responseHandler.js';
-import { sendSuccessResponse, sendErrorResponse } from '../utils/responseHandler.js';
-import { setJWTCookie, clearJWTCookie, getCookieSecurityInfo } from '../utils/cookieConfig.js';
+import { sendSuccessResponse, sendErrorResponse, sendCodedErrorResponse } from '../utils/responseHandler.js';
+import { validateRequiredFields } from '../utils/validation.js';
+import {
+    setJWTCookie,
+    clearJWTCookie,
+    setRefreshTokenCookie,
+    clearRefreshTokenCookie,
+    setCsrfCookie,
+    clearCsrfCookie,
+    extractRefreshToken,
+    getCookieSecurityInfo,
+    COOKIE_NAMES
+} from '../utils/cookieConfig.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { validateObjectId } from '../utils/validation.js';
 
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access  Public
 export const register = asyncHandler(async (req, res) => {
     try {
-        const userData = await authService.register(req.body);
+        const userData = await authService.register(req.body, getRequestContext(req));
 
-        // Set JWT token as HTTP-only cookie for immediate login after registration
+        // Set JWT and refresh tokens as HTTP-only cookies for immediate login after registration
         setJWTCookie(res, userData.token);
+        setRefreshTokenCookie(res, userData.refreshToken);
+        setCsrfCookie(res, userData.csrfToken);
 
         sendSuccessResponse(res, 201, 'User registered successfully', {
             ...userData,
@@ -19,6 +36,43 @@ export const register = asyncHandler(async (req, res) => {
             cookieInfo: getCookieSecurityInfo()
         });
     } catch (error) {
+        if (error.code === 'REGISTRATION_DISABLED') {
+            return sendCodedErrorResponse(res, 403, error.code, error.message);
+        }
+        if (error.code === 'PASSWORD_POLICY') {
+            return sendCodedErrorResponse(res, 400, error.code, error.message, { violations: error.violations });
+        }
+        sendErrorResponse(res, 400, error.message);
+    }
+});
+
+// @desc    Accept an invitation and set a password
+// @route   POST /api/auth/accept-invite
+// @access  Public (requires invitation token)
+export const acceptInvite = asyncHandler(async (req, res) => {
+    try {
+        const validation = validateRequiredFields(req.body, ['token', 'password']);
+        if (!validation.isValid) {
+            return sendErrorResponse(res, 400, `Missing required fields: ${validation.missingFields.join(', ')}`);
+        }
+
+        const { token, ...userData } = req.body;
+        const newUser = await authService.acceptInvite(token, userData, getRequestContext(req));
+
+        // Sign the new user in straight away
+        setJWTCookie(res, newUser.token);
+        setRefreshTokenCookie(res, newUser.refreshToken);
+        setCsrfCookie(res, newUser.csrfToken);
+
+        sendSuccessResponse(res, 201, 'Invitation accepted successfully', {
+            ...newUser,
+            cookieSet: true,
+            cookieInfo: getCookieSecurityInfo()
+        });
+    } catch (error) {
+        if (error.code === 'PASSWORD_POLICY') {
+            return sendCodedErrorResponse(res, 400, error.code, error.message, { violations: error.violations });
+        }
         sendErrorResponse(res, 400, error.message);
     }
 });
@@ -29,10 +83,17 @@ export const register = asyncHandler(async (req, res) => {
 export const login = asyncHandler(async (req, res) => {
     try {
         const { email, password } = req.body;
-        const userData = await authService.login(email, password);
+        const userData = await authService.login(email, password, getRequestContext(req));
 
-        // Set JWT token as HTTP-only cookie
+        // Password accepted, the client must now call /api/auth/mfa/challenge
+        if (userData.mfaRequired) {
+            return sendSuccessResponse(res, 200, 'Multi-factor authentication required', userData);
+        }
+
+        // Set JWT and refresh tokens as HTTP-only cookies
         setJWTCookie(res, userData.token);
+        setRefreshTokenCookie(res, userData.refreshToken);
+        setCsrfCookie(res, userData.csrfToken);
 
         // Send response with token (for backward compatibility and mobile apps)
         sendSuccessResponse(res, 200, 'Login successful', {
@@ -41,17 +102,122 @@ export const login = asyncHandler(async (req, res) => {
             cookieInfo: getCookieSecurityInfo()
         });
     } catch (error) {
+        if (error.code === 'ACCOUNT_LOCKED') {
+            return sendCodedErrorResponse(res, 423, error.code, error.message, { lockUntil: error.lockUntil });
+        }
+        if (error.code === 'PASSWORD_LOGIN_DISABLED') {
+            return sendCodedErrorResponse(res, 403, error.code, error.message);
+        }
+        sendErrorResponse(res, 401, error.message);
+    }
+});
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/mfa/challenge
+// @access  Public (requires MFA token from login)
+export const verifyMfaLogin = asyncHandler(async (req, res) => {
+    try {
+        const validation = validateRequiredFields(req.body, ['mfaToken', 'code']);
+        if (!validation.isValid) {
+            return sendErrorResponse(res, 400, `Missing required fields: ${validation.missingFields.join(', ')}`);
+        }
+
+        const userData = await authService.completeMfaLogin(req.body.mfaToken, req.body.code, getRequestContext(req));
+
+        setJWTCookie(res, userData.token);
+        setRefreshTokenCookie(res, userData.refreshToken);
+        setCsrfCookie(res, userData.csrfToken);
+
+        sendSuccessResponse(res, 200, 'Login successful', {
+            ...userData,
+            cookieSet: true,
+            cookieInfo: getCookieSecurityInfo()
+        });
+    } catch (error) {
+        if (error.code === 'ACCOUNT_LOCKED') {
+            return sendCodedErrorResponse(res, 423, error.code, error.message, { lockUntil: error.lockUntil });
+        }
+        sendErrorResponse(res, 401, error.message);
+    }
+});
+
+// @desc    Rotate refresh token and issue a new access token
+// @route   POST /api/auth/refresh
+// @access  Public (requires refresh token)
+export const refresh = asyncHandler(async (req, res) => {
+    try {
+        const refreshToken = extractRefreshToken(req);
+        if (!refreshToken) {
+            return sendErrorResponse(res, 401, 'No refresh token provided');
+        }
+
+        const userData = await authService.refresh(
+            refreshToken,
+            getRequestContext(req),
+            req.cookies?.[COOKIE_NAMES.CSRF]
+        );
+
+        setJWTCookie(res, userData.token);
+        setRefreshTokenCookie(res, userData.refreshToken);
+        setCsrfCookie(res, userData.csrfToken);
+
+        sendSuccessResponse(res, 200, 'Token refreshed successfully', userData);
+    } catch (error) {
+        // Drop cookies that can no longer be used
+        clearJWTCookie(res);
+        clearRefreshTokenCookie(res);
+        clearCsrfCookie(res);
         sendErrorResponse(res, 401, error.message);
     }
 });
 
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = asyncHandler(async (req, res) => {
+    try {
+        const validation = validateRequiredFields(req.body, ['email']);
+        if (!validation.isValid) {
+            return sendErrorResponse(res, 400, `Missing required fields: ${validation.missingFields.join(', ')}`);
+        }
+
+        await authService.forgotPassword(req.body.email);
+
+        // Same response whether or not the account exists
+        sendSuccessResponse(res, 200, 'If an account with that email exists, a password reset link has been sent');
+    } catch (error) {
+        sendErrorResponse(res, 500, error.message);
+    }
+});
+
+// @desc    Reset password using a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPassword = asyncHandler(async (req, res) => {
+    try {
+        const validation = validateRequiredFields(req.body, ['token', 'password']);
+        if (!validation.isValid) {
+            return sendErrorResponse(res, 400, `Missing required fields: ${validation.missingFields.join(', ')}`);
+        }
+
+        await authService.resetPassword(req.body.token, req.body.password);
+        sendSuccessResponse(res, 200, 'Password has been reset successfully, please login with your new password');
+    } catch (error) {
+        if (error.code === 'PASSWORD_POLICY') {
+            return sendCodedErrorResponse(res, 400, error.code, error.message, { violations: error.violations });
+        }
+        sendErrorResponse(res, 400, error.message);
+    }
+});
+
 // @desc    Get user profile
 // @route   GET /api/auth/me
 // @access  Private
 export const getMe = asyncHandler(async (req, res) => {
     try {
         const user = await authService.getProfile(req.user.id);
-        sendSuccessResponse(res, 200, 'Profile retrieved successfully', user);
+        const viewer = await userVisibilityService.getViewer(req);
+        sendSuccessResponse(res, 200, 'Profile retrieved successfully', userVisibilityService.serialize(user, viewer));
     } catch (error) {
         sendErrorResponse(res, 404, error.message);
     }
@@ -62,20 +228,64 @@ export const getMe = asyncHandler(async (req, res) => {
 // @access  Private
 export const updateProfile = asyncHandler(async (req, res) => {
     try {
-        const userData = await authService.updateProfile(req.user.id, req.body);
-        sendSuccessResponse(res, 200, 'Profile updated successfully', userData);
+        const userData = await authService.updateProfile(req.user.id, req.body, req.sessionId);
+        const message = userData.changeRequest
+            ? 'Profile updated; some changes are awaiting HR approval'
+            : 'Profile updated successfully';
+        sendSuccessResponse(res, 200, message, userData);
+    } catch (error) {
+        if (error.code === 'PASSWORD_POLICY') {
+            return sendCodedErrorResponse(res, 400, error.code, error.message, { violations: error.violations });
+        }
+        sendErrorResponse(res, 400, error.message);
+    }
+});
+
+// @desc    Change the current user's password
+// @route   POST /api/auth/change-password
+// @access  Private (reachable while a password change is required)
+export const changePassword = asyncHandler(async (req, res) => {
+    try {
+        const validation = validateRequiredFields(req.body, ['currentPassword', 'newPassword']);
+        if (!validation.isValid) {
+            return sendErrorResponse(res, 400, `Missing required fields: ${validation.missingFields.join(', ')}`);
+        }
+
+        const userData = await authService.changePassword(req.user.id, req.body.currentPassword, req.body.newPassword, req.sessionId);
+
+        // The token version changed, so the current cookie needs the new token
+        if (req.authMethod === 'cookie') {
+            setJWTCookie(res, userData.token);
+        }
+
+        sendSuccessResponse(res, 200, 'Password changed successfully', userData);
     } catch (error) {
+        if (error.code === 'PASSWORD_POLICY') {
+            return sendCodedErrorResponse(res, 400, error.code, error.message, { violations: error.violations });
+        }
         sendErrorResponse(res, 400, error.message);
     }
 });
 
+// @desc    Get the password policy
+// @route   GET /api/auth/password-policy
+// @access  Public
+export const getPasswordPolicy = asyncHandler(async (req, res) => {
+    sendSuccessResponse(res, 200, 'Password policy retrieved', passwordPolicyService.getPolicy());
+});
+
 // @desc    Logout user and clear cookie
 // @route   POST /api/auth/logout
 // @access  Private
 export const logout = asyncHandler(async (req, res) => {
     try {
-        // Clear the JWT cookie
+        // Revoke the session so the access and refresh tokens stop working immediately
+        await authService.logout(req.sessionId);
+
+        // Clear the JWT and refresh token cookies
         clearJWTCookie(res);
+        clearRefreshTokenCookie(res);
+        clearCsrfCookie(res);
 
         sendSuccessResponse(res, 200, 'Logout successful', {
             message: 'Authentication cookie cleared',
@@ -86,15 +296,120 @@ export const logout = asyncHandler(async (req, res) => {
     }
 });
 
+// @desc    Logout from all devices and revoke every outstanding token
+// @route   POST /api/auth/logout-all
+// @access  Private
+export const logoutAll = asyncHandler(async (req, res) => {
+    try {
+        await authService.logoutAll(req.user.id);
+
+        clearJWTCookie(res);
+        clearRefreshTokenCookie(res);
+        clearCsrfCookie(res);
+
+        sendSuccessResponse(res, 200, 'Logged out from all devices', {
+            message: 'All sessions revoked',
+            cookieCleared: true
+        });
+    } catch (error) {
+        sendErrorResponse(res, 500, error.message);
+    }
+});
+
+// @desc    List active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = asyncHandler(async (req, res) => {
+    try {
+        const sessions = await authService.getSessions(req.user.id, req.sessionId);
+        sendSuccessResponse(res, 200, 'Sessions retrieved successfully', sessions);
+    } catch (error) {
+        sendErrorResponse(res, 500, error.message);
+    }
+});
+
+// @desc    Sign out one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeSession = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'Session not found');
+        }
+
+        const result = await authService.revokeSession(req.user.id, req.params.id, req.sessionId);
+
+        // Revoking the session in use is the same as logging out
+        if (result.current) {
+            clearJWTCookie(res);
+            clearRefreshTokenCookie(res);
+            clearCsrfCookie(res);
+        }
+
+        sendSuccessResponse(res, 200, 'Session revoked successfully', { current: result.current });
+    } catch (error) {
+        sendErrorResponse(res, 404, error.message);
+    }
+});
+
+// @desc    Sign out every other session of the current user
+// @route   DELETE /api/auth/sessions
+// @access  Private
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+    try {
+        await authService.revokeOtherSessions(req.user.id, req.sessionId);
+        sendSuccessResponse(res, 200, 'All other sessions revoked successfully');
+    } catch (error) {
+        sendErrorResponse(res, 500, error.message);
+    }
+});
+
+// @desc    Start impersonating a user
+// @route   POST /api/auth/impersonate/:userId
+// @access  Private (users:impersonate)
+export const impersonate = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.userId)) {
+            return sendErrorResponse(res, 404, 'User not found');
+        }
+
+        const result = await authService.impersonate(req.user, req.sessionId, req.params.userId);
+
+        // Returned as a bearer token only, so the admin's own cookies stay untouched
+        sendSuccessResponse(res, 200, `Impersonating ${result.user.email}`, result);
+    } catch (error) {
+        let statusCode = 400;
+        if (error.message === 'User not found') statusCode = 404;
+        if (error.message.includes('cannot be impersonated')) statusCode = 403;
+        sendErrorResponse(res, statusCode, error.message);
+    }
+});
+
+// @desc    Get a CSRF token for cookie-authenticated requests
+// @route   GET /api/auth/csrf-token
+// @access  Private
+export const getCsrfToken = asyncHandler(async (req, res) => {
+    try {
+        const result = authService.getCsrfToken(req.user.id, req.sessionId);
+
+        setCsrfCookie(res, result.csrfToken);
+        sendSuccessResponse(res, 200, 'CSRF token issued', result);
+    } catch (error) {
+        sendErrorResponse(res, 500, error.message);
+    }
+});
+
 // @desc    Check authentication status
 // @route   GET /api/auth/status
 // @access  Private
 export const getAuthStatus = asyncHandler(async (req, res) => {
     try {
         const user = await authService.getProfile(req.user.id);
+        const viewer = await userVisibilityService.getViewer(req);
         sendSuccessResponse(res, 200, 'Authentication status retrieved', {
             authenticated: true,
-            user: user,
+            user: userVisibilityService.serialize(user, viewer),
+            passwordChangeRequired: passwordPolicyService.isChangeRequired(user),
             cookieInfo: getCookieSecurityInfo()
         });
     } catch (error) {
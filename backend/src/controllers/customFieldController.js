@@ -0,0 +1,93 @@
+import customFieldService from '../services/customFieldService.js';
+import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/responseHandler.js';
+import { validateRequiredFields, validateObjectId } from '../utils/validation.js';
+
+/**
+ * Map a custom field service error to its HTTP status
+ * @param {Error} error - Error thrown by the custom field service
+ * @returns {number} HTTP status code
+ */
+const customFieldErrorStatus = (error) => {
+    if (error.message === 'Custom field not found') return 404;
+    return error.message.includes('already exists') ? 409 : 400;
+};
+
+/**
+ * @desc    Get the custom field definitions
+ * @route   GET /api/custom-fields
+ * @access  Private (archived fields: custom-fields:manage)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getCustomFields = asyncHandler(async (req, res) => {
+    try {
+        const includeArchived = req.query.includeArchived === 'true'
+            && (req.permissions || []).includes('custom-fields:manage');
+
+        const definitions = await customFieldService.getAllDefinitions({ includeArchived });
+        sendSuccessResponse(res, 200, 'Custom fields retrieved successfully', definitions);
+    } catch (error) {
+        sendErrorResponse(res, 500, error.message);
+    }
+});
+
+/**
+ * @desc    Define a custom field
+ * @route   POST /api/custom-fields
+ * @access  Private (custom-fields:manage)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const createCustomField = asyncHandler(async (req, res) => {
+    try {
+        const validation = validateRequiredFields(req.body, ['key', 'label', 'type']);
+        if (!validation.isValid) {
+            return sendErrorResponse(res, 400, `Missing required fields: ${validation.missingFields.join(', ')}`);
+        }
+
+        const definition = await customFieldService.createDefinition(req.body, req.user);
+        sendSuccessResponse(res, 201, 'Custom field created successfully', definition);
+    } catch (error) {
+        sendErrorResponse(res, customFieldErrorStatus(error), error.message);
+    }
+});
+
+/**
+ * @desc    Update a custom field
+ * @route   PUT /api/custom-fields/:id
+ * @access  Private (custom-fields:manage)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const updateCustomField = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'Custom field not found');
+        }
+
+        const definition = await customFieldService.updateDefinition(req.params.id, req.body || {});
+        sendSuccessResponse(res, 200, 'Custom field updated successfully', definition);
+    } catch (error) {
+        sendErrorResponse(res, customFieldErrorStatus(error), error.message);
+    }
+});
+
+/**
+ * @desc    Archive a custom field
+ * @route   DELETE /api/custom-fields/:id
+ * @access  Private (custom-fields:manage)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const archiveCustomField = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'Custom field not found');
+        }
+
+        const result = await customFieldService.archiveDefinition(req.params.id);
+        sendSuccessResponse(res, 200, result.message);
+    } catch (error) {
+        sendErrorResponse(res, customFieldErrorStatus(error), error.message);
+    }
+});
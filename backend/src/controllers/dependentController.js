@@ -0,0 +1,101 @@
+import dependentService from '../services/dependentService.js';
+import userVisibilityService from '../services/userVisibilityService.js';
+import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/responseHandler.js';
+import { validateObjectId } from '../utils/validation.js';
+
+/**
+ * Map an error from changing a list to its HTTP status
+ * @param {Error} error - Error thrown by the dependent service
+ * @returns {number} HTTP status code
+ */
+const dependentErrorStatus = (error) => {
+    if (error.code === 'ROLE_NOT_MANAGEABLE') return 403;
+    return error.message === 'User not found' ? 404 : 400;
+};
+
+/**
+ * @desc    Get an employee's emergency contacts
+ * @route   GET /api/users/:id/emergency-contacts
+ * @access  Private (self, their managers, or users:read)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getEmergencyContacts = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'User not found');
+        }
+
+        // Same rule as the emergencyContacts field (see config/userFields.js)
+        const user = await dependentService.findUser(req.params.id);
+        const viewer = await userVisibilityService.getViewer(req);
+        if (!userVisibilityService.getVisibleFields(viewer, user.toObject()).includes('emergencyContacts')) {
+            return sendErrorResponse(res, 403, 'Access denied. You cannot view these emergency contacts');
+        }
+
+        const emergencyContacts = dependentService.getEmergencyContacts(user);
+        sendSuccessResponse(res, 200, 'Emergency contacts retrieved successfully', emergencyContacts);
+    } catch (error) {
+        sendErrorResponse(res, 404, error.message);
+    }
+});
+
+/**
+ * @desc    Replace an employee's emergency contacts
+ * @route   PUT /api/users/:id/emergency-contacts
+ * @access  Private (self or users:write)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const updateEmergencyContacts = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'User not found');
+        }
+
+        const emergencyContacts = await dependentService.updateEmergencyContacts(req.params.id, req.body?.emergencyContacts, req.permissions);
+        sendSuccessResponse(res, 200, 'Emergency contacts updated successfully', emergencyContacts);
+    } catch (error) {
+        sendErrorResponse(res, dependentErrorStatus(error), error.message);
+    }
+});
+
+/**
+ * @desc    Get an employee's dependents
+ * @route   GET /api/users/:id/dependents
+ * @access  Private (self or users:read:sensitive)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getDependents = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'User not found');
+        }
+
+        const dependents = await dependentService.getDependents(req.params.id);
+        sendSuccessResponse(res, 200, 'Dependents retrieved successfully', dependents);
+    } catch (error) {
+        sendErrorResponse(res, 404, error.message);
+    }
+});
+
+/**
+ * @desc    Replace an employee's dependents
+ * @route   PUT /api/users/:id/dependents
+ * @access  Private (self or users:write)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const updateDependents = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'User not found');
+        }
+
+        const dependents = await dependentService.updateDependents(req.params.id, req.body?.dependents, req.permissions);
+        sendSuccessResponse(res, 200, 'Dependents updated successfully', dependents);
+    } catch (error) {
+        sendErrorResponse(res, dependentErrorStatus(error), error.message);
+    }
+});
@@ -0,0 +1,206 @@
+import documentService from '../services/documentService.js';
+import { DOCUMENT_CATEGORIES } from '../config/documentCategories.js';
+import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/responseHandler.js';
+import { validateObjectId } from '../utils/validation.js';
+
+/**
+ * Map a document service error to its HTTP status
+ * @param {Error} error - Error thrown by the document service
+ * @returns {number} HTTP status code
+ */
+const documentErrorStatus = (error) => {
+    if (error.code === 'DOCUMENT_FORBIDDEN') return 403;
+    return error.message.includes('not found') ? 404 : 400;
+};
+
+/**
+ * The acting user and their permissions, as the document service expects them
+ * @param {Object} req - Express request object
+ * @returns {Object} { user, permissions }
+ */
+const getViewer = (req) => ({ user: req.user, permissions: req.permissions || [] });
+
+/**
+ * @desc    Get the document categories and their rules
+ * @route   GET /api/documents/categories
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getCategories = asyncHandler(async (req, res) => {
+    sendSuccessResponse(res, 200, 'Document categories retrieved successfully', DOCUMENT_CATEGORIES);
+});
+
+/**
+ * @desc    Get documents expiring within a number of days (expired ones included)
+ * @route   GET /api/documents/expiring
+ * @access  Private (documents:read)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getExpiringDocuments = asyncHandler(async (req, res) => {
+    try {
+        const days = req.query.days === undefined ? 30 : Number(req.query.days);
+        if (!Number.isInteger(days) || days < 0 || days > 365) {
+            return sendErrorResponse(res, 400, 'days must be a whole number between 0 and 365');
+        }
+
+        const documents = await documentService.getExpiringDocuments(days);
+        sendSuccessResponse(res, 200, 'Expiring documents retrieved successfully', { count: documents.length, documents });
+    } catch (error) {
+        sendErrorResponse(res, 500, error.message);
+    }
+});
+
+/**
+ * @desc    Get the documents of an employee
+ * @route   GET /api/documents/user/:userId
+ * @access  Private (self or documents:read)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getUserDocuments = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.userId)) {
+            return sendErrorResponse(res, 404, 'User not found');
+        }
+
+        const documents = await documentService.getUserDocuments(req.params.userId, getViewer(req), { category: req.query.category });
+        sendSuccessResponse(res, 200, 'Documents retrieved successfully', { count: documents.length, documents });
+    } catch (error) {
+        sendErrorResponse(res, documentErrorStatus(error), error.message);
+    }
+});
+
+/**
+ * @desc    Upload a document for an employee
+ * @route   POST /api/documents/user/:userId
+ * @access  Private (documents:write, or self for self-service categories)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const uploadDocument = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.userId)) {
+            return sendErrorResponse(res, 404, 'User not found');
+        }
+
+        const document = await documentService.createDocument(req.params.userId, req.file, req.body || {}, getViewer(req));
+        sendSuccessResponse(res, 201, 'Document uploaded successfully', document);
+    } catch (error) {
+        sendErrorResponse(res, documentErrorStatus(error), error.message);
+    }
+});
+
+/**
+ * @desc    Get a document with its versions
+ * @route   GET /api/documents/:id
+ * @access  Private (owner for non-confidential documents, or documents:read)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getDocument = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'Document not found');
+        }
+
+        const document = await documentService.getDocument(req.params.id, getViewer(req));
+        sendSuccessResponse(res, 200, 'Document retrieved successfully', document);
+    } catch (error) {
+        sendErrorResponse(res, documentErrorStatus(error), error.message);
+    }
+});
+
+/**
+ * @desc    Upload a new version of a document
+ * @route   POST /api/documents/:id/versions
+ * @access  Private (documents:write, or the owner for self-service categories)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const uploadDocumentVersion = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'Document not found');
+        }
+
+        const document = await documentService.addVersion(req.params.id, req.file, req.body || {}, getViewer(req));
+        sendSuccessResponse(res, 201, `Version ${document.currentVersion.version} uploaded successfully`, document);
+    } catch (error) {
+        sendErrorResponse(res, documentErrorStatus(error), error.message);
+    }
+});
+
+/**
+ * @desc    Download a document (latest version, or ?version=N)
+ * @route   GET /api/documents/:id/download
+ * @access  Private (owner for non-confidential documents, or documents:read)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const downloadDocument = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'Document not found');
+        }
+
+        let version;
+        if (req.query.version !== undefined) {
+            version = Number(req.query.version);
+            if (!Number.isInteger(version) || version < 1) {
+                return sendErrorResponse(res, 400, 'version must be a positive integer');
+            }
+        }
+
+        const file = await documentService.openDownload(req.params.id, version, getViewer(req));
+
+        res.attachment(file.fileName);
+        res.set('Content-Type', file.mimeType);
+        res.set('Content-Length', String(file.size));
+        res.set('Cache-Control', 'private, no-store');
+        file.stream.pipe(res);
+    } catch (error) {
+        sendErrorResponse(res, documentErrorStatus(error), error.message);
+    }
+});
+
+/**
+ * @desc    Update the details of a document (title, category, expiry, confidentiality)
+ * @route   PUT /api/documents/:id
+ * @access  Private (documents:write)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const updateDocument = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'Document not found');
+        }
+
+        const document = await documentService.updateDocument(req.params.id, req.body || {}, getViewer(req));
+        sendSuccessResponse(res, 200, 'Document updated successfully', document);
+    } catch (error) {
+        sendErrorResponse(res, documentErrorStatus(error), error.message);
+    }
+});
+
+/**
+ * @desc    Delete a document with all its versions
+ * @route   DELETE /api/documents/:id
+ * @access  Private (documents:write)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const deleteDocument = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'Document not found');
+        }
+
+        const result = await documentService.deleteDocument(req.params.id, getViewer(req));
+        sendSuccessResponse(res, 200, result.message);
+    } catch (error) {
+        sendErrorResponse(res, documentErrorStatus(error), error.message);
+    }
+});
@@ -0,0 +1,88 @@
+import invitationService from '../services/invitationService.js';
+import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/responseHandler.js';
+import { validateRequiredFields, validateEmail } from '../utils/validation.js';
+
+/**
+ * @desc    Invite a new user
+ * @route   POST /api/invitations
+ * @access  Private (users:invite)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const createInvitation = asyncHandler(async (req, res) => {
+    try {
+        const validation = validateRequiredFields(req.body, ['email', 'role']);
+        if (!validation.isValid) {
+            return sendErrorResponse(res, 400, `Missing required fields: ${validation.missingFields.join(', ')}`);
+        }
+
+        if (!validateEmail(req.body.email)) {
+            return sendErrorResponse(res, 400, 'Please provide a valid email address');
+        }
+
+        const invitation = await invitationService.createInvitation(req.body, req.user, req.permissions);
+        sendSuccessResponse(res, 201, 'Invitation sent successfully', invitation);
+    } catch (error) {
+        let statusCode = 400;
+        if (error.message.includes('already exists')) statusCode = 409;
+        if (error.message.includes('cannot assign')) statusCode = 403;
+        sendErrorResponse(res, statusCode, error.message);
+    }
+});
+
+/**
+ * @desc    Get invitations
+ * @route   GET /api/invitations
+ * @access  Private (users:invite)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getInvitations = asyncHandler(async (req, res) => {
+    try {
+        const filters = {
+            status: req.query.status,
+            email: req.query.email
+        };
+
+        const result = await invitationService.getInvitations(filters);
+        sendSuccessResponse(res, 200, 'Invitations retrieved successfully', result);
+    } catch (error) {
+        sendErrorResponse(res, 500, error.message);
+    }
+});
+
+/**
+ * @desc    Resend an invitation with a new link
+ * @route   POST /api/invitations/:id/resend
+ * @access  Private (users:invite)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const resendInvitation = asyncHandler(async (req, res) => {
+    try {
+        const invitation = await invitationService.resendInvitation(req.params.id, req.permissions);
+        sendSuccessResponse(res, 200, 'Invitation resent successfully', invitation);
+    } catch (error) {
+        let statusCode = 400;
+        if (error.message.includes('not found')) statusCode = 404;
+        if (error.message.includes('cannot assign')) statusCode = 403;
+        sendErrorResponse(res, statusCode, error.message);
+    }
+});
+
+/**
+ * @desc    Revoke an invitation
+ * @route   DELETE /api/invitations/:id
+ * @access  Private (users:invite)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const revokeInvitation = asyncHandler(async (req, res) => {
+    try {
+        const result = await invitationService.revokeInvitation(req.params.id);
+        sendSuccessResponse(res, 200, result.message);
+    } catch (error) {
+        const statusCode = error.message.includes('not found') ? 404 : 400;
+        sendErrorResponse(res, statusCode, error.message);
+    }
+});
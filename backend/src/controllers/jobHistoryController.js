@@ -0,0 +1,29 @@
+import jobHistoryService from '../services/jobHistoryService.js';
+import userService from '../services/userService.js';
+import userVisibilityService from '../services/userVisibilityService.js';
+import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/responseHandler.js';
+import { validateObjectId } from '../utils/validation.js';
+
+/**
+ * @desc    Get an employee's salary, designation, department, and employment status timeline
+ * @route   GET /api/users/:id/history
+ * @access  Private (self or users:read; salary changes need self or users:read:sensitive)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getUserHistory = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'User not found');
+        }
+
+        const user = await userService.getUserById(req.params.id);
+        const viewer = await userVisibilityService.getViewer(req);
+        const visibleFields = userVisibilityService.getVisibleFields(viewer, user.toObject());
+
+        const timeline = await jobHistoryService.getTimeline(user, visibleFields);
+        sendSuccessResponse(res, 200, 'User history retrieved successfully', { count: timeline.length, timeline });
+    } catch (error) {
+        sendErrorResponse(res, 404, error.message);
+    }
+});
@@ -82,52 +82,81 @@ export const getLeaveById = asyncHandler(async (req, res) => {
     }
 });
 
+/**
+ * Map an approve/reject error to its HTTP status
+ * @param {Error} error - Error thrown by the leave service
+ * @returns {number} HTTP status code
+ */
+const leaveActionStatus = (error) => {
+    if (error.code === 'NOT_IN_REPORTING_LINE') return 403;
+    return error.message.includes('not found') ? 404 : 400;
+};
+
+/**
+ * @desc    Get pending leaves of the employees in your reporting line
+ * @route   GET /api/leaves/approvals
+ * @access  Private (leave:approve)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getPendingApprovals = asyncHandler(async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+        const leaves = await leaveService.getPendingApprovals(req.user._id, { page, limit });
+        sendSuccessResponse(res, 200, 'Pending approvals retrieved successfully', leaves);
+    } catch (error) {
+        sendErrorResponse(res, 500, error.message);
+    }
+});
+
 /**
  * @desc    Approve leave
  * @route   PUT /api/leaves/:id/approve
- * @access  Private/Manager
+ * @access  Private (leave:approve for the reporting line, leave:approve:any for everyone)
  * @param   {Object} req - Express request object
  * @param   {Object} res - Express response object
  */
 export const approveLeave = asyncHandler(async (req, res) => {
     try {
-        const leave = await leaveService.approveLeave(req.params.id, req.user.id);
+        const leave = await leaveService.approveLeave(req.params.id, req.user, req.permissions);
         sendSuccessResponse(res, 200, 'Leave approved successfully', leave);
     } catch (error) {
-        sendErrorResponse(res, 404, error.message);
+        sendErrorResponse(res, leaveActionStatus(error), error.message);
     }
 });
 
 /**
  * @desc    Reject leave
  * @route   PUT /api/leaves/:id/reject
- * @access  Private/Manager
+ * @access  Private (leave:approve for the reporting line, leave:approve:any for everyone)
  * @param   {Object} req - Express request object
  * @param   {Object} res - Express response object
  */
 export const rejectLeave = asyncHandler(async (req, res) => {
     try {
         const { rejectionReason } = req.body;
-        const leave = await leaveService.rejectLeave(req.params.id, req.user.id, rejectionReason);
+        const leave = await leaveService.rejectLeave(req.params.id, req.user, req.permissions, rejectionReason);
         sendSuccessResponse(res, 200, 'Leave rejected successfully', leave);
     } catch (error) {
-        sendErrorResponse(res, 404, error.message);
+        sendErrorResponse(res, leaveActionStatus(error), error.message);
     }
 });
 
 /**
  * @desc    Cancel leave
  * @route   DELETE /api/leaves/:id
- * @access  Private
+ * @access  Private (own leaves; leave:approve for the reporting line, leave:approve:any for everyone)
  * @param   {Object} req - Express request object
  * @param   {Object} res - Express response object
  */
 export const cancelLeave = asyncHandler(async (req, res) => {
     try {
-        const result = await leaveService.cancelLeave(req.params.id, req.user);
+        const result = await leaveService.cancelLeave(req.params.id, req.user, req.permissions);
         sendSuccessResponse(res, 200, result.message);
     } catch (error) {
-        const statusCode = error.message.includes('not found') ? 404 : 400;
+        const statusCode = error.message.includes('cancel your own') ? 403 : leaveActionStatus(error);
         sendErrorResponse(res, statusCode, error.message);
     }
 });
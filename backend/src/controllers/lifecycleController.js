@@ -0,0 +1,51 @@
+import lifecycleService from '../services/lifecycleService.js';
+import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/responseHandler.js';
+import { validateObjectId, validateRequiredFields } from '../utils/validation.js';
+
+/**
+ * @desc    Move an employee to another employment status
+ * @route   POST /api/users/:id/employment-status
+ * @access  Private (users:write)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const changeEmploymentStatus = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'User not found');
+        }
+
+        const validation = validateRequiredFields(req.body, ['status', 'reason', 'effectiveDate']);
+        if (!validation.isValid) {
+            return sendErrorResponse(res, 400, `Missing required fields: ${validation.missingFields.join(', ')}`);
+        }
+
+        const lifecycle = await lifecycleService.transition(req.params.id, req.body, req.user, req.permissions);
+        sendSuccessResponse(res, 200, `Employment status changed to ${lifecycle.employmentStatus}`, lifecycle);
+    } catch (error) {
+        let statusCode = 400;
+        if (error.message === 'User not found') statusCode = 404;
+        if (error.code === 'ROLE_NOT_MANAGEABLE') statusCode = 403;
+        sendErrorResponse(res, statusCode, error.message);
+    }
+});
+
+/**
+ * @desc    Get an employee's employment status and its dated history
+ * @route   GET /api/users/:id/employment-history
+ * @access  Private (self or users:read)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getEmploymentHistory = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'User not found');
+        }
+
+        const lifecycle = await lifecycleService.getHistory(req.params.id);
+        sendSuccessResponse(res, 200, 'Employment history retrieved successfully', lifecycle);
+    } catch (error) {
+        sendErrorResponse(res, 404, error.message);
+    }
+});
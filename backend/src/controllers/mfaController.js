@@ -0,0 +1,62 @@
+import mfaService from '../services/mfaService.js';
+import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/responseHandler.js';
+import { validateRequiredFields } from '../utils/validation.js';
+
+/**
+ * @desc    Start MFA enrollment and get the TOTP secret and QR code
+ * @route   POST /api/auth/mfa/enroll
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const enrollMfa = asyncHandler(async (req, res) => {
+    try {
+        const enrollment = await mfaService.startEnrollment(req.user.id);
+        sendSuccessResponse(res, 200, 'Scan the QR code with your authenticator app, then verify a code', enrollment);
+    } catch (error) {
+        sendErrorResponse(res, 400, error.message);
+    }
+});
+
+/**
+ * @desc    Verify a code to finish MFA enrollment and get recovery codes
+ * @route   POST /api/auth/mfa/verify
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const verifyMfaEnrollment = asyncHandler(async (req, res) => {
+    try {
+        const validation = validateRequiredFields(req.body, ['code']);
+        if (!validation.isValid) {
+            return sendErrorResponse(res, 400, `Missing required fields: ${validation.missingFields.join(', ')}`);
+        }
+
+        const result = await mfaService.confirmEnrollment(req.user.id, req.body.code);
+        sendSuccessResponse(res, 200, 'Multi-factor authentication enabled. Store your recovery codes in a safe place', result);
+    } catch (error) {
+        sendErrorResponse(res, 400, error.message);
+    }
+});
+
+/**
+ * @desc    Disable MFA
+ * @route   POST /api/auth/mfa/disable
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const disableMfa = asyncHandler(async (req, res) => {
+    try {
+        const validation = validateRequiredFields(req.body, ['code']);
+        if (!validation.isValid) {
+            return sendErrorResponse(res, 400, `Missing required fields: ${validation.missingFields.join(', ')}`);
+        }
+
+        await mfaService.disable(req.user.id, req.body.code);
+        sendSuccessResponse(res, 200, 'Multi-factor authentication disabled');
+    } catch (error) {
+        const statusCode = error.message.includes('mandatory') ? 403 : 400;
+        sendErrorResponse(res, statusCode, error.message);
+    }
+});
@@ -0,0 +1,123 @@
+import authService from '../services/authService.js';
+import oidcService from '../services/oidcService.js';
+import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/responseHandler.js';
+import {
+    COOKIE_NAMES,
+    setJWTCookie,
+    setRefreshTokenCookie,
+    setCsrfCookie,
+    setOidcFlowCookie,
+    clearOidcFlowCookie
+} from '../utils/cookieConfig.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { CLIENT_URL } from '../config/config.js';
+
+/**
+ * @desc    Check whether single sign-on is available
+ * @route   GET /api/auth/oidc/status
+ * @access  Public
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getOidcStatus = asyncHandler(async (req, res) => {
+    sendSuccessResponse(res, 200, 'Single sign-on status retrieved', {
+        enabled: oidcService.isEnabled()
+    });
+});
+
+/**
+ * @desc    Start single sign-on by redirecting to the identity provider
+ * @route   GET /api/auth/oidc/login
+ * @access  Public
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const startOidcLogin = asyncHandler(async (req, res) => {
+    if (!oidcService.isEnabled()) {
+        return sendErrorResponse(res, 404, 'Single sign-on is not configured');
+    }
+
+    try {
+        const { authorizationUrl, flowToken } = await oidcService.startLogin(req.query.returnTo);
+
+        setOidcFlowCookie(res, flowToken);
+        res.redirect(authorizationUrl);
+    } catch (error) {
+        sendErrorResponse(res, 503, error.message);
+    }
+});
+
+/**
+ * @desc    Handle the identity provider redirect, sign the user in, and return to the client
+ * @route   GET /api/auth/oidc/callback
+ * @access  Public (requires the flow cookie set by /login)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const handleOidcCallback = asyncHandler(async (req, res) => {
+    if (!oidcService.isEnabled()) {
+        return sendErrorResponse(res, 404, 'Single sign-on is not configured');
+    }
+
+    const flowToken = req.cookies?.[COOKIE_NAMES.OIDC_FLOW];
+    const callbackQuery = new URL(req.originalUrl, 'http://localhost').search;
+
+    // The flow state is single use, whatever the outcome
+    clearOidcFlowCookie(res);
+
+    try {
+        if (!flowToken) {
+            throw new Error('Single sign-on session expired, please try again');
+        }
+
+        const userData = await authService.completeOidcLogin(flowToken, callbackQuery, getRequestContext(req));
+
+        // Same cookies as a password login, so the client needs no SSO-specific handling
+        setJWTCookie(res, userData.token);
+        setRefreshTokenCookie(res, userData.refreshToken);
+        setCsrfCookie(res, userData.csrfToken);
+
+        res.redirect(`${CLIENT_URL}${userData.returnTo}`);
+    } catch (error) {
+        res.redirect(`${CLIENT_URL}/login?ssoError=${encodeURIComponent(error.message)}`);
+    }
+});
+
+/**
+ * @desc    Enable or disable password login for the current user
+ * @route   PUT /api/auth/oidc/password-login
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const setPasswordLogin = asyncHandler(async (req, res) => {
+    try {
+        if (typeof req.body.disabled !== 'boolean') {
+            return sendErrorResponse(res, 400, 'disabled must be true or false');
+        }
+
+        const result = await oidcService.setPasswordLoginDisabled(req.user.id, req.body.disabled);
+        const message = result.passwordLoginDisabled
+            ? 'Password login disabled, sign in with single sign-on from now on'
+            : 'Password login enabled. Use forgot password if you have not set a password yet';
+        sendSuccessResponse(res, 200, message, result);
+    } catch (error) {
+        sendErrorResponse(res, 400, error.message);
+    }
+});
+
+/**
+ * @desc    Unlink the current user from single sign-on
+ * @route   DELETE /api/auth/oidc/link
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const unlinkOidc = asyncHandler(async (req, res) => {
+    try {
+        await oidcService.unlink(req.user.id);
+        sendSuccessResponse(res, 200, 'Single sign-on unlinked');
+    } catch (error) {
+        sendErrorResponse(res, 400, error.message);
+    }
+});
@@ -0,0 +1,106 @@
+import orgService from '../services/orgService.js';
+import userVisibilityService from '../services/userVisibilityService.js';
+import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/responseHandler.js';
+import { validateObjectId } from '../utils/validation.js';
+
+/**
+ * @desc    Get a user's direct reports
+ * @route   GET /api/users/:id/direct-reports
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getDirectReports = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'User not found');
+        }
+
+        const reports = await orgService.getDirectReports(req.params.id);
+        const viewer = await userVisibilityService.getViewer(req);
+        sendSuccessResponse(res, 200, 'Direct reports retrieved successfully', userVisibilityService.serializeMany(reports, viewer));
+    } catch (error) {
+        sendErrorResponse(res, 404, error.message);
+    }
+});
+
+/**
+ * @desc    Get everyone below a user in the reporting line
+ * @route   GET /api/users/:id/reports
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getReports = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'User not found');
+        }
+
+        let maxDepth;
+        if (req.query.depth !== undefined) {
+            const depth = Number(req.query.depth);
+            if (!Number.isInteger(depth) || depth < 1) {
+                return sendErrorResponse(res, 400, 'depth must be a positive integer');
+            }
+            maxDepth = depth - 1;
+        }
+
+        const reports = await orgService.getReports(req.params.id, maxDepth);
+        const viewer = await userVisibilityService.getViewer(req);
+        const data = reports.map(report => ({ ...userVisibilityService.serialize(report, viewer), depth: report.depth }));
+        sendSuccessResponse(res, 200, 'Reports retrieved successfully', { count: data.length, reports: data });
+    } catch (error) {
+        sendErrorResponse(res, 404, error.message);
+    }
+});
+
+/**
+ * @desc    Get a user's management chain, nearest manager first
+ * @route   GET /api/users/:id/chain
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getManagementChain = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'User not found');
+        }
+
+        const managers = await orgService.getManagementChain(req.params.id);
+        const viewer = await userVisibilityService.getViewer(req);
+        sendSuccessResponse(res, 200, 'Management chain retrieved successfully', userVisibilityService.serializeMany(managers, viewer));
+    } catch (error) {
+        sendErrorResponse(res, 404, error.message);
+    }
+});
+
+/**
+ * @desc    Get the org chart of a department or the whole company
+ * @route   GET /api/users/org-chart
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getOrgChart = asyncHandler(async (req, res) => {
+    try {
+        const { department, root } = req.query;
+
+        if (department && !validateObjectId(department)) {
+            return sendErrorResponse(res, 400, 'department must be a department ID');
+        }
+        if (root && !validateObjectId(root)) {
+            return sendErrorResponse(res, 400, 'root must be a user ID');
+        }
+
+        const viewer = await userVisibilityService.getViewer(req);
+        const chart = await orgService.getOrgChart(
+            { department, root },
+            user => userVisibilityService.serialize(user, viewer)
+        );
+        sendSuccessResponse(res, 200, 'Org chart retrieved successfully', chart);
+    } catch (error) {
+        sendErrorResponse(res, 404, error.message);
+    }
+});
@@ -52,7 +52,7 @@ export const getUserPayroll = asyncHandler(async (req, res) => {
 export const createPayroll = asyncHandler(async (req, res) => {
     try {
         // Validate required fields
-        const requiredFields = ['userId', 'month', 'year', 'basicSalary'];
+        const requiredFields = ['userId', 'month', 'year'];
         const validation = validateRequiredFields(req.body, requiredFields);
 
         if (!validation.isValid) {
@@ -0,0 +1,180 @@
+import profileChangeService from '../services/profileChangeService.js';
+import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/responseHandler.js';
+import { validateObjectId } from '../utils/validation.js';
+
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+/**
+ * Map a profile change service error to its HTTP status
+ * @param {Error} error - Error thrown by the profile change service
+ * @returns {number} HTTP status code
+ */
+const profileChangeErrorStatus = (error) => {
+    if (error.message.includes('not found')) return 404;
+    if (error.message.includes('your own')) return 403;
+    if (error.message.startsWith('Change request is already') || error.message.includes('already awaiting')) return 409;
+    return 400;
+};
+
+/**
+ * @desc    Get the self-service profile fields and whether changing them needs approval
+ * @route   GET /api/profile-changes/fields
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getProfileFields = asyncHandler(async (req, res) => {
+    sendSuccessResponse(res, 200, 'Profile fields retrieved successfully', profileChangeService.getFields());
+});
+
+/**
+ * @desc    Request changes to one's own profile
+ * @route   POST /api/profile-changes
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const createChangeRequest = asyncHandler(async (req, res) => {
+    try {
+        const { changes, reason } = req.body || {};
+        if (!changes || typeof changes !== 'object') {
+            return sendErrorResponse(res, 400, 'changes must be an object of field to new value');
+        }
+
+        const request = await profileChangeService.submitRequest(req.user._id, changes, reason);
+        sendSuccessResponse(res, 201, 'Change request submitted for approval', request);
+    } catch (error) {
+        sendErrorResponse(res, profileChangeErrorStatus(error), error.message);
+    }
+});
+
+/**
+ * @desc    Get one's own change requests
+ * @route   GET /api/profile-changes/me
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getMyChangeRequests = asyncHandler(async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status } = req.query;
+        const result = await profileChangeService.getRequests(
+            { userId: req.user._id, status },
+            { page: parseInt(page), limit: parseInt(limit) }
+        );
+        sendSuccessResponse(res, 200, 'Change requests retrieved successfully', result);
+    } catch (error) {
+        sendErrorResponse(res, 500, error.message);
+    }
+});
+
+/**
+ * @desc    Get change requests of all employees
+ * @route   GET /api/profile-changes
+ * @access  Private (profile-changes:approve)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getChangeRequests = asyncHandler(async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status = 'pending', userId } = req.query;
+
+        if (status !== 'all' && !REQUEST_STATUSES.includes(status)) {
+            return sendErrorResponse(res, 400, `status must be one of: all, ${REQUEST_STATUSES.join(', ')}`);
+        }
+        if (userId && !validateObjectId(userId)) {
+            return sendErrorResponse(res, 400, 'userId must be a user ID');
+        }
+
+        const result = await profileChangeService.getRequests(
+            { status: status === 'all' ? undefined : status, userId },
+            { page: parseInt(page), limit: parseInt(limit) }
+        );
+        sendSuccessResponse(res, 200, 'Change requests retrieved successfully', result);
+    } catch (error) {
+        sendErrorResponse(res, 500, error.message);
+    }
+});
+
+/**
+ * @desc    Get a change request
+ * @route   GET /api/profile-changes/:id
+ * @access  Private (requester or profile-changes:approve)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getChangeRequestById = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'Change request not found');
+        }
+
+        const request = await profileChangeService.getRequestById(req.params.id, {
+            user: req.user,
+            permissions: req.permissions || []
+        });
+        sendSuccessResponse(res, 200, 'Change request retrieved successfully', request);
+    } catch (error) {
+        sendErrorResponse(res, 404, error.message);
+    }
+});
+
+/**
+ * @desc    Approve a change request and apply it
+ * @route   PUT /api/profile-changes/:id/approve
+ * @access  Private (profile-changes:approve)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const approveChangeRequest = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'Change request not found');
+        }
+
+        const request = await profileChangeService.approveRequest(req.params.id, req.user, req.body?.comment);
+        sendSuccessResponse(res, 200, 'Change request approved and applied', request);
+    } catch (error) {
+        sendErrorResponse(res, profileChangeErrorStatus(error), error.message);
+    }
+});
+
+/**
+ * @desc    Reject a change request
+ * @route   PUT /api/profile-changes/:id/reject
+ * @access  Private (profile-changes:approve)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const rejectChangeRequest = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'Change request not found');
+        }
+
+        const request = await profileChangeService.rejectRequest(req.params.id, req.user, req.body?.comment);
+        sendSuccessResponse(res, 200, 'Change request rejected', request);
+    } catch (error) {
+        sendErrorResponse(res, profileChangeErrorStatus(error), error.message);
+    }
+});
+
+/**
+ * @desc    Cancel one's own pending change request
+ * @route   PUT /api/profile-changes/:id/cancel
+ * @access  Private (requester)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const cancelChangeRequest = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'Change request not found');
+        }
+
+        const request = await profileChangeService.cancelRequest(req.params.id, req.user);
+        sendSuccessResponse(res, 200, 'Change request cancelled', request);
+    } catch (error) {
+        sendErrorResponse(res, profileChangeErrorStatus(error), error.message);
+    }
+});
@@ -0,0 +1,107 @@
+import roleService from '../services/roleService.js';
+import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/responseHandler.js';
+import { validateRequiredFields } from '../utils/validation.js';
+
+/**
+ * @desc    Get all roles
+ * @route   GET /api/roles
+ * @access  Private (roles:manage)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getRoles = asyncHandler(async (req, res) => {
+    try {
+        const roles = await roleService.getAllRoles();
+        sendSuccessResponse(res, 200, 'Roles retrieved successfully', roles);
+    } catch (error) {
+        sendErrorResponse(res, 500, error.message);
+    }
+});
+
+/**
+ * @desc    Get the permission catalog
+ * @route   GET /api/roles/permissions
+ * @access  Private (roles:manage)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getPermissions = asyncHandler(async (req, res) => {
+    try {
+        const permissions = roleService.getPermissionCatalog();
+        sendSuccessResponse(res, 200, 'Permissions retrieved successfully', permissions);
+    } catch (error) {
+        sendErrorResponse(res, 500, error.message);
+    }
+});
+
+/**
+ * @desc    Get role by ID
+ * @route   GET /api/roles/:id
+ * @access  Private (roles:manage)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getRoleById = asyncHandler(async (req, res) => {
+    try {
+        const role = await roleService.getRoleById(req.params.id);
+        sendSuccessResponse(res, 200, 'Role retrieved successfully', role);
+    } catch (error) {
+        sendErrorResponse(res, 404, error.message);
+    }
+});
+
+/**
+ * @desc    Create new role
+ * @route   POST /api/roles
+ * @access  Private (roles:manage)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const createRole = asyncHandler(async (req, res) => {
+    try {
+        const validation = validateRequiredFields(req.body, ['name']);
+        if (!validation.isValid) {
+            return sendErrorResponse(res, 400, `Missing required fields: ${validation.missingFields.join(', ')}`);
+        }
+
+        const role = await roleService.createRole(req.body);
+        sendSuccessResponse(res, 201, 'Role created successfully', role);
+    } catch (error) {
+        const statusCode = error.message.includes('already exists') ? 409 : 400;
+        sendErrorResponse(res, statusCode, error.message);
+    }
+});
+
+/**
+ * @desc    Update role
+ * @route   PUT /api/roles/:id
+ * @access  Private (roles:manage)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const updateRole = asyncHandler(async (req, res) => {
+    try {
+        const role = await roleService.updateRole(req.params.id, req.body);
+        sendSuccessResponse(res, 200, 'Role updated successfully', role);
+    } catch (error) {
+        const statusCode = error.message.includes('not found') ? 404 : 400;
+        sendErrorResponse(res, statusCode, error.message);
+    }
+});
+
+/**
+ * @desc    Delete role
+ * @route   DELETE /api/roles/:id
+ * @access  Private (roles:manage)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const deleteRole = asyncHandler(async (req, res) => {
+    try {
+        const result = await roleService.deleteRole(req.params.id);
+        sendSuccessResponse(res, 200, result.message);
+    } catch (error) {
+        const statusCode = error.message.includes('not found') ? 404 : 400;
+        sendErrorResponse(res, statusCode, error.message);
+    }
+});
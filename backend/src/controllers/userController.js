@@ -1,7 +1,9 @@
 import userService from '../services/userService.js';
 import fileService from '../services/fileService.js';
-import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/responseHandler.js';
-import { validateRequiredFields } from '../utils/validation.js';
+import userVisibilityService from '../services/userVisibilityService.js';
+import customFieldService from '../services/customFieldService.js';
+import { asyncHandler, sendSuccessResponse, sendErrorResponse, sendCodedErrorResponse } from '../utils/responseHandler.js';
+import { validateRequiredFields, validateObjectId } from '../utils/validation.js';
 
 /**
  * @desc    Get all users with optional filtering and pagination
@@ -18,13 +20,74 @@ export const getUsers = asyncHandler(async (req, res) => {
         if (role) filters.role = role;
         if (department) filters.department = department;
 
-        const users = await userService.getAllUsers(filters, { page: parseInt(page), limit: parseInt(limit) });
-        sendSuccessResponse(res, 200, 'Users retrieved successfully', users);
+        // Only custom fields the viewer can see on everyone are searchable, so results leak no hidden values
+        const viewer = await userVisibilityService.getViewer(req);
+        try {
+            filters.customFields = customFieldService.buildSearchQuery(req.query, userVisibilityService.getPermittedCustomFields(viewer));
+        } catch (error) {
+            return sendErrorResponse(res, 400, error.message);
+        }
+
+        const result = await userService.getAllUsers(filters, { page: parseInt(page), limit: parseInt(limit) });
+
+        sendSuccessResponse(res, 200, 'Users retrieved successfully', {
+            ...result,
+            users: userVisibilityService.serializeMany(result.users, viewer)
+        });
     } catch (error) {
         sendErrorResponse(res, 500, error.message);
     }
 });
 
+/**
+ * @desc    Search employees (ranked full-text search with facets, or type-ahead suggestions)
+ * @route   GET /api/users/search
+ * @access  Private
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const searchUsers = asyncHandler(async (req, res) => {
+    try {
+        const { q, mode = 'search', page = 1, limit, role, department, designation } = req.query;
+
+        if (!['search', 'typeahead'].includes(mode)) {
+            return sendErrorResponse(res, 400, 'mode must be search or typeahead');
+        }
+
+        const maxLimit = mode === 'typeahead' ? 20 : 50;
+        const pageNumber = parseInt(page) || 1;
+        const pageSize = Math.min(parseInt(limit) || 10, maxLimit);
+        if (pageNumber < 1 || pageSize < 1) {
+            return sendErrorResponse(res, 400, 'page and limit must be positive numbers');
+        }
+
+        const viewer = await userVisibilityService.getViewer(req);
+
+        if (mode === 'typeahead') {
+            const users = await userService.suggestUsers(q, pageSize);
+            return sendSuccessResponse(res, 200, 'Suggestions retrieved successfully', {
+                users: userVisibilityService.serializeMany(users, viewer)
+            });
+        }
+
+        // As in the directory listing, only custom fields the viewer can see on everyone can filter
+        const filters = {
+            role,
+            department,
+            designation,
+            customFields: customFieldService.buildSearchQuery(req.query, userVisibilityService.getPermittedCustomFields(viewer))
+        };
+
+        const result = await userService.searchUsers(q, filters, { page: pageNumber, limit: pageSize });
+        sendSuccessResponse(res, 200, 'Users retrieved successfully', {
+            ...result,
+            users: userVisibilityService.serializeMany(result.users, viewer)
+        });
+    } catch (error) {
+        sendErrorResponse(res, 400, error.message);
+    }
+});
+
 /**
  * @desc    Get user by ID
  * @route   GET /api/users/:id
@@ -35,7 +98,8 @@ export const getUsers = asyncHandler(async (req, res) => {
 export const getUserById = asyncHandler(async (req, res) => {
     try {
         const user = await userService.getUserById(req.params.id);
-        sendSuccessResponse(res, 200, 'User retrieved successfully', user);
+        const viewer = await userVisibilityService.getViewer(req);
+        sendSuccessResponse(res, 200, 'User retrieved successfully', userVisibilityService.serialize(user, viewer));
     } catch (error) {
         sendErrorResponse(res, 404, error.message);
     }
@@ -59,7 +123,8 @@ export const createUser = asyncHandler(async (req, res) => {
         }
 
         // Create user first
-        const user = await userService.createUser(req.body);
+        const user = await userService.createUser(req.body, req.user, req.permissions);
+        const viewer = await userVisibilityService.getViewer(req);
 
         // Handle optional profile picture upload
         if (req.file) {
@@ -67,17 +132,22 @@ export const createUser = asyncHandler(async (req, res) => {
                 await userService.uploadProfilePicture(user._id, req.file, req);
                 // Fetch updated user data with profile picture
                 const updatedUser = await userService.getUserById(user._id);
-                sendSuccessResponse(res, 201, 'User created successfully with profile picture', updatedUser);
+                sendSuccessResponse(res, 201, 'User created successfully with profile picture', userVisibilityService.serialize(updatedUser, viewer));
             } catch (uploadError) {
                 // User was created but profile picture upload failed
                 // Return user data with warning about profile picture
-                sendSuccessResponse(res, 201, 'User created successfully, but profile picture upload failed', user);
+                sendSuccessResponse(res, 201, 'User created successfully, but profile picture upload failed', userVisibilityService.serialize(user, viewer));
             }
         } else {
-            sendSuccessResponse(res, 201, 'User created successfully', user);
+            sendSuccessResponse(res, 201, 'User created successfully', userVisibilityService.serialize(user, viewer));
         }
     } catch (error) {
-        const statusCode = error.message.includes('already exists') ? 409 : 400;
+        if (error.code === 'PASSWORD_POLICY') {
+            return sendCodedErrorResponse(res, 400, error.code, error.message, { violations: error.violations });
+        }
+        let statusCode = 400;
+        if (error.message.includes('already exists')) statusCode = 409;
+        if (error.message.includes('cannot assign')) statusCode = 403;
         sendErrorResponse(res, statusCode, error.message);
     }
 });
@@ -91,10 +161,17 @@ export const createUser = asyncHandler(async (req, res) => {
  */
 export const updateUser = asyncHandler(async (req, res) => {
     try {
-        const user = await userService.updateUser(req.params.id, req.body);
-        sendSuccessResponse(res, 200, 'User updated successfully', user);
+        const user = await userService.updateUser(req.params.id, req.body, req.user, req.permissions);
+        const viewer = await userVisibilityService.getViewer(req);
+        sendSuccessResponse(res, 200, 'User updated successfully', userVisibilityService.serialize(user, viewer));
     } catch (error) {
-        sendErrorResponse(res, 404, error.message);
+        if (error.code === 'PASSWORD_POLICY') {
+            return sendCodedErrorResponse(res, 400, error.code, error.message, { violations: error.violations });
+        }
+        let statusCode = 400;
+        if (error.message === 'User not found') statusCode = 404;
+        if (error.message.includes('cannot assign') || error.code === 'ROLE_NOT_MANAGEABLE') statusCode = 403;
+        sendErrorResponse(res, statusCode, error.message);
     }
 });
 
@@ -107,13 +184,82 @@ export const updateUser = asyncHandler(async (req, res) => {
  */
 export const deleteUser = asyncHandler(async (req, res) => {
     try {
-        await userService.deleteUser(req.params.id);
+        await userService.deleteUser(req.params.id, req.permissions);
         sendSuccessResponse(res, 200, 'User deactivated successfully');
+    } catch (error) {
+        sendErrorResponse(res, error.code === 'ROLE_NOT_MANAGEABLE' ? 403 : 404, error.message);
+    }
+});
+
+/**
+ * @desc    Unlock a user account locked after failed logins
+ * @route   POST /api/users/:id/unlock
+ * @access  Private/Admin
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const unlockUser = asyncHandler(async (req, res) => {
+    try {
+        const user = await userService.unlockUser(req.params.id, req.permissions);
+        const viewer = await userVisibilityService.getViewer(req);
+        sendSuccessResponse(res, 200, 'User account unlocked successfully', userVisibilityService.serialize(user, viewer));
+    } catch (error) {
+        sendErrorResponse(res, error.code === 'ROLE_NOT_MANAGEABLE' ? 403 : 404, error.message);
+    }
+});
+
+/**
+ * @desc    List active sessions of a user
+ * @route   GET /api/users/:id/sessions
+ * @access  Private (users:read)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getUserSessions = asyncHandler(async (req, res) => {
+    try {
+        const sessions = await userService.getUserSessions(req.params.id);
+        sendSuccessResponse(res, 200, 'Sessions retrieved successfully', sessions);
     } catch (error) {
         sendErrorResponse(res, 404, error.message);
     }
 });
 
+/**
+ * @desc    Sign out one session of a user
+ * @route   DELETE /api/users/:id/sessions/:sessionId
+ * @access  Private (users:write)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const revokeUserSession = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.sessionId)) {
+            return sendErrorResponse(res, 404, 'Session not found');
+        }
+
+        const result = await userService.revokeUserSession(req.params.id, req.params.sessionId, req.permissions);
+        sendSuccessResponse(res, 200, result.message);
+    } catch (error) {
+        sendErrorResponse(res, error.code === 'ROLE_NOT_MANAGEABLE' ? 403 : 404, error.message);
+    }
+});
+
+/**
+ * @desc    Sign out every session of a user
+ * @route   DELETE /api/users/:id/sessions
+ * @access  Private (users:write)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const revokeAllUserSessions = asyncHandler(async (req, res) => {
+    try {
+        const result = await userService.revokeAllUserSessions(req.params.id, req.permissions);
+        sendSuccessResponse(res, 200, result.message);
+    } catch (error) {
+        sendErrorResponse(res, error.code === 'ROLE_NOT_MANAGEABLE' ? 403 : 404, error.message);
+    }
+});
+
 /**
  * @desc    Get users by department
  * @route   GET /api/users/department/:departmentId
@@ -123,8 +269,14 @@ export const deleteUser = asyncHandler(async (req, res) => {
  */
 export const getUsersByDepartment = asyncHandler(async (req, res) => {
     try {
-        const users = await userService.getUsersByDepartment(req.params.departmentId);
-        sendSuccessResponse(res, 200, 'Department users retrieved successfully', users);
+        const result = await userService.getUsersByDepartment(req.params.departmentId);
+        const viewer = await userVisibilityService.getViewer(req);
+
+        // Open to every employee, so peers only get the public profile fields
+        sendSuccessResponse(res, 200, 'Department users retrieved successfully', {
+            ...result,
+            users: userVisibilityService.serializeMany(result.users, viewer)
+        });
     } catch (error) {
         sendErrorResponse(res, 404, error.message);
     }
@@ -144,7 +296,8 @@ export const uploadProfilePicture = asyncHandler(async (req, res) => {
         }
 
         const user = await userService.uploadProfilePicture(req.params.id, req.file, req);
-        sendSuccessResponse(res, 200, 'Profile picture uploaded successfully', user);
+        const viewer = await userVisibilityService.getViewer(req);
+        sendSuccessResponse(res, 200, 'Profile picture uploaded successfully', userVisibilityService.serialize(user, viewer));
     } catch (error) {
         sendErrorResponse(res, 400, error.message);
     }
@@ -193,7 +346,8 @@ export const getProfilePicture = asyncHandler(async (req, res) => {
 export const deleteProfilePicture = asyncHandler(async (req, res) => {
     try {
         const user = await userService.removeProfilePicture(req.params.id);
-        sendSuccessResponse(res, 200, 'Profile picture removed successfully', user);
+        const viewer = await userVisibilityService.getViewer(req);
+        sendSuccessResponse(res, 200, 'Profile picture removed successfully', userVisibilityService.serialize(user, viewer));
     } catch (error) {
         sendErrorResponse(res, 404, error.message);
     }
@@ -0,0 +1,47 @@
+import userExportService, { EXPORT_FORMATS } from '../services/userExportService.js';
+import userVisibilityService from '../services/userVisibilityService.js';
+import customFieldService from '../services/customFieldService.js';
+import { asyncHandler, sendErrorResponse } from '../utils/responseHandler.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @desc    Export the filtered employee directory as CSV, XLSX, or PDF
+ * @route   GET /api/users/export
+ * @access  Private (users:read)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const exportUsers = asyncHandler(async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const { role, department, status, joinedFrom, joinedTo } = req.query;
+    const filters = { role, department, status, joinedFrom, joinedTo, ...customFieldService.pickSearchParams(req.query) };
+    const viewer = await userVisibilityService.getViewer(req);
+
+    try {
+        if (!EXPORT_FORMATS[format]) {
+            return sendErrorResponse(res, 400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+
+        // Validate the filters before the download starts
+        userExportService.buildQuery(filters, viewer);
+    } catch (error) {
+        return sendErrorResponse(res, 400, error.message);
+    }
+
+    const fileName = `employees-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+
+    res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    try {
+        const count = await userExportService.writeExport(res, format, filters, viewer);
+        logger.info(`Directory export (${format}, ${count} users) by ${req.user?.email || `API key ${req.apiKey?.name}`}`);
+    } catch (error) {
+        // Headers (and probably data) are already sent, so the download can only be cut short
+        logger.error('Directory export failed', error);
+        if (!res.headersSent) {
+            return sendErrorResponse(res, 500, error.message);
+        }
+        res.destroy(error);
+    }
+});
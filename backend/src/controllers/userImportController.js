@@ -0,0 +1,128 @@
+import userImportService from '../services/userImportService.js';
+import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/responseHandler.js';
+import { validateObjectId } from '../utils/validation.js';
+
+/**
+ * Read the optional column mapping sent with an upload
+ * @param {Object} body - Multipart form fields
+ * @returns {Object} { header: field } mapping
+ * @throws {Error} If the mapping is not a JSON object
+ */
+const parseMapping = (body = {}) => {
+    if (!body.mapping) {
+        return {};
+    }
+
+    let mapping;
+    try {
+        mapping = typeof body.mapping === 'string' ? JSON.parse(body.mapping) : body.mapping;
+    } catch (error) {
+        throw new Error('mapping must be a JSON object of column header to user field');
+    }
+
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw new Error('mapping must be a JSON object of column header to user field');
+    }
+
+    return mapping;
+};
+
+/**
+ * @desc    Import employees from a CSV or XLSX file, or validate it with dryRun
+ * @route   POST /api/users/import
+ * @access  Private (users:write)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const importUsers = asyncHandler(async (req, res) => {
+    try {
+        if (!req.file) {
+            return sendErrorResponse(res, 400, 'Upload a .csv or .xlsx file in the "file" field');
+        }
+
+        const mapping = parseMapping(req.body);
+        const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === 'true';
+
+        if (dryRun) {
+            const report = await userImportService.dryRun(req.file, mapping, req.permissions);
+            const message = report.invalidRows === 0
+                ? 'Dry run passed, every row can be imported'
+                : `Dry run found errors in ${report.invalidRows} of ${report.totalRows} rows`;
+            return sendSuccessResponse(res, 200, message, report);
+        }
+
+        const job = await userImportService.startImport(
+            req.file,
+            { mapping, sendSetupEmails: req.body?.sendSetupEmails !== 'false' },
+            req.user,
+            req.permissions
+        );
+        res.set('Location', `/api/users/import/jobs/${job._id}`);
+        sendSuccessResponse(res, 202, 'Import started', job);
+    } catch (error) {
+        sendErrorResponse(res, 400, error.message);
+    }
+});
+
+/**
+ * @desc    Get import jobs
+ * @route   GET /api/users/import/jobs
+ * @access  Private (users:write)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getImportJobs = asyncHandler(async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const result = await userImportService.getJobs({ page, limit });
+        sendSuccessResponse(res, 200, 'Import jobs retrieved successfully', result);
+    } catch (error) {
+        sendErrorResponse(res, 500, error.message);
+    }
+});
+
+/**
+ * @desc    Get an import job with the outcome of every row
+ * @route   GET /api/users/import/jobs/:id
+ * @access  Private (users:write)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const getImportJob = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'Import job not found');
+        }
+
+        const job = await userImportService.getJob(req.params.id);
+        sendSuccessResponse(res, 200, 'Import job retrieved successfully', job);
+    } catch (error) {
+        sendErrorResponse(res, 404, error.message);
+    }
+});
+
+/**
+ * @desc    Download the result report of an import job as CSV
+ * @route   GET /api/users/import/jobs/:id/report
+ * @access  Private (users:write)
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ */
+export const downloadImportReport = asyncHandler(async (req, res) => {
+    try {
+        if (!validateObjectId(req.params.id)) {
+            return sendErrorResponse(res, 404, 'Import job not found');
+        }
+
+        const { fileName, csv } = await userImportService.getReport(req.params.id);
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(csv);
+    } catch (error) {
+        const statusCode = error.message === 'Import job not found' ? 404 : 409;
+        sendErrorResponse(res, statusCode, error.message);
+    }
+});
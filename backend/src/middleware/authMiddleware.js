@@ -1,25 +1,140 @@
 import jwt from 'jsonwebtoken';
 import { User } from '../models/userModel.js';
-import { sendErrorResponse } from '../utils/responseHandler.js';
+import sessionService from '../services/sessionService.js';
+import mfaService from '../services/mfaService.js';
+import passwordPolicyService from '../services/passwordPolicyService.js';
+import roleService from '../services/roleService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import auditService from '../services/auditService.js';
+import { sendErrorResponse, sendCodedErrorResponse } from '../utils/responseHandler.js';
+import { setContextActor, setContextApiKey, setContextImpersonator, getCurrentContext } from '../utils/requestContext.js';
+import { hasValidCsrfToken, sendCsrfError } from './csrfMiddleware.js';
+
+/**
+ * Mark a route as reachable before account setup is complete
+ * Place before `protect` on routes a user needs in order to finish setup (e.g. MFA enrollment,
+ * a required password change)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const allowPendingSetup = (req, res, next) => {
+    req.allowPendingSetup = true;
+    next();
+};
+
+/**
+ * Mark a route as usable by machine integrations with an API key
+ * Place before `protect`. Only use on routes whose handlers do not need a user account
+ * and that check a permission; combine with `requireUser` for the exceptions.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const allowApiKey = (req, res, next) => {
+    req.allowApiKey = true;
+    next();
+};
+
+/**
+ * Authenticate a request made with an X-API-Key header
+ * The key's permissions take the place of a role; there is no user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {string} key - Plain API key
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+    if (!req.allowApiKey) {
+        return sendErrorResponse(res, 401, 'API keys are not accepted on this endpoint');
+    }
+
+    try {
+        req.apiKey = await apiKeyService.authenticate(key, req.ip);
+        req.authMethod = 'api-key';
+        req.user = null;
+        req.sessionId = null;
+        req.permissions = req.apiKey.permissions;
+
+        // Changes made during this request are attributed to the key
+        setContextApiKey(req.apiKey);
+
+        next();
+    } catch (error) {
+        return sendErrorResponse(res, 401, error.message);
+    }
+};
+
+/**
+ * Load the admin behind an impersonation token (the `act` claim)
+ * Impersonation ends as soon as the admin signs out, is deactivated, or loses the permission
+ * @param {Object} act - Actor claim with the admin ID (sub), session (sid), and token version (tv)
+ * @returns {Object|null} Impersonating admin, or null if impersonation is no longer allowed
+ */
+const loadImpersonator = async (act) => {
+    const impersonator = await User.findById(act.sub).select('-password');
+    if (!impersonator || !impersonator.isActive || (act.tv || 0) !== (impersonator.tokenVersion || 0)) {
+        return null;
+    }
+
+    if (act.sid && !(await sessionService.getActiveSession(act.sid))) {
+        return null;
+    }
+
+    const permissions = await roleService.getPermissions(impersonator.role);
+    return permissions.includes('users:impersonate') ? impersonator : null;
+};
+
+/**
+ * Log a request made while impersonating once the response has been sent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const auditImpersonatedRequest = (req, res) => {
+    const context = getCurrentContext();
+
+    res.on('finish', () => {
+        auditService.record({
+            action: 'access',
+            entityType: 'User',
+            entityId: req.user._id,
+            request: { method: req.method, path: req.originalUrl, statusCode: res.statusCode }
+        }, context);
+    });
+};
 
 /**
  * Authentication middleware to protect routes
- * Verifies JWT token from cookies or Authorization header and attaches user to request object
- * Supports both cookie-based and header-based authentication for backward compatibility
+ * Verifies JWT token from the Authorization header or cookies and attaches user to request object
+ * Supports both header-based and cookie-based authentication (an explicit Bearer token takes precedence),
+ * and X-API-Key on routes marked with `allowApiKey`. Sets req.authMethod to 'cookie', 'bearer', or 'api-key'.
+ * Impersonation tokens set req.user to the impersonated user and req.impersonator to the admin.
+ * Cookie-authenticated requests that change state must pass the CSRF check
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
 export const protect = async (req, res, next) => {
+    const apiKey = req.get('x-api-key');
+    if (apiKey) {
+        return authenticateApiKey(req, res, next, apiKey);
+    }
+
     let token;
+    const bearerToken = req.headers.authorization && req.headers.authorization.startsWith('Bearer')
+        ? req.headers.authorization.split(' ')[1]
+        : null;
 
-    // First, check for JWT token in HTTP-only cookie
-    if (req.cookies && req.cookies.jwt) {
-        token = req.cookies.jwt;
+    // An explicit Bearer token wins over the cookie, so an admin's browser can send an
+    // impersonation token while its own session cookie still goes along
+    if (bearerToken) {
+        token = bearerToken;
+        req.authMethod = 'bearer';
     }
-    // Fallback to Authorization header with Bearer token for backward compatibility
-    else if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-        token = req.headers.authorization.split(' ')[1];
+    // Otherwise the JWT token in the HTTP-only cookie
+    else if (req.cookies && req.cookies.jwt) {
+        token = req.cookies.jwt;
+        req.authMethod = 'cookie';
     }
 
     if (!token) {
@@ -30,6 +145,16 @@ export const protect = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Refresh tokens, special-purpose tokens, and legacy tokens without a type cannot be used as access tokens
+        if (decoded.type !== 'access') {
+            return sendErrorResponse(res, 401, 'Invalid token');
+        }
+
+        // Browsers attach cookies to cross-site requests, so cookie auth needs a CSRF token
+        if (req.authMethod === 'cookie' && !hasValidCsrfToken(req, decoded.sid || decoded.id)) {
+            return sendCsrfError(res);
+        }
+
         // Get user from the token and exclude password
         req.user = await User.findById(decoded.id).select('-password');
 
@@ -41,6 +166,61 @@ export const protect = async (req, res, next) => {
             return sendErrorResponse(res, 401, 'User account is deactivated');
         }
 
+        // Tokens issued before logout-all, password change, or deactivation are revoked
+        if ((decoded.tv || 0) !== (req.user.tokenVersion || 0)) {
+            return sendErrorResponse(res, 401, 'Token has been revoked, please login again');
+        }
+
+        // Tokens die together with the session they were issued for
+        if (decoded.sid) {
+            const session = await sessionService.getActiveSession(decoded.sid);
+            if (!session) {
+                return sendErrorResponse(res, 401, 'Session has been revoked, please login again');
+            }
+            await sessionService.touchSession(session);
+        }
+
+        // Session the access token was issued for (absent for impersonation tokens)
+        req.sessionId = decoded.sid || null;
+
+        // Changes made during this request are attributed to this user
+        setContextActor(req.user);
+
+        // Impersonation: tag the request with both identities and log it
+        if (decoded.act) {
+            req.impersonator = await loadImpersonator(decoded.act);
+            if (!req.impersonator) {
+                return sendErrorResponse(res, 401, 'Impersonation has ended, please start it again');
+            }
+
+            setContextImpersonator(req.impersonator);
+            res.set('X-Impersonated-By', req.impersonator.email);
+            auditImpersonatedRequest(req, res);
+        }
+
+        // Permissions granted by the user's role, checked by requirePermission
+        req.permissions = await roleService.getPermissions(req.user.role);
+
+        // Roles with mandatory MFA can only reach setup routes until they enroll
+        if (!req.allowPendingSetup && !req.impersonator && mfaService.isEnrollmentRequired(req.user)) {
+            return sendCodedErrorResponse(
+                res,
+                403,
+                'MFA_ENROLLMENT_REQUIRED',
+                'Multi-factor authentication must be set up before accessing this resource'
+            );
+        }
+
+        // Admin-set and expired passwords must be changed before anything else
+        if (!req.allowPendingSetup && !req.impersonator && passwordPolicyService.isChangeRequired(req.user)) {
+            return sendCodedErrorResponse(
+                res,
+                403,
+                'PASSWORD_CHANGE_REQUIRED',
+                'Your password must be changed before accessing this resource'
+            );
+        }
+
         next();
     } catch (error) {
         // Handle different JWT errors
@@ -56,44 +236,49 @@ export const protect = async (req, res, next) => {
 };
 
 /**
- * Admin role authorization middleware
- * Ensures user has admin role before allowing access
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
+ * Permission authorization middleware factory
+ * Ensures the user's role (or the API key's scope) grants every listed permission before allowing access
+ * @param {...string} permissions - Required permission names (e.g. 'payroll:write')
+ * @returns {Function} Express middleware
  */
-export const admin = (req, res, next) => {
-    if (req.user && req.user.role === 'admin') {
+export const requirePermission = (...permissions) => (req, res, next) => {
+    const granted = req.permissions || [];
+    const missing = permissions.filter(permission => !granted.includes(permission));
+
+    if ((req.user || req.apiKey) && missing.length === 0) {
         next();
     } else {
-        return sendErrorResponse(res, 403, 'Access denied. Admin role required.');
+        return sendErrorResponse(res, 403, `Access denied. Missing permission: ${missing.join(', ')}`);
     }
 };
 
 /**
- * Manager role authorization middleware
- * Ensures user has manager or admin role before allowing access
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
+ * Any-permission authorization middleware factory
+ * Allows access if the user's role (or the API key's scope) grants at least one of the listed permissions
+ * @param {...string} permissions - Accepted permission names (e.g. 'attendance:write', 'attendance:approve')
+ * @returns {Function} Express middleware
  */
-export const manager = (req, res, next) => {
-    if (req.user && (req.user.role === 'manager' || req.user.role === 'admin')) {
+export const requireAnyPermission = (...permissions) => (req, res, next) => {
+    const granted = req.permissions || [];
+
+    if ((req.user || req.apiKey) && permissions.some(permission => granted.includes(permission))) {
         next();
     } else {
-        return sendErrorResponse(res, 403, 'Access denied. Manager role or higher required.');
+        return sendErrorResponse(res, 403, `Access denied. Requires one of: ${permissions.join(', ')}`);
     }
 };
 
 /**
- * Self or admin authorization middleware
- * Allows access if user is accessing their own data or is an admin
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
+ * Self or permission authorization middleware factory
+ * Allows access if user is accessing their own data (req.params.id) or holds the permission
+ * @param {string} permission - Permission that grants access to other users' data
+ * @returns {Function} Express middleware
  */
-export const selfOrAdmin = (req, res, next) => {
-    if (req.user && (req.user._id.toString() === req.params.id || req.user.role === 'admin')) {
+export const selfOrPermission = (permission) => (req, res, next) => {
+    const isSelf = req.user && req.user._id.toString() === req.params.id;
+    const hasPermission = (req.permissions || []).includes(permission);
+
+    if (isSelf || hasPermission) {
         next();
     } else {
         return sendErrorResponse(res, 403, 'Access denied. You can only access your own data.');
@@ -101,16 +286,35 @@ export const selfOrAdmin = (req, res, next) => {
 };
 
 /**
- * HR role authorization middleware
- * Ensures user has HR, manager, or admin role before allowing access
+ * Block a route while an admin is impersonating a user
+ * Use on actions that must always be taken under the admin's own name (e.g. payroll changes)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const denyImpersonation = (req, res, next) => {
+    if (req.impersonator) {
+        return sendCodedErrorResponse(
+            res,
+            403,
+            'IMPERSONATION_FORBIDDEN',
+            'This action is not allowed while impersonating a user'
+        );
+    }
+    next();
+};
+
+/**
+ * Require a signed-in user
+ * Rejects API keys on routes that act on behalf of the current user (e.g. clock in)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-export const hr = (req, res, next) => {
-    if (req.user && ['hr', 'manager', 'admin'].includes(req.user.role)) {
+export const requireUser = (req, res, next) => {
+    if (req.user) {
         next();
     } else {
-        return sendErrorResponse(res, 403, 'Access denied. HR role or higher required.');
+        return sendErrorResponse(res, 403, 'This endpoint requires a user account, API keys are not accepted');
     }
 };
@@ -0,0 +1,70 @@
+import { sendCodedErrorResponse } from '../utils/responseHandler.js';
+import { COOKIE_NAMES } from '../utils/cookieConfig.js';
+import { CSRF_HEADER, isValidCsrfToken } from '../utils/csrf.js';
+import { verifyToken } from '../utils/generateToken.js';
+
+/**
+ * CSRF protection middleware
+ * Cookie-authenticated requests that change state must echo the csrfToken cookie in the
+ * X-CSRF-Token header. Bearer and API-key requests are not exposed to CSRF and skip the check.
+ */
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Check the double-submitted CSRF token of a request
+ * @param {Object} req - Express request object
+ * @param {string} binding - Session ID (or user ID) the token must be issued for
+ * @returns {boolean} True if the request is safe or carries a valid token
+ */
+export const hasValidCsrfToken = (req, binding) => {
+    if (SAFE_METHODS.includes(req.method)) {
+        return true;
+    }
+
+    const headerToken = req.get(CSRF_HEADER);
+    const cookieToken = req.cookies?.[COOKIE_NAMES.CSRF];
+
+    return !!headerToken && headerToken === cookieToken && isValidCsrfToken(headerToken, binding);
+};
+
+/**
+ * Send the error returned when the CSRF check fails
+ * @param {Object} res - Express response object
+ */
+export const sendCsrfError = (res) => {
+    return sendCodedErrorResponse(
+        res,
+        403,
+        'CSRF_TOKEN_INVALID',
+        'Missing or invalid CSRF token, get a new one from GET /api/auth/csrf-token'
+    );
+};
+
+/**
+ * Enforce CSRF protection on the refresh endpoint when the refresh token comes from a cookie
+ * Refresh tokens sent in the body are not exposed to CSRF
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const refreshCsrfProtection = (req, res, next) => {
+    const refreshToken = req.cookies?.[COOKIE_NAMES.REFRESH_TOKEN];
+    if (!refreshToken) {
+        return next();
+    }
+
+    let decoded;
+    try {
+        decoded = verifyToken(refreshToken);
+    } catch (error) {
+        // Invalid refresh tokens are rejected by the controller
+        return next();
+    }
+
+    if (!hasValidCsrfToken(req, decoded.sid)) {
+        return sendCsrfError(res);
+    }
+
+    next();
+};
@@ -0,0 +1,43 @@
+import { rateLimit } from 'express-rate-limit';
+import { sendCodedErrorResponse } from '../utils/responseHandler.js';
+import { AUTH_RATE_LIMIT_WINDOW_MINUTES, AUTH_RATE_LIMIT_MAX } from '../config/config.js';
+
+/**
+ * Rate limiting middleware
+ * Limits how many requests a single IP address can make to sensitive endpoints
+ */
+
+/**
+ * Create a per-IP rate limiter
+ * @param {Object} options - Window length in minutes, request limit, and error message
+ * @returns {Function} Express middleware
+ */
+export const createRateLimiter = ({ windowMinutes, max, message }) => rateLimit({
+    windowMs: windowMinutes * 60 * 1000,
+    limit: max,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    handler: (req, res, next, options) => {
+        return sendCodedErrorResponse(res, options.statusCode, 'RATE_LIMITED', message, {
+            retryAfterSeconds: Math.ceil(options.windowMs / 1000)
+        });
+    }
+});
+
+/**
+ * Rate limiter for login attempts
+ */
+export const loginRateLimiter = createRateLimiter({
+    windowMinutes: AUTH_RATE_LIMIT_WINDOW_MINUTES,
+    max: AUTH_RATE_LIMIT_MAX,
+    message: 'Too many login attempts from this IP, please try again later'
+});
+
+/**
+ * Rate limiter for registration
+ */
+export const registerRateLimiter = createRateLimiter({
+    windowMinutes: AUTH_RATE_LIMIT_WINDOW_MINUTES,
+    max: AUTH_RATE_LIMIT_MAX,
+    message: 'Too many registration attempts from this IP, please try again later'
+});
@@ -0,0 +1,12 @@
+import { getRequestContext, runWithRequestContext } from '../utils/requestContext.js';
+
+/**
+ * Make client metadata available to services for the rest of the request
+ * `protect` adds the authenticated user as the actor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const requestContext = (req, res, next) => {
+    runWithRequestContext(getRequestContext(req), () => next());
+};
@@ -3,6 +3,9 @@ import path from 'path';
 import fs from 'fs';
 import { v4 as uuidv4 } from 'uuid';
 import { sendErrorResponse } from '../utils/responseHandler.js';
+import { bindRequestContext } from '../utils/requestContext.js';
+import { DOCUMENT_MAX_SIZE_MB } from '../config/config.js';
+import { DOCUMENT_FILE_TYPES } from '../config/documentCategories.js';
 
 /**
  * File upload middleware for handling profile picture uploads
@@ -79,10 +82,78 @@ const upload = multer({
     }
 });
 
+/**
+ * Run a multer middleware without losing the request context
+ * Multer calls `next` from its stream callbacks, outside the context, so audit entries
+ * written by the handlers would have no actor, IP address, or user agent
+ * @param {Function} middleware - Multer middleware
+ * @returns {Function} Express middleware
+ */
+const keepRequestContext = (middleware) => (req, res, next) => middleware(req, res, bindRequestContext(next));
+
 /**
  * Middleware for handling single profile picture upload
  */
-export const uploadProfilePicture = upload.single('profilePicture');
+export const uploadProfilePicture = keepRequestContext(upload.single('profilePicture'));
+
+/**
+ * Spreadsheet upload for bulk imports
+ * Kept in memory: the file is parsed straight away and never stored
+ */
+const importFileFilter = (req, file, cb) => {
+    const allowedExtensions = ['.csv', '.xlsx'];
+
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!allowedExtensions.includes(extension)) {
+        return cb(new Error('Invalid file extension. Only .csv and .xlsx files are allowed.'), false);
+    }
+
+    cb(null, true);
+};
+
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: importFileFilter,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+        files: 1
+    }
+});
+
+/**
+ * Middleware for handling a single import file upload
+ */
+export const uploadImportFile = keepRequestContext(importUpload.single('file'));
+
+/**
+ * Employee document upload for the document vault
+ * Kept in memory so the service can check the file before writing it to private storage
+ */
+const documentFileFilter = (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!DOCUMENT_FILE_TYPES[extension]) {
+        return cb(new Error(`Invalid file extension. Allowed: ${Object.keys(DOCUMENT_FILE_TYPES).join(', ')}`), false);
+    }
+
+    cb(null, true);
+};
+
+const documentUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: documentFileFilter,
+    limits: {
+        fileSize: DOCUMENT_MAX_SIZE_MB * 1024 * 1024,
+        files: 1
+    }
+});
+
+/**
+ * Middleware for handling a single document upload
+ */
+export const uploadDocumentFile = (req, res, next) => {
+    req.uploadMaxSizeMB = DOCUMENT_MAX_SIZE_MB;
+    documentUpload.single('file')(req, res, bindRequestContext(next));
+};
 
 /**
  * Error handling middleware for multer errors
@@ -91,11 +162,11 @@ export const handleUploadError = (error, req, res, next) => {
     if (error instanceof multer.MulterError) {
         switch (error.code) {
             case 'LIMIT_FILE_SIZE':
-                return sendErrorResponse(res, 400, 'File size too large. Maximum size is 5MB.');
+                return sendErrorResponse(res, 400, `File size too large. Maximum size is ${req.uploadMaxSizeMB || 5}MB.`);
             case 'LIMIT_FILE_COUNT':
                 return sendErrorResponse(res, 400, 'Too many files. Only one file is allowed.');
             case 'LIMIT_UNEXPECTED_FILE':
-                return sendErrorResponse(res, 400, 'Unexpected field name. Use "profilePicture" as the field name.');
+                return sendErrorResponse(res, 400, `Unexpected field name "${error.field}". Check the field name in the API documentation.`);
             default:
                 return sendErrorResponse(res, 400, `Upload error: ${error.message}`);
         }
@@ -0,0 +1,73 @@
+import { mongoose } from "mongoose";
+
+/**
+ * An API key lets a machine integration (e.g. a biometric device bridge
+ * or BI tool) call the API without a user account. Only a hash of the key
+ * is stored; the plain key is shown once when it is created.
+ */
+const apiKeySchema = mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100
+        },
+        description: {
+            type: String,
+            trim: true
+        },
+        keyPrefix: {
+            type: String,
+            required: true
+        },
+        keyHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false
+        },
+        permissions: {
+            type: [String],
+            default: []
+        },
+        allowedIps: {
+            type: [String],
+            default: []
+        },
+        expiresAt: {
+            type: Date,
+            default: null
+        },
+        lastUsedAt: {
+            type: Date,
+            default: null
+        },
+        lastUsedIp: {
+            type: String,
+            default: null
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        revokedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Method to check if the key can still be used
+apiKeySchema.methods.isActive = function() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Create indexes for better performance
+apiKeySchema.index({ createdAt: -1 });
+
+export const ApiKey = mongoose.model("ApiKey", apiKeySchema);
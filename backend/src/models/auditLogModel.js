@@ -0,0 +1,85 @@
+import { mongoose } from "mongoose";
+
+/**
+ * An audit log entry records one create, update, or delete of a
+ * business record: who (a user or an API key) made it, from where,
+ * and which fields changed. While an admin impersonates a user, the
+ * user is the actor, the admin is the impersonator, and every request
+ * is logged as an 'access' entry.
+ * Entries are append-only.
+ */
+const auditLogSchema = mongoose.Schema(
+    {
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        actorEmail: {
+            type: String,
+            default: null
+        },
+        apiKey: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ApiKey',
+            default: null
+        },
+        impersonator: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        impersonatorEmail: {
+            type: String,
+            default: null
+        },
+        action: {
+            type: String,
+            enum: ['create', 'update', 'delete', 'impersonate', 'access'],
+            required: true
+        },
+        entityType: {
+            type: String,
+            required: true
+        },
+        entityId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        changes: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {}
+        },
+        // Method, path, and status of requests logged as 'access'
+        request: {
+            method: String,
+            path: String,
+            statusCode: Number
+        },
+        ipAddress: {
+            type: String,
+            default: null
+        },
+        userAgent: {
+            type: String,
+            default: null
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+// Audit entries are never modified once written
+const preventModification = function() {
+    throw new Error('Audit log entries cannot be modified');
+};
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], preventModification);
+
+// Create indexes for better performance
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ impersonator: 1, createdAt: -1 }, { partialFilterExpression: { impersonator: { $type: 'objectId' } } });
+auditLogSchema.index({ createdAt: -1 });
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema);
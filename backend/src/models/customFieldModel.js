@@ -0,0 +1,76 @@
+import { mongoose } from "mongoose";
+import { CUSTOM_FIELD_VISIBILITY } from "../config/userFields.js";
+
+/**
+ * An admin-defined employee profile field (e.g. blood group, T-shirt size, employee code).
+ * Values are stored per user in `User.customFields` under the definition's key and are
+ * validated against the definition by customFieldService.
+ */
+const customFieldSchema = mongoose.Schema(
+    {
+        // Name of the value in User.customFields; cannot change once created
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+            trim: true,
+            match: /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/
+        },
+        label: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100
+        },
+        // Cannot change once created, stored values would no longer match
+        type: {
+            type: String,
+            enum: ['text', 'number', 'date', 'boolean', 'select'],
+            required: true
+        },
+        // Allowed values of a select field
+        options: {
+            type: [String],
+            default: []
+        },
+        // text: minLength, maxLength, pattern; number: min, max; date: min, max (YYYY-MM-DD)
+        validation: {
+            minLength: { type: Number },
+            maxLength: { type: Number },
+            pattern: { type: String },
+            min: { type: mongoose.Schema.Types.Mixed },
+            max: { type: mongoose.Schema.Types.Mixed }
+        },
+        required: {
+            type: Boolean,
+            default: false
+        },
+        visibility: {
+            type: String,
+            enum: Object.keys(CUSTOM_FIELD_VISIBILITY),
+            default: 'team'
+        },
+        // Display order in forms and export columns
+        order: {
+            type: Number,
+            default: 0
+        },
+        // Archived fields keep their stored values but are hidden and no longer validated
+        isActive: {
+            type: Boolean,
+            default: true
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+    }
+);
+
+customFieldSchema.index({ isActive: 1, order: 1 });
+
+export const CustomField = mongoose.model("CustomField", customFieldSchema);
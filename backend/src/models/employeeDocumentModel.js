@@ -0,0 +1,97 @@
+import { mongoose } from "mongoose";
+import { DOCUMENT_CATEGORIES } from "../config/documentCategories.js";
+
+/**
+ * A document in an employee's vault (contract, ID proof, certificate, visa, ...).
+ * Every upload of a new file adds a version; the latest version is the current one.
+ * Files live outside the public /uploads mount and are only served through the
+ * authorized download route.
+ */
+const documentVersionSchema = mongoose.Schema(
+    {
+        version: {
+            type: Number,
+            required: true
+        },
+        // Original file name, used for the download
+        fileName: {
+            type: String,
+            required: true
+        },
+        // Path relative to DOCUMENT_STORAGE_DIR
+        storagePath: {
+            type: String,
+            required: true
+        },
+        mimeType: {
+            type: String,
+            required: true
+        },
+        size: {
+            type: Number,
+            required: true
+        },
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        uploadedAt: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    { _id: false }
+);
+
+const employeeDocumentSchema = mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        category: {
+            type: String,
+            enum: Object.keys(DOCUMENT_CATEGORIES),
+            required: true
+        },
+        title: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 200
+        },
+        // Confidential documents are hidden from the employee (documents:read only)
+        confidential: {
+            type: Boolean,
+            default: false
+        },
+        expiresAt: {
+            type: Date,
+            default: null
+        },
+        // Reminder thresholds (days before expiry) already sent for the current expiry date
+        remindersSent: {
+            type: [Number],
+            default: []
+        },
+        versions: {
+            type: [documentVersionSchema],
+            default: []
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+    }
+);
+
+employeeDocumentSchema.index({ userId: 1, category: 1 });
+employeeDocumentSchema.index({ expiresAt: 1 });
+
+export const EmployeeDocument = mongoose.model("EmployeeDocument", employeeDocumentSchema);
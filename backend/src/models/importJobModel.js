@@ -0,0 +1,108 @@
+import { mongoose } from "mongoose";
+
+/**
+ * A bulk employee import.
+ * The uploaded file is parsed when the import is requested and the rows
+ * are processed in the background; every row's outcome is kept so the
+ * result report can be downloaded once the job has finished.
+ */
+const importRowResultSchema = mongoose.Schema(
+    {
+        row: {
+            type: Number,
+            required: true
+        },
+        email: {
+            type: String
+        },
+        name: {
+            type: String
+        },
+        status: {
+            type: String,
+            enum: ['created', 'failed'],
+            required: true
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        // Validation or creation errors of a failed row
+        messages: {
+            type: [String],
+            default: []
+        }
+    },
+    { _id: false }
+);
+
+const importJobSchema = mongoose.Schema(
+    {
+        fileName: {
+            type: String,
+            required: true
+        },
+        status: {
+            type: String,
+            enum: ['queued', 'running', 'completed', 'failed'],
+            default: 'queued'
+        },
+        // Spreadsheet column -> User field, as applied to this file
+        columns: {
+            type: Map,
+            of: String
+        },
+        sendSetupEmails: {
+            type: Boolean,
+            default: true
+        },
+        totalRows: {
+            type: Number,
+            default: 0
+        },
+        processedRows: {
+            type: Number,
+            default: 0
+        },
+        createdCount: {
+            type: Number,
+            default: 0
+        },
+        failedCount: {
+            type: Number,
+            default: 0
+        },
+        results: {
+            type: [importRowResultSchema],
+            select: false
+        },
+        // Reason the whole job failed (row errors are in results)
+        error: {
+            type: String,
+            default: null
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        startedAt: {
+            type: Date,
+            default: null
+        },
+        finishedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Create indexes for better performance
+importJobSchema.index({ createdAt: -1 });
+importJobSchema.index({ status: 1 });
+
+export const ImportJob = mongoose.model("ImportJob", importJobSchema);
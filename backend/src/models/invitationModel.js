@@ -0,0 +1,92 @@
+import { mongoose } from "mongoose";
+
+/**
+ * An invitation lets a new employee create their own account.
+ * The role, department, and job details are fixed by the inviter;
+ * the invitee only chooses their password. Only the hash of the
+ * latest signed token is stored, so resending invalidates older links.
+ */
+const invitationSchema = mongoose.Schema(
+    {
+        email: {
+            type: String,
+            required: true,
+            lowercase: true,
+            trim: true,
+            match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+        },
+        name: {
+            type: String,
+            trim: true,
+            maxlength: 50
+        },
+        role: {
+            type: String,
+            required: true,
+            lowercase: true,
+            trim: true
+        },
+        department: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Department'
+        },
+        designation: {
+            type: String,
+            trim: true
+        },
+        salary: {
+            type: Number,
+            min: 0
+        },
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        tokenHash: {
+            type: String,
+            select: false
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        acceptedAt: {
+            type: Date,
+            default: null
+        },
+        acceptedUser: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        revokedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true }
+    }
+);
+
+// Virtual for the invitation status
+invitationSchema.virtual('status').get(function() {
+    if (this.acceptedAt) return 'accepted';
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt <= new Date()) return 'expired';
+    return 'pending';
+});
+
+// Method to check if the invitation can still be accepted
+invitationSchema.methods.isPending = function() {
+    return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Create indexes for better performance
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+invitationSchema.index({ createdAt: -1 });
+
+export const Invitation = mongoose.model("Invitation", invitationSchema);
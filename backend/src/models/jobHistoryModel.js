@@ -0,0 +1,51 @@
+import { mongoose } from "mongoose";
+
+/**
+ * An effective-dated change of an employee's salary, designation, or department.
+ * The value of a field on a given day is the value of its latest change
+ * effective on or before that day (used e.g. for payroll of past months).
+ */
+const jobHistorySchema = mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        field: {
+            type: String,
+            enum: ['salary', 'designation', 'department'],
+            required: true
+        },
+        // Number for salary, String for designation, Department ObjectId for department
+        value: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+        },
+        previousValue: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+        },
+        effectiveDate: {
+            type: Date,
+            required: true
+        },
+        reason: {
+            type: String,
+            trim: true
+        },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Lookups are "latest change of a field for a user on or before a date"
+jobHistorySchema.index({ userId: 1, field: 1, effectiveDate: -1 });
+
+export const JobHistory = mongoose.model("JobHistory", jobHistorySchema);
@@ -34,6 +34,12 @@ const leaveSchema = mongoose.Schema(
             enum: ['pending', 'approved', 'rejected'],
             default: 'pending'
         },
+        // Manager the application was routed to (the applicant's reportsTo when applying)
+        approver: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
         approvedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
@@ -58,5 +64,6 @@ const leaveSchema = mongoose.Schema(
 leaveSchema.index({ userId: 1 });
 leaveSchema.index({ status: 1 });
 leaveSchema.index({ type: 1 });
+leaveSchema.index({ approver: 1, status: 1 });
 
 export const Leave = mongoose.model("Leave", leaveSchema);
@@ -0,0 +1,73 @@
+import { mongoose } from "mongoose";
+import { SELF_SERVICE_PROFILE_FIELDS } from "../config/profileFields.js";
+
+/**
+ * Changes to their own profile an employee proposed and HR has to approve.
+ * Both the value at the time of the request and the requested value are kept, so
+ * approved requests remain a readable history of the employee's profile changes.
+ */
+const profileChangeSchema = mongoose.Schema(
+    {
+        field: {
+            type: String,
+            enum: Object.keys(SELF_SERVICE_PROFILE_FIELDS),
+            required: true
+        },
+        currentValue: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+        },
+        requestedValue: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true
+        }
+    },
+    { _id: false }
+);
+
+const profileChangeRequestSchema = mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        changes: {
+            type: [profileChangeSchema],
+            required: true
+        },
+        // Why the employee asks for the change (e.g. "Name changed after marriage")
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: 500
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected', 'cancelled'],
+            default: 'pending'
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        reviewedAt: {
+            type: Date,
+            default: null
+        },
+        reviewComment: {
+            type: String,
+            trim: true,
+            maxlength: 500
+        }
+    },
+    {
+        timestamps: true,
+    }
+);
+
+profileChangeRequestSchema.index({ status: 1, createdAt: 1 });
+profileChangeRequestSchema.index({ userId: 1, createdAt: -1 });
+
+export const ProfileChangeRequest = mongoose.model("ProfileChangeRequest", profileChangeRequestSchema);
@@ -0,0 +1,31 @@
+import { mongoose } from "mongoose";
+
+const roleSchema = mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            unique: true,
+            lowercase: true,
+            trim: true,
+            match: /^[a-z][a-z0-9_-]{1,29}$/
+        },
+        description: {
+            type: String,
+            trim: true
+        },
+        permissions: {
+            type: [String],
+            default: []
+        },
+        isSystem: {
+            type: Boolean,
+            default: false
+        }
+    },
+    {
+        timestamps: true,
+    }
+);
+
+export const Role = mongoose.model("Role", roleSchema);
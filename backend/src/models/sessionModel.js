@@ -0,0 +1,56 @@
+import { mongoose } from "mongoose";
+
+/**
+ * A session is created on login and tracks one refresh token family.
+ * Every refresh rotates the stored token hash; presenting an already
+ * rotated token revokes the whole session.
+ */
+const sessionSchema = mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        refreshTokenHash: {
+            type: String,
+            required: true
+        },
+        userAgent: {
+            type: String
+        },
+        ipAddress: {
+            type: String
+        },
+        lastSeenAt: {
+            type: Date,
+            default: Date.now
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+        revokedReason: {
+            type: String
+        }
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Method to check if session can still be used
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Create indexes for better performance
+sessionSchema.index({ userId: 1 });
+// Let MongoDB remove sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model("Session", sessionSchema);
@@ -1,5 +1,68 @@
 import { mongoose } from "mongoose";
 import bcrypt from "bcryptjs";
+import { Role } from "./roleModel.js";
+import { LOGIN_MAX_ATTEMPTS, LOGIN_LOCKOUT_BASE_MINUTES, LOGIN_LOCKOUT_MAX_MINUTES } from "../config/config.js";
+import { EMPLOYMENT_STATUSES, DEFAULT_EMPLOYMENT_STATUS } from "../config/employmentStatus.js";
+import { DEPENDENT_RELATIONS } from "../config/dependents.js";
+
+// Person to call in an emergency
+const emergencyContactSchema = mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    relation: {
+        type: String,
+        enum: Object.keys(DEPENDENT_RELATIONS),
+        required: true
+    },
+    phone: {
+        type: String,
+        required: true,
+        match: /^\d{10,15}$/
+    },
+    // Contacted first
+    isPrimary: {
+        type: Boolean,
+        default: false
+    }
+});
+
+// Family member of the employee, used for parental leave eligibility and insurance deductions
+const dependentSchema = mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    relation: {
+        type: String,
+        enum: Object.keys(DEPENDENT_RELATIONS),
+        required: true
+    },
+    phone: {
+        type: String,
+        match: /^\d{10,15}$/
+    },
+    // Expected due date for a child not yet born
+    dateOfBirth: {
+        type: Date,
+        required: true
+    },
+    // Named beneficiary of the employee's insurance and benefits
+    isBeneficiary: {
+        type: Boolean,
+        default: false
+    },
+    // Covered by the employee's health insurance (only relations marked insurable)
+    isInsured: {
+        type: Boolean,
+        default: false
+    }
+});
 
 const userSchema = mongoose.Schema(
     {
@@ -10,6 +73,11 @@ const userSchema = mongoose.Schema(
             minlength: 2,
             maxlength: 50
         },
+        // Lower-cased name from the start of each word, so type-ahead prefixes can use an index
+        nameSearchKeys: {
+            type: [String],
+            select: false
+        },
         email: {
             type: String,
             required: true,
@@ -17,15 +85,36 @@ const userSchema = mongoose.Schema(
             lowercase: true,
             match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
         },
+        // Strength is enforced by passwordPolicyService before a password is set
         password: {
             type: String,
-            required: true,
-            minlength: 6
+            required: true
+        },
+        // Hashes of previous passwords, newest first
+        passwordHistory: {
+            type: [String],
+            select: false
+        },
+        passwordChangedAt: {
+            type: Date
+        },
+        // Set when an admin creates or resets the password, cleared by the user's own change
+        mustChangePassword: {
+            type: Boolean,
+            default: false
         },
         role: {
             type: String,
-            enum: ['admin', 'manager', 'employee'],
-            default: 'employee'
+            lowercase: true,
+            trim: true,
+            default: 'employee',
+            validate: {
+                // Roles are managed through the role API, so check against the collection
+                validator: async function(value) {
+                    return !!(await Role.exists({ name: value }));
+                },
+                message: props => `Role '${props.value}' does not exist`
+            }
         },
         department: {
             type: mongoose.Schema.Types.ObjectId,
@@ -35,6 +124,12 @@ const userSchema = mongoose.Schema(
             type: String,
             trim: true
         },
+        // Line manager; cycles are rejected by orgService.assertValidManager
+        reportsTo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
         salary: {
             type: Number,
             min: 0
@@ -64,13 +159,123 @@ const userSchema = mongoose.Schema(
         address: {
             type: String
         },
+        // Salary account; employees change it through a profile change request
+        bankDetails: {
+            accountHolder: { type: String, trim: true },
+            bankName: { type: String, trim: true },
+            accountNumber: { type: String, trim: true },
+            // IFSC, sort code, routing number, or SWIFT/BIC
+            routingCode: { type: String, trim: true }
+        },
         dateOfJoining: {
             type: Date,
             default: Date.now
         },
+        // Employment lifecycle, changed through lifecycleService.transition
+        employmentStatus: {
+            type: String,
+            enum: Object.keys(EMPLOYMENT_STATUSES),
+            default: DEFAULT_EMPLOYMENT_STATUS
+        },
+        employmentHistory: [
+            {
+                _id: false,
+                from: { type: String, default: null },
+                status: { type: String, enum: Object.keys(EMPLOYMENT_STATUSES), required: true },
+                reason: { type: String, required: true, trim: true },
+                effectiveDate: { type: Date, required: true },
+                changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+                changedAt: { type: Date, default: Date.now }
+            }
+        ],
+        // Set when the employee exits; clock-in and payroll stop after this day
+        lastWorkingDay: {
+            type: Date,
+            default: null
+        },
+        // Maintained by the employee (self-service) or HR through dependentService
+        emergencyContacts: {
+            type: [emergencyContactSchema],
+            default: []
+        },
+        dependents: {
+            type: [dependentSchema],
+            default: []
+        },
+        // Values of admin-defined custom fields by key, validated by customFieldService
+        customFields: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {}
+        },
         isActive: {
             type: Boolean,
             default: true
+        },
+        tokenVersion: {
+            type: Number,
+            default: 0
+        },
+        passwordResetTokenHash: {
+            type: String,
+            select: false
+        },
+        passwordResetExpiresAt: {
+            type: Date,
+            select: false
+        },
+        failedLoginAttempts: {
+            type: Number,
+            default: 0
+        },
+        lockCount: {
+            type: Number,
+            default: 0
+        },
+        lockUntil: {
+            type: Date,
+            default: null
+        },
+        oidc: {
+            issuer: {
+                type: String
+            },
+            subject: {
+                type: String
+            },
+            linkedAt: {
+                type: Date
+            }
+        },
+        // Once SSO is linked, password login can be switched off for the account
+        passwordLoginDisabled: {
+            type: Boolean,
+            default: false
+        },
+        mfa: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            secret: {
+                type: String,
+                select: false
+            },
+            pendingSecret: {
+                type: String,
+                select: false
+            },
+            recoveryCodes: {
+                type: [String],
+                select: false
+            },
+            lastUsedStep: {
+                type: Number,
+                select: false
+            },
+            enrolledAt: {
+                type: Date,
+                default: null
+            }
         }
     },
     {
@@ -82,6 +287,15 @@ const userSchema = mongoose.Schema(
 userSchema.pre('save', async function(next) {
     if (!this.isModified('password')) return next();
     this.password = await bcrypt.hash(this.password, 12);
+    this.passwordChangedAt = new Date();
+    next();
+});
+
+// Keep the type-ahead keys in step with the name
+userSchema.pre('save', function(next) {
+    if (this.isNew || this.isModified('name')) {
+        this.nameSearchKeys = this.constructor.buildNameSearchKeys(this.name);
+    }
     next();
 });
 
@@ -90,6 +304,50 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Build the type-ahead keys of a name: "Mary Jane Doe" gives "mary jane doe", "jane doe", and "doe"
+userSchema.statics.buildNameSearchKeys = function(name) {
+    const words = String(name || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return words.map((word, index) => words.slice(index).join(' '));
+};
+
+// Method to invalidate every outstanding access token for the user
+userSchema.methods.revokeTokens = function() {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+};
+
+// Method to check if the account is locked after too many failed logins
+userSchema.methods.isLocked = function() {
+    return !!(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Method to record a failed login, locking the account once the threshold is reached
+userSchema.methods.registerFailedLogin = function() {
+    this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+
+    if (this.failedLoginAttempts >= LOGIN_MAX_ATTEMPTS) {
+        // Exponential back-off: every consecutive lockout doubles the duration
+        const minutes = Math.min(
+            LOGIN_LOCKOUT_BASE_MINUTES * Math.pow(2, this.lockCount || 0),
+            LOGIN_LOCKOUT_MAX_MINUTES
+        );
+        this.lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+        this.lockCount = (this.lockCount || 0) + 1;
+        this.failedLoginAttempts = 0;
+    }
+};
+
+// Method to clear failed login tracking (successful login or admin unlock)
+userSchema.methods.resetLoginAttempts = function() {
+    this.failedLoginAttempts = 0;
+    this.lockCount = 0;
+    this.lockUntil = null;
+};
+
+// Method to check if the account is linked to an SSO identity
+userSchema.methods.hasOidcLink = function() {
+    return !!(this.oidc && this.oidc.subject);
+};
+
 // Method to update profile picture
 userSchema.methods.updateProfilePicture = function(pictureData) {
     this.profilePicture = {
@@ -119,5 +377,20 @@ userSchema.methods.hasProfilePicture = function() {
 userSchema.index({ department: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ reportsTo: 1 });
+userSchema.index({ employmentStatus: 1 });
+// Anchored prefix matches of the people picker (userService.suggestUsers)
+userSchema.index({ nameSearchKeys: 1 });
+// Full-text employee search (userService.searchUsers), ranked with name matches first
+userSchema.index(
+    { name: 'text', designation: 'text', email: 'text' },
+    { name: 'user_text_search', weights: { name: 10, designation: 4, email: 2 } }
+);
+// Custom fields are searchable, whatever fields HR defines
+userSchema.index({ 'customFields.$**': 1 });
+userSchema.index(
+    { 'oidc.issuer': 1, 'oidc.subject': 1 },
+    { unique: true, partialFilterExpression: { 'oidc.subject': { $type: 'string' } } }
+);
 
 export const User = mongoose.model("User", userSchema);
@@ -6,12 +6,12 @@ import {
     getAttendanceReport,
     updateAttendance
 } from '../controllers/attendanceController.js';
-import { protect, admin, manager } from '../middleware/authMiddleware.js';
+import { protect, allowApiKey, requirePermission, requireAnyPermission, requireUser } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication; API keys may use the permission-checked routes
+router.use(allowApiKey, protect);
 
 /**
  * @swagger
@@ -46,7 +46,7 @@ router.use(protect);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/clock-in', clockIn);
+router.post('/clock-in', requireUser, clockIn);
 
 /**
  * @swagger
@@ -81,7 +81,7 @@ router.post('/clock-in', clockIn);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/clock-out', clockOut);
+router.post('/clock-out', requireUser, clockOut);
 
 /**
  * @swagger
@@ -91,6 +91,7 @@ router.post('/clock-out', clockOut);
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: startDate
@@ -130,16 +131,20 @@ router.post('/clock-out', clockOut);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/report', manager, getAttendanceReport);
+router.get('/report', requirePermission('attendance:read'), getAttendanceReport);
 
 /**
  * @swagger
  * /api/attendance/{id}:
  *   put:
- *     summary: Update attendance record (Admin only)
+ *     summary: Update attendance record
+ *     description: |
+ *       `attendance:write` can update any record. `attendance:approve` (managers) can only update records of
+ *       employees below them in the reporting line (reportsTo). Nobody can update their own record this way.
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -193,6 +198,12 @@ router.get('/report', manager, getAttendanceReport);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The employee is not in your reporting line (code NOT_IN_REPORTING_LINE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Attendance record not found
  *         content:
@@ -200,7 +211,7 @@ router.get('/report', manager, getAttendanceReport);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', admin, updateAttendance);
+router.put('/:id', requireAnyPermission('attendance:write', 'attendance:approve'), updateAttendance);
 
 /**
  * @swagger
@@ -256,6 +267,6 @@ router.put('/:id', admin, updateAttendance);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/user/:userId', getUserAttendance);
+router.get('/user/:userId', requireUser, getUserAttendance);
 
 export default router;
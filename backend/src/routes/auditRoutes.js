@@ -0,0 +1,124 @@
+import express from 'express';
+import { getAuditLogs } from '../controllers/auditController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication and audit permission
+router.use(protect, requirePermission('audit:read'));
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Get audit trail entries
+ *     description: Every create, update, and delete of users, departments, attendance, leaves, payroll, and roles is recorded with the acting user, IP address, and a field-level diff. Secret fields are shown as [REDACTED]. Impersonation starts are logged as 'impersonate', and every request made while impersonating as 'access' with both the impersonated user (actor) and the admin (impersonator).
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: ID of the user who made the change
+ *       - in: query
+ *         name: apiKey
+ *         schema:
+ *           type: string
+ *         description: ID of the API key that made the change
+ *       - in: query
+ *         name: impersonator
+ *         schema:
+ *           type: string
+ *         description: ID of the admin who was impersonating the actor
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, impersonate, access]
+ *         description: Type of change
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [User, Department, Attendance, Leave, Payroll, Role, Session, ApiKey]
+ *         description: Type of record changed
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *         description: ID of the record changed
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Earliest date (YYYY-MM-DD)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Latest date, inclusive (YYYY-MM-DD)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Number of entries per page
+ *     responses:
+ *       200:
+ *         description: Audit logs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         logs:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/AuditLog'
+ *                         pagination:
+ *                           type: object
+ *                           properties:
+ *                             currentPage:
+ *                               type: number
+ *                             totalPages:
+ *                               type: number
+ *                             totalLogs:
+ *                               type: number
+ *                             hasNext:
+ *                               type: boolean
+ *                             hasPrev:
+ *                               type: boolean
+ *       400:
+ *         description: Invalid filter value
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - audit:read permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', getAuditLogs);
+
+export default router;
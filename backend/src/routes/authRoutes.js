@@ -1,6 +1,36 @@
 import express from 'express';
-import { register, login, getMe, updateProfile, logout, getAuthStatus } from '../controllers/authController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import {
+    register,
+    acceptInvite,
+    login,
+    refresh,
+    verifyMfaLogin,
+    forgotPassword,
+    resetPassword,
+    getMe,
+    updateProfile,
+    changePassword,
+    getPasswordPolicy,
+    logout,
+    logoutAll,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    getCsrfToken,
+    impersonate,
+    getAuthStatus
+} from '../controllers/authController.js';
+import { enrollMfa, verifyMfaEnrollment, disableMfa } from '../controllers/mfaController.js';
+import {
+    getOidcStatus,
+    startOidcLogin,
+    handleOidcCallback,
+    setPasswordLogin,
+    unlinkOidc
+} from '../controllers/oidcController.js';
+import { protect, allowPendingSetup, requirePermission, denyImpersonation } from '../middleware/authMiddleware.js';
+import { loginRateLimiter, registerRateLimiter } from '../middleware/rateLimitMiddleware.js';
+import { refreshCsrfProtection } from '../middleware/csrfMiddleware.js';
 
 const router = express.Router();
 
@@ -9,6 +39,7 @@ const router = express.Router();
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: Disabled unless ALLOW_OPEN_REGISTRATION is true. Self-registered users always get the employee role and no salary; everyone else joins through an invitation.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -34,21 +65,13 @@ const router = express.Router();
  *                 type: string
  *                 format: password
  *                 example: "SecurePass123!"
- *                 minLength: 6
- *               role:
- *                 type: string
- *                 enum: [admin, manager, employee]
- *                 example: "employee"
+ *                 description: Must meet the password policy (GET /api/auth/password-policy)
  *               department:
  *                 type: string
  *                 example: "60d5ecb74b24c1001f8e8b12"
  *               designation:
  *                 type: string
  *                 example: "Software Developer"
- *               salary:
- *                 type: number
- *                 minimum: 0
- *                 example: 75000
  *               phoneNumber:
  *                 type: string
  *                 pattern: "^\\d{10,15}$"
@@ -84,20 +107,95 @@ const router = express.Router();
  *                         token:
  *                           type: string
  *                           example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                         refreshToken:
+ *                           type: string
+ *                           example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *       400:
  *         description: Bad request - validation error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Open registration is disabled (code REGISTRATION_DISABLED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       409:
  *         description: User already exists
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many registration attempts from this IP (code RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/register', registerRateLimiter, register);
+
+/**
+ * @swagger
+ * /api/auth/accept-invite:
+ *   post:
+ *     summary: Accept an invitation and create the account
+ *     description: The role, department, designation, and salary come from the invitation. The invitee chooses their password and is signed in immediately.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the invitation email link
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 example: "SecurePass123!"
+ *                 description: Must meet the password policy (GET /api/auth/password-policy)
+ *               name:
+ *                 type: string
+ *                 description: Required if the invitation did not include a name
+ *                 example: "John Doe"
+ *               phoneNumber:
+ *                 type: string
+ *                 pattern: "^\\d{10,15}$"
+ *                 example: "1234567890"
+ *     responses:
+ *       201:
+ *         description: Invitation accepted and user signed in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/LoginResponse'
+ *       400:
+ *         description: Invitation invalid, expired, already used, or validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many attempts from this IP (code RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/register', register);
+router.post('/accept-invite', registerRateLimiter, acceptInvite);
 
 /**
  * @swagger
@@ -153,32 +251,104 @@ router.post('/register', register);
  *                         token:
  *                           type: string
  *                           example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                         refreshToken:
+ *                           type: string
+ *                           example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *       401:
  *         description: Invalid credentials
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Password login is disabled for this SSO account (code PASSWORD_LOGIN_DISABLED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: User not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Account locked after too many failed attempts (code ACCOUNT_LOCKED, details.lockUntil)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many login attempts from this IP (code RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/login', login);
+router.post('/login', loginRateLimiter, login);
 
 /**
  * @swagger
- * /api/auth/me:
- *   get:
- *     summary: Get current user profile
+ * /api/auth/mfa/challenge:
+ *   post:
+ *     summary: Complete login with a TOTP or recovery code
+ *     description: |
+ *       Second login step for users with MFA enabled. `POST /api/auth/login` returns
+ *       `mfaRequired: true` and an `mfaToken` instead of a session; send that token here
+ *       with a code from the authenticator app or an unused recovery code.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *               - code
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       401:
+ *         description: Invalid code or expired MFA token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Account locked after too many failed attempts (code ACCOUNT_LOCKED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/mfa/challenge', loginRateLimiter, verifyMfaLogin);
+
+/**
+ * @swagger
+ * /api/auth/mfa/enroll:
+ *   post:
+ *     summary: Start MFA enrollment
+ *     description: Generates a TOTP secret and returns it with an otpauth URL and a QR code to scan.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *       - cookieAuth: []
  *     responses:
  *       200:
- *         description: Profile retrieved successfully
+ *         description: Enrollment started
  *         content:
  *           application/json:
  *             schema:
@@ -187,55 +357,129 @@ router.post('/login', login);
  *                 - type: object
  *                   properties:
  *                     data:
- *                       $ref: '#/components/schemas/User'
- *       401:
- *         description: Unauthorized - invalid or missing token
+ *                       type: object
+ *                       properties:
+ *                         secret:
+ *                           type: string
+ *                           example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                         otpauthUrl:
+ *                           type: string
+ *                           example: "otpauth://totp/HRMS:john.doe%40company.com?secret=JBSWY3DPEHPK3PXP&issuer=HRMS"
+ *                         qrCode:
+ *                           type: string
+ *                           description: PNG data URL of the QR code
+ *       400:
+ *         description: MFA already enabled
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: User not found
+ */
+router.post('/mfa/enroll', allowPendingSetup, protect, denyImpersonation, enrollMfa);
+
+/**
+ * @swagger
+ * /api/auth/mfa/verify:
+ *   post:
+ *     summary: Verify a code to finish MFA enrollment
+ *     description: Enables MFA and returns one-time recovery codes. The codes are only shown once.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: MFA enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         recoveryCodes:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                           example: ["3f9a1-c2b7e", "8d04e-91af2"]
+ *       400:
+ *         description: Invalid code or no pending enrollment
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/me', protect, getMe);
+router.post('/mfa/verify', allowPendingSetup, protect, denyImpersonation, verifyMfaEnrollment);
 
 /**
  * @swagger
- * /api/auth/profile:
- *   put:
- *     summary: Update user profile
+ * /api/auth/mfa/disable:
+ *   post:
+ *     summary: Disable MFA
+ *     description: Requires a current TOTP or recovery code. Not allowed for roles where MFA is mandatory.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *       - cookieAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - code
  *             properties:
- *               name:
- *                 type: string
- *                 example: "John Smith"
- *                 minLength: 2
- *                 maxLength: 50
- *               phoneNumber:
- *                 type: string
- *                 pattern: "^\\d{10,15}$"
- *                 example: "1234567890"
- *               designation:
- *                 type: string
- *                 example: "Senior Software Developer"
- *               address:
+ *               code:
  *                 type: string
- *                 example: "456 Oak Ave, San Francisco, CA 94102"
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: MFA disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid code or MFA not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: MFA is mandatory for the user's role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/mfa/disable', protect, denyImpersonation, disableMfa);
+
+/**
+ * @swagger
+ * /api/auth/oidc/status:
+ *   get:
+ *     summary: Check whether single sign-on is available
+ *     description: Lets the client decide whether to show a "Sign in with SSO" button.
+ *     tags: [Authentication]
  *     responses:
  *       200:
- *         description: Profile updated successfully
+ *         description: Single sign-on status retrieved
  *         content:
  *           application/json:
  *             schema:
@@ -244,40 +488,113 @@ router.get('/me', protect, getMe);
  *                 - type: object
  *                   properties:
  *                     data:
- *                       $ref: '#/components/schemas/User'
- *       400:
- *         description: Bad request - validation error
+ *                       type: object
+ *                       properties:
+ *                         enabled:
+ *                           type: boolean
+ *                           example: true
+ */
+router.get('/oidc/status', getOidcStatus);
+
+/**
+ * @swagger
+ * /api/auth/oidc/login:
+ *   get:
+ *     summary: Start single sign-on
+ *     description: |
+ *       Redirects the browser to the OpenID Connect provider using the authorization code flow with PKCE.
+ *       The state, nonce, and code verifier are kept in a short-lived HTTP-only cookie scoped to /api/auth/oidc.
+ *       Open this URL with a full-page navigation, not an XHR request.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: returnTo
+ *         schema:
+ *           type: string
+ *           example: "/dashboard"
+ *         description: Client path to open after login (must start with a single /)
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ *       404:
+ *         description: Single sign-on is not configured
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Unauthorized - invalid or missing token
+ *       503:
+ *         description: Identity provider discovery failed
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ */
+router.get('/oidc/login', startOidcLogin);
+
+/**
+ * @swagger
+ * /api/auth/oidc/callback:
+ *   get:
+ *     summary: Single sign-on callback
+ *     description: |
+ *       Redirect URI registered with the identity provider. Exchanges the code, matches the user by
+ *       linked identity or email (creating the account when OIDC_AUTO_PROVISION is on), applies
+ *       OIDC_ROLE_MAPPING, and sets the same JWT and refresh token cookies as a password login.
+ *       Local TOTP is not requested, the provider is responsible for the second factor.
+ *       On failure the browser is sent to CLIENT_URL/login?ssoError=<message>.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the client, signed in on success
  *       404:
- *         description: User not found
+ *         description: Single sign-on is not configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many login attempts from this IP
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/profile', protect, updateProfile);
+router.get('/oidc/callback', loginRateLimiter, handleOidcCallback);
 
 /**
  * @swagger
- * /api/auth/logout:
- *   post:
- *     summary: Logout user and clear authentication cookie
+ * /api/auth/oidc/password-login:
+ *   put:
+ *     summary: Enable or disable password login for the current user
+ *     description: Password login can only be disabled once the account is linked to single sign-on.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - disabled
+ *             properties:
+ *               disabled:
+ *                 type: boolean
+ *                 example: true
  *     responses:
  *       200:
- *         description: Logout successful
+ *         description: Password login setting updated
  *         content:
  *           application/json:
  *             schema:
@@ -288,12 +605,632 @@ router.put('/profile', protect, updateProfile);
  *                     data:
  *                       type: object
  *                       properties:
- *                         message:
- *                           type: string
- *                           example: "Authentication cookie cleared"
- *                         cookieCleared:
+ *                         passwordLoginDisabled:
  *                           type: boolean
  *                           example: true
+ *       400:
+ *         description: Account not linked to single sign-on
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/oidc/password-login', allowPendingSetup, protect, denyImpersonation, setPasswordLogin);
+
+/**
+ * @swagger
+ * /api/auth/oidc/link:
+ *   delete:
+ *     summary: Unlink the current user from single sign-on
+ *     description: Only allowed while password login is enabled, so the account stays reachable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Single sign-on unlinked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Not linked, or password login is disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/oidc/link', protect, denyImpersonation, unlinkOidc);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Rotate refresh token and get a new access token
+ *     description: |
+ *       Reads the refresh token from the `refreshToken` cookie or the request body.
+ *       Each refresh token can be used once; presenting a token that was already
+ *       rotated revokes the whole session. When the cookie is used, the `X-CSRF-Token`
+ *       header is required as well.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                           example: "60d5ecb74b24c1001f8e8b12"
+ *                         token:
+ *                           type: string
+ *                           example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                         refreshToken:
+ *                           type: string
+ *                           example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                         csrfToken:
+ *                           type: string
+ *                           description: Unchanged while the current one is still valid
+ *       401:
+ *         description: Missing, invalid, revoked, or reused refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing or invalid CSRF token for a cookie refresh (code CSRF_TOKEN_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/refresh', refreshCsrfProtection, refresh);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: |
+ *       Emails a single-use reset link that expires after PASSWORD_RESET_EXPIRES_MINUTES.
+ *       The response is the same whether or not the email belongs to an account.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "john.doe@company.com"
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Bad request - validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/forgot-password', forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password using a reset token
+ *     description: Redeems the token from the reset email. On success every session of the user is revoked.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: "3f6c1c2a9e..."
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 example: "NewSecurePass123!"
+ *                 description: Must meet the password policy (GET /api/auth/password-policy)
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid or expired token, or validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/reset-password', resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get current user profile
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/me', allowPendingSetup, protect, getMe);
+
+/**
+ * @swagger
+ * /api/auth/profile:
+ *   put:
+ *     summary: Update user profile
+ *     description: |
+ *       Fields listed in `PROFILE_DIRECT_EDIT_FIELDS` (default `phoneNumber`) change immediately. Changes to the
+ *       other self-service fields (`name`, `email`, `address`, `bankDetails`) are collected into a profile change
+ *       request for HR approval, returned as `changeRequest` (see `/api/profile-changes`).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "John Smith"
+ *                 minLength: 2
+ *                 maxLength: 50
+ *               phoneNumber:
+ *                 type: string
+ *                 pattern: "^\\d{10,15}$"
+ *                 example: "1234567890"
+ *               designation:
+ *                 type: string
+ *                 example: "Senior Software Developer"
+ *               address:
+ *                 type: string
+ *                 example: "456 Oak Ave, San Francisco, CA 94102"
+ *               bankDetails:
+ *                 $ref: '#/components/schemas/BankDetails'
+ *               changeReason:
+ *                 type: string
+ *                 description: Reason shown to HR on the change request
+ *                 example: "Moved house"
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully (some changes may await approval)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Bad request - validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/profile', protect, denyImpersonation, updateProfile);
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change the current user's password
+ *     description: Requires the current password. The new one must meet the password policy and differ from recent passwords. Every other session is signed out and a new access token is returned. Reachable while a password change is required (PASSWORD_CHANGE_REQUIRED).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 example: "NewSecurePass123!"
+ *                 description: Must meet the password policy (GET /api/auth/password-policy)
+ *     responses:
+ *       200:
+ *         description: Password changed, data contains the new access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Wrong current password, or the new password violates the policy (code PASSWORD_POLICY with details.violations)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/change-password', allowPendingSetup, protect, denyImpersonation, changePassword);
+
+/**
+ * @swagger
+ * /api/auth/password-policy:
+ *   get:
+ *     summary: Get the password policy
+ *     description: Length, character-class, history, and rotation settings, so clients can guide users before submitting a password.
+ *     tags: [Authentication]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Password policy retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ */
+router.get('/password-policy', getPasswordPolicy);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout user and clear authentication cookie
+ *     description: Revokes the current session, so its access and refresh tokens stop working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *                           example: "Authentication cookie cleared"
+ *                         cookieCleared:
+ *                           type: boolean
+ *                           example: true
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/logout', allowPendingSetup, protect, denyImpersonation, logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Logout from all devices
+ *     description: Revokes every session of the current user and invalidates all outstanding access tokens.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out from all devices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/logout-all', allowPendingSetup, protect, denyImpersonation, logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List your active sessions
+ *     description: One session per signed-in device, with device, IP address, and last-seen time. The session making the request is flagged as current.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         count:
+ *                           type: number
+ *                         sessions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Sign out all other sessions
+ *     description: Revokes every session except the one making the request.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: All other sessions revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/sessions', allowPendingSetup, protect, getSessions);
+router.delete('/sessions', allowPendingSetup, protect, denyImpersonation, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one of your sessions
+ *     description: The device's access and refresh tokens stop working immediately. Revoking the current session also clears the authentication cookies.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         current:
+ *                           type: boolean
+ *                           description: True if the revoked session was the one making the request
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/sessions/:id', allowPendingSetup, protect, denyImpersonation, revokeSession);
+
+/**
+ * @swagger
+ * /api/auth/impersonate/{userId}:
+ *   post:
+ *     summary: Start impersonating a user
+ *     description: |
+ *       Returns a short-lived access token (IMPERSONATION_EXPIRES_IN, default 15m) for the user, carrying the
+ *       admin in its `act` claim. Send it as `Authorization: Bearer`; no cookies or refresh token are issued,
+ *       and the token stops working when the admin's session ends. Every request made with it is logged in the
+ *       audit trail with both identities and answered with an `X-Impersonated-By` header. Payroll changes,
+ *       logout, and account security settings (password, MFA, SSO, sessions) are blocked while impersonating.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to impersonate
+ *     responses:
+ *       200:
+ *         description: Impersonation token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         token:
+ *                           type: string
+ *                           example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                         expiresIn:
+ *                           type: string
+ *                           example: "15m"
+ *                         user:
+ *                           $ref: '#/components/schemas/User'
+ *                         impersonator:
+ *                           type: object
+ *                           properties:
+ *                             _id:
+ *                               type: string
+ *                             name:
+ *                               type: string
+ *                             email:
+ *                               type: string
+ *       400:
+ *         description: Attempt to impersonate yourself
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing users:impersonate, already impersonating, or the user can impersonate others
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/impersonate/:userId', protect, denyImpersonation, requirePermission('users:impersonate'), impersonate);
+
+/**
+ * @swagger
+ * /api/auth/csrf-token:
+ *   get:
+ *     summary: Get a CSRF token for cookie-authenticated requests
+ *     description: |
+ *       Cookie-authenticated POST, PUT, and DELETE requests must send this token in the
+ *       `X-CSRF-Token` header; it must match the `csrfToken` cookie and the current session.
+ *       Login, MFA challenge, invitation, refresh, and SSO responses already set the cookie and
+ *       return `csrfToken`; call this endpoint when the client lost it (e.g. after a page reload)
+ *       or got `403 CSRF_TOKEN_INVALID`. Bearer and API-key requests do not need it.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: CSRF token issued and csrfToken cookie set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         csrfToken:
+ *                           type: string
+ *                           example: "kq3V1cXbZr0h7...Qm9sZQ.9fK2dP..."
  *       401:
  *         description: Unauthorized - invalid or missing token
  *         content:
@@ -301,7 +1238,7 @@ router.put('/profile', protect, updateProfile);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/logout', protect, logout);
+router.get('/csrf-token', allowPendingSetup, protect, getCsrfToken);
 
 /**
  * @swagger
@@ -355,6 +1292,6 @@ router.post('/logout', protect, logout);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/status', protect, getAuthStatus);
+router.get('/status', allowPendingSetup, protect, getAuthStatus);
 
 export default router;
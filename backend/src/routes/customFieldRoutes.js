@@ -0,0 +1,197 @@
+import express from 'express';
+import {
+    getCustomFields,
+    createCustomField,
+    updateCustomField,
+    archiveCustomField
+} from '../controllers/customFieldController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication; every user can read the definitions to render profile forms
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/custom-fields:
+ *   get:
+ *     summary: Get the custom employee profile fields
+ *     description: Active definitions in display order. Values are stored on users under `customFields.<key>`.
+ *     tags: [Custom Fields]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *         description: Also return archived fields (custom-fields:manage only)
+ *     responses:
+ *       200:
+ *         description: Custom fields retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CustomField'
+ *   post:
+ *     summary: Define a custom field
+ *     description: |
+ *       Once created, `key` and `type` cannot change. Values sent in `customFields` on user create and update
+ *       are validated against the definition; `required` fields must have a value on every create and update.
+ *     tags: [Custom Fields]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - key
+ *               - label
+ *               - type
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 example: "bloodGroup"
+ *               label:
+ *                 type: string
+ *                 example: "Blood group"
+ *               type:
+ *                 type: string
+ *                 enum: [text, number, date, boolean, select]
+ *                 example: "select"
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"]
+ *               validation:
+ *                 type: object
+ *                 description: "text: minLength, maxLength, pattern; number: min, max; date: min, max (YYYY-MM-DD)"
+ *               required:
+ *                 type: boolean
+ *               visibility:
+ *                 type: string
+ *                 enum: [everyone, team, private, hr]
+ *                 default: team
+ *               order:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Custom field created successfully
+ *       400:
+ *         description: Invalid definition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing permission custom-fields:manage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A custom field with this key already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', getCustomFields);
+router.post('/', requirePermission('custom-fields:manage'), createCustomField);
+
+/**
+ * @swagger
+ * /api/custom-fields/{id}:
+ *   put:
+ *     summary: Update a custom field
+ *     description: Stored values are not re-validated; new rules apply to the next update of each employee. Set `isActive` to true to restore an archived field.
+ *     tags: [Custom Fields]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Custom field ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               validation:
+ *                 type: object
+ *               required:
+ *                 type: boolean
+ *               visibility:
+ *                 type: string
+ *                 enum: [everyone, team, private, hr]
+ *               order:
+ *                 type: integer
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Custom field updated successfully
+ *       400:
+ *         description: Invalid update (e.g. changing key or type)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Custom field not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Archive a custom field
+ *     description: The field disappears from profiles, validation, search, and exports. Stored values are kept and return if the field is restored.
+ *     tags: [Custom Fields]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Custom field ID
+ *     responses:
+ *       200:
+ *         description: Custom field archived successfully
+ *       404:
+ *         description: Custom field not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id', requirePermission('custom-fields:manage'), updateCustomField);
+router.delete('/:id', requirePermission('custom-fields:manage'), archiveCustomField);
+
+export default router;
@@ -6,7 +6,7 @@ import {
     updateDepartment,
     deleteDepartment
 } from '../controllers/departmentController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -100,7 +100,7 @@ router.use(protect);
  *               $ref: '#/components/schemas/Error'
  */
 router.get('/', getDepartments);
-router.post('/', admin, createDepartment);
+router.post('/', requirePermission('departments:write'), createDepartment);
 
 /**
  * @swagger
@@ -245,7 +245,7 @@ router.post('/', admin, createDepartment);
  *               $ref: '#/components/schemas/Error'
  */
 router.get('/:id', getDepartmentById);
-router.put('/:id', admin, updateDepartment);
-router.delete('/:id', admin, deleteDepartment);
+router.put('/:id', requirePermission('departments:write'), updateDepartment);
+router.delete('/:id', requirePermission('departments:write'), deleteDepartment);
 
 export default router;
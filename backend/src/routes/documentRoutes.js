@@ -0,0 +1,355 @@
+import express from 'express';
+import {
+    getCategories,
+    getExpiringDocuments,
+    getUserDocuments,
+    uploadDocument,
+    getDocument,
+    uploadDocumentVersion,
+    downloadDocument,
+    updateDocument,
+    deleteDocument
+} from '../controllers/documentController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { uploadDocumentFile, handleUploadError } from '../middleware/uploadMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication; per-document access is checked by the document service
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/documents/categories:
+ *   get:
+ *     summary: Get the document categories and their rules
+ *     description: For each category, whether employees may upload it themselves (`employeeCanUpload`) and whether an expiry date is required (`expiryRequired`).
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Document categories retrieved successfully
+ */
+router.get('/categories', getCategories);
+
+/**
+ * @swagger
+ * /api/documents/expiring:
+ *   get:
+ *     summary: Get documents expiring soon (expired ones included)
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 365
+ *         description: Look-ahead in days
+ *     responses:
+ *       200:
+ *         description: Expiring documents retrieved successfully
+ *       403:
+ *         description: Missing permission documents:read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/expiring', requirePermission('documents:read'), getExpiringDocuments);
+
+/**
+ * @swagger
+ * /api/documents/user/{userId}:
+ *   get:
+ *     summary: Get the documents of an employee
+ *     description: Employees see their own documents except confidential ones; `documents:read` sees everything.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Employee ID
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [contract, id_proof, certificate, visa, other]
+ *     responses:
+ *       200:
+ *         description: Documents retrieved successfully
+ *       403:
+ *         description: Not your documents and no documents:read permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Upload a document for an employee
+ *     description: |
+ *       `documents:write` can upload any category for anyone. Employees can upload self-service categories
+ *       (see `/api/documents/categories`) for themselves, but not confidential documents. Accepted files:
+ *       .pdf, .jpg, .jpeg, .png, .doc, .docx up to `DOCUMENT_MAX_SIZE_MB` (default 10MB); the content must
+ *       match the extension. Files are stored privately and only served through the download route.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Employee ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - category
+ *               - title
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               category:
+ *                 type: string
+ *                 enum: [contract, id_proof, certificate, visa, other]
+ *               title:
+ *                 type: string
+ *                 example: "H-1B visa"
+ *               expiresAt:
+ *                 type: string
+ *                 format: date
+ *                 description: Required for visas; reminders are sent before it
+ *                 example: "2026-03-31"
+ *               confidential:
+ *                 type: boolean
+ *                 description: Hide the document from the employee (documents:write only)
+ *     responses:
+ *       201:
+ *         description: Document uploaded successfully
+ *       400:
+ *         description: Invalid file or fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not allowed to upload this category for this employee
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/user/:userId', getUserDocuments);
+router.post('/user/:userId', uploadDocumentFile, handleUploadError, uploadDocument);
+
+/**
+ * @swagger
+ * /api/documents/{id}:
+ *   get:
+ *     summary: Get a document with its versions
+ *     description: Documents the viewer may not see are reported as not found.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: Document retrieved successfully
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Update the details of a document
+ *     description: Changing the expiry date restarts the reminders.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [contract, id_proof, certificate, visa, other]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               confidential:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Document updated successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a document with all its versions
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: Document deleted successfully
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', getDocument);
+router.put('/:id', requirePermission('documents:write'), updateDocument);
+router.delete('/:id', requirePermission('documents:write'), deleteDocument);
+
+/**
+ * @swagger
+ * /api/documents/{id}/versions:
+ *   post:
+ *     summary: Upload a new version of a document
+ *     description: Earlier versions are kept and can still be downloaded. Sending `expiresAt` replaces the expiry date and restarts the reminders.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               expiresAt:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Version uploaded successfully
+ *       400:
+ *         description: Invalid file or expiry date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not allowed to replace this document
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/versions', uploadDocumentFile, handleUploadError, uploadDocumentVersion);
+
+/**
+ * @swagger
+ * /api/documents/{id}/download:
+ *   get:
+ *     summary: Download a document
+ *     description: Streams the latest version (or `version`) as an attachment. Every download is recorded in the audit trail as 'access'.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Version to download (latest by default)
+ *     responses:
+ *       200:
+ *         description: The document file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Document or version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/download', downloadDocument);
+
+export default router;
@@ -21,6 +21,13 @@ const router = Router();
  * - /api/attendance  - Attendance tracking and reporting
  * - /api/leaves      - Leave management system
  * - /api/payroll     - Payroll processing and pay slips
+ * - /api/roles       - Role and permission management
+ * - /api/invitations - Invite-only onboarding
+ * - /api/audit       - Audit trail of changes
+ * - /api/api-keys    - API keys for machine integrations
+ * - /api/documents   - Employee document vault
+ * - /api/custom-fields - Custom employee profile fields
+ * - /api/profile-changes - Employee profile change requests
  */
 
 /**
@@ -51,6 +58,34 @@ const routeConfig = {
   'payrollRoutes.js': {
     prefix: '/payroll',
     description: 'Payroll processing and salary management'
+  },
+  'roleRoutes.js': {
+    prefix: '/roles',
+    description: 'Role and permission management'
+  },
+  'invitationRoutes.js': {
+    prefix: '/invitations',
+    description: 'Employee invitations and onboarding'
+  },
+  'auditRoutes.js': {
+    prefix: '/audit',
+    description: 'Audit trail of changes'
+  },
+  'apiKeyRoutes.js': {
+    prefix: '/api-keys',
+    description: 'API keys for machine integrations'
+  },
+  'documentRoutes.js': {
+    prefix: '/documents',
+    description: 'Employee document vault'
+  },
+  'customFieldRoutes.js': {
+    prefix: '/custom-fields',
+    description: 'Custom employee profile fields'
+  },
+  'profileChangeRoutes.js': {
+    prefix: '/profile-changes',
+    description: 'Employee profile change requests'
   }
 };
 
@@ -140,6 +175,13 @@ export const registerRoutesManual = async (app) => {
     const attendanceRoutes = await import('./attendanceRoutes.js');
     const leaveRoutes = await import('./leaveRoutes.js');
     const payrollRoutes = await import('./payrollRoutes.js');
+    const roleRoutes = await import('./roleRoutes.js');
+    const invitationRoutes = await import('./invitationRoutes.js');
+    const auditRoutes = await import('./auditRoutes.js');
+    const apiKeyRoutes = await import('./apiKeyRoutes.js');
+    const documentRoutes = await import('./documentRoutes.js');
+    const customFieldRoutes = await import('./customFieldRoutes.js');
+    const profileChangeRoutes = await import('./profileChangeRoutes.js');
 
     // Register routes with their prefixes using the centralized configuration
     const routeRegistrations = [
@@ -172,6 +214,41 @@ export const registerRoutesManual = async (app) => {
         prefix: routeConfig['payrollRoutes.js'].prefix,
         handler: payrollRoutes.default,
         description: routeConfig['payrollRoutes.js'].description
+      },
+      {
+        prefix: routeConfig['roleRoutes.js'].prefix,
+        handler: roleRoutes.default,
+        description: routeConfig['roleRoutes.js'].description
+      },
+      {
+        prefix: routeConfig['invitationRoutes.js'].prefix,
+        handler: invitationRoutes.default,
+        description: routeConfig['invitationRoutes.js'].description
+      },
+      {
+        prefix: routeConfig['auditRoutes.js'].prefix,
+        handler: auditRoutes.default,
+        description: routeConfig['auditRoutes.js'].description
+      },
+      {
+        prefix: routeConfig['apiKeyRoutes.js'].prefix,
+        handler: apiKeyRoutes.default,
+        description: routeConfig['apiKeyRoutes.js'].description
+      },
+      {
+        prefix: routeConfig['documentRoutes.js'].prefix,
+        handler: documentRoutes.default,
+        description: routeConfig['documentRoutes.js'].description
+      },
+      {
+        prefix: routeConfig['customFieldRoutes.js'].prefix,
+        handler: customFieldRoutes.default,
+        description: routeConfig['customFieldRoutes.js'].description
+      },
+      {
+        prefix: routeConfig['profileChangeRoutes.js'].prefix,
+        handler: profileChangeRoutes.default,
+        description: routeConfig['profileChangeRoutes.js'].description
       }
     ];
 
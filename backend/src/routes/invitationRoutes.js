@@ -0,0 +1,205 @@
+import express from 'express';
+import {
+    createInvitation,
+    getInvitations,
+    resendInvitation,
+    revokeInvitation
+} from '../controllers/invitationController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication and invite permission
+router.use(protect, requirePermission('users:invite'));
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   post:
+ *     summary: Invite a new user
+ *     description: Emails a signed, expiring link to the invitee. The role cannot grant permissions the inviter does not hold. Inviting an email again revokes its earlier pending invitation.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "jane.smith@company.com"
+ *               name:
+ *                 type: string
+ *                 example: "Jane Smith"
+ *               role:
+ *                 type: string
+ *                 description: Role name (see GET /api/roles)
+ *                 example: "employee"
+ *               department:
+ *                 type: string
+ *                 example: "60d5ecb74b24c1001f8e8b12"
+ *               designation:
+ *                 type: string
+ *                 example: "Software Developer"
+ *               salary:
+ *                 type: number
+ *                 minimum: 0
+ *                 example: 75000
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         description: Bad request - validation error or unknown role/department
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - missing users:invite or role grants more than the inviter holds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A user with this email already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: Get invitations
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         description: Filter by status
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Filter by invited email
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         count:
+ *                           type: number
+ *                         invitations:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Invitation'
+ */
+router.post('/', createInvitation);
+router.get('/', getInvitations);
+
+/**
+ * @swagger
+ * /api/invitations/{id}/resend:
+ *   post:
+ *     summary: Resend an invitation
+ *     description: Issues a new link with a fresh expiry. Earlier links for this invitation stop working.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation resent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         description: Invitation already accepted or revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Invitation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/resend', resendInvitation);
+
+/**
+ * @swagger
+ * /api/invitations/{id}:
+ *   delete:
+ *     summary: Revoke an invitation
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invitation already accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Invitation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', revokeInvitation);
+
+export default router;
@@ -6,9 +6,10 @@ import {
     getLeaveById,
     approveLeave,
     rejectLeave,
-    cancelLeave
+    cancelLeave,
+    getPendingApprovals
 } from '../controllers/leaveController.js';
-import { protect, admin, manager } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -20,6 +21,7 @@ router.use(protect);
  * /api/leaves:
  *   post:
  *     summary: Apply for leave
+ *     description: Maternity and paternity leave need a child among the applicant's dependents born or due within `PARENTAL_LEAVE_WINDOW_DAYS` (default 180) of the start date.
  *     tags: [Leaves]
  *     security:
  *       - bearerAuth: []
@@ -126,13 +128,47 @@ router.use(protect);
  *               $ref: '#/components/schemas/Error'
  */
 router.post('/', applyLeave);
-router.get('/', manager, getLeaves);
+router.get('/', requirePermission('leave:read'), getLeaves);
+
+/**
+ * @swagger
+ * /api/leaves/approvals:
+ *   get:
+ *     summary: Get pending leave applications of everyone below you in the reporting line
+ *     tags: [Leaves]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Pending approvals retrieved successfully
+ *       403:
+ *         description: Missing permission leave:approve
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/approvals', requirePermission('leave:approve'), getPendingApprovals);
 
 /**
  * @swagger
  * /api/leaves/{id}/approve:
  *   put:
- *     summary: Approve leave application (Manager/Admin only)
+ *     summary: Approve leave application
+ *     description: |
+ *       With `leave:approve` only applications of employees below you in the reporting line (reportsTo)
+ *       can be approveed; `leave:approve:any` lifts that restriction. Nobody can act on their own application.
  *     tags: [Leaves]
  *     security:
  *       - bearerAuth: []
@@ -170,6 +206,12 @@ router.get('/', manager, getLeaves);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The applicant is not in your reporting line (code NOT_IN_REPORTING_LINE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Leave application not found
  *         content:
@@ -177,13 +219,16 @@ router.get('/', manager, getLeaves);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id/approve', manager, approveLeave);
+router.put('/:id/approve', requirePermission('leave:approve'), approveLeave);
 
 /**
  * @swagger
  * /api/leaves/{id}/reject:
  *   put:
- *     summary: Reject leave application (Manager/Admin only)
+ *     summary: Reject leave application
+ *     description: |
+ *       With `leave:approve` only applications of employees below you in the reporting line (reportsTo)
+ *       can be rejected; `leave:approve:any` lifts that restriction. Nobody can act on their own application.
  *     tags: [Leaves]
  *     security:
  *       - bearerAuth: []
@@ -221,6 +266,12 @@ router.put('/:id/approve', manager, approveLeave);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The applicant is not in your reporting line (code NOT_IN_REPORTING_LINE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Leave application not found
  *         content:
@@ -228,7 +279,7 @@ router.put('/:id/approve', manager, approveLeave);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id/reject', manager, rejectLeave);
+router.put('/:id/reject', requirePermission('leave:approve'), rejectLeave);
 
 /**
  * @swagger
@@ -326,6 +377,7 @@ router.get('/user/:userId', getUserLeaves);
  *               $ref: '#/components/schemas/Error'
  *   delete:
  *     summary: Cancel leave application
+ *     description: Employees can cancel their own leaves. Approvers can cancel the leaves of employees in their reporting line (`leave:approve`) or anyone's (`leave:approve:any`).
  *     tags: [Leaves]
  *     security:
  *       - bearerAuth: []
@@ -358,6 +410,12 @@ router.get('/user/:userId', getUserLeaves);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not your leave, and the applicant is not in your reporting line
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Leave application not found
  *         content:
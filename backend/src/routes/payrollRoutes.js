@@ -7,12 +7,12 @@ import {
     getPaySlip,
     deletePayroll
 } from '../controllers/payrollController.js';
-import { protect, admin, selfOrAdmin } from '../middleware/authMiddleware.js';
+import { protect, allowApiKey, requirePermission, requireUser, denyImpersonation } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication; API keys may use the permission-checked routes
+router.use(allowApiKey, protect);
 
 /**
  * @swagger
@@ -22,6 +22,7 @@ router.use(protect);
  *     tags: [Payroll]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: month
@@ -61,9 +62,11 @@ router.use(protect);
  *               $ref: '#/components/schemas/Error'
  *   post:
  *     summary: Create payroll record (Admin only)
+ *     description: Not allowed while impersonating a user (403 IMPERSONATION_FORBIDDEN).
  *     tags: [Payroll]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -74,7 +77,6 @@ router.use(protect);
  *               - userId
  *               - month
  *               - year
- *               - basicSalary
  *             properties:
  *               userId:
  *                 type: string
@@ -91,6 +93,7 @@ router.use(protect);
  *                 type: number
  *                 minimum: 0
  *                 example: 75000
+ *                 description: Defaults to the employee's salary in effect at the end of that month (from the salary history)
  *               allowances:
  *                 type: object
  *                 properties:
@@ -123,7 +126,7 @@ router.use(protect);
  *                     example: 9000
  *                   insurance:
  *                     type: number
- *                     default: 0
+ *                     description: Defaults to INSURANCE_EMPLOYEE_PREMIUM plus INSURANCE_DEPENDENT_PREMIUM per insured dependent
  *                     example: 1500
  *                   other:
  *                     type: number
@@ -160,17 +163,19 @@ router.use(protect);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', admin, getPayrolls);
-router.post('/', admin, createPayroll);
+router.get('/', requirePermission('payroll:read'), getPayrolls);
+router.post('/', denyImpersonation, requirePermission('payroll:write'), createPayroll);
 
 /**
  * @swagger
  * /api/payroll/{id}:
  *   put:
  *     summary: Update payroll record (Admin only)
+ *     description: Not allowed while impersonating a user (403 IMPERSONATION_FORBIDDEN).
  *     tags: [Payroll]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -255,9 +260,11 @@ router.post('/', admin, createPayroll);
  *               $ref: '#/components/schemas/Error'
  *   delete:
  *     summary: Delete payroll record (Admin only)
+ *     description: Not allowed while impersonating a user (403 IMPERSONATION_FORBIDDEN).
  *     tags: [Payroll]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -294,8 +301,8 @@ router.post('/', admin, createPayroll);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', admin, updatePayroll);
-router.delete('/:id', admin, deletePayroll);
+router.put('/:id', denyImpersonation, requirePermission('payroll:write'), updatePayroll);
+router.delete('/:id', denyImpersonation, requirePermission('payroll:write'), deletePayroll);
 
 /**
  * @swagger
@@ -350,7 +357,7 @@ router.delete('/:id', admin, deletePayroll);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/user/:userId', getUserPayroll);
+router.get('/user/:userId', requireUser, getUserPayroll);
 
 /**
  * @swagger
@@ -400,6 +407,6 @@ router.get('/user/:userId', getUserPayroll);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/slip/:id', getPaySlip);
+router.get('/slip/:id', requireUser, getPaySlip);
 
 export default router;
@@ -0,0 +1,340 @@
+import express from 'express';
+import {
+    getProfileFields,
+    createChangeRequest,
+    getMyChangeRequests,
+    getChangeRequests,
+    getChangeRequestById,
+    approveChangeRequest,
+    rejectChangeRequest,
+    cancelChangeRequest
+} from '../controllers/profileChangeController.js';
+import { protect, requirePermission, denyImpersonation } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/profile-changes/fields:
+ *   get:
+ *     summary: Get the self-service profile fields
+ *     description: Fields with `requiresApproval` become a change request when changed through `PUT /api/auth/profile`; the others change immediately (`PROFILE_DIRECT_EDIT_FIELDS`).
+ *     tags: [Profile Changes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile fields retrieved successfully
+ */
+router.get('/fields', getProfileFields);
+
+/**
+ * @swagger
+ * /api/profile-changes/me:
+ *   get:
+ *     summary: Get your own change requests
+ *     tags: [Profile Changes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Change requests retrieved successfully
+ */
+router.get('/me', getMyChangeRequests);
+
+/**
+ * @swagger
+ * /api/profile-changes:
+ *   get:
+ *     summary: Get the change requests of all employees
+ *     description: Pending requests are listed oldest first, others newest first.
+ *     tags: [Profile Changes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [all, pending, approved, rejected, cancelled]
+ *           default: pending
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Only this employee's requests (their profile change history)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Change requests retrieved successfully
+ *       403:
+ *         description: Missing permission profile-changes:approve
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Request changes to your own profile
+ *     description: |
+ *       Same as sending the fields to `PUT /api/auth/profile`, but only for fields that need approval.
+ *       A field can only be in one pending request at a time.
+ *     tags: [Profile Changes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - changes
+ *             properties:
+ *               changes:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   email:
+ *                     type: string
+ *                     format: email
+ *                   address:
+ *                     type: string
+ *                   bankDetails:
+ *                     $ref: '#/components/schemas/BankDetails'
+ *                 example:
+ *                   name: "Jane Smith"
+ *               reason:
+ *                 type: string
+ *                 example: "Name changed after marriage"
+ *     responses:
+ *       201:
+ *         description: Change request submitted for approval
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ProfileChangeRequest'
+ *       400:
+ *         description: Invalid value, nothing changed, or a directly editable field
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A field is already in a pending request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requirePermission('profile-changes:approve'), getChangeRequests);
+router.post('/', denyImpersonation, createChangeRequest);
+
+/**
+ * @swagger
+ * /api/profile-changes/{id}:
+ *   get:
+ *     summary: Get a change request
+ *     description: Employees see their own requests; `profile-changes:approve` sees all.
+ *     tags: [Profile Changes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Change request ID
+ *     responses:
+ *       200:
+ *         description: Change request retrieved successfully
+ *       404:
+ *         description: Change request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', getChangeRequestById);
+
+/**
+ * @swagger
+ * /api/profile-changes/{id}/approve:
+ *   put:
+ *     summary: Approve a change request and apply it to the profile
+ *     description: The values are validated again before they are applied. The change is recorded in the audit trail and the employee is emailed. Nobody can approve their own request.
+ *     tags: [Profile Changes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Change request ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 example: "Verified against the marriage certificate"
+ *     responses:
+ *       200:
+ *         description: Change request approved and applied
+ *       400:
+ *         description: A requested value is no longer valid (e.g. the email address was taken meanwhile)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Own request or missing permission profile-changes:approve
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Change request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Change request is no longer pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/approve', requirePermission('profile-changes:approve'), approveChangeRequest);
+
+/**
+ * @swagger
+ * /api/profile-changes/{id}/reject:
+ *   put:
+ *     summary: Reject a change request
+ *     description: The comment is sent to the employee.
+ *     tags: [Profile Changes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Change request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - comment
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 example: "Name does not match the submitted ID proof"
+ *     responses:
+ *       200:
+ *         description: Change request rejected
+ *       400:
+ *         description: Comment missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Own request or missing permission profile-changes:approve
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Change request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Change request is no longer pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/reject', requirePermission('profile-changes:approve'), rejectChangeRequest);
+
+/**
+ * @swagger
+ * /api/profile-changes/{id}/cancel:
+ *   put:
+ *     summary: Cancel your own pending change request
+ *     tags: [Profile Changes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Change request ID
+ *     responses:
+ *       200:
+ *         description: Change request cancelled
+ *       404:
+ *         description: Change request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Change request is no longer pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/cancel', cancelChangeRequest);
+
+export default router;
@@ -1,17 +1,38 @@
 import express from 'express';
 import {
     getUsers,
+    searchUsers,
     getUserById,
     createUser,
     updateUser,
     deleteUser,
+    unlockUser,
+    getUserSessions,
+    revokeUserSession,
+    revokeAllUserSessions,
     getUsersByDepartment,
     uploadProfilePicture,
     getProfilePicture,
     deleteProfilePicture
 } from '../controllers/userController.js';
-import { protect, admin, selfOrAdmin } from '../middleware/authMiddleware.js';
-import { uploadProfilePicture as uploadMiddleware, handleUploadError, validateUploadedFile } from '../middleware/uploadMiddleware.js';
+import { importUsers, getImportJobs, getImportJob, downloadImportReport } from '../controllers/userImportController.js';
+import { exportUsers } from '../controllers/userExportController.js';
+import { getDirectReports, getReports, getManagementChain, getOrgChart } from '../controllers/orgController.js';
+import { changeEmploymentStatus, getEmploymentHistory } from '../controllers/lifecycleController.js';
+import { getUserHistory } from '../controllers/jobHistoryController.js';
+import {
+    getEmergencyContacts,
+    updateEmergencyContacts,
+    getDependents,
+    updateDependents
+} from '../controllers/dependentController.js';
+import { protect, allowApiKey, requirePermission, selfOrPermission } from '../middleware/authMiddleware.js';
+import {
+    uploadProfilePicture as uploadMiddleware,
+    uploadImportFile,
+    handleUploadError,
+    validateUploadedFile
+} from '../middleware/uploadMiddleware.js';
 
 const router = express.Router();
 
@@ -20,6 +41,10 @@ const router = express.Router();
  * /api/users:
  *   get:
  *     summary: Get all users
+ *     description: |
+ *       Filter by custom fields with `customFields.<key>=<value>` (e.g. `customFields.bloodGroup=O%2B`). Text fields
+ *       match the whole value case-insensitively, other types exactly. Only custom fields the caller may see on every
+ *       employee can be used.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -40,7 +65,7 @@ const router = express.Router();
  *         name: role
  *         schema:
  *           type: string
- *           enum: [admin, hr, manager, employee]
+ *           example: "hr"
  *         description: Filter by role
  *       - in: query
  *         name: department
@@ -102,10 +127,14 @@ const router = express.Router();
  *                 type: string
  *                 format: password
  *                 example: "SecurePass123!"
- *                 minLength: 6
+ *                 description: Must meet the password policy (GET /api/auth/password-policy)
+ *               mustChangePassword:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Require the user to replace the password on first login
  *               role:
  *                 type: string
- *                 enum: [admin, manager, employee]
+ *                 description: Role name (see GET /api/roles)
  *                 example: "manager"
  *               department:
  *                 type: string
@@ -113,6 +142,21 @@ const router = express.Router();
  *               designation:
  *                 type: string
  *                 example: "HR Manager"
+ *               reportsTo:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Manager's user ID (null clears it). Rejected if it would create a reporting cycle.
+ *                 example: "60d5ecb74b24c1001f8e8b13"
+ *               employmentStatus:
+ *                 type: string
+ *                 enum: [offer_accepted, onboarding, probation, confirmed]
+ *                 default: confirmed
+ *                 description: Starting employment status; later changes go through POST /api/users/{id}/employment-status
+ *               customFields:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 description: Values of custom fields by key (see /api/custom-fields), validated against their definitions. With multipart, send a JSON string.
+ *                 example: { "bloodGroup": "O+" }
  *               salary:
  *                 type: number
  *                 minimum: 0
@@ -149,6 +193,12 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The role grants permissions you do not hold
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       409:
  *         description: User already exists
  *         content:
@@ -156,14 +206,140 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', protect, admin, getUsers);
-router.post('/', protect, admin, uploadMiddleware, handleUploadError, validateUploadedFile, createUser);
+router.get('/', protect, requirePermission('users:read'), getUsers);
+router.post('/', protect, requirePermission('users:write'), uploadMiddleware, handleUploadError, validateUploadedFile, createUser);
+
+/**
+ * @swagger
+ * /api/users/search:
+ *   get:
+ *     summary: Search employees
+ *     description: |
+ *       Open to every signed-in user; results are filtered by the viewer like every user response.
+ *
+ *       - `mode=search` (default): full-text search over name, designation, and email through a text index.
+ *         Whole words match (stemmed, any order), results are ranked by relevance with name matches first,
+ *         and `facets` counts all matches by department, role, and designation (top 20 each). Combine with the
+ *         `department`, `role`, `designation`, and `customFields.<key>` filters to drill down.
+ *       - `mode=typeahead`: for people pickers. Matches the start of any word of the name or the start of the
+ *         email address as the user types, sorted by name, without pagination or facets.
+ *
+ *       Input is matched literally: quotes, hyphens, and regular expression characters have no special meaning.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *           example: "senior developer"
+ *         description: Search text
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [search, typeahead]
+ *           default: search
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number (search mode)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Results per page, at most 50 (20 in type-ahead mode)
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: Only this department (ID)
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: designation
+ *         schema:
+ *           type: string
+ *         description: Exact designation, e.g. a value from the designation facet
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         users:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/User'
+ *                         pagination:
+ *                           type: object
+ *                         facets:
+ *                           type: object
+ *                           properties:
+ *                             department:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   value:
+ *                                     type: string
+ *                                   name:
+ *                                     type: string
+ *                                   count:
+ *                                     type: integer
+ *                             role:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   value:
+ *                                     type: string
+ *                                   count:
+ *                                     type: integer
+ *                             designation:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   value:
+ *                                     type: string
+ *                                   count:
+ *                                     type: integer
+ *       400:
+ *         description: Missing or too long search text, or an invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/search', protect, searchUsers);
 
 /**
  * @swagger
  * /api/users/department/{departmentId}:
  *   get:
  *     summary: Get users by department
+ *     description: |
+ *       Open to every signed-in user. Like every user response, fields are filtered by the
+ *       viewer: peers see name, email, designation, department, role, and picture only;
+ *       contact and employment details need self, department head, a manager above them in the
+ *       reporting line, or `users:read`;
+ *       salary needs self or `users:read:sensitive`. Rules live in `src/config/userFields.js`.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -205,116 +381,265 @@ router.get('/department/:departmentId', protect, getUsersByDepartment);
 
 /**
  * @swagger
- * /api/users/{id}:
+ * /api/users/org-chart:
  *   get:
- *     summary: Get user by ID
+ *     summary: Get the org chart of a department or the whole company
+ *     description: |
+ *       Builds trees from `reportsTo`. Each node is a user (fields filtered for the viewer) with a
+ *       nested `reports` array. Users whose manager is outside the chart (or who have none) are roots.
+ *       Only active users are included.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: department
  *         schema:
  *           type: string
- *         description: User ID
+ *         description: Only chart this department
+ *       - in: query
+ *         name: root
+ *         schema:
+ *           type: string
+ *         description: Only chart this user and everyone below them
  *     responses:
  *       200:
- *         description: User retrieved successfully
+ *         description: Org chart retrieved successfully
+ *       400:
+ *         description: Invalid department or root ID
  *         content:
  *           application/json:
  *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/Success'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       $ref: '#/components/schemas/User'
- *       401:
- *         description: Unauthorized - Must be self or admin
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Root user not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: User not found
+ */
+router.get('/org-chart', protect, getOrgChart);
+
+/**
+ * @swagger
+ * /api/users/export:
+ *   get:
+ *     summary: Export the employee directory as CSV, XLSX, or a PDF roster
+ *     description: |
+ *       Exports every matching user (no pagination), sorted by name. Columns follow the
+ *       field-level visibility rules: only fields the caller may see on any employee are
+ *       exported (e.g. salary needs `users:read:sensitive`). The file is streamed as it
+ *       is generated. Also available to API keys with `users:read`. Custom fields the caller may see on
+ *       every employee are added as columns and can be filtered with `customFields.<key>=<value>`.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, pdf]
+ *           default: csv
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: Department ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, all]
+ *           default: active
+ *       - in: query
+ *         name: joinedFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Earliest date of joining (YYYY-MM-DD)
+ *       - in: query
+ *         name: joinedTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Latest date of joining (YYYY-MM-DD)
+ *     responses:
+ *       200:
+ *         description: Export file (attachment)
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid format or filter
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *   put:
- *     summary: Update user
+ *       403:
+ *         description: Access denied - missing users:read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/export', allowApiKey, protect, requirePermission('users:read'), exportUsers);
+
+/**
+ * @swagger
+ * /api/users/import:
+ *   post:
+ *     summary: Import employees from a CSV or XLSX file
+ *     description: |
+ *       The first row holds column headers. Columns are matched to user fields by header
+ *       (name, email, phone, department, designation/title, role, salary, address,
+ *       date of joining); `mapping` overrides or adds matches. Departments are referenced
+ *       by name. Roles are checked like invitations: you cannot assign a role with
+ *       permissions you do not hold.
+ *
+ *       With `dryRun=true` nothing is written and every row-level error (duplicate email,
+ *       bad phone, unknown department, ...) is returned. Otherwise the import runs as a
+ *       background job (202): valid rows are created, invalid rows are reported, and each
+ *       new user is emailed a link to choose their password.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: dryRun
  *         schema:
- *           type: string
- *         description: User ID
+ *           type: boolean
+ *         description: Validate only, import nothing
  *     requestBody:
  *       required: true
  *       content:
- *         application/json:
+ *         multipart/form-data:
  *           schema:
  *             type: object
+ *             required:
+ *               - file
  *             properties:
- *               name:
- *                 type: string
- *                 example: "John Doe"
- *                 minLength: 2
- *                 maxLength: 50
- *               phoneNumber:
- *                 type: string
- *                 pattern: "^\\d{10,15}$"
- *                 example: "1234567890"
- *               designation:
- *                 type: string
- *                 example: "Senior Developer"
- *               salary:
- *                 type: number
- *                 minimum: 0
- *                 example: 90000
- *               department:
+ *               file:
  *                 type: string
- *                 example: "60d5ecb74b24c1001f8e8b12"
- *               address:
+ *                 format: binary
+ *                 description: .csv or .xlsx file (max 5MB, IMPORT_MAX_ROWS rows)
+ *               mapping:
  *                 type: string
- *                 example: "123 Main St, New York, NY 10001"
+ *                 description: JSON object of column header to user field
+ *                 example: '{"Employee No. Mobile": "phoneNumber", "Team": "department"}'
+ *               sendSetupEmails:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Email each new user a password setup link
  *     responses:
  *       200:
- *         description: User updated successfully
+ *         description: Dry run report (totalRows, validRows, invalidRows, columns, ignoredColumns, errors)
  *         content:
  *           application/json:
  *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/Success'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       $ref: '#/components/schemas/User'
+ *               $ref: '#/components/schemas/Success'
+ *       202:
+ *         description: Import job started, poll GET /api/users/import/jobs/{id}
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
  *       400:
- *         description: Bad request - validation error
+ *         description: Unreadable file, missing name/email column, invalid mapping, or too many rows
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Unauthorized - Admin access required
+ *       403:
+ *         description: Access denied - missing users:write
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ */
+router.post('/import', protect, requirePermission('users:write'), uploadImportFile, handleUploadError, importUsers);
+
+/**
+ * @swagger
+ * /api/users/import/jobs:
+ *   get:
+ *     summary: Get import jobs, newest first
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Import jobs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ */
+router.get('/import/jobs', protect, requirePermission('users:write'), getImportJobs);
+
+/**
+ * @swagger
+ * /api/users/import/jobs/{id}:
+ *   get:
+ *     summary: Get an import job with the outcome of every row
+ *     description: status is queued, running, completed, or failed; processedRows shows progress.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import job ID
+ *     responses:
+ *       200:
+ *         description: Import job retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
  *       404:
- *         description: User not found
+ *         description: Import job not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *   delete:
- *     summary: Delete user (soft delete)
+ */
+router.get('/import/jobs/:id', protect, requirePermission('users:write'), getImportJob);
+
+/**
+ * @swagger
+ * /api/users/import/jobs/{id}/report:
+ *   get:
+ *     summary: Download the result report of an import job
+ *     description: CSV with one line per row (row, email, name, status, userId, errors).
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -324,39 +649,823 @@ router.get('/department/:departmentId', protect, getUsersByDepartment);
  *         required: true
  *         schema:
  *           type: string
- *         description: User ID
+ *         description: Import job ID
  *     responses:
  *       200:
- *         description: User deactivated successfully
+ *         description: CSV report
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Import job not found
  *         content:
  *           application/json:
  *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/Success'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       type: object
- *                       properties:
- *                         message:
- *                           type: string
- *                           example: "User deactivated successfully"
- *       401:
- *         description: Unauthorized - Admin access required
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The import is still running
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       404:
+ */
+router.get('/import/jobs/:id/report', protect, requirePermission('users:write'), downloadImportReport);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get user by ID
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - Must be self or admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Update user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "John Doe"
+ *                 minLength: 2
+ *                 maxLength: 50
+ *               phoneNumber:
+ *                 type: string
+ *                 pattern: "^\\d{10,15}$"
+ *                 example: "1234567890"
+ *               designation:
+ *                 type: string
+ *                 example: "Senior Developer"
+ *               reportsTo:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Manager's user ID (null clears it). Rejected if it would create a reporting cycle.
+ *                 example: "60d5ecb74b24c1001f8e8b13"
+ *               salary:
+ *                 type: number
+ *                 minimum: 0
+ *                 example: 90000
+ *               department:
+ *                 type: string
+ *                 example: "60d5ecb74b24c1001f8e8b12"
+ *               effectiveDate:
+ *                 type: string
+ *                 format: date
+ *                 description: |
+ *                   When a salary, designation, or department change takes effect (default today). Can be in the past
+ *                   (e.g. a backdated raise) but not in the future or before the previous change of that field.
+ *                 example: "2024-04-01"
+ *               changeReason:
+ *                 type: string
+ *                 description: Why salary, designation, or department changed (kept in the history)
+ *                 example: "Annual raise"
+ *               customFields:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 description: Values of custom fields by key (see /api/custom-fields), validated against their definitions. Sent values are merged into the stored ones; null clears one. With multipart, send a JSON string.
+ *                 example: { "bloodGroup": "O+" }
+ *               address:
+ *                 type: string
+ *                 example: "123 Main St, New York, NY 10001"
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: Admin password reset; must meet the password policy and signs the user out everywhere
+ *               mustChangePassword:
+ *                 type: boolean
+ *                 description: Force a password change on next login (defaults to true when a password is set)
+ *     responses:
+ *       200:
+ *         description: User updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Bad request - validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user's current or new role grants permissions you do not hold
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete user (soft delete)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User deactivated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         message:
+ *                           type: string
+ *                           example: "User deactivated successfully"
+ *       401:
+ *         description: Unauthorized - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user's role grants permissions you do not hold
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', protect, selfOrPermission('users:read'), getUserById);
+router.put('/:id', protect, requirePermission('users:write'), updateUser);
+router.delete('/:id', protect, requirePermission('users:write'), deleteUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user account locked after too many failed logins
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User account unlocked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user's role grants permissions you do not hold
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/unlock', protect, requirePermission('users:write'), unlockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/direct-reports:
+ *   get:
+ *     summary: Get the users who report directly to a user
+ *     description: Active users whose reportsTo is this user, sorted by name.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Direct reports retrieved successfully
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/direct-reports', protect, getDirectReports);
+
+/**
+ * @swagger
+ * /api/users/{id}/reports:
+ *   get:
+ *     summary: Get everyone below a user in the reporting line
+ *     description: Flat list of the user's subtree, nearest first. Each user has a `depth` (1 for direct reports).
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: depth
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Levels to include (1 = direct reports only); all levels when omitted
+ *     responses:
+ *       200:
+ *         description: Reports retrieved successfully
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/reports', protect, getReports);
+
+/**
+ * @swagger
+ * /api/users/{id}/chain:
+ *   get:
+ *     summary: Get a user's management chain
+ *     description: The user's managers from the direct manager up to the top of the hierarchy.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Management chain retrieved successfully
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/chain', protect, getManagementChain);
+
+/**
+ * @swagger
+ * /api/users/{id}/employment-status:
+ *   post:
+ *     summary: Move an employee to another employment status
+ *     description: |
+ *       Lifecycle: offer_accepted → onboarding → probation → confirmed → on_notice → exited.
+ *       Allowed moves: offer_accepted → onboarding, exited; onboarding → probation, confirmed, exited;
+ *       probation → confirmed, on_notice, exited; confirmed → on_notice, exited; on_notice → confirmed
+ *       (notice withdrawn), exited; exited → offer_accepted (rehire). Every change needs a reason and an
+ *       effective date, which cannot be before the previous change. For `exited` the effective date is
+ *       the last working day: after it the employee cannot clock in and is left out of generated payroll.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *               - reason
+ *               - effectiveDate
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [offer_accepted, onboarding, probation, confirmed, on_notice, exited]
+ *                 example: "on_notice"
+ *               reason:
+ *                 type: string
+ *                 example: "Resigned to relocate"
+ *               effectiveDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-06-01"
+ *     responses:
+ *       200:
+ *         description: Employment status changed; returns the status, last working day, allowed next statuses, and history
+ *       400:
+ *         description: Transition not allowed, missing reason, or invalid effective date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The user's role grants permissions you do not hold
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/employment-status', protect, requirePermission('users:write'), changeEmploymentStatus);
+
+/**
+ * @swagger
+ * /api/users/{id}/employment-history:
+ *   get:
+ *     summary: Get an employee's employment status and its dated history
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Employment history retrieved successfully
+ *       403:
+ *         description: Only the employee and holders of users:read may see the history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/employment-history', protect, selfOrPermission('users:read'), getEmploymentHistory);
+
+/**
+ * @swagger
+ * /api/users/{id}/history:
+ *   get:
+ *     summary: Get an employee's job and compensation timeline
+ *     description: |
+ *       Effective-dated changes of salary, designation, and department (recorded by `PUT /api/users/{id}`),
+ *       merged with employment status changes and profile changes applied by approved change requests
+ *       (type is the field, e.g. `name` or `bankDetails`, effective on approval), newest first. Each entry has
+ *       `type`, `value`, `previousValue`, `effectiveDate`, `reason`, and `changedBy`. Salary and bank details
+ *       changes are only included for the employee themselves and holders of `users:read:sensitive`.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User history retrieved successfully
+ *       403:
+ *         description: Only the employee and holders of users:read may see the history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/history', protect, selfOrPermission('users:read'), getUserHistory);
+
+/**
+ * @swagger
+ * /api/users/{id}/emergency-contacts:
+ *   get:
+ *     summary: Get an employee's emergency contacts
+ *     description: Primary contact first. Visible to the employee, their managers, and holders of users:read.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Emergency contacts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EmergencyContact'
+ *       403:
+ *         description: Only the employee, their department head and managers above them in the reporting line, and holders of users:read may see the contacts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Replace an employee's emergency contacts
+ *     description: |
+ *       Self-service: employees maintain their own list; `users:write` can edit anyone's. The list sent replaces
+ *       the stored one (send entries with their `_id` to keep it). At most 5 contacts; the first is primary unless
+ *       another is marked `isPrimary`.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - emergencyContacts
+ *             properties:
+ *               emergencyContacts:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/EmergencyContact'
+ *     responses:
+ *       200:
+ *         description: Emergency contacts updated successfully
+ *       400:
+ *         description: Invalid contact
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only the employee and holders of users:write may change the contacts, and only if they hold every permission of the employee's role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/emergency-contacts', protect, getEmergencyContacts);
+router.put('/:id/emergency-contacts', protect, selfOrPermission('users:write'), updateEmergencyContacts);
+
+/**
+ * @swagger
+ * /api/users/{id}/dependents:
+ *   get:
+ *     summary: Get an employee's dependents
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Dependents retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Dependent'
+ *       403:
+ *         description: Only the employee and holders of users:read:sensitive may see the dependents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Replace an employee's dependents
+ *     description: |
+ *       Self-service: employees maintain their own list; `users:write` can edit anyone's. The list sent replaces
+ *       the stored one (send entries with their `_id` to keep it). Dependents decide maternity and paternity leave
+ *       eligibility (a child born or due within `PARENTAL_LEAVE_WINDOW_DAYS` of the leave start) and the insurance
+ *       deduction in payroll (`isInsured`; spouses, children, and parents only). An expected child can be added
+ *       with the due date as `dateOfBirth`.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dependents
+ *             properties:
+ *               dependents:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Dependent'
+ *     responses:
+ *       200:
+ *         description: Dependents updated successfully
+ *       400:
+ *         description: Invalid dependent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only the employee and holders of users:write may change the dependents, and only if they hold every permission of the employee's role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/dependents', protect, selfOrPermission('users:read:sensitive'), getDependents);
+router.put('/:id/dependents', protect, selfOrPermission('users:write'), updateDependents);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         count:
+ *                           type: number
+ *                         sessions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Session'
+ *       403:
+ *         description: Forbidden - users:read permission required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Sign out all of a user's sessions
+ *     description: Revokes every session and every outstanding access token of the user, e.g. after a device is stolen.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: All sessions revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       403:
+ *         description: Forbidden - users:write permission required, or the user's role grants permissions you do not hold
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
  *         description: User not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', protect, selfOrAdmin, getUserById);
-router.put('/:id', protect, admin, updateUser);
-router.delete('/:id', protect, admin, deleteUser);
+router.get('/:id/sessions', protect, requirePermission('users:read'), getUserSessions);
+router.delete('/:id/sessions', protect, requirePermission('users:write'), revokeAllUserSessions);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one of a user's sessions
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       403:
+ *         description: Forbidden - users:write permission required, or the user's role grants permissions you do not hold
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User or session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id/sessions/:sessionId', protect, requirePermission('users:write'), revokeUserSession);
 
 // Profile picture routes
 /**
@@ -404,7 +1513,7 @@ router.delete('/:id', protect, admin, deleteUser);
  *       404:
  *         description: User not found
  */
-router.post('/:id/profile-picture', protect, selfOrAdmin, uploadMiddleware, handleUploadError, validateUploadedFile, uploadProfilePicture);
+router.post('/:id/profile-picture', protect, selfOrPermission('users:write'), uploadMiddleware, handleUploadError, validateUploadedFile, uploadProfilePicture);
 
 /**
  * @swagger
@@ -472,6 +1581,6 @@ router.get('/:id/profile-picture', getProfilePicture);
  *       404:
  *         description: User not found
  */
-router.delete('/:id/profile-picture', protect, selfOrAdmin, deleteProfilePicture);
+router.delete('/:id/profile-picture', protect, selfOrPermission('users:write'), deleteProfilePicture);
 
 export default router;
@@ -2,12 +2,13 @@ import express from "express";
 import path from "path";
 import cookieParser from "cookie-parser";
 import { connectDB } from "./config/db.js";
-import { PORT } from "./config/config.js";
+import { PORT, CLIENT_URL } from "./config/config.js";
 import cors from "cors";
 import dotenv from "dotenv";
 
 // Import centralized route system
 import { registerRoutes, validateRoutes } from "./routes/index.js";
+import { requestContext } from "./middleware/requestContextMiddleware.js";
 
 // Import Swagger
 import { swaggerUi, specs } from "./config/swagger.js";
@@ -15,6 +16,12 @@ import { swaggerUi, specs } from "./config/swagger.js";
 // Import professional logger
 import logger from "./utils/logger.js";
 
+// Import services for seeding default roles and the first admin, and for startup cleanup
+import roleService from "./services/roleService.js";
+import userService from "./services/userService.js";
+import userImportService from "./services/userImportService.js";
+import documentService from "./services/documentService.js";
+
 // Configure environment variables
 dotenv.config();
 
@@ -27,13 +34,20 @@ app.use(express.json());
 // Middleware to parse cookies
 app.use(cookieParser());
 
+// Make client metadata available to services (used by the audit trail)
+app.use(requestContext);
+
 // Middleware to handle Cross-Origin Resource Sharing (CORS)
+// Only the client app may send credentialed requests; the X-CSRF-Token header it echoes
+// for cookie auth is a custom header, so other origins are stopped at the preflight
 app.use(
   cors({
-    origin: "http://localhost:3000",
+    origin: CLIENT_URL,
     methods: ["GET", "POST", "PUT", "DELETE"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "X-CSRF-Token"],
+    exposedHeaders: ["X-Impersonated-By", "Content-Disposition"],
     credentials: true,  // Allow cookies to be sent with requests
+    maxAge: 600,        // Cache preflight responses for 10 minutes
   })
 );
 
@@ -72,7 +86,14 @@ app.get("/", (req, res) => {
       departments: "/api/departments",
       attendance: "/api/attendance",
       leaves: "/api/leaves",
-      payroll: "/api/payroll"
+      payroll: "/api/payroll",
+      roles: "/api/roles",
+      invitations: "/api/invitations",
+      audit: "/api/audit",
+      apiKeys: "/api/api-keys",
+      documents: "/api/documents",
+      customFields: "/api/custom-fields",
+      profileChanges: "/api/profile-changes"
     }
   });
 });
@@ -120,6 +141,13 @@ const startServer = async () => {
     try {
       await connectDB();
       dbConnected = true;
+
+      // Make sure the built-in roles exist before any request is authorized
+      await roleService.ensureDefaultRoles();
+      await userService.ensureInitialAdmin();
+      await userService.ensureNameSearchKeys();
+      await userImportService.failInterruptedJobs();
+      documentService.scheduleExpiryReminders();
     } catch (dbError) {
       logger.warn('Database unavailable - server will run with limited functionality');
     }
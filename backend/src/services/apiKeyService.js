@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+import { ApiKey } from '../models/apiKeyModel.js';
+import roleService from './roleService.js';
+import auditService from './auditService.js';
+import { parseIpRange, isIpInRanges, normalizeIp } from '../utils/ipRange.js';
+import { API_KEY_DEFAULT_EXPIRES_DAYS } from '../config/config.js';
+
+const KEY_PREFIX = 'hrms_';
+
+// Last-used times are refreshed at most this often to avoid a write on every request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * ApiKeyService class handles API keys for machine integrations
+ * Provides methods for issuing, updating, revoking, and authenticating keys
+ */
+class ApiKeyService {
+    /**
+     * Hash an API key for storage and lookup
+     * @param {string} key - Plain API key
+     * @returns {string} SHA-256 hex digest
+     */
+    hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    /**
+     * Validate the scope of a key against the catalog and the granting user
+     * @param {Array} permissions - Permissions for the key
+     * @param {Array} granterPermissions - Permissions of the user creating or editing the key
+     * @throws {Error} If a permission is unknown or not held by the granter
+     */
+    validateScope(permissions, granterPermissions = []) {
+        roleService.validatePermissions(permissions);
+
+        if (permissions.length === 0) {
+            throw new Error('An API key needs at least one permission');
+        }
+
+        const missing = permissions.filter(permission => !granterPermissions.includes(permission));
+        if (missing.length > 0) {
+            throw new Error(`You cannot grant permissions you do not hold: ${missing.join(', ')}`);
+        }
+    }
+
+    /**
+     * Validate an IP allow-list
+     * @param {Array} allowedIps - Addresses and CIDR ranges
+     * @returns {Array} Trimmed entries
+     * @throws {Error} If an entry is not a valid address or range
+     */
+    validateAllowedIps(allowedIps) {
+        if (!Array.isArray(allowedIps)) {
+            throw new Error('allowedIps must be an array');
+        }
+
+        const invalid = allowedIps.filter(entry => !parseIpRange(entry));
+        if (invalid.length > 0) {
+            throw new Error(`Invalid IP addresses or ranges: ${invalid.join(', ')}`);
+        }
+
+        return allowedIps.map(entry => String(entry).trim());
+    }
+
+    /**
+     * Parse and validate an expiry date
+     * @param {string|null} expiresAt - Expiry date, or null for a key that never expires
+     * @returns {Date|null} Expiry date
+     * @throws {Error} If the date is invalid or in the past
+     */
+    parseExpiry(expiresAt) {
+        if (expiresAt === null) {
+            return null;
+        }
+
+        const date = new Date(expiresAt);
+        if (isNaN(date.getTime())) {
+            throw new Error('Invalid expiry date');
+        }
+        if (date <= new Date()) {
+            throw new Error('Expiry date must be in the future');
+        }
+        return date;
+    }
+
+    /**
+     * Create an API key
+     * @param {Object} keyData - name, description, permissions, allowedIps, expiresAt
+     * @param {Object} creator - User creating the key
+     * @param {Array} creatorPermissions - Permissions of the creating user
+     * @returns {Object} Created key and the plain key (only returned here)
+     */
+    async createApiKey(keyData, creator, creatorPermissions = []) {
+        const { name, description, permissions = [], allowedIps = [] } = keyData;
+
+        this.validateScope(permissions, creatorPermissions);
+
+        const expiresAt = keyData.expiresAt !== undefined
+            ? this.parseExpiry(keyData.expiresAt)
+            : new Date(Date.now() + API_KEY_DEFAULT_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+        const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+        const apiKey = await ApiKey.create({
+            name,
+            description,
+            keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+            keyHash: this.hashKey(key),
+            permissions: [...new Set(permissions)],
+            allowedIps: this.validateAllowedIps(allowedIps),
+            expiresAt,
+            createdBy: creator._id
+        });
+        await auditService.record({ action: 'create', entityType: 'ApiKey', entityId: apiKey._id, after: apiKey });
+
+        const result = apiKey.toObject();
+        delete result.keyHash;
+
+        return { ...result, key };
+    }
+
+    /**
+     * Get all API keys, newest first
+     * @returns {Object} API keys data
+     */
+    async getApiKeys() {
+        const apiKeys = await ApiKey.find({})
+            .populate('createdBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        return {
+            count: apiKeys.length,
+            apiKeys
+        };
+    }
+
+    /**
+     * Get API key by ID
+     * @param {string} id - API key ID
+     * @returns {Object} API key data
+     * @throws {Error} If API key not found
+     */
+    async getApiKeyById(id) {
+        const apiKey = await ApiKey.findById(id).populate('createdBy', 'name email');
+        if (!apiKey) {
+            throw new Error('API key not found');
+        }
+        return apiKey;
+    }
+
+    /**
+     * Update an API key's name, scope, IP restrictions, or expiry
+     * @param {string} id - API key ID
+     * @param {Object} updateData - Fields to update
+     * @param {Array} editorPermissions - Permissions of the editing user
+     * @returns {Object} Updated API key
+     * @throws {Error} If API key not found, revoked, or the update is invalid
+     */
+    async updateApiKey(id, updateData, editorPermissions = []) {
+        const apiKey = await ApiKey.findById(id);
+        if (!apiKey) {
+            throw new Error('API key not found');
+        }
+
+        if (apiKey.revokedAt) {
+            throw new Error('Revoked API keys cannot be changed');
+        }
+
+        const before = auditService.snapshot(apiKey);
+
+        if (updateData.name !== undefined) apiKey.name = updateData.name;
+        if (updateData.description !== undefined) apiKey.description = updateData.description;
+        if (updateData.permissions !== undefined) {
+            this.validateScope(updateData.permissions, editorPermissions);
+            apiKey.permissions = [...new Set(updateData.permissions)];
+        }
+        if (updateData.allowedIps !== undefined) {
+            apiKey.allowedIps = this.validateAllowedIps(updateData.allowedIps);
+        }
+        if (updateData.expiresAt !== undefined) {
+            apiKey.expiresAt = this.parseExpiry(updateData.expiresAt);
+        }
+
+        const updatedApiKey = await apiKey.save();
+        await auditService.record({ action: 'update', entityType: 'ApiKey', entityId: updatedApiKey._id, before, after: updatedApiKey });
+
+        return updatedApiKey;
+    }
+
+    /**
+     * Revoke an API key so it stops working immediately
+     * @param {string} id - API key ID
+     * @returns {Object} Success message
+     * @throws {Error} If API key not found
+     */
+    async revokeApiKey(id) {
+        const apiKey = await ApiKey.findById(id);
+        if (!apiKey) {
+            throw new Error('API key not found');
+        }
+
+        if (!apiKey.revokedAt) {
+            const before = auditService.snapshot(apiKey);
+            apiKey.revokedAt = new Date();
+            await apiKey.save();
+            await auditService.record({ action: 'delete', entityType: 'ApiKey', entityId: apiKey._id, before, after: apiKey });
+        }
+
+        return { message: 'API key revoked successfully' };
+    }
+
+    /**
+     * Authenticate a request made with an API key
+     * @param {string} key - Plain API key from the X-API-Key header
+     * @param {string} ipAddress - Client IP address
+     * @returns {Object} API key document
+     * @throws {Error} If the key is unknown, revoked, expired, or used from a disallowed IP
+     */
+    async authenticate(key, ipAddress) {
+        const apiKey = await ApiKey.findOne({ keyHash: this.hashKey(key) });
+        if (!apiKey) {
+            throw new Error('Invalid API key');
+        }
+
+        if (!apiKey.isActive()) {
+            throw new Error(apiKey.revokedAt ? 'API key has been revoked' : 'API key has expired');
+        }
+
+        if (apiKey.allowedIps.length > 0 && !isIpInRanges(ipAddress, apiKey.allowedIps)) {
+            throw new Error('API key is not allowed from this IP address');
+        }
+
+        if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() >= LAST_USED_UPDATE_INTERVAL_MS) {
+            await ApiKey.updateOne(
+                { _id: apiKey._id },
+                { lastUsedAt: new Date(), lastUsedIp: normalizeIp(ipAddress) }
+            );
+        }
+
+        return apiKey;
+    }
+}
+
+export default new ApiKeyService();
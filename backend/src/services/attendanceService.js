@@ -1,9 +1,14 @@
 import { Attendance } from '../models/attendanceModel.js';
 import { calculateWorkingHours, getToday } from '../utils/dateUtils.js';
+import auditService from './auditService.js';
+import orgService from './orgService.js';
+import lifecycleService from './lifecycleService.js';
 
 class AttendanceService {
     // Clock in
     async clockIn(userId) {
+        await lifecycleService.assertCanClockIn(userId);
+
         const today = getToday();
 
         // Check if already clocked in today
@@ -18,9 +23,11 @@ class AttendanceService {
 
         let attendance;
         if (existingAttendance) {
+            const before = auditService.snapshot(existingAttendance);
             existingAttendance.clockIn = new Date();
             existingAttendance.status = 'present';
             attendance = await existingAttendance.save();
+            await auditService.record({ action: 'update', entityType: 'Attendance', entityId: attendance._id, before, after: attendance });
         } else {
             attendance = await Attendance.create({
                 userId,
@@ -28,6 +35,7 @@ class AttendanceService {
                 clockIn: new Date(),
                 status: 'present'
             });
+            await auditService.record({ action: 'create', entityType: 'Attendance', entityId: attendance._id, after: attendance });
         }
 
         return await Attendance.findById(attendance._id).populate('userId', 'name email');
@@ -50,10 +58,12 @@ class AttendanceService {
             throw new Error('Already clocked out today');
         }
 
+        const before = auditService.snapshot(attendance);
         attendance.clockOut = new Date();
         attendance.totalHours = calculateWorkingHours(attendance.clockIn, attendance.clockOut);
 
         await attendance.save();
+        await auditService.record({ action: 'update', entityType: 'Attendance', entityId: attendance._id, before, after: attendance });
 
         return await Attendance.findById(attendance._id).populate('userId', 'name email');
     }
@@ -109,13 +119,16 @@ class AttendanceService {
         return await Attendance.aggregate(pipeline);
     }
 
-    // Update attendance
-    async updateAttendance(id, updateData) {
+    // Update attendance (attendance:write for anyone, otherwise only along the actor's reporting line)
+    async updateAttendance(id, updateData, actor = null, permissions = []) {
         const attendance = await Attendance.findById(id);
         if (!attendance) {
             throw new Error('Attendance record not found');
         }
 
+        await orgService.assertCanActFor(actor, permissions, attendance.userId, 'attendance:write');
+
+        const before = auditService.snapshot(attendance);
         attendance.status = updateData.status || attendance.status;
         attendance.notes = updateData.notes || attendance.notes;
         attendance.clockIn = updateData.clockIn || attendance.clockIn;
@@ -127,6 +140,8 @@ class AttendanceService {
         }
 
         const updatedAttendance = await attendance.save();
+        await auditService.record({ action: 'update', entityType: 'Attendance', entityId: updatedAttendance._id, before, after: updatedAttendance });
+
         return await Attendance.findById(updatedAttendance._id).populate('userId', 'name email');
     }
 
@@ -0,0 +1,151 @@
+import { AuditLog } from '../models/auditLogModel.js';
+import { getCurrentContext } from '../utils/requestContext.js';
+import logger from '../utils/logger.js';
+
+// Bookkeeping fields that are not worth recording
+const IGNORED_FIELDS = ['_id', '__v', 'id', 'createdAt', 'updatedAt'];
+
+// Secrets are recorded as changed without their values
+const REDACTED_FIELDS = [
+    'password',
+    'passwordHistory',
+    'passwordResetTokenHash',
+    'passwordResetExpiresAt',
+    'tokenVersion',
+    'tokenHash',
+    'keyHash',
+    'mfa'
+];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * AuditService class records who changed what
+ * Provides methods for writing audit entries and querying the trail
+ */
+class AuditService {
+    /**
+     * Convert a document (or plain object) into a plain snapshot
+     * @param {Object} doc - Mongoose document, plain object, or null
+     * @returns {Object} Plain object
+     */
+    snapshot(doc) {
+        if (!doc) return {};
+        const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true, virtuals: false }) : doc;
+        return JSON.parse(JSON.stringify(plain));
+    }
+
+    /**
+     * Compute the field-level difference between two snapshots
+     * @param {Object} before - Snapshot before the change
+     * @param {Object} after - Snapshot after the change
+     * @returns {Object} Changed fields as { field: { from, to } }
+     */
+    diff(before = {}, after = {}) {
+        const changes = {};
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+        for (const field of fields) {
+            if (IGNORED_FIELDS.includes(field)) continue;
+
+            const from = before[field];
+            const to = after[field];
+            if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+            changes[field] = REDACTED_FIELDS.includes(field)
+                ? { from: from === undefined ? null : REDACTED, to: to === undefined ? null : REDACTED }
+                : { from: from === undefined ? null : from, to: to === undefined ? null : to };
+        }
+
+        return changes;
+    }
+
+    /**
+     * Write an audit entry for a change
+     * Actor (or API key), impersonator, IP address, and user agent come from the current request context.
+     * Failures are logged but never break the operation being audited.
+     * @param {Object} entry - action, entityType, entityId, before, after, and request (for 'access')
+     * @param {Object} context - Request context, for entries written after the request has finished
+     */
+    async record({ action, entityType, entityId, before = null, after = null, request = null }, context = getCurrentContext()) {
+        try {
+            const { actor, apiKey, impersonator, ipAddress, userAgent } = context;
+            const changes = this.diff(this.snapshot(before), this.snapshot(after));
+
+            // Nothing actually changed, nothing to record
+            if (action === 'update' && Object.keys(changes).length === 0) {
+                return;
+            }
+
+            await AuditLog.create({
+                actor: actor?._id || null,
+                actorEmail: actor?.email || null,
+                apiKey: apiKey?._id || null,
+                impersonator: impersonator?._id || null,
+                impersonatorEmail: impersonator?.email || null,
+                action,
+                entityType,
+                entityId,
+                changes,
+                ...(request && { request }),
+                ipAddress: ipAddress || null,
+                userAgent: userAgent || null
+            });
+        } catch (error) {
+            logger.error(`Failed to write audit log for ${action} ${entityType} ${entityId}`, error);
+        }
+    }
+
+    /**
+     * Get audit log entries with filtering and pagination, newest first
+     * @param {Object} filters - actor, apiKey, impersonator, action, entityType, entityId, startDate, endDate (YYYY-MM-DD)
+     * @param {Object} pagination - page, limit
+     * @returns {Object} Audit logs with pagination info
+     */
+    async getAuditLogs(filters = {}, pagination = {}) {
+        const { page = 1, limit = 50 } = pagination;
+        const skip = (page - 1) * limit;
+
+        const query = {};
+        if (filters.actor) query.actor = filters.actor;
+        if (filters.apiKey) query.apiKey = filters.apiKey;
+        if (filters.impersonator) query.impersonator = filters.impersonator;
+        if (filters.action) query.action = filters.action;
+        if (filters.entityType) query.entityType = filters.entityType;
+        if (filters.entityId) query.entityId = filters.entityId;
+        if (filters.startDate || filters.endDate) {
+            query.createdAt = {};
+            if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+            if (filters.endDate) {
+                // The end date is inclusive
+                const endDate = new Date(filters.endDate);
+                endDate.setUTCHours(23, 59, 59, 999);
+                query.createdAt.$lte = endDate;
+            }
+        }
+
+        const [logs, total] = await Promise.all([
+            AuditLog.find(query)
+                .populate('actor', 'name email')
+                .populate('apiKey', 'name keyPrefix')
+                .populate('impersonator', 'name email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            AuditLog.countDocuments(query)
+        ]);
+
+        return {
+            logs,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalLogs: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        };
+    }
+}
+
+export default new AuditService();
@@ -1,11 +1,57 @@
 import { User } from '../models/userModel.js';
-import { generateToken } from '../utils/generateToken.js';
+import { generateToken, generateMfaToken, verifyToken } from '../utils/generateToken.js';
+import { generateCsrfToken, isValidCsrfToken } from '../utils/csrf.js';
+import sessionService from './sessionService.js';
+import mfaService from './mfaService.js';
+import mailService from './mailService.js';
+import profileChangeService from './profileChangeService.js';
+import invitationService from './invitationService.js';
+import oidcService from './oidcService.js';
+import passwordPolicyService from './passwordPolicyService.js';
+import auditService from './auditService.js';
+import roleService from './roleService.js';
+import {
+    CLIENT_URL,
+    PASSWORD_RESET_EXPIRES_MINUTES,
+    ALLOW_OPEN_REGISTRATION,
+    IMPERSONATION_EXPIRES_IN,
+    INVITE_EXPIRES_DAYS
+} from '../config/config.js';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 
 class AuthService {
-    // Register new user
-    async register(userData) {
-        const { name, email, password, role, department, designation, salary, phoneNumber } = userData;
+    // Start a session and issue an access/refresh token pair
+    async createAuthSession(user, context = {}) {
+        const { session, refreshToken } = await sessionService.createSession(user._id, context);
+
+        return {
+            token: generateToken(user._id, { sid: session._id, tv: user.tokenVersion }),
+            refreshToken,
+            csrfToken: generateCsrfToken(session._id)
+        };
+    }
+
+    // Build the error returned while an account is locked
+    accountLockedError(user) {
+        const error = new Error('Account is temporarily locked due to too many failed login attempts');
+        error.code = 'ACCOUNT_LOCKED';
+        error.lockUntil = user.lockUntil;
+        return error;
+    }
+
+    // Register new user (only when open registration is enabled)
+    async register(userData, context = {}) {
+        if (!ALLOW_OPEN_REGISTRATION) {
+            const error = new Error('Registration is by invitation only');
+            error.code = 'REGISTRATION_DISABLED';
+            throw error;
+        }
+
+        // Role and salary are never taken from a self-registration
+        const { name, email, password, department, designation, phoneNumber } = userData;
+
+        passwordPolicyService.assertAcceptable(password, { name, email });
 
         // Check if user exists
         const userExists = await User.findOne({ email });
@@ -18,47 +64,325 @@ class AuthService {
             name,
             email,
             password,
-            role,
+            role: 'employee',
             department,
             designation,
-            salary,
             phoneNumber
         });
+        await auditService.record({ action: 'create', entityType: 'User', entityId: user._id, after: user });
 
         return {
             _id: user._id,
             name: user.name,
             email: user.email,
             role: user.role,
-            token: generateToken(user._id)
+            ...(await this.createAuthSession(user, context))
         };
     }
 
+    // Accept an invitation, create the account, and sign the new user in
+    async acceptInvite(token, userData, context = {}) {
+        const user = await invitationService.acceptInvitation(token, userData);
+        await user.populate('department');
+
+        return this.buildLoginResponse(user, context);
+    }
+
     // Login user
-    async login(email, password) {
+    async login(email, password, context = {}) {
         // Check for user email
         const user = await User.findOne({ email }).populate('department');
         
-        if (!user) {
+        // Deactivated accounts get the same answer as unknown ones, before any session exists
+        if (!user || !user.isActive) {
             throw new Error('Invalid email or password');
         }
 
+        if (user.isLocked()) {
+            throw this.accountLockedError(user);
+        }
+
+        if (user.passwordLoginDisabled) {
+            const error = new Error('Password login is disabled for this account, please sign in with single sign-on');
+            error.code = 'PASSWORD_LOGIN_DISABLED';
+            throw error;
+        }
+
         // Check password
         const isPasswordValid = await user.comparePassword(password);
         if (!isPasswordValid) {
+            user.registerFailedLogin();
+            await user.save();
+
+            if (user.isLocked()) {
+                throw this.accountLockedError(user);
+            }
             throw new Error('Invalid email or password');
         }
 
+        if (user.failedLoginAttempts > 0 || user.lockCount > 0) {
+            user.resetLoginAttempts();
+            await user.save();
+        }
+
+        // Second step required: no session until the TOTP code is verified
+        if (user.mfa?.enabled) {
+            return {
+                _id: user._id,
+                mfaRequired: true,
+                mfaToken: generateMfaToken(user._id)
+            };
+        }
+
+        return this.buildLoginResponse(user, context);
+    }
+
+    // Complete an MFA login with a TOTP or recovery code
+    async completeMfaLogin(mfaToken, code, context = {}) {
+        let decoded;
+        try {
+            decoded = verifyToken(mfaToken);
+        } catch (error) {
+            throw new Error('Invalid or expired MFA token, please login again');
+        }
+
+        if (decoded.type !== 'mfa') {
+            throw new Error('Invalid or expired MFA token, please login again');
+        }
+
+        const user = await User.findById(decoded.id).populate('department');
+        if (!user || !user.isActive) {
+            throw new Error('Invalid or expired MFA token, please login again');
+        }
+
+        if (user.isLocked()) {
+            throw this.accountLockedError(user);
+        }
+
+        const isCodeValid = await mfaService.verifyUserCode(user._id, code);
+        if (!isCodeValid) {
+            // Wrong codes count towards the same lockout as wrong passwords
+            user.registerFailedLogin();
+            await user.save();
+
+            if (user.isLocked()) {
+                throw this.accountLockedError(user);
+            }
+            throw new Error('Invalid verification code');
+        }
+
+        if (user.failedLoginAttempts > 0 || user.lockCount > 0) {
+            user.resetLoginAttempts();
+            await user.save();
+        }
+
+        return this.buildLoginResponse(user, context);
+    }
+
+    // Complete an SSO login; the provider is responsible for the second factor
+    async completeOidcLogin(flowToken, callbackQuery, context = {}) {
+        const { user, returnTo } = await oidcService.completeLogin(flowToken, callbackQuery);
+
+        return {
+            ...(await this.buildLoginResponse(user, context)),
+            returnTo
+        };
+    }
+
+    // Build the login response and start a session
+    async buildLoginResponse(user, context = {}) {
         return {
             _id: user._id,
             name: user.name,
             email: user.email,
             role: user.role,
             department: user.department,
-            token: generateToken(user._id)
+            mfaEnabled: !!user.mfa?.enabled,
+            mfaEnrollmentRequired: mfaService.isEnrollmentRequired(user),
+            passwordChangeRequired: passwordPolicyService.isChangeRequired(user),
+            ...(await this.createAuthSession(user, context))
         };
     }
 
+    // Rotate refresh token and issue a new access token
+    // A still-valid CSRF token is kept so requests already in flight do not fail
+    async refresh(refreshToken, context = {}, currentCsrfToken = null) {
+        const { session, refreshToken: newRefreshToken } = await sessionService.rotateSession(refreshToken, context);
+
+        const user = await User.findById(session.userId);
+        if (!user || !user.isActive) {
+            await sessionService.revokeSession(session._id, 'user_inactive');
+            throw new Error('User account is deactivated');
+        }
+
+        return {
+            _id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            token: generateToken(user._id, { sid: session._id, tv: user.tokenVersion }),
+            refreshToken: newRefreshToken,
+            csrfToken: isValidCsrfToken(currentCsrfToken, session._id)
+                ? currentCsrfToken
+                : generateCsrfToken(session._id)
+        };
+    }
+
+    // Issue a short-lived access token for another user carrying the admin as the actor (act claim)
+    // The token has no session or refresh token; it dies with the admin's session
+    async impersonate(impersonator, impersonatorSessionId, targetUserId) {
+        if (impersonator._id.toString() === targetUserId.toString()) {
+            throw new Error('You cannot impersonate yourself');
+        }
+
+        const user = await User.findById(targetUserId).populate('department');
+        if (!user || !user.isActive) {
+            throw new Error('User not found');
+        }
+
+        // Impersonating someone who can impersonate would hide who really acted
+        const targetPermissions = await roleService.getPermissions(user.role);
+        if (targetPermissions.includes('users:impersonate')) {
+            throw new Error('Users who can impersonate others cannot be impersonated');
+        }
+
+        const token = generateToken(user._id, {
+            tv: user.tokenVersion,
+            act: {
+                sub: impersonator._id.toString(),
+                sid: impersonatorSessionId,
+                tv: impersonator.tokenVersion
+            }
+        }, IMPERSONATION_EXPIRES_IN);
+
+        await auditService.record({ action: 'impersonate', entityType: 'User', entityId: user._id });
+
+        return {
+            token,
+            expiresIn: IMPERSONATION_EXPIRES_IN,
+            user: {
+                _id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                department: user.department
+            },
+            impersonator: {
+                _id: impersonator._id,
+                name: impersonator.name,
+                email: impersonator.email
+            }
+        };
+    }
+
+    // Issue a CSRF token for the current session (or user, for tokens without one)
+    getCsrfToken(userId, sessionId) {
+        return { csrfToken: generateCsrfToken(sessionId || userId) };
+    }
+
+    // Logout from the current session
+    async logout(sessionId) {
+        if (sessionId) {
+            await sessionService.revokeSession(sessionId, 'logout');
+        }
+    }
+
+    // Logout from every device by revoking all sessions and outstanding tokens
+    async logoutAll(userId) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        user.revokeTokens();
+        await user.save();
+        await sessionService.revokeUserSessions(userId, 'logout_all');
+    }
+
+    // List the active sessions of the current user
+    async getSessions(userId, currentSessionId) {
+        return sessionService.getUserSessions(userId, currentSessionId);
+    }
+
+    // Sign out one of the current user's sessions (e.g. a lost device)
+    async revokeSession(userId, sessionId, currentSessionId) {
+        await sessionService.revokeUserSession(userId, sessionId, 'revoked_by_user');
+
+        return { current: !!currentSessionId && sessionId.toString() === currentSessionId.toString() };
+    }
+
+    // Sign out every session of the current user except this one
+    async revokeOtherSessions(userId, currentSessionId) {
+        await sessionService.revokeUserSessions(userId, 'revoked_by_user', currentSessionId);
+    }
+
+    // Issue a single-use password reset token and email it to the user
+    async forgotPassword(email) {
+        const user = await User.findOne({ email: email.toLowerCase() });
+
+        // Do not reveal whether the email belongs to an account or uses SSO only
+        if (!user || !user.isActive || user.passwordLoginDisabled) {
+            return;
+        }
+
+        const resetToken = crypto.randomBytes(32).toString('hex');
+        user.passwordResetTokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
+        user.passwordResetExpiresAt = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000);
+        await user.save();
+
+        const resetUrl = `${CLIENT_URL}/reset-password?token=${resetToken}`;
+        await mailService.sendMail({
+            to: user.email,
+            subject: 'Reset your HRMS password',
+            text: `Hello ${user.name},\n\n` +
+                `Use the link below to reset your password. It expires in ${PASSWORD_RESET_EXPIRES_MINUTES} minutes and can only be used once.\n\n` +
+                `${resetUrl}\n\n` +
+                'If you did not request a password reset, you can ignore this email.'
+        });
+    }
+
+    // Email a user created on their behalf (e.g. by a bulk import) a link to choose their password
+    // Uses the reset token, with the longer invitation lifetime
+    async sendPasswordSetupEmail(user) {
+        const setupToken = crypto.randomBytes(32).toString('hex');
+        user.passwordResetTokenHash = crypto.createHash('sha256').update(setupToken).digest('hex');
+        user.passwordResetExpiresAt = new Date(Date.now() + INVITE_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+        await user.save();
+
+        const setupUrl = `${CLIENT_URL}/reset-password?token=${setupToken}`;
+        await mailService.sendMail({
+            to: user.email,
+            subject: 'Your HRMS account is ready',
+            text: `Hello ${user.name},\n\n` +
+                'An HRMS account has been created for you. ' +
+                `Use the link below to choose your password. It expires in ${INVITE_EXPIRES_DAYS} days and can only be used once.\n\n` +
+                `${setupUrl}\n\n` +
+                'If you were not expecting this email, you can ignore it.'
+        });
+    }
+
+    // Redeem a password reset token and set a new password
+    async resetPassword(resetToken, password) {
+        const tokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
+        const user = await User.findOne({
+            passwordResetTokenHash: tokenHash,
+            passwordResetExpiresAt: { $gt: new Date() }
+        }).select('+passwordResetTokenHash +passwordResetExpiresAt +passwordHistory');
+
+        if (!user || !user.isActive) {
+            throw new Error('Password reset token is invalid or has expired');
+        }
+
+        await passwordPolicyService.applyNewPassword(user, password);
+        user.mustChangePassword = false;
+        user.passwordResetTokenHash = undefined;
+        user.passwordResetExpiresAt = undefined;
+        // Sign out everywhere, the old password may have been compromised
+        user.revokeTokens();
+        await user.save();
+        await sessionService.revokeUserSessions(user._id, 'password_reset');
+    }
+
     // Get user profile
     async getProfile(userId) {
         const user = await User.findById(userId).populate('department').select('-password');
@@ -69,30 +393,86 @@ class AuthService {
     }
 
     // Update user profile
-    async updateProfile(userId, updateData) {
-        const user = await User.findById(userId);
+    async updateProfile(userId, updateData, sessionId) {
+        const user = await User.findById(userId).select('+passwordHistory');
         if (!user) {
             throw new Error('User not found');
         }
 
-        // Update fields
-        user.name = updateData.name || user.name;
-        user.email = updateData.email || user.email;
-        user.phoneNumber = updateData.phoneNumber || user.phoneNumber;
-        user.address = updateData.address || user.address;
+        // Directly editable fields change now; the others wait for HR approval in a change request
+        const { direct, approval } = await profileChangeService.splitChanges(user, updateData);
+
+        const before = auditService.snapshot(user);
+
+        Object.assign(user, direct);
         
         if (updateData.password) {
-            user.password = updateData.password;
+            await passwordPolicyService.applyNewPassword(user, updateData.password);
+            user.mustChangePassword = false;
+            // A new password invalidates every token issued before it
+            user.revokeTokens();
+        }
+
+        // The whole update succeeds or fails together: the request is created once everything is
+        // validated and removed again if the profile cannot be saved
+        const changeRequest = Object.keys(approval).length
+            ? await profileChangeService.createRequest(user, approval, updateData.changeReason)
+            : null;
+
+        let updatedUser;
+        try {
+            updatedUser = await user.save();
+        } catch (error) {
+            if (changeRequest) {
+                await profileChangeService.discardRequest(changeRequest._id);
+            }
+            throw error;
+        }
+        await auditService.record({ action: 'update', entityType: 'User', entityId: updatedUser._id, before, after: updatedUser });
+
+        if (updateData.password) {
+            // Keep the current session, sign out everywhere else
+            await sessionService.revokeUserSessions(updatedUser._id, 'password_changed', sessionId);
         }
-        
-        const updatedUser = await user.save();
         
         return {
             _id: updatedUser._id,
             name: updatedUser.name,
             email: updatedUser.email,
             role: updatedUser.role,
-            token: generateToken(updatedUser._id)
+            token: generateToken(updatedUser._id, { sid: sessionId, tv: updatedUser.tokenVersion }),
+            changeRequest
+        };
+    }
+
+    // Change the password after confirming the current one (also clears a required change)
+    async changePassword(userId, currentPassword, newPassword, sessionId) {
+        const user = await User.findById(userId).select('+passwordHistory');
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        if (!(await user.comparePassword(currentPassword))) {
+            throw new Error('Current password is incorrect');
+        }
+
+        const before = auditService.snapshot(user);
+
+        await passwordPolicyService.applyNewPassword(user, newPassword);
+        user.mustChangePassword = false;
+        user.revokeTokens();
+        await user.save();
+        await auditService.record({ action: 'update', entityType: 'User', entityId: user._id, before, after: user });
+
+        // Keep the current session, sign out everywhere else
+        await sessionService.revokeUserSessions(user._id, 'password_changed', sessionId);
+
+        return {
+            _id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            token: generateToken(user._id, { sid: sessionId, tv: user.tokenVersion })
         };
     }
 }
@@ -0,0 +1,404 @@
+import { CustomField } from '../models/customFieldModel.js';
+import { CUSTOM_FIELD_VISIBILITY } from '../config/userFields.js';
+import auditService from './auditService.js';
+import { validateDate, escapeRegex } from '../utils/validation.js';
+
+// Definitions are cached for synchronous use while serializing users; other server
+// instances pick up changes within this time
+const CACHE_TTL_MS = 60 * 1000;
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'select'];
+
+// Query parameters filtering users by a custom field look like customFields.bloodGroup=O%2B
+const SEARCH_PREFIX = 'customFields.';
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * CustomFieldService class manages admin-defined employee profile fields
+ * Provides methods for defining fields (type, validation, required flag, visibility),
+ * validating the values sent on user create/update, and filtering users by them
+ */
+class CustomFieldService {
+    constructor() {
+        this.definitions = [];
+        this.loadedAt = 0;
+    }
+
+    /**
+     * Reload the active definitions into the cache
+     * @returns {Array} Active definitions in display order
+     */
+    async refresh() {
+        this.definitions = await CustomField.find({ isActive: true }).sort({ order: 1, label: 1 }).lean();
+        this.loadedAt = Date.now();
+        return this.definitions;
+    }
+
+    /**
+     * Reload the cache if it is older than CACHE_TTL_MS
+     */
+    async ensureFresh() {
+        if (Date.now() - this.loadedAt > CACHE_TTL_MS) {
+            await this.refresh();
+        }
+    }
+
+    /**
+     * Get the cached active definitions (call ensureFresh first)
+     * @returns {Array} Active definitions in display order
+     */
+    getDefinitions() {
+        return this.definitions;
+    }
+
+    /**
+     * Get the visibility rule of a definition, in the shape used by USER_FIELD_GROUPS
+     * @param {Object} definition - Custom field definition
+     * @returns {Object} visibleTo rule
+     */
+    getVisibilityRule(definition) {
+        return CUSTOM_FIELD_VISIBILITY[definition.visibility] || CUSTOM_FIELD_VISIBILITY.hr;
+    }
+
+    /**
+     * Get the definitions
+     * @param {Object} options - includeArchived
+     * @returns {Array} Definitions in display order
+     */
+    async getAllDefinitions(options = {}) {
+        const query = options.includeArchived ? {} : { isActive: true };
+        return await CustomField.find(query).sort({ order: 1, label: 1 });
+    }
+
+    /**
+     * Validate the type-specific settings of a definition
+     * @param {Object} definition - type, options, validation
+     * @throws {Error} If the settings do not fit the type
+     */
+    validateSettings({ type, options = [], validation = {} }) {
+        if (!CUSTOM_FIELD_TYPES.includes(type)) {
+            throw new Error(`type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`);
+        }
+
+        if (type === 'select') {
+            if (!Array.isArray(options) || options.length === 0 || options.some(option => typeof option !== 'string' || !option.trim())) {
+                throw new Error('A select field needs a list of options');
+            }
+            if (new Set(options.map(option => option.trim())).size !== options.length) {
+                throw new Error('Options must be unique');
+            }
+        } else if (options.length) {
+            throw new Error('Only select fields have options');
+        }
+
+        const { minLength, maxLength, pattern, min, max } = validation || {};
+
+        if ((minLength !== undefined || maxLength !== undefined || pattern !== undefined) && type !== 'text') {
+            throw new Error('minLength, maxLength, and pattern only apply to text fields');
+        }
+        if ((min !== undefined || max !== undefined) && !['number', 'date'].includes(type)) {
+            throw new Error('min and max only apply to number and date fields');
+        }
+
+        for (const [name, value] of Object.entries({ minLength, maxLength })) {
+            if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+                throw new Error(`${name} must be a whole number`);
+            }
+        }
+
+        if (pattern !== undefined) {
+            if (typeof pattern !== 'string' || pattern.length > 200) {
+                throw new Error('pattern must be a regular expression of at most 200 characters');
+            }
+            try {
+                new RegExp(pattern);
+            } catch (error) {
+                throw new Error(`pattern is not a valid regular expression: ${error.message}`);
+            }
+        }
+
+        for (const [name, value] of Object.entries({ min, max })) {
+            if (value === undefined) continue;
+            if (type === 'number' && typeof value !== 'number') {
+                throw new Error(`${name} must be a number`);
+            }
+            if (type === 'date' && !validateDate(value)) {
+                throw new Error(`${name} must be a date (YYYY-MM-DD)`);
+            }
+        }
+
+        if ((minLength !== undefined && maxLength !== undefined && minLength > maxLength)
+            || (min !== undefined && max !== undefined && min > max)) {
+            throw new Error('The minimum cannot be greater than the maximum');
+        }
+    }
+
+    /**
+     * Define a new custom field
+     * @param {Object} data - key, label, type, options, validation, required, visibility, order
+     * @param {Object} actor - User defining the field
+     * @returns {Object} Created definition
+     * @throws {Error} If the key is taken or the definition is invalid
+     */
+    async createDefinition(data, actor = null) {
+        const { key, label, type, options, validation, required, visibility, order } = data;
+
+        if (!key || !/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/.test(key)) {
+            throw new Error('key must start with a letter and contain only letters, digits, and underscores (max 40)');
+        }
+        if (!label || !String(label).trim()) {
+            throw new Error('label is required');
+        }
+        if (visibility !== undefined && !CUSTOM_FIELD_VISIBILITY[visibility]) {
+            throw new Error(`visibility must be one of: ${Object.keys(CUSTOM_FIELD_VISIBILITY).join(', ')}`);
+        }
+
+        this.validateSettings({ type, options, validation });
+
+        if (await CustomField.exists({ key })) {
+            throw new Error(`A custom field with key '${key}' already exists`);
+        }
+
+        const definition = await CustomField.create({
+            key,
+            label,
+            type,
+            options: (options || []).map(option => option.trim()),
+            validation: validation || {},
+            required: !!required,
+            visibility,
+            order,
+            createdBy: actor?._id || null
+        });
+
+        await auditService.record({ action: 'create', entityType: 'CustomField', entityId: definition._id, after: definition });
+        await this.refresh();
+
+        return definition;
+    }
+
+    /**
+     * Update a custom field (key and type cannot change)
+     * @param {string} id - Definition ID
+     * @param {Object} data - label, options, validation, required, visibility, order, isActive
+     * @returns {Object} Updated definition
+     * @throws {Error} If the definition is not found or the update is invalid
+     */
+    async updateDefinition(id, data) {
+        const definition = await CustomField.findById(id);
+        if (!definition) {
+            throw new Error('Custom field not found');
+        }
+
+        if (data.key !== undefined && data.key !== definition.key) {
+            throw new Error('The key of a custom field cannot be changed');
+        }
+        if (data.type !== undefined && data.type !== definition.type) {
+            throw new Error('The type of a custom field cannot be changed');
+        }
+        if (data.visibility !== undefined && !CUSTOM_FIELD_VISIBILITY[data.visibility]) {
+            throw new Error(`visibility must be one of: ${Object.keys(CUSTOM_FIELD_VISIBILITY).join(', ')}`);
+        }
+        if (data.label !== undefined && !String(data.label).trim()) {
+            throw new Error('label cannot be empty');
+        }
+
+        const options = data.options ?? definition.options;
+        const validation = data.validation ?? definition.toObject().validation;
+        this.validateSettings({ type: definition.type, options, validation });
+
+        const before = auditService.snapshot(definition);
+
+        if (data.label !== undefined) definition.label = data.label;
+        if (data.options !== undefined) definition.options = data.options.map(option => option.trim());
+        if (data.validation !== undefined) definition.validation = data.validation;
+        if (data.required !== undefined) definition.required = !!data.required;
+        if (data.visibility !== undefined) definition.visibility = data.visibility;
+        if (data.order !== undefined) definition.order = data.order;
+        if (data.isActive !== undefined) definition.isActive = !!data.isActive;
+
+        await definition.save();
+        await auditService.record({ action: 'update', entityType: 'CustomField', entityId: definition._id, before, after: definition });
+        await this.refresh();
+
+        return definition;
+    }
+
+    /**
+     * Archive a custom field: it disappears from profiles, validation, search, and exports,
+     * but stored values are kept and come back if the field is reactivated
+     * @param {string} id - Definition ID
+     * @returns {Object} Success message
+     * @throws {Error} If the definition is not found
+     */
+    async archiveDefinition(id) {
+        const definition = await CustomField.findById(id);
+        if (!definition) {
+            throw new Error('Custom field not found');
+        }
+
+        const before = auditService.snapshot(definition);
+        definition.isActive = false;
+        await definition.save();
+
+        await auditService.record({ action: 'update', entityType: 'CustomField', entityId: definition._id, before, after: definition });
+        await this.refresh();
+
+        return { message: 'Custom field archived successfully' };
+    }
+
+    /**
+     * Convert and validate one value against its definition
+     * @param {Object} definition - Custom field definition
+     * @param {*} raw - Value as sent (strings from multipart forms are converted)
+     * @returns {*} Value to store
+     * @throws {Error} If the value does not match the definition
+     */
+    coerceValue(definition, raw) {
+        const { label, type, options, validation = {} } = definition;
+
+        switch (type) {
+            case 'text': {
+                const value = String(raw).trim();
+                if (validation.minLength !== undefined && value.length < validation.minLength) {
+                    throw new Error(`${label} must be at least ${validation.minLength} characters`);
+                }
+                if (validation.maxLength !== undefined && value.length > validation.maxLength) {
+                    throw new Error(`${label} must be at most ${validation.maxLength} characters`);
+                }
+                if (validation.pattern && !new RegExp(validation.pattern).test(value)) {
+                    throw new Error(`${label} has an invalid format`);
+                }
+                return value;
+            }
+            case 'number': {
+                const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+                if (!Number.isFinite(value)) {
+                    throw new Error(`${label} must be a number`);
+                }
+                if (validation.min !== undefined && value < validation.min) {
+                    throw new Error(`${label} must be at least ${validation.min}`);
+                }
+                if (validation.max !== undefined && value > validation.max) {
+                    throw new Error(`${label} must be at most ${validation.max}`);
+                }
+                return value;
+            }
+            case 'date': {
+                const value = String(raw).slice(0, 10);
+                if (!validateDate(value)) {
+                    throw new Error(`${label} must be a date (YYYY-MM-DD)`);
+                }
+                if (validation.min && value < validation.min) {
+                    throw new Error(`${label} cannot be before ${validation.min}`);
+                }
+                if (validation.max && value > validation.max) {
+                    throw new Error(`${label} cannot be after ${validation.max}`);
+                }
+                // Stored as YYYY-MM-DD so values compare, search, and export as written
+                return value;
+            }
+            case 'boolean':
+                if (raw === true || raw === 'true') return true;
+                if (raw === false || raw === 'false') return false;
+                throw new Error(`${label} must be true or false`);
+            case 'select': {
+                const value = String(raw).trim();
+                if (!options.includes(value)) {
+                    throw new Error(`${label} must be one of: ${options.join(', ')}`);
+                }
+                return value;
+            }
+            default:
+                throw new Error(`${label} has an unsupported type`);
+        }
+    }
+
+    /**
+     * Validate the custom field values of a user create or update
+     * @param {Object|string} input - Values by key (a JSON string from multipart forms); null or '' clears a value
+     * @param {Object} current - Values currently stored on the user
+     * @returns {Object} Values to store
+     * @throws {Error} If a key is unknown, a value is invalid, or a required field is missing
+     */
+    async validateValues(input, current = {}) {
+        await this.ensureFresh();
+
+        let values = input ?? {};
+        if (typeof values === 'string') {
+            try {
+                values = JSON.parse(values);
+            } catch (error) {
+                throw new Error('customFields must be a JSON object');
+            }
+        }
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            throw new Error('customFields must be an object of field key to value');
+        }
+
+        const definitions = new Map(this.definitions.map(definition => [definition.key, definition]));
+        const result = { ...(current || {}) };
+
+        for (const [key, raw] of Object.entries(values)) {
+            const definition = definitions.get(key);
+            if (!definition) {
+                throw new Error(`Unknown custom field '${key}'`);
+            }
+
+            if (isEmpty(raw)) {
+                delete result[key];
+            } else {
+                result[key] = this.coerceValue(definition, raw);
+            }
+        }
+
+        const missing = this.definitions.filter(definition => definition.required && isEmpty(result[definition.key]));
+        if (missing.length) {
+            throw new Error(`Missing required custom fields: ${missing.map(definition => definition.label).join(', ')}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Build user query conditions from customFields.<key> query parameters
+     * Text fields match case-insensitively on the whole value; other types match exactly
+     * @param {Object} params - Request query parameters
+     * @param {Array} searchable - Definitions the viewer may search (visible on any user)
+     * @returns {Object} MongoDB query conditions
+     * @throws {Error} If a parameter names an unknown or hidden field, or has an invalid value
+     */
+    buildSearchQuery(params = {}, searchable = []) {
+        const definitions = new Map(searchable.map(definition => [definition.key, definition]));
+        const query = {};
+
+        for (const [param, raw] of Object.entries(params)) {
+            if (!param.startsWith(SEARCH_PREFIX)) continue;
+
+            const key = param.slice(SEARCH_PREFIX.length);
+            const definition = definitions.get(key);
+            if (!definition) {
+                throw new Error(`Unknown custom field '${key}'`);
+            }
+
+            const value = this.coerceValue({ ...definition, validation: {} }, Array.isArray(raw) ? raw[0] : raw);
+            query[`customFields.${key}`] = definition.type === 'text'
+                ? { $regex: `^${escapeRegex(value)}$`, $options: 'i' }
+                : value;
+        }
+
+        return query;
+    }
+
+    /**
+     * Pick the customFields.<key> parameters out of request query parameters
+     * @param {Object} params - Request query parameters
+     * @returns {Object} Custom field search parameters
+     */
+    pickSearchParams(params = {}) {
+        return Object.fromEntries(Object.entries(params).filter(([param]) => param.startsWith(SEARCH_PREFIX)));
+    }
+}
+
+export default new CustomFieldService();
@@ -1,4 +1,5 @@
 import { Department } from '../models/departmentModel.js';
+import auditService from './auditService.js';
 import { User } from '../models/userModel.js';
 
 /**
@@ -46,7 +47,7 @@ class DepartmentService {
      */
     async getDepartmentById(id) {
         const department = await Department.findById(id)
-            .populate('head', 'name email designation phoneNumber');
+            .populate('head', 'name email designation');
         
         if (!department || !department.isActive) {
             throw new Error('Department not found');
@@ -100,6 +101,8 @@ class DepartmentService {
             budget
         });
 
+        await auditService.record({ action: 'create', entityType: 'Department', entityId: department._id, after: department });
+
         return await Department.findById(department._id)
             .populate('head', 'name email designation');
     }
@@ -136,6 +139,8 @@ class DepartmentService {
             }
         }
 
+        const before = auditService.snapshot(department);
+
         // Update only provided fields
         Object.keys(updateData).forEach(key => {
             if (updateData[key] !== undefined && updateData[key] !== null) {
@@ -148,6 +153,8 @@ class DepartmentService {
         });
 
         const updatedDepartment = await department.save();
+        await auditService.record({ action: 'update', entityType: 'Department', entityId: updatedDepartment._id, before, after: updatedDepartment });
+
         return await Department.findById(updatedDepartment._id)
             .populate('head', 'name email designation');
     }
@@ -173,9 +180,12 @@ class DepartmentService {
             throw new Error(`Cannot delete department. It has ${employeeCount} active employee(s). Please reassign employees first.`);
         }
 
+        const before = auditService.snapshot(department);
+
         // Soft delete by setting isActive to false
         department.isActive = false;
         await department.save();
+        await auditService.record({ action: 'delete', entityType: 'Department', entityId: department._id, before, after: department });
         
         return { message: 'Department deactivated successfully' };
     }
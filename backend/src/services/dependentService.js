@@ -0,0 +1,300 @@
+import { User } from '../models/userModel.js';
+import auditService from './auditService.js';
+import roleService from './roleService.js';
+import { validateDate, validatePhoneNumber } from '../utils/validation.js';
+import {
+    DEPENDENT_RELATIONS,
+    PARENTAL_LEAVE_TYPES,
+    MAX_EMERGENCY_CONTACTS,
+    MAX_DEPENDENTS
+} from '../config/dependents.js';
+import {
+    PARENTAL_LEAVE_WINDOW_DAYS,
+    INSURANCE_EMPLOYEE_PREMIUM,
+    INSURANCE_DEPENDENT_PREMIUM,
+    INSURANCE_CHILD_MAX_AGE
+} from '../config/config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Children can be added up to this many days before their due date
+const MAX_DUE_DATE_DAYS = 300;
+
+const relationNames = Object.keys(DEPENDENT_RELATIONS).join(', ');
+
+/**
+ * Age in whole years on a given day
+ * @param {Date} dateOfBirth - Date of birth
+ * @param {Date} on - Day to compute the age on
+ * @returns {number} Age in years
+ */
+const ageOn = (dateOfBirth, on) => {
+    const birth = new Date(dateOfBirth);
+    let age = on.getUTCFullYear() - birth.getUTCFullYear();
+    const birthdayPassed = on.getUTCMonth() > birth.getUTCMonth()
+        || (on.getUTCMonth() === birth.getUTCMonth() && on.getUTCDate() >= birth.getUTCDate());
+    if (!birthdayPassed) age -= 1;
+    return age;
+};
+
+/**
+ * DependentService class manages the emergency contacts and dependents of employees
+ * Employees maintain both lists themselves; dependents also decide parental leave
+ * eligibility and the health insurance deduction in payroll
+ */
+class DependentService {
+    /**
+     * Validate a list sent by the client
+     * @param {Array} list - Entries
+     * @param {string} name - List name for messages
+     * @param {number} max - Maximum number of entries
+     * @throws {Error} If the list is not an array or too long
+     */
+    assertList(list, name, max) {
+        if (!Array.isArray(list)) {
+            throw new Error(`${name} must be an array`);
+        }
+        if (list.length > max) {
+            throw new Error(`At most ${max} ${name} are allowed`);
+        }
+    }
+
+    /**
+     * Validate the common fields of a contact or dependent
+     * @param {Object} entry - Entry sent by the client
+     * @param {string} label - Entry label for messages (e.g. "Dependent 2")
+     * @throws {Error} If name, relation, or phone is invalid
+     */
+    assertPerson(entry, label) {
+        if (!entry || typeof entry !== 'object') {
+            throw new Error(`${label} must be an object`);
+        }
+        if (!entry.name || !String(entry.name).trim()) {
+            throw new Error(`${label}: name is required`);
+        }
+        if (!DEPENDENT_RELATIONS[entry.relation]) {
+            throw new Error(`${label}: relation must be one of: ${relationNames}`);
+        }
+        if (entry.phone && !validatePhoneNumber(String(entry.phone))) {
+            throw new Error(`${label}: phone must be 10 to 15 digits`);
+        }
+    }
+
+    /**
+     * Validate and normalize emergency contacts
+     * The first contact is primary unless another is marked as such
+     * @param {Array} contacts - name, relation, phone, isPrimary
+     * @returns {Array} Contacts to store
+     * @throws {Error} If a contact is invalid
+     */
+    normalizeEmergencyContacts(contacts) {
+        this.assertList(contacts, 'emergency contacts', MAX_EMERGENCY_CONTACTS);
+
+        const normalized = contacts.map((contact, index) => {
+            const label = `Emergency contact ${index + 1}`;
+            this.assertPerson(contact, label);
+            if (!contact.phone) {
+                throw new Error(`${label}: phone is required`);
+            }
+
+            return {
+                ...(contact._id ? { _id: contact._id } : {}),
+                name: String(contact.name).trim(),
+                relation: contact.relation,
+                phone: String(contact.phone),
+                isPrimary: contact.isPrimary === true
+            };
+        });
+
+        const primaries = normalized.filter(contact => contact.isPrimary).length;
+        if (primaries > 1) {
+            throw new Error('Only one emergency contact can be primary');
+        }
+        if (primaries === 0 && normalized.length) {
+            normalized[0].isPrimary = true;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Validate and normalize dependents
+     * @param {Array} dependents - name, relation, phone, dateOfBirth (YYYY-MM-DD), isBeneficiary, isInsured
+     * @returns {Array} Dependents to store
+     * @throws {Error} If a dependent is invalid
+     */
+    normalizeDependents(dependents) {
+        this.assertList(dependents, 'dependents', MAX_DEPENDENTS);
+
+        return dependents.map((dependent, index) => {
+            const label = `Dependent ${index + 1}`;
+            this.assertPerson(dependent, label);
+
+            if (!validateDate(dependent.dateOfBirth)) {
+                throw new Error(`${label}: dateOfBirth must be a date (YYYY-MM-DD)`);
+            }
+
+            // Only an expected child may have a date in the future (the due date)
+            const dateOfBirth = new Date(`${dependent.dateOfBirth}T00:00:00.000Z`);
+            if (dateOfBirth > new Date()) {
+                if (dependent.relation !== 'child') {
+                    throw new Error(`${label}: dateOfBirth cannot be in the future`);
+                }
+                if (dateOfBirth - new Date() > MAX_DUE_DATE_DAYS * DAY_MS) {
+                    throw new Error(`${label}: a due date can be at most ${MAX_DUE_DATE_DAYS} days ahead`);
+                }
+            }
+
+            if (dependent.isInsured === true && !DEPENDENT_RELATIONS[dependent.relation].insurable) {
+                throw new Error(`${label}: a ${dependent.relation} cannot be insured`);
+            }
+
+            return {
+                ...(dependent._id ? { _id: dependent._id } : {}),
+                name: String(dependent.name).trim(),
+                relation: dependent.relation,
+                phone: dependent.phone ? String(dependent.phone) : undefined,
+                dateOfBirth,
+                isBeneficiary: dependent.isBeneficiary === true,
+                isInsured: dependent.isInsured === true
+            };
+        });
+    }
+
+    /**
+     * Get an active user for reading or changing their lists
+     * @param {string} userId - User ID
+     * @returns {Object} User document
+     * @throws {Error} If the user is not found
+     */
+    async findUser(userId) {
+        const user = await User.findById(userId).select('name department role emergencyContacts dependents isActive');
+        if (!user || !user.isActive) {
+            throw new Error('User not found');
+        }
+        return user;
+    }
+
+    /**
+     * Get an employee's emergency contacts
+     * @param {Object} user - User from findUser (the caller checks visibility first)
+     * @returns {Array} Emergency contacts, primary first
+     */
+    getEmergencyContacts(user) {
+        return [...user.emergencyContacts].sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary));
+    }
+
+    /**
+     * Get an employee's dependents
+     * @param {string} userId - User ID
+     * @returns {Array} Dependents
+     */
+    async getDependents(userId) {
+        const user = await this.findUser(userId);
+        return user.dependents;
+    }
+
+    /**
+     * Replace an employee's emergency contacts
+     * @param {string} userId - User ID
+     * @param {Array} contacts - New list (entries sent with their _id keep it)
+     * @param {Array} permissions - Permissions of the editor; they must cover the employee's role
+     * @returns {Array} Saved emergency contacts
+     */
+    async updateEmergencyContacts(userId, contacts, permissions = []) {
+        const normalized = this.normalizeEmergencyContacts(contacts);
+        const user = await this.findUser(userId);
+        await roleService.assertCanManage(user.role, permissions);
+
+        const before = auditService.snapshot(user);
+        user.emergencyContacts = normalized;
+        await user.save();
+        await auditService.record({ action: 'update', entityType: 'User', entityId: user._id, before, after: user });
+
+        return user.emergencyContacts;
+    }
+
+    /**
+     * Replace an employee's dependents
+     * @param {string} userId - User ID
+     * @param {Array} dependents - New list (entries sent with their _id keep it)
+     * @param {Array} permissions - Permissions of the editor; they must cover the employee's role
+     * @returns {Array} Saved dependents
+     */
+    async updateDependents(userId, dependents, permissions = []) {
+        const normalized = this.normalizeDependents(dependents);
+        const user = await this.findUser(userId);
+        await roleService.assertCanManage(user.role, permissions);
+
+        const before = auditService.snapshot(user);
+        user.dependents = normalized;
+        await user.save();
+        await auditService.record({ action: 'update', entityType: 'User', entityId: user._id, before, after: user });
+
+        return user.dependents;
+    }
+
+    /**
+     * Check that an employee may take a leave type that depends on their dependents
+     * Maternity and paternity leave need a child born or due within PARENTAL_LEAVE_WINDOW_DAYS of the leave start
+     * @param {string} userId - User ID
+     * @param {string} type - Leave type
+     * @param {Date} startDate - First day of the leave
+     * @throws {Error} If the employee is not eligible
+     */
+    async assertLeaveEligible(userId, type, startDate) {
+        if (!PARENTAL_LEAVE_TYPES.includes(type)) {
+            return;
+        }
+
+        const user = await User.findById(userId).select('dependents');
+        const window = PARENTAL_LEAVE_WINDOW_DAYS * DAY_MS;
+        const eligible = (user?.dependents || []).some(dependent =>
+            DEPENDENT_RELATIONS[dependent.relation]?.parental
+            && Math.abs(new Date(dependent.dateOfBirth) - startDate) <= window
+        );
+
+        if (!eligible) {
+            throw new Error(
+                `${type.charAt(0).toUpperCase()}${type.slice(1)} leave needs a child born or due within `
+                + `${PARENTAL_LEAVE_WINDOW_DAYS} days of the leave start; add the child to your dependents first`
+            );
+        }
+    }
+
+    /**
+     * Get the dependents covered by health insurance on a given day
+     * Unborn children are not covered yet, and children stop being covered at INSURANCE_CHILD_MAX_AGE
+     * @param {Object} user - User with dependents
+     * @param {Date} on - Day to check
+     * @returns {Array} Insured dependents
+     */
+    getInsuredDependents(user, on) {
+        return (user.dependents || []).filter(dependent =>
+            dependent.isInsured
+            && DEPENDENT_RELATIONS[dependent.relation]?.insurable
+            && new Date(dependent.dateOfBirth) <= on
+            && (dependent.relation !== 'child' || ageOn(dependent.dateOfBirth, on) < INSURANCE_CHILD_MAX_AGE)
+        );
+    }
+
+    /**
+     * Get the health insurance deduction of a payroll month
+     * The employee's premium plus one premium per dependent insured at the end of the month
+     * @param {Object} user - User with dependents
+     * @param {string|number} month - Month (1-12)
+     * @param {number} year - Year
+     * @returns {number} Insurance deduction (0 when no premiums are configured)
+     */
+    getInsuranceDeduction(user, month, year) {
+        if (!INSURANCE_EMPLOYEE_PREMIUM && !INSURANCE_DEPENDENT_PREMIUM) {
+            return 0;
+        }
+
+        const monthEnd = new Date(Date.UTC(Number(year), Number(month), 0, 23, 59, 59, 999));
+        const insured = this.getInsuredDependents(user, monthEnd).length;
+        return Math.round((INSURANCE_EMPLOYEE_PREMIUM + insured * INSURANCE_DEPENDENT_PREMIUM) * 100) / 100;
+    }
+}
+
+export default new DependentService();
@@ -0,0 +1,557 @@
+import path from 'path';
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import { EmployeeDocument } from '../models/employeeDocumentModel.js';
+import { User } from '../models/userModel.js';
+import { DOCUMENT_CATEGORIES, DOCUMENT_FILE_TYPES } from '../config/documentCategories.js';
+import { DOCUMENT_STORAGE_DIR, DOCUMENT_EXPIRY_REMINDER_DAYS, DOCUMENT_REMINDER_EMAIL } from '../config/config.js';
+import auditService from './auditService.js';
+import mailService from './mailService.js';
+import logger from '../utils/logger.js';
+import { validateDate } from '../utils/validation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expiry reminders are checked this often (and once at startup)
+const REMINDER_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Leading bytes of every accepted file type, so a renamed executable is not stored as a PDF
+const FILE_SIGNATURES = {
+    '.pdf': [[0x25, 0x50, 0x44, 0x46]],
+    '.jpg': [[0xff, 0xd8, 0xff]],
+    '.jpeg': [[0xff, 0xd8, 0xff]],
+    '.png': [[0x89, 0x50, 0x4e, 0x47]],
+    '.doc': [[0xd0, 0xcf, 0x11, 0xe0]],
+    '.docx': [[0x50, 0x4b, 0x03, 0x04]]
+};
+
+/**
+ * Build an access error (mapped to 403 by the controller)
+ * @param {string} message - Error message
+ * @returns {Error} Error with code DOCUMENT_FORBIDDEN
+ */
+const forbidden = (message) => {
+    const error = new Error(message);
+    error.code = 'DOCUMENT_FORBIDDEN';
+    return error;
+};
+
+/**
+ * DocumentService class handles the employee document vault
+ * Provides methods for uploading documents and new versions, listing and downloading
+ * them under the vault's access rules, and reminding employees and HR of expiring documents
+ */
+class DocumentService {
+    constructor() {
+        this.reminderTimer = null;
+    }
+
+    /**
+     * Resolve a stored file path inside the storage folder
+     * @param {string} storagePath - Path relative to DOCUMENT_STORAGE_DIR
+     * @returns {string} Absolute path
+     * @throws {Error} If the path points outside the storage folder
+     */
+    resolvePath(storagePath) {
+        const root = path.resolve(process.cwd(), DOCUMENT_STORAGE_DIR);
+        const fullPath = path.resolve(root, storagePath);
+
+        if (!fullPath.startsWith(root + path.sep)) {
+            throw new Error('Invalid document path');
+        }
+
+        return fullPath;
+    }
+
+    /**
+     * Check an uploaded file against the accepted types and their signatures
+     * @param {Object} file - Multer file (memory storage)
+     * @throws {Error} If the file is missing, empty, or not what its extension claims
+     */
+    validateFile(file) {
+        if (!file) {
+            throw new Error('Upload the document in the "file" field');
+        }
+
+        const extension = path.extname(file.originalname).toLowerCase();
+        if (!DOCUMENT_FILE_TYPES[extension]) {
+            throw new Error(`Invalid file extension. Allowed: ${Object.keys(DOCUMENT_FILE_TYPES).join(', ')}`);
+        }
+
+        const signatures = FILE_SIGNATURES[extension];
+        const matches = signatures.some(signature =>
+            file.buffer.length >= signature.length && signature.every((byte, index) => file.buffer[index] === byte)
+        );
+        if (!matches) {
+            throw new Error(`The file content does not match its ${extension} extension`);
+        }
+    }
+
+    /**
+     * Write an uploaded file to the storage folder
+     * @param {string} userId - Owner of the document
+     * @param {Object} file - Multer file (memory storage)
+     * @param {number} version - Version number
+     * @param {Object} actor - Uploading user
+     * @returns {Object} Version data to store on the document
+     */
+    async storeFile(userId, file, version, actor) {
+        const extension = path.extname(file.originalname).toLowerCase();
+        const storagePath = `${userId}/${uuidv4()}${extension}`;
+        const fullPath = this.resolvePath(storagePath);
+
+        await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.promises.writeFile(fullPath, file.buffer, { flag: 'wx' });
+
+        return {
+            version,
+            fileName: path.basename(file.originalname),
+            storagePath,
+            mimeType: DOCUMENT_FILE_TYPES[extension],
+            size: file.size,
+            uploadedBy: actor?._id || null
+        };
+    }
+
+    /**
+     * Delete stored files, ignoring files that are already gone
+     * @param {Array} versions - Document versions
+     */
+    async removeFiles(versions) {
+        for (const version of versions) {
+            try {
+                await fs.promises.unlink(this.resolvePath(version.storagePath));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.error(`Failed to delete document file ${version.storagePath}`, error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Parse an expiry date from a form field
+     * @param {string} value - YYYY-MM-DD, or empty to clear
+     * @returns {Date|null|undefined} Expiry date, null to clear, undefined when not sent
+     * @throws {Error} If the date is invalid
+     */
+    parseExpiry(value) {
+        if (value === undefined) {
+            return undefined;
+        }
+        if (value === null || value === '') {
+            return null;
+        }
+        if (!validateDate(value)) {
+            throw new Error('expiresAt must be a date (YYYY-MM-DD)');
+        }
+        return new Date(`${value}T00:00:00.000Z`);
+    }
+
+    /**
+     * Read a boolean form field
+     * @param {*} value - true/false or 'true'/'false'
+     * @returns {boolean|undefined} Parsed value, undefined when not sent
+     */
+    parseBoolean(value) {
+        if (value === undefined || value === '') {
+            return undefined;
+        }
+        return value === true || value === 'true';
+    }
+
+    /**
+     * Check whether a viewer may see a document
+     * @param {Object} viewer - { user, permissions }
+     * @param {Object} document - Document
+     * @returns {boolean} True for documents:read, or the employee's own non-confidential document
+     */
+    canView(viewer, document) {
+        if (viewer.permissions.includes('documents:read')) {
+            return true;
+        }
+
+        const isOwner = !!viewer.user && viewer.user._id.toString() === document.userId.toString();
+        return isOwner && !document.confidential;
+    }
+
+    /**
+     * Check whether an actor may upload a document (or a new version) of a category for a user
+     * @param {Object} viewer - { user, permissions }
+     * @param {string} userId - Owner of the document
+     * @param {string} category - Document category
+     * @returns {boolean} True for documents:write, or an employee uploading a self-service category for themselves
+     */
+    canUpload(viewer, userId, category) {
+        if (viewer.permissions.includes('documents:write')) {
+            return true;
+        }
+
+        const isOwner = !!viewer.user && viewer.user._id.toString() === userId.toString();
+        return isOwner && !!DOCUMENT_CATEGORIES[category]?.employeeCanUpload;
+    }
+
+    /**
+     * Shape a document for responses (storage paths stay on the server)
+     * @param {Object} document - Document
+     * @returns {Object} Document without storage paths, with the current version on top
+     */
+    present(document) {
+        const plain = typeof document.toObject === 'function' ? document.toObject() : document;
+        const versions = plain.versions.map(({ storagePath, ...version }) => version);
+
+        return {
+            ...plain,
+            versions,
+            currentVersion: versions[versions.length - 1] || null,
+            expired: !!plain.expiresAt && new Date(plain.expiresAt) < new Date()
+        };
+    }
+
+    /**
+     * Find a document the viewer may see
+     * @param {string} id - Document ID
+     * @param {Object} viewer - { user, permissions }
+     * @returns {Object} Document
+     * @throws {Error} If the document does not exist or is hidden from the viewer
+     */
+    async findVisible(id, viewer) {
+        const document = await EmployeeDocument.findById(id);
+
+        // Hidden documents look exactly like missing ones
+        if (!document || !this.canView(viewer, document)) {
+            throw new Error('Document not found');
+        }
+
+        return document;
+    }
+
+    /**
+     * Get the documents of an employee
+     * @param {string} userId - Employee ID
+     * @param {Object} viewer - { user, permissions }
+     * @param {Object} filters - category, expiringWithinDays
+     * @returns {Array} Documents the viewer may see, newest first
+     * @throws {Error} If the viewer may not see the employee's documents
+     */
+    async getUserDocuments(userId, viewer, filters = {}) {
+        const isOwner = !!viewer.user && viewer.user._id.toString() === String(userId);
+        if (!isOwner && !viewer.permissions.includes('documents:read')) {
+            throw forbidden('You can only view your own documents');
+        }
+
+        const query = { userId };
+        if (!viewer.permissions.includes('documents:read')) query.confidential = false;
+        if (filters.category) query.category = filters.category;
+
+        const documents = await EmployeeDocument.find(query)
+            .populate('versions.uploadedBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        return documents.map(document => this.present(document));
+    }
+
+    /**
+     * Get a document with all its versions
+     * @param {string} id - Document ID
+     * @param {Object} viewer - { user, permissions }
+     * @returns {Object} Document
+     * @throws {Error} If the document does not exist or is hidden from the viewer
+     */
+    async getDocument(id, viewer) {
+        const document = await this.findVisible(id, viewer);
+        await document.populate('versions.uploadedBy', 'name email');
+        return this.present(document);
+    }
+
+    /**
+     * Upload a new document for an employee
+     * @param {string} userId - Employee ID
+     * @param {Object} file - Multer file (memory storage)
+     * @param {Object} data - category, title, expiresAt (YYYY-MM-DD), confidential
+     * @param {Object} viewer - { user, permissions } of the uploader
+     * @returns {Object} Created document
+     * @throws {Error} If validation fails or the uploader may not add this document
+     */
+    async createDocument(userId, file, data, viewer) {
+        const { category, title } = data;
+
+        if (!DOCUMENT_CATEGORIES[category]) {
+            throw new Error(`category must be one of: ${Object.keys(DOCUMENT_CATEGORIES).join(', ')}`);
+        }
+        if (!title || !String(title).trim()) {
+            throw new Error('title is required');
+        }
+
+        if (!(await User.exists({ _id: userId, isActive: true }))) {
+            throw new Error('User not found');
+        }
+
+        if (!this.canUpload(viewer, userId, category)) {
+            throw forbidden(`You cannot upload ${DOCUMENT_CATEGORIES[category].label.toLowerCase()} documents`);
+        }
+
+        const confidential = this.parseBoolean(data.confidential) || false;
+        if (confidential && !viewer.permissions.includes('documents:write')) {
+            throw forbidden('Only holders of documents:write can upload confidential documents');
+        }
+
+        const expiresAt = this.parseExpiry(data.expiresAt) ?? null;
+        if (!expiresAt && DOCUMENT_CATEGORIES[category].expiryRequired) {
+            throw new Error(`expiresAt is required for ${DOCUMENT_CATEGORIES[category].label.toLowerCase()} documents`);
+        }
+
+        this.validateFile(file);
+        const version = await this.storeFile(userId, file, 1, viewer.user);
+
+        try {
+            const document = await EmployeeDocument.create({
+                userId,
+                category,
+                title: String(title).trim(),
+                confidential,
+                expiresAt,
+                versions: [version],
+                createdBy: viewer.user?._id || null
+            });
+
+            await auditService.record({ action: 'create', entityType: 'EmployeeDocument', entityId: document._id, after: document });
+            return this.present(document);
+        } catch (error) {
+            await this.removeFiles([version]);
+            throw error;
+        }
+    }
+
+    /**
+     * Upload a new version of a document (earlier versions are kept)
+     * @param {string} id - Document ID
+     * @param {Object} file - Multer file (memory storage)
+     * @param {Object} data - Optional new expiresAt (YYYY-MM-DD)
+     * @param {Object} viewer - { user, permissions } of the uploader
+     * @returns {Object} Updated document
+     * @throws {Error} If the document is not found or the uploader may not replace it
+     */
+    async addVersion(id, file, data, viewer) {
+        const document = await this.findVisible(id, viewer);
+
+        if (!this.canUpload(viewer, document.userId, document.category)) {
+            throw forbidden(`You cannot replace ${DOCUMENT_CATEGORIES[document.category].label.toLowerCase()} documents`);
+        }
+
+        const expiresAt = this.parseExpiry(data.expiresAt);
+        if (expiresAt === null && DOCUMENT_CATEGORIES[document.category].expiryRequired) {
+            throw new Error(`expiresAt is required for ${DOCUMENT_CATEGORIES[document.category].label.toLowerCase()} documents`);
+        }
+
+        this.validateFile(file);
+
+        const before = auditService.snapshot(document);
+        const latest = document.versions[document.versions.length - 1];
+        const version = await this.storeFile(document.userId, file, (latest?.version || 0) + 1, viewer.user);
+
+        document.versions.push(version);
+        if (expiresAt !== undefined) {
+            document.expiresAt = expiresAt;
+            document.remindersSent = [];
+        }
+
+        try {
+            await document.save();
+        } catch (error) {
+            await this.removeFiles([version]);
+            throw error;
+        }
+
+        await auditService.record({ action: 'update', entityType: 'EmployeeDocument', entityId: document._id, before, after: document });
+        return this.present(document);
+    }
+
+    /**
+     * Update the details of a document
+     * @param {string} id - Document ID
+     * @param {Object} data - title, category, expiresAt (YYYY-MM-DD or empty), confidential
+     * @param {Object} viewer - { user, permissions }
+     * @returns {Object} Updated document
+     * @throws {Error} If the document is not found or validation fails
+     */
+    async updateDocument(id, data, viewer) {
+        const document = await this.findVisible(id, viewer);
+        const before = auditService.snapshot(document);
+
+        if (data.category !== undefined) {
+            if (!DOCUMENT_CATEGORIES[data.category]) {
+                throw new Error(`category must be one of: ${Object.keys(DOCUMENT_CATEGORIES).join(', ')}`);
+            }
+            document.category = data.category;
+        }
+
+        if (data.title !== undefined) {
+            if (!String(data.title).trim()) {
+                throw new Error('title cannot be empty');
+            }
+            document.title = String(data.title).trim();
+        }
+
+        const confidential = this.parseBoolean(data.confidential);
+        if (confidential !== undefined) {
+            document.confidential = confidential;
+        }
+
+        const expiresAt = this.parseExpiry(data.expiresAt);
+        if (expiresAt !== undefined && String(expiresAt) !== String(document.expiresAt)) {
+            document.expiresAt = expiresAt;
+            document.remindersSent = [];
+        }
+
+        if (!document.expiresAt && DOCUMENT_CATEGORIES[document.category].expiryRequired) {
+            throw new Error(`expiresAt is required for ${DOCUMENT_CATEGORIES[document.category].label.toLowerCase()} documents`);
+        }
+
+        await document.save();
+        await auditService.record({ action: 'update', entityType: 'EmployeeDocument', entityId: document._id, before, after: document });
+
+        return this.present(document);
+    }
+
+    /**
+     * Delete a document with every version
+     * @param {string} id - Document ID
+     * @param {Object} viewer - { user, permissions }
+     * @returns {Object} Success message
+     * @throws {Error} If the document is not found
+     */
+    async deleteDocument(id, viewer) {
+        const document = await this.findVisible(id, viewer);
+
+        await EmployeeDocument.findByIdAndDelete(id);
+        await this.removeFiles(document.versions);
+        await auditService.record({ action: 'delete', entityType: 'EmployeeDocument', entityId: document._id, before: document });
+
+        return { message: 'Document deleted successfully' };
+    }
+
+    /**
+     * Open a document version for download (every download is audited)
+     * @param {string} id - Document ID
+     * @param {number} versionNumber - Version to download (latest when omitted)
+     * @param {Object} viewer - { user, permissions }
+     * @returns {Object} stream, fileName, mimeType, size
+     * @throws {Error} If the document, version, or file is not found
+     */
+    async openDownload(id, versionNumber, viewer) {
+        const document = await this.findVisible(id, viewer);
+
+        const version = versionNumber
+            ? document.versions.find(v => v.version === versionNumber)
+            : document.versions[document.versions.length - 1];
+        if (!version) {
+            throw new Error('Document version not found');
+        }
+
+        const fullPath = this.resolvePath(version.storagePath);
+        let stats;
+        try {
+            stats = await fs.promises.stat(fullPath);
+        } catch (error) {
+            logger.error(`Document file missing: ${version.storagePath}`, error);
+            throw new Error('Document file not found');
+        }
+
+        await auditService.record({
+            action: 'access',
+            entityType: 'EmployeeDocument',
+            entityId: document._id,
+            request: { method: 'GET', path: `/api/documents/${document._id}/download?version=${version.version}`, statusCode: 200 }
+        });
+
+        return {
+            stream: fs.createReadStream(fullPath),
+            fileName: version.fileName,
+            mimeType: version.mimeType,
+            size: stats.size
+        };
+    }
+
+    /**
+     * Get documents that expire within a number of days (expired ones included)
+     * @param {number} days - Look-ahead in days
+     * @returns {Array} Documents with their employee, soonest expiry first
+     */
+    async getExpiringDocuments(days) {
+        const documents = await EmployeeDocument.find({
+            expiresAt: { $ne: null, $lte: new Date(Date.now() + days * DAY_MS) }
+        })
+            .populate('userId', 'name email department')
+            .sort({ expiresAt: 1 });
+
+        return documents.map(document => this.present(document));
+    }
+
+    /**
+     * Email reminders for documents reaching a reminder threshold (DOCUMENT_EXPIRY_REMINDER_DAYS)
+     * Each threshold is reminded once per expiry date; a document that is already inside
+     * several thresholds gets a single email
+     * @param {Date} now - Current time
+     * @returns {number} Number of documents reminded
+     */
+    async sendExpiryReminders(now = new Date()) {
+        if (DOCUMENT_EXPIRY_REMINDER_DAYS.length === 0) {
+            return 0;
+        }
+
+        const horizon = new Date(now.getTime() + DOCUMENT_EXPIRY_REMINDER_DAYS[0] * DAY_MS);
+        const documents = await EmployeeDocument.find({ expiresAt: { $gt: now, $lte: horizon } })
+            .populate('userId', 'name email isActive');
+
+        let reminded = 0;
+        for (const document of documents) {
+            const daysLeft = Math.ceil((document.expiresAt.getTime() - now.getTime()) / DAY_MS);
+            const due = DOCUMENT_EXPIRY_REMINDER_DAYS.filter(days => daysLeft <= days && !document.remindersSent.includes(days));
+            if (due.length === 0) {
+                continue;
+            }
+
+            const employee = document.userId;
+            const recipients = [
+                ...(employee?.isActive && !document.confidential ? [employee.email] : []),
+                ...(DOCUMENT_REMINDER_EMAIL ? [DOCUMENT_REMINDER_EMAIL] : [])
+            ];
+
+            try {
+                if (recipients.length) {
+                    await mailService.sendMail({
+                        to: recipients.join(', '),
+                        subject: `Document expiring in ${daysLeft} day(s): ${document.title}`,
+                        text: `Hello,\n\n` +
+                            `The ${DOCUMENT_CATEGORIES[document.category].label.toLowerCase()} "${document.title}" ` +
+                            `of ${employee?.name || 'an employee'} expires on ${document.expiresAt.toISOString().slice(0, 10)}.\n\n` +
+                            'Please upload a renewed version in the HRMS document vault before it expires.'
+                    });
+                }
+
+                document.remindersSent.push(...due);
+                await document.save();
+                reminded += 1;
+            } catch (error) {
+                logger.error(`Failed to send expiry reminder for document ${document._id}`, error);
+            }
+        }
+
+        return reminded;
+    }
+
+    /**
+     * Check for expiring documents now and every few hours
+     * The timer does not keep the process alive
+     */
+    scheduleExpiryReminders() {
+        const run = () => this.sendExpiryReminders().catch(error => logger.error('Document expiry reminders failed', error));
+
+        run();
+        this.reminderTimer = setInterval(run, REMINDER_INTERVAL_MS);
+        this.reminderTimer.unref();
+    }
+}
+
+export default new DocumentService();
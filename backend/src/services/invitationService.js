@@ -0,0 +1,268 @@
+import crypto from 'crypto';
+import { Invitation } from '../models/invitationModel.js';
+import { User } from '../models/userModel.js';
+import { Department } from '../models/departmentModel.js';
+import roleService from './roleService.js';
+import mailService from './mailService.js';
+import auditService from './auditService.js';
+import passwordPolicyService from './passwordPolicyService.js';
+import lifecycleService from './lifecycleService.js';
+import { generateInviteToken, verifyToken } from '../utils/generateToken.js';
+import { CLIENT_URL, INVITE_EXPIRES_DAYS } from '../config/config.js';
+
+/**
+ * InvitationService class handles invite-only onboarding
+ * Provides methods for issuing, resending, revoking, and accepting invitations
+ */
+class InvitationService {
+    /**
+     * Hash an invitation token for storage
+     * @param {string} token - Invitation token
+     * @returns {string} SHA-256 hex digest
+     */
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Make sure the inviter is not handing out more access than they hold
+     * Also used when users are created or moved to another role directly
+     * @param {string} role - Role to assign
+     * @param {Array} inviterPermissions - Permissions of the inviting user
+     * @throws {Error} If the role does not exist or grants permissions the inviter lacks
+     */
+    async assertCanAssignRole(role, inviterPermissions = []) {
+        if (!(await roleService.roleExists(role))) {
+            throw new Error(`Role '${role}' does not exist`);
+        }
+
+        const rolePermissions = await roleService.getPermissions(role);
+        const missing = rolePermissions.filter(permission => !inviterPermissions.includes(permission));
+        if (missing.length > 0) {
+            throw new Error(`You cannot assign the '${role}' role`);
+        }
+    }
+
+    /**
+     * Issue a fresh token for an invitation and email the link
+     * @param {Object} invitation - Invitation document
+     */
+    async sendInvitation(invitation) {
+        const token = generateInviteToken(invitation._id, invitation.email);
+
+        invitation.tokenHash = this.hashToken(token);
+        invitation.expiresAt = new Date(Date.now() + INVITE_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+        await invitation.save();
+
+        const inviteUrl = `${CLIENT_URL}/accept-invite?token=${token}`;
+        await mailService.sendMail({
+            to: invitation.email,
+            subject: 'You have been invited to HRMS',
+            text: `Hello${invitation.name ? ` ${invitation.name}` : ''},\n\n` +
+                'You have been invited to create an HRMS account. ' +
+                `Use the link below to choose your password. It expires in ${INVITE_EXPIRES_DAYS} days and can only be used once.\n\n` +
+                `${inviteUrl}\n\n` +
+                'If you were not expecting this invitation, you can ignore this email.'
+        });
+    }
+
+    /**
+     * Invite a new user
+     * @param {Object} inviteData - Email, name, role, department, designation, salary
+     * @param {Object} inviter - Inviting user
+     * @param {Array} inviterPermissions - Permissions of the inviting user
+     * @returns {Object} Created invitation
+     * @throws {Error} If the email is taken or the role cannot be assigned
+     */
+    async createInvitation(inviteData, inviter, inviterPermissions = []) {
+        const { name, department, designation, salary } = inviteData;
+        const email = inviteData.email.toLowerCase().trim();
+        // Normalized once, so the role that is checked is the role that is stored
+        const role = String(inviteData.role || 'employee').toLowerCase().trim();
+
+        if (await User.exists({ email })) {
+            throw new Error('User with this email already exists');
+        }
+
+        await this.assertCanAssignRole(role, inviterPermissions);
+
+        if (department && !(await Department.exists({ _id: department }))) {
+            throw new Error('Department not found');
+        }
+
+        // Only the most recent invitation for an email stays valid
+        await Invitation.updateMany(
+            { email, acceptedAt: null, revokedAt: null },
+            { revokedAt: new Date() }
+        );
+
+        const invitation = new Invitation({
+            email,
+            name,
+            role,
+            department,
+            designation,
+            salary,
+            invitedBy: inviter._id,
+            expiresAt: new Date()
+        });
+        await this.sendInvitation(invitation);
+
+        return invitation;
+    }
+
+    /**
+     * Get invitations, newest first
+     * @param {Object} filters - Filter criteria (status, email)
+     * @returns {Object} Invitations data
+     */
+    async getInvitations(filters = {}) {
+        const query = {};
+        const now = new Date();
+
+        if (filters.email) query.email = filters.email.toLowerCase().trim();
+
+        switch (filters.status) {
+            case 'pending':
+                Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+                break;
+            case 'accepted':
+                query.acceptedAt = { $ne: null };
+                break;
+            case 'revoked':
+                Object.assign(query, { acceptedAt: null, revokedAt: { $ne: null } });
+                break;
+            case 'expired':
+                Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+                break;
+        }
+
+        const invitations = await Invitation.find(query)
+            .populate('department', 'name')
+            .populate('invitedBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        return {
+            count: invitations.length,
+            invitations
+        };
+    }
+
+    /**
+     * Resend a pending or expired invitation with a new link
+     * @param {string} id - Invitation ID
+     * @param {Array} inviterPermissions - Permissions of the user resending
+     * @returns {Object} Updated invitation
+     * @throws {Error} If invitation not found, accepted, or revoked
+     */
+    async resendInvitation(id, inviterPermissions = []) {
+        const invitation = await Invitation.findById(id);
+        if (!invitation) {
+            throw new Error('Invitation not found');
+        }
+
+        if (invitation.acceptedAt || invitation.revokedAt) {
+            throw new Error(`Invitation has already been ${invitation.status}`);
+        }
+
+        await this.assertCanAssignRole(invitation.role, inviterPermissions);
+        await this.sendInvitation(invitation);
+
+        return invitation;
+    }
+
+    /**
+     * Revoke an invitation so its link can no longer be used
+     * @param {string} id - Invitation ID
+     * @returns {Object} Success message
+     * @throws {Error} If invitation not found or already accepted
+     */
+    async revokeInvitation(id) {
+        const invitation = await Invitation.findById(id);
+        if (!invitation) {
+            throw new Error('Invitation not found');
+        }
+
+        if (invitation.acceptedAt) {
+            throw new Error('Invitation has already been accepted');
+        }
+
+        if (!invitation.revokedAt) {
+            invitation.revokedAt = new Date();
+            await invitation.save();
+        }
+
+        return { message: 'Invitation revoked successfully' };
+    }
+
+    /**
+     * Accept an invitation and create the invited user's account
+     * @param {string} token - Invitation token from the email link
+     * @param {Object} userData - Password and optional name/phone chosen by the invitee
+     * @returns {Object} Created user
+     * @throws {Error} If the token is invalid, expired, or already used
+     */
+    async acceptInvitation(token, userData) {
+        let decoded;
+        try {
+            decoded = verifyToken(token);
+        } catch (error) {
+            throw new Error('Invitation is invalid or has expired');
+        }
+
+        if (decoded.type !== 'invite' || !decoded.iid) {
+            throw new Error('Invitation is invalid or has expired');
+        }
+
+        // Checked before claiming so a rejected password does not use up the invitation
+        passwordPolicyService.assertAcceptable(userData.password, { name: userData.name, email: decoded.email });
+
+        // Claim the invitation atomically so the same link cannot create two accounts
+        const invitation = await Invitation.findOneAndUpdate(
+            {
+                _id: decoded.iid,
+                tokenHash: this.hashToken(token),
+                acceptedAt: null,
+                revokedAt: null,
+                expiresAt: { $gt: new Date() }
+            },
+            { acceptedAt: new Date() },
+            { new: true }
+        );
+
+        if (!invitation) {
+            throw new Error('Invitation is invalid or has expired');
+        }
+
+        try {
+            if (await User.exists({ email: invitation.email })) {
+                throw new Error('User with this email already exists');
+            }
+
+            const user = await User.create({
+                name: userData.name || invitation.name,
+                email: invitation.email,
+                password: userData.password,
+                phoneNumber: userData.phoneNumber,
+                role: invitation.role,
+                department: invitation.department,
+                designation: invitation.designation,
+                salary: invitation.salary,
+                // The inviter created the employee record
+                ...lifecycleService.getInitialStatus(undefined, { _id: invitation.invitedBy })
+            });
+
+            invitation.acceptedUser = user._id;
+            await invitation.save();
+            await auditService.record({ action: 'create', entityType: 'User', entityId: user._id, after: user });
+
+            return user;
+        } catch (error) {
+            // Let the invitee retry with corrected details
+            await Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null });
+            throw error;
+        }
+    }
+}
+
+export default new InvitationService();
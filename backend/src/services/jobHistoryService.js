@@ -0,0 +1,202 @@
+import { JobHistory } from '../models/jobHistoryModel.js';
+import { Department } from '../models/departmentModel.js';
+import { ProfileChangeRequest } from '../models/profileChangeRequestModel.js';
+import { validateDate } from '../utils/validation.js';
+
+// User fields whose changes are kept as effective-dated history
+export const TRACKED_FIELDS = ['salary', 'designation', 'department'];
+
+const toDay = (date) => new Date(`${date.toISOString().slice(0, 10)}T00:00:00.000Z`);
+const sameValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+/**
+ * JobHistoryService class keeps the salary, designation, and department history of employees
+ * `updateUser` still overwrites the fields on the user; every change is also recorded here
+ * with the date it takes effect, so promotions and raises stay visible and past periods
+ * (e.g. payroll) can use the values that were in effect then
+ */
+class JobHistoryService {
+    /**
+     * Get the tracked fields an update actually changes
+     * @param {Object} user - User document before the update
+     * @param {Object} updateData - Update data
+     * @returns {Array} Changed tracked field names
+     */
+    getChangedFields(user, updateData) {
+        return TRACKED_FIELDS.filter(field =>
+            updateData[field] !== undefined
+            && updateData[field] !== null
+            && !sameValue(user[field]?._id || user[field], updateData[field])
+        );
+    }
+
+    /**
+     * Validate the effective date of a change
+     * @param {string} userId - User ID
+     * @param {Array} fields - Changed tracked fields
+     * @param {string} effectiveDate - YYYY-MM-DD, today when omitted
+     * @returns {Date} Effective date (midnight UTC)
+     * @throws {Error} If the date is invalid, in the future, or before an earlier change of the same field
+     */
+    async resolveEffectiveDate(userId, fields, effectiveDate) {
+        if (effectiveDate !== undefined && effectiveDate !== null && effectiveDate !== '' && !validateDate(effectiveDate)) {
+            throw new Error('effectiveDate must be a date (YYYY-MM-DD)');
+        }
+
+        const effective = effectiveDate ? new Date(`${effectiveDate}T00:00:00.000Z`) : toDay(new Date());
+        if (effective > new Date()) {
+            throw new Error('effectiveDate cannot be in the future');
+        }
+
+        for (const field of fields) {
+            const latest = await JobHistory.findOne({ userId, field }).sort({ effectiveDate: -1 });
+            if (latest && effective < latest.effectiveDate) {
+                throw new Error(
+                    `effectiveDate cannot be before the last ${field} change (${latest.effectiveDate.toISOString().slice(0, 10)})`
+                );
+            }
+        }
+
+        return effective;
+    }
+
+    /**
+     * Record the changes of an update
+     * The first change of a field also records the value it had before, effective from the
+     * date of joining, so the history of employees created before it existed is complete
+     * @param {Object} previous - Tracked field values before the update
+     * @param {Object} user - Saved user document
+     * @param {Array} fields - Changed tracked fields
+     * @param {Object} options - effectiveDate (Date), reason, actor
+     */
+    async recordChanges(previous, user, fields, options = {}) {
+        const { effectiveDate, reason, actor } = options;
+
+        for (const field of fields) {
+            const hasHistory = await JobHistory.exists({ userId: user._id, field });
+            if (!hasHistory && previous[field] !== undefined && previous[field] !== null) {
+                const joined = toDay(user.dateOfJoining || user.createdAt || effectiveDate);
+                await JobHistory.create({
+                    userId: user._id,
+                    field,
+                    value: previous[field],
+                    effectiveDate: joined < effectiveDate ? joined : effectiveDate,
+                    reason: 'Value before history was recorded'
+                });
+            }
+
+            await JobHistory.create({
+                userId: user._id,
+                field,
+                value: user[field] ?? null,
+                previousValue: previous[field] ?? null,
+                effectiveDate,
+                reason: reason ? String(reason).trim() : undefined,
+                changedBy: actor?._id || null
+            });
+        }
+    }
+
+    /**
+     * Get the value of a tracked field on a given day
+     * @param {Object} user - User (the current value is used when the field has no history)
+     * @param {string} field - salary, designation, or department
+     * @param {Date} date - Day to look up
+     * @returns {*} Value in effect on that day
+     */
+    async getValueAt(user, field, date) {
+        const record = await JobHistory.findOne({ userId: user._id, field, effectiveDate: { $lte: date } })
+            .sort({ effectiveDate: -1, createdAt: -1 });
+        if (record) {
+            return record.value;
+        }
+
+        // Before the first recorded change (e.g. before joining) the earliest known value is the best guess
+        const earliest = await JobHistory.findOne({ userId: user._id, field }).sort({ effectiveDate: 1, createdAt: 1 });
+        return earliest ? earliest.value : user[field];
+    }
+
+    /**
+     * Get the salary in effect at the end of a payroll month
+     * @param {Object} user - User with salary
+     * @param {string|number} month - Month (1-12)
+     * @param {number} year - Year
+     * @returns {number} Salary
+     */
+    async getSalaryForMonth(user, month, year) {
+        const monthEnd = new Date(Date.UTC(Number(year), Number(month), 0, 23, 59, 59, 999));
+        return (await this.getValueAt(user, 'salary', monthEnd)) ?? 0;
+    }
+
+    /**
+     * Get an employee's timeline of salary, designation, department, and employment status changes,
+     * and of profile changes applied through approved change requests
+     * @param {Object} user - User with employmentHistory
+     * @param {Array} visibleFields - User fields the viewer may see (changes of other fields are left out)
+     * @returns {Array} Timeline entries, newest first
+     */
+    async getTimeline(user, visibleFields) {
+        const fields = TRACKED_FIELDS.filter(field => visibleFields.includes(field));
+
+        const records = await JobHistory.find({ userId: user._id, field: { $in: fields } })
+            .populate('changedBy', 'name email')
+            .lean();
+
+        // Department values are stored as IDs; show names alongside them
+        const departmentIds = records
+            .filter(record => record.field === 'department')
+            .flatMap(record => [record.value, record.previousValue])
+            .filter(Boolean);
+        const departments = await Department.find({ _id: { $in: departmentIds } }).select('name').lean();
+        const department = (id) => (id ? departments.find(d => d._id.toString() === id.toString()) || { _id: id } : null);
+
+        const entries = records.map(record => ({
+            type: record.field,
+            value: record.field === 'department' ? department(record.value) : record.value,
+            previousValue: record.field === 'department' ? department(record.previousValue) : record.previousValue,
+            effectiveDate: record.effectiveDate,
+            reason: record.reason,
+            changedBy: record.changedBy,
+            recordedAt: record.createdAt
+        }));
+
+        if (visibleFields.includes('employmentStatus')) {
+            for (const change of user.employmentHistory || []) {
+                entries.push({
+                    type: 'employmentStatus',
+                    value: change.status,
+                    previousValue: change.from,
+                    effectiveDate: change.effectiveDate,
+                    reason: change.reason,
+                    changedBy: change.changedBy,
+                    recordedAt: change.changedAt
+                });
+            }
+        }
+
+        // Approved profile change requests take effect on approval
+        const approvedChanges = await ProfileChangeRequest.find({ userId: user._id, status: 'approved' })
+            .populate('reviewedBy', 'name email')
+            .lean();
+        for (const request of approvedChanges) {
+            for (const change of request.changes) {
+                if (!visibleFields.includes(change.field)) continue;
+                entries.push({
+                    type: change.field,
+                    value: change.requestedValue,
+                    previousValue: change.currentValue,
+                    effectiveDate: request.reviewedAt,
+                    reason: request.reason || null,
+                    changedBy: request.reviewedBy,
+                    recordedAt: request.reviewedAt
+                });
+            }
+        }
+
+        return entries.sort((a, b) =>
+            new Date(b.effectiveDate) - new Date(a.effectiveDate) || new Date(b.recordedAt) - new Date(a.recordedAt)
+        );
+    }
+}
+
+export default new JobHistoryService();
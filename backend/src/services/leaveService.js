@@ -1,6 +1,10 @@
 import { Leave } from '../models/leaveModel.js';
+import { User } from '../models/userModel.js';
 import { calculateTotalDays, isPastDate, isFutureDate } from '../utils/dateUtils.js';
 import { validateLeaveType } from '../utils/validation.js';
+import auditService from './auditService.js';
+import orgService from './orgService.js';
+import dependentService from './dependentService.js';
 
 /**
  * LeaveService class handles all leave-related business logic
@@ -38,6 +42,9 @@ class LeaveService {
             throw new Error('Cannot apply for leave on past dates');
         }
 
+        // Maternity and paternity leave need a matching child among the dependents
+        await dependentService.assertLeaveEligible(userId, type, startDate);
+
         // Check for overlapping leaves
         const overlappingLeave = await Leave.findOne({
             userId,
@@ -54,8 +61,12 @@ class LeaveService {
         // Calculate total days
         const totalDays = calculateTotalDays(startDate, endDate);
 
+        // Route the application to the applicant's manager
+        const applicant = await User.findById(userId).select('reportsTo');
+
         const leave = await Leave.create({
             userId,
+            approver: applicant?.reportsTo || null,
             type,
             dateFrom: startDate,
             dateTo: endDate,
@@ -63,8 +74,11 @@ class LeaveService {
             reason: reason.trim()
         });
 
+        await auditService.record({ action: 'create', entityType: 'Leave', entityId: leave._id, after: leave });
+
         return await Leave.findById(leave._id)
-            .populate('userId', 'name email department');
+            .populate('userId', 'name email department')
+            .populate('approver', 'name email');
     }
 
     /**
@@ -86,6 +100,7 @@ class LeaveService {
         const [leaves, total] = await Promise.all([
             Leave.find(query)
                 .populate('userId', 'name email department')
+                .populate('approver', 'name email')
                 .populate('approvedBy', 'name email')
                 .sort({ createdAt: -1 })
                 .skip(skip)
@@ -120,6 +135,7 @@ class LeaveService {
 
         const leaves = await Leave.find(query)
             .populate('userId', 'name email department')
+            .populate('approver', 'name email')
             .populate('approvedBy', 'name email')
             .sort({ createdAt: -1 });
 
@@ -138,6 +154,7 @@ class LeaveService {
     async getLeaveById(id) {
         const leave = await Leave.findById(id)
             .populate('userId', 'name email department')
+            .populate('approver', 'name email')
             .populate('approvedBy', 'name email');
 
         if (!leave) {
@@ -147,14 +164,28 @@ class LeaveService {
         return leave;
     }
 
+    /**
+     * Get the pending leaves a manager can act on (everyone below them in the reporting line)
+     * @param {string} managerId - Manager ID
+     * @param {Object} pagination - Pagination options
+     * @returns {Object} Leaves data with pagination info
+     */
+    async getPendingApprovals(managerId, pagination = {}) {
+        const { page = 1, limit = 10 } = pagination;
+        const reportIds = await orgService.getReportIds(managerId);
+
+        return await this.getAllLeaves({ status: 'pending', userId: { $in: reportIds } }, { page, limit });
+    }
+
     /**
      * Approve leave
      * @param {string} id - Leave ID
-     * @param {string} approverId - ID of user approving the leave
+     * @param {Object} approver - User approving the leave
+     * @param {Array} permissions - Permissions of the approver
      * @returns {Object} Updated leave data
-     * @throws {Error} If leave not found or cannot be approved
+     * @throws {Error} If leave not found, cannot be approved, or the applicant is not in the approver's reporting line
      */
-    async approveLeave(id, approverId) {
+    async approveLeave(id, approver, permissions = []) {
         const leave = await Leave.findById(id);
         if (!leave) {
             throw new Error('Leave not found');
@@ -164,25 +195,32 @@ class LeaveService {
             throw new Error('Only pending leaves can be approved');
         }
 
+        await orgService.assertCanActFor(approver, permissions, leave.userId, 'leave:approve:any');
+
+        const before = auditService.snapshot(leave);
         leave.status = 'approved';
-        leave.approvedBy = approverId;
+        leave.approvedBy = approver._id;
         leave.processedAt = new Date();
 
         const updatedLeave = await leave.save();
+        await auditService.record({ action: 'update', entityType: 'Leave', entityId: updatedLeave._id, before, after: updatedLeave });
+
         return await Leave.findById(updatedLeave._id)
             .populate('userId', 'name email department')
+            .populate('approver', 'name email')
             .populate('approvedBy', 'name email');
     }
 
     /**
      * Reject leave
      * @param {string} id - Leave ID
-     * @param {string} approverId - ID of user rejecting the leave
+     * @param {Object} approver - User rejecting the leave
+     * @param {Array} permissions - Permissions of the approver
      * @param {string} rejectionReason - Reason for rejection
      * @returns {Object} Updated leave data
-     * @throws {Error} If leave not found or cannot be rejected
+     * @throws {Error} If leave not found, cannot be rejected, or the applicant is not in the approver's reporting line
      */
-    async rejectLeave(id, approverId, rejectionReason) {
+    async rejectLeave(id, approver, permissions, rejectionReason) {
         const leave = await Leave.findById(id);
         if (!leave) {
             throw new Error('Leave not found');
@@ -192,14 +230,20 @@ class LeaveService {
             throw new Error('Only pending leaves can be rejected');
         }
 
+        await orgService.assertCanActFor(approver, permissions, leave.userId, 'leave:approve:any');
+
+        const before = auditService.snapshot(leave);
         leave.status = 'rejected';
-        leave.approvedBy = approverId;
+        leave.approvedBy = approver._id;
         leave.rejectionReason = rejectionReason || 'No reason provided';
         leave.processedAt = new Date();
 
         const updatedLeave = await leave.save();
+        await auditService.record({ action: 'update', entityType: 'Leave', entityId: updatedLeave._id, before, after: updatedLeave });
+
         return await Leave.findById(updatedLeave._id)
             .populate('userId', 'name email department')
+            .populate('approver', 'name email')
             .populate('approvedBy', 'name email');
     }
 
@@ -207,25 +251,27 @@ class LeaveService {
      * Cancel leave
      * @param {string} id - Leave ID
      * @param {Object} user - User requesting cancellation
+     * @param {Array} permissions - Permissions of the requesting user
      * @returns {Object} Success message
-     * @throws {Error} If leave not found or cannot be cancelled
+     * @throws {Error} If leave not found or cannot be cancelled, or the applicant is not in the approver's reporting line
      */
-    async cancelLeave(id, user) {
+    async cancelLeave(id, user, permissions = []) {
         const leave = await Leave.findById(id);
         if (!leave) {
             throw new Error('Leave not found');
         }
 
-        // Only allow cancellation if leave is pending, user owns the leave, or user is admin
-        const canCancel = leave.status === 'pending' ||
-                         leave.userId.toString() === user.id ||
-                         user.role === 'admin';
-
-        if (!canCancel) {
-            throw new Error('You can only cancel your own pending leaves');
+        // Employees cancel their own leaves; approvers only those of their reporting line, like approving
+        if (leave.userId.toString() !== user.id) {
+            if (!permissions.includes('leave:approve')) {
+                throw new Error('You can only cancel your own leaves');
+            }
+            await orgService.assertCanActFor(user, permissions, leave.userId, 'leave:approve:any');
         }
 
         await Leave.findByIdAndDelete(id);
+        await auditService.record({ action: 'delete', entityType: 'Leave', entityId: leave._id, before: leave });
+
         return { message: 'Leave cancelled successfully' };
     }
 
@@ -0,0 +1,192 @@
+import { User } from '../models/userModel.js';
+import { EMPLOYMENT_STATUSES, EMPLOYMENT_TRANSITIONS, DEFAULT_EMPLOYMENT_STATUS } from '../config/employmentStatus.js';
+import auditService from './auditService.js';
+import roleService from './roleService.js';
+import { validateDate } from '../utils/validation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * LifecycleService class handles the employment lifecycle of employees
+ * Moves employees between employment statuses (offer accepted, onboarding, probation,
+ * confirmed, on notice, exited) along the allowed transitions, keeps the dated history,
+ * and answers whether an employee has left (used by attendance and payroll)
+ */
+class LifecycleService {
+    /**
+     * Get the statuses an employee can move to from a status
+     * @param {string} status - Current employment status
+     * @returns {Array} Allowed next statuses
+     */
+    getAllowedTransitions(status) {
+        return EMPLOYMENT_TRANSITIONS[status] || [];
+    }
+
+    /**
+     * Build the lifecycle fields of a new employee
+     * @param {string} status - Starting employment status (default: confirmed)
+     * @param {Object} actor - User creating the employee (null for API keys and imports)
+     * @returns {Object} employmentStatus and employmentHistory to store on the new user
+     * @throws {Error} If the status cannot start a lifecycle
+     */
+    getInitialStatus(status = DEFAULT_EMPLOYMENT_STATUS, actor = null) {
+        if (!EMPLOYMENT_STATUSES[status] || ['on_notice', 'exited'].includes(status)) {
+            throw new Error('employmentStatus of a new employee must be offer_accepted, onboarding, probation, or confirmed');
+        }
+
+        return {
+            employmentStatus: status,
+            employmentHistory: [{
+                from: null,
+                status,
+                reason: 'Employee record created',
+                effectiveDate: new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00.000Z`),
+                changedBy: actor?._id || null
+            }]
+        };
+    }
+
+    /**
+     * Change an employee's employment status
+     * @param {string} userId - Employee ID
+     * @param {Object} transitionData - status, reason, effectiveDate (YYYY-MM-DD; the last working day when exiting)
+     * @param {Object} actor - User making the change (null for API keys)
+     * @param {Array} permissions - Permissions of the actor; they must cover the employee's role
+     * @returns {Object} Employment status and history of the employee
+     * @throws {Error} If the user does not exist, their role grants permissions the actor lacks, or the transition is not allowed
+     */
+    async transition(userId, transitionData, actor = null, permissions = []) {
+        const { status, reason, effectiveDate } = transitionData;
+
+        const user = await User.findById(userId);
+        if (!user || !user.isActive) {
+            throw new Error('User not found');
+        }
+
+        await roleService.assertCanManage(user.role, permissions);
+
+        if (!EMPLOYMENT_STATUSES[status]) {
+            throw new Error(`status must be one of: ${Object.keys(EMPLOYMENT_STATUSES).join(', ')}`);
+        }
+
+        const allowed = this.getAllowedTransitions(user.employmentStatus);
+        if (!allowed.includes(status)) {
+            throw new Error(
+                `Cannot move from ${user.employmentStatus} to ${status}` +
+                (allowed.length ? ` (allowed: ${allowed.join(', ')})` : '')
+            );
+        }
+
+        if (!reason || !String(reason).trim()) {
+            throw new Error('A reason is required');
+        }
+
+        if (!effectiveDate || !validateDate(effectiveDate)) {
+            throw new Error('effectiveDate must be a date (YYYY-MM-DD)');
+        }
+
+        const effective = new Date(`${effectiveDate}T00:00:00.000Z`);
+        const previous = user.employmentHistory[user.employmentHistory.length - 1];
+        if (previous && effective < previous.effectiveDate) {
+            throw new Error(`effectiveDate cannot be before the previous change (${previous.effectiveDate.toISOString().slice(0, 10)})`);
+        }
+
+        const before = auditService.snapshot(user);
+
+        user.employmentHistory.push({
+            from: user.employmentStatus,
+            status,
+            reason: String(reason).trim(),
+            effectiveDate: effective,
+            changedBy: actor?._id || null
+        });
+        user.employmentStatus = status;
+
+        if (status === 'exited') {
+            user.lastWorkingDay = effective;
+        } else if (status === 'offer_accepted') {
+            user.lastWorkingDay = null;
+        }
+
+        await user.save();
+        await auditService.record({ action: 'update', entityType: 'User', entityId: user._id, before, after: user });
+
+        return this.toHistory(user);
+    }
+
+    /**
+     * Get an employee's employment status and history
+     * @param {string} userId - Employee ID
+     * @returns {Object} Employment status and history of the employee
+     * @throws {Error} If the user does not exist
+     */
+    async getHistory(userId) {
+        const user = await User.findById(userId)
+            .select('employmentStatus employmentHistory lastWorkingDay isActive')
+            .populate('employmentHistory.changedBy', 'name email');
+
+        if (!user || !user.isActive) {
+            throw new Error('User not found');
+        }
+
+        return this.toHistory(user);
+    }
+
+    /**
+     * Shape the lifecycle data of a user for responses
+     * @param {Object} user - User document
+     * @returns {Object} employmentStatus, lastWorkingDay, allowedTransitions, history
+     */
+    toHistory(user) {
+        return {
+            employmentStatus: user.employmentStatus,
+            lastWorkingDay: user.lastWorkingDay,
+            allowedTransitions: this.getAllowedTransitions(user.employmentStatus),
+            history: user.employmentHistory
+        };
+    }
+
+    /**
+     * Check whether an employee has left by a given time
+     * @param {Object} user - User with employmentStatus and lastWorkingDay
+     * @param {Date} at - Point in time to check (now by default)
+     * @returns {boolean} True if the employee exited and their last working day is over
+     */
+    hasExited(user, at = new Date()) {
+        return user.employmentStatus === 'exited'
+            && !!user.lastWorkingDay
+            && at.getTime() >= new Date(user.lastWorkingDay).getTime() + DAY_MS;
+    }
+
+    /**
+     * Make sure an employee may still record attendance
+     * @param {string} userId - Employee ID
+     * @throws {Error} If the employee has left
+     */
+    async assertCanClockIn(userId) {
+        const user = await User.findById(userId).select('employmentStatus lastWorkingDay');
+
+        if (user && this.hasExited(user)) {
+            throw new Error('Employees who have left cannot clock in');
+        }
+    }
+
+    /**
+     * Query condition matching employees who still work in (part of) a payroll month
+     * @param {string} month - Month (01-12)
+     * @param {number} year - Year
+     * @returns {Object} MongoDB query condition
+     */
+    getPayrollEligibilityQuery(month, year) {
+        const monthStart = new Date(Date.UTC(Number(year), Number(month) - 1, 1));
+
+        return {
+            $or: [
+                { lastWorkingDay: null },
+                { lastWorkingDay: { $gte: monthStart } }
+            ]
+        };
+    }
+}
+
+export default new LifecycleService();
@@ -0,0 +1,90 @@
+import nodemailer from 'nodemailer';
+import logger from '../utils/logger.js';
+import {
+    MAIL_TRANSPORT,
+    MAIL_FROM,
+    SMTP_HOST,
+    SMTP_PORT,
+    SMTP_SECURE,
+    SMTP_USER,
+    SMTP_PASS
+} from '../config/config.js';
+
+/**
+ * Built-in mail transports
+ * A transport is any object with an async send(message) method
+ */
+const transports = {
+    // Logs messages instead of sending them (default for development)
+    console: () => ({
+        async send(message) {
+            logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+            return { messageId: `console-${Date.now()}` };
+        }
+    }),
+    // Sends through an SMTP server, e.g. a local MailHog/Mailpit on port 1025 in development
+    smtp: () => {
+        const transporter = nodemailer.createTransport({
+            host: SMTP_HOST,
+            port: SMTP_PORT,
+            secure: SMTP_SECURE,
+            ...(SMTP_USER && { auth: { user: SMTP_USER, pass: SMTP_PASS } })
+        });
+
+        return {
+            async send(message) {
+                return await transporter.sendMail(message);
+            }
+        };
+    }
+};
+
+/**
+ * MailService class handles outgoing email
+ * Delivery is delegated to a pluggable transport selected by MAIL_TRANSPORT
+ */
+class MailService {
+    constructor() {
+        this.transport = null;
+    }
+
+    /**
+     * Replace the active transport (e.g. with a custom provider)
+     * @param {Object} transport - Object with an async send(message) method
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    /**
+     * Get the active transport, creating the configured one on first use
+     * @returns {Object} Mail transport
+     */
+    getTransport() {
+        if (!this.transport) {
+            const createTransport = transports[MAIL_TRANSPORT];
+            if (!createTransport) {
+                throw new Error(`Unknown mail transport: ${MAIL_TRANSPORT}`);
+            }
+            this.transport = createTransport();
+        }
+        return this.transport;
+    }
+
+    /**
+     * Send an email
+     * @param {Object} message - Message with to, subject, text, and optional html
+     * @returns {Object} Transport delivery result
+     */
+    async sendMail({ to, subject, text, html }) {
+        return await this.getTransport().send({
+            from: MAIL_FROM,
+            to,
+            subject,
+            text,
+            ...(html && { html })
+        });
+    }
+}
+
+export default new MailService();
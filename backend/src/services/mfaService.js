@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { User } from '../models/userModel.js';
+import { generateSecret, verifyCode as verifyTotpCode, buildOtpAuthUrl } from '../utils/totp.js';
+import { MFA_ISSUER, MFA_REQUIRED_ROLES } from '../config/config.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * MfaService class handles TOTP multi-factor authentication
+ * Provides methods for enrollment, verification, recovery codes, and policy checks
+ */
+class MfaService {
+    /**
+     * Check whether MFA is mandatory for a role
+     * @param {string} role - User role
+     * @returns {boolean} True if users with this role must enroll
+     */
+    isRequiredForRole(role) {
+        return MFA_REQUIRED_ROLES.includes(role);
+    }
+
+    /**
+     * Check whether a user still has to enroll in MFA
+     * SSO-only accounts never use a local second factor, the provider enforces MFA for them
+     * @param {Object} user - User document
+     * @returns {boolean} True if the user must enroll before using the API
+     */
+    isEnrollmentRequired(user) {
+        return this.isRequiredForRole(user.role) && !user.mfa?.enabled && !user.passwordLoginDisabled;
+    }
+
+    /**
+     * Hash a recovery code for storage
+     * @param {string} code - Recovery code
+     * @returns {string} SHA-256 hex digest
+     */
+    hashRecoveryCode(code) {
+        const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    /**
+     * Generate a fresh set of recovery codes
+     * @returns {Array} Plain-text recovery codes (formatted xxxxx-xxxxx)
+     */
+    generateRecoveryCodes() {
+        return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const code = crypto.randomBytes(5).toString('hex');
+            return `${code.slice(0, 5)}-${code.slice(5)}`;
+        });
+    }
+
+    /**
+     * Start enrollment by generating a pending secret
+     * @param {string} userId - User ID
+     * @returns {Object} Secret, otpauth URL, and QR code data URL
+     * @throws {Error} If user not found or MFA already enabled
+     */
+    async startEnrollment(userId) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        if (user.mfa?.enabled) {
+            throw new Error('Multi-factor authentication is already enabled');
+        }
+
+        const secret = generateSecret();
+        user.mfa.pendingSecret = secret;
+        await user.save();
+
+        const otpauthUrl = buildOtpAuthUrl({ secret, label: user.email, issuer: MFA_ISSUER });
+
+        return {
+            secret,
+            otpauthUrl,
+            qrCode: await QRCode.toDataURL(otpauthUrl)
+        };
+    }
+
+    /**
+     * Confirm enrollment with a code from the authenticator app
+     * @param {string} userId - User ID
+     * @param {string} code - TOTP code
+     * @returns {Object} Plain-text recovery codes, shown only once
+     * @throws {Error} If there is no pending enrollment or the code is invalid
+     */
+    async confirmEnrollment(userId, code) {
+        const user = await User.findById(userId).select('+mfa.pendingSecret');
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        if (!user.mfa?.pendingSecret) {
+            throw new Error('No pending enrollment, start enrollment first');
+        }
+
+        const step = verifyTotpCode(user.mfa.pendingSecret, code);
+        if (step === null) {
+            throw new Error('Invalid verification code');
+        }
+
+        const recoveryCodes = this.generateRecoveryCodes();
+
+        user.mfa.enabled = true;
+        user.mfa.secret = user.mfa.pendingSecret;
+        user.mfa.pendingSecret = undefined;
+        user.mfa.recoveryCodes = recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode));
+        user.mfa.lastUsedStep = step;
+        user.mfa.enrolledAt = new Date();
+        await user.save();
+
+        return { recoveryCodes };
+    }
+
+    /**
+     * Verify a TOTP or recovery code for a user with MFA enabled
+     * Recovery codes are consumed and TOTP codes cannot be replayed
+     * @param {string} userId - User ID
+     * @param {string} code - TOTP code or recovery code
+     * @returns {boolean} True if the code is valid
+     */
+    async verifyUserCode(userId, code) {
+        const user = await User.findById(userId)
+            .select('+mfa.secret +mfa.recoveryCodes +mfa.lastUsedStep');
+
+        if (!user || !user.mfa?.enabled || !code) {
+            return false;
+        }
+
+        const step = verifyTotpCode(user.mfa.secret, code);
+        if (step !== null) {
+            if (user.mfa.lastUsedStep !== undefined && step <= user.mfa.lastUsedStep) {
+                return false;
+            }
+            user.mfa.lastUsedStep = step;
+            await user.save();
+            return true;
+        }
+
+        const codeHash = this.hashRecoveryCode(code);
+        const index = user.mfa.recoveryCodes.indexOf(codeHash);
+        if (index !== -1) {
+            user.mfa.recoveryCodes.splice(index, 1);
+            await user.save();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Disable MFA after verifying a current code
+     * @param {string} userId - User ID
+     * @param {string} code - TOTP code or recovery code
+     * @throws {Error} If MFA is mandatory for the role or the code is invalid
+     */
+    async disable(userId, code) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        if (!user.mfa?.enabled) {
+            throw new Error('Multi-factor authentication is not enabled');
+        }
+
+        if (this.isRequiredForRole(user.role)) {
+            throw new Error('Multi-factor authentication is mandatory for your role');
+        }
+
+        if (!(await this.verifyUserCode(userId, code))) {
+            throw new Error('Invalid verification code');
+        }
+
+        await User.updateOne(
+            { _id: userId },
+            {
+                $set: { 'mfa.enabled': false, 'mfa.enrolledAt': null },
+                $unset: { 'mfa.secret': 1, 'mfa.pendingSecret': 1, 'mfa.recoveryCodes': 1, 'mfa.lastUsedStep': 1 }
+            }
+        );
+    }
+}
+
+export default new MfaService();
@@ -0,0 +1,339 @@
+import crypto from 'crypto';
+import * as client from 'openid-client';
+import { User } from '../models/userModel.js';
+import auditService from './auditService.js';
+import roleService from './roleService.js';
+import lifecycleService from './lifecycleService.js';
+import { generateOidcFlowToken, verifyToken } from '../utils/generateToken.js';
+import logger from '../utils/logger.js';
+import {
+    OIDC_ISSUER_URL,
+    OIDC_CLIENT_ID,
+    OIDC_CLIENT_SECRET,
+    OIDC_REDIRECT_URI,
+    OIDC_SCOPES,
+    OIDC_GROUPS_CLAIM,
+    OIDC_ROLE_MAPPING,
+    OIDC_AUTO_PROVISION,
+    OIDC_DEFAULT_ROLE,
+    OIDC_ALLOW_INSECURE_REQUESTS
+} from '../config/config.js';
+
+/**
+ * OidcService class handles OpenID Connect single sign-on
+ * Provides methods for the authorization code + PKCE flow, account matching and provisioning,
+ * group-to-role mapping, and linking or unlinking SSO identities
+ */
+class OidcService {
+    constructor() {
+        this.configuration = null;
+    }
+
+    /**
+     * Check whether single sign-on is configured
+     * @returns {boolean} True if an issuer and client ID are set
+     */
+    isEnabled() {
+        return !!(OIDC_ISSUER_URL && OIDC_CLIENT_ID);
+    }
+
+    /**
+     * Discover the provider metadata, once per process
+     * A failed discovery is retried on the next login
+     * @returns {Object} openid-client configuration
+     * @throws {Error} If single sign-on is not configured
+     */
+    async getConfiguration() {
+        if (!this.isEnabled()) {
+            throw new Error('Single sign-on is not configured');
+        }
+
+        if (!this.configuration) {
+            this.configuration = client.discovery(
+                new URL(OIDC_ISSUER_URL),
+                OIDC_CLIENT_ID,
+                OIDC_CLIENT_SECRET,
+                OIDC_CLIENT_SECRET ? undefined : client.None(),
+                OIDC_ALLOW_INSECURE_REQUESTS ? { execute: [client.allowInsecureRequests] } : undefined
+            ).catch(error => {
+                this.configuration = null;
+                logger.error(`OIDC discovery failed for ${OIDC_ISSUER_URL}: ${error.message}`);
+                throw new Error('Single sign-on provider is unavailable');
+            });
+        }
+
+        return this.configuration;
+    }
+
+    /**
+     * Only accept relative paths as the post-login destination to avoid open redirects
+     * @param {string} returnTo - Requested path
+     * @returns {string} Safe path within the client app
+     */
+    sanitizeReturnTo(returnTo) {
+        if (typeof returnTo !== 'string' || !returnTo.startsWith('/') || returnTo.startsWith('//') || returnTo.includes('\\')) {
+            return '/';
+        }
+        return returnTo;
+    }
+
+    /**
+     * Start a login by building the provider authorization URL
+     * @param {string} returnTo - Client path to return to after login
+     * @returns {Object} Authorization URL and the signed flow state to keep in a cookie
+     */
+    async startLogin(returnTo) {
+        const configuration = await this.getConfiguration();
+
+        const codeVerifier = client.randomPKCECodeVerifier();
+        const state = client.randomState();
+        const nonce = client.randomNonce();
+
+        const authorizationUrl = client.buildAuthorizationUrl(configuration, {
+            redirect_uri: OIDC_REDIRECT_URI,
+            scope: OIDC_SCOPES,
+            code_challenge: await client.calculatePKCECodeChallenge(codeVerifier),
+            code_challenge_method: 'S256',
+            state,
+            nonce
+        });
+
+        return {
+            authorizationUrl: authorizationUrl.href,
+            flowToken: generateOidcFlowToken({
+                state,
+                nonce,
+                codeVerifier,
+                returnTo: this.sanitizeReturnTo(returnTo)
+            })
+        };
+    }
+
+    /**
+     * Exchange the authorization code and resolve the HRMS user
+     * @param {string} flowToken - Signed flow state from the login cookie
+     * @param {string} callbackQuery - Query string the provider redirected back with
+     * @returns {Object} User and the client path to return to
+     * @throws {Error} If the flow state is missing, the code exchange fails, or no user can be resolved
+     */
+    async completeLogin(flowToken, callbackQuery) {
+        let flow;
+        try {
+            flow = verifyToken(flowToken);
+        } catch (error) {
+            throw new Error('Single sign-on session expired, please try again');
+        }
+
+        if (flow.type !== 'oidc_flow') {
+            throw new Error('Single sign-on session expired, please try again');
+        }
+
+        const configuration = await this.getConfiguration();
+        const callbackUrl = new URL(OIDC_REDIRECT_URI);
+        callbackUrl.search = callbackQuery;
+
+        let claims;
+        try {
+            const tokens = await client.authorizationCodeGrant(configuration, callbackUrl, {
+                pkceCodeVerifier: flow.codeVerifier,
+                expectedState: flow.state,
+                expectedNonce: flow.nonce,
+                idTokenExpected: true
+            });
+            claims = tokens.claims();
+
+            // Some providers only return profile claims from the userinfo endpoint
+            if (!claims.email) {
+                const userInfo = await client.fetchUserInfo(configuration, tokens.access_token, claims.sub);
+                claims = { ...userInfo, ...claims };
+            }
+        } catch (error) {
+            logger.warn(`OIDC login failed: ${error.error_description || error.message}`);
+            throw new Error('Single sign-on failed, please try again');
+        }
+
+        const user = await this.resolveUser(configuration.serverMetadata().issuer, claims);
+
+        return { user, returnTo: flow.returnTo };
+    }
+
+    /**
+     * Read the groups claim as a list
+     * @param {Object} claims - ID token or userinfo claims
+     * @returns {Array} Group names
+     */
+    getGroups(claims) {
+        const groups = claims[OIDC_GROUPS_CLAIM];
+        if (Array.isArray(groups)) {
+            return groups.map(String);
+        }
+        return typeof groups === 'string' ? groups.split(',').map(group => group.trim()).filter(Boolean) : [];
+    }
+
+    /**
+     * Map provider groups to an HRMS role using OIDC_ROLE_MAPPING
+     * @param {Array} groups - Group names from the provider
+     * @returns {string|null} Role of the first matching mapping, or null if none match
+     */
+    async mapGroupsToRole(groups) {
+        const match = OIDC_ROLE_MAPPING.find(mapping => groups.includes(mapping.group));
+        if (!match) {
+            return null;
+        }
+
+        if (!(await roleService.roleExists(match.role))) {
+            logger.warn(`OIDC_ROLE_MAPPING maps group '${match.group}' to unknown role '${match.role}'`);
+            return null;
+        }
+
+        return match.role;
+    }
+
+    /**
+     * Build a display name that satisfies the user model
+     * @param {Object} claims - ID token or userinfo claims
+     * @param {string} email - User email
+     * @returns {string} Display name
+     */
+    getDisplayName(claims, email) {
+        const name = claims.name
+            || [claims.given_name, claims.family_name].filter(Boolean).join(' ')
+            || email.split('@')[0];
+        return name.trim().padEnd(2, '.').slice(0, 50);
+    }
+
+    /**
+     * Match the provider identity to a user, linking or provisioning as needed
+     * Users are matched by their linked identity first, then by email
+     * @param {string} issuer - Provider issuer identifier
+     * @param {Object} claims - ID token or userinfo claims
+     * @returns {Object} User document with department populated
+     * @throws {Error} If the email is missing or unverified, or the account cannot be used
+     */
+    async resolveUser(issuer, claims) {
+        if (!claims.email) {
+            throw new Error('Single sign-on provider did not return an email address');
+        }
+
+        if (claims.email_verified === false) {
+            throw new Error('Your email address is not verified with the single sign-on provider');
+        }
+
+        const email = claims.email.toLowerCase();
+        const mappedRole = await this.mapGroupsToRole(this.getGroups(claims));
+
+        let user = await User.findOne({ 'oidc.issuer': issuer, 'oidc.subject': claims.sub });
+        if (!user) {
+            user = await User.findOne({ email });
+        }
+
+        if (!user) {
+            if (!OIDC_AUTO_PROVISION) {
+                throw new Error('No HRMS account exists for this email, please ask HR for an invitation');
+            }
+            return this.provisionUser(issuer, claims, email, mappedRole);
+        }
+
+        if (!user.isActive) {
+            throw new Error('User account is deactivated');
+        }
+
+        if (user.hasOidcLink() && (user.oidc.issuer !== issuer || user.oidc.subject !== claims.sub)) {
+            throw new Error('This account is linked to a different single sign-on identity');
+        }
+
+        const before = auditService.snapshot(user);
+
+        if (!user.hasOidcLink()) {
+            user.oidc = { issuer, subject: claims.sub, linkedAt: new Date() };
+        }
+
+        // Mapped groups are the source of truth for the role, unmapped users keep theirs
+        if (mappedRole) {
+            user.role = mappedRole;
+        }
+
+        if (user.isModified()) {
+            await user.save();
+            await auditService.record({ action: 'update', entityType: 'User', entityId: user._id, before, after: user });
+        }
+
+        return user.populate('department');
+    }
+
+    /**
+     * Create an account for a first-time SSO user
+     * The account has no usable password, so password login starts disabled
+     * @param {string} issuer - Provider issuer identifier
+     * @param {Object} claims - ID token or userinfo claims
+     * @param {string} email - Verified email
+     * @param {string|null} mappedRole - Role from the group mapping
+     * @returns {Object} Created user
+     */
+    async provisionUser(issuer, claims, email, mappedRole) {
+        const user = await User.create({
+            name: this.getDisplayName(claims, email),
+            email,
+            password: crypto.randomBytes(32).toString('hex'),
+            role: mappedRole || OIDC_DEFAULT_ROLE,
+            oidc: { issuer, subject: claims.sub, linkedAt: new Date() },
+            passwordLoginDisabled: true,
+            ...lifecycleService.getInitialStatus()
+        });
+        await auditService.record({ action: 'create', entityType: 'User', entityId: user._id, after: user });
+
+        return user;
+    }
+
+    /**
+     * Enable or disable password login for a user linked to SSO
+     * @param {string} userId - User ID
+     * @param {boolean} disabled - True to disable password login
+     * @returns {Object} Updated settings
+     * @throws {Error} If the user is not linked to SSO
+     */
+    async setPasswordLoginDisabled(userId, disabled) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        if (disabled && !user.hasOidcLink()) {
+            throw new Error('Link your account to single sign-on before disabling password login');
+        }
+
+        const before = auditService.snapshot(user);
+        user.passwordLoginDisabled = disabled;
+        await user.save();
+        await auditService.record({ action: 'update', entityType: 'User', entityId: user._id, before, after: user });
+
+        return { passwordLoginDisabled: user.passwordLoginDisabled };
+    }
+
+    /**
+     * Remove the SSO link from a user
+     * @param {string} userId - User ID
+     * @throws {Error} If the user is not linked or could no longer sign in afterwards
+     */
+    async unlink(userId) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        if (!user.hasOidcLink()) {
+            throw new Error('Account is not linked to single sign-on');
+        }
+
+        if (user.passwordLoginDisabled) {
+            throw new Error('Enable password login before unlinking single sign-on');
+        }
+
+        const before = auditService.snapshot(user);
+        user.oidc = undefined;
+        await user.save();
+        await auditService.record({ action: 'update', entityType: 'User', entityId: user._id, before, after: user });
+    }
+}
+
+export default new OidcService();
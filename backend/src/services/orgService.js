@@ -0,0 +1,302 @@
+import { mongoose } from 'mongoose';
+import { User } from '../models/userModel.js';
+import auditService from './auditService.js';
+import { validateObjectId } from '../utils/validation.js';
+
+// Fields of the users shown in hierarchy responses (further filtered by userVisibilityService)
+const ORG_FIELDS = 'name email designation department role profilePicture reportsTo isActive';
+
+/**
+ * OrgService class handles the reporting-line hierarchy built from `User.reportsTo`
+ * Provides methods for validating manager changes (no cycles), walking the hierarchy up
+ * (management chain) and down (direct reports, subtree), building org charts, and
+ * deciding who may approve requests along the chain
+ */
+class OrgService {
+    /**
+     * Convert an ID to an ObjectId for aggregation pipelines
+     * @param {string|Object} id - User ID
+     * @returns {Object} ObjectId
+     */
+    toObjectId(id) {
+        return new mongoose.Types.ObjectId(String(id));
+    }
+
+    /**
+     * Get the IDs of a user's managers, nearest first
+     * $graphLookup stops at users it has already visited, so a corrupt cycle cannot loop forever
+     * @param {string} userId - User ID
+     * @returns {Array} Manager IDs as strings (direct manager first)
+     */
+    async getManagementChainIds(userId) {
+        const [result] = await User.aggregate([
+            { $match: { _id: this.toObjectId(userId) } },
+            {
+                $graphLookup: {
+                    from: User.collection.name,
+                    startWith: '$reportsTo',
+                    connectFromField: 'reportsTo',
+                    connectToField: '_id',
+                    as: 'chain',
+                    depthField: 'depth',
+                    restrictSearchWithMatch: { isActive: true }
+                }
+            },
+            { $project: { chain: { _id: 1, depth: 1 } } }
+        ]);
+
+        return (result?.chain || [])
+            .sort((a, b) => a.depth - b.depth)
+            .map(manager => manager._id.toString())
+            .filter(id => id !== String(userId));
+    }
+
+    /**
+     * Get everyone below a user in the hierarchy
+     * @param {string} userId - User ID
+     * @param {number} maxDepth - Optional number of levels below the direct reports (0 = direct reports only)
+     * @returns {Array} Active users with `depth` (0 for direct reports)
+     */
+    async getReportsWithDepth(userId, maxDepth) {
+        const [result] = await User.aggregate([
+            { $match: { _id: this.toObjectId(userId) } },
+            {
+                $graphLookup: {
+                    from: User.collection.name,
+                    startWith: '$_id',
+                    connectFromField: '_id',
+                    connectToField: 'reportsTo',
+                    as: 'reports',
+                    depthField: 'depth',
+                    restrictSearchWithMatch: { isActive: true },
+                    ...(Number.isInteger(maxDepth) && { maxDepth })
+                }
+            },
+            { $project: { reports: { _id: 1, depth: 1 } } }
+        ]);
+
+        return (result?.reports || []).filter(report => report._id.toString() !== String(userId));
+    }
+
+    /**
+     * Get the IDs of everyone below a user in the hierarchy
+     * @param {string} userId - User ID
+     * @returns {Array} User IDs as strings
+     */
+    async getReportIds(userId) {
+        const reports = await this.getReportsWithDepth(userId);
+        return reports.map(report => report._id.toString());
+    }
+
+    /**
+     * Check whether a user is one of another user's managers (at any level)
+     * @param {string} managerId - Possible manager
+     * @param {string} userId - User whose chain is checked
+     * @returns {boolean} True if managerId is in the user's management chain
+     */
+    async isInManagementChain(managerId, userId) {
+        const chain = await this.getManagementChainIds(userId);
+        return chain.includes(String(managerId));
+    }
+
+    /**
+     * Validate a new manager for a user
+     * @param {string|null} userId - User being changed (null for a user that is being created)
+     * @param {string|null} managerId - New manager, null to clear
+     * @returns {string|null} Manager ID to store
+     * @throws {Error} If the manager does not exist or the change would create a cycle
+     */
+    async assertValidManager(userId, managerId) {
+        if (managerId === null || managerId === '') {
+            return null;
+        }
+
+        if (!validateObjectId(String(managerId))) {
+            throw new Error('reportsTo must be a user ID');
+        }
+
+        if (userId && String(userId) === String(managerId)) {
+            throw new Error('A user cannot report to themselves');
+        }
+
+        if (!(await User.exists({ _id: managerId, isActive: true }))) {
+            throw new Error('Manager not found');
+        }
+
+        // The new manager must not already report to this user, directly or indirectly
+        if (userId && await this.isInManagementChain(userId, managerId)) {
+            throw new Error('This change would create a reporting cycle');
+        }
+
+        return String(managerId);
+    }
+
+    /**
+     * Move the reports of a user who is leaving to that user's own manager
+     * @param {Object} user - Deactivated user document
+     * @returns {number} Number of users moved
+     */
+    async reassignReports(user) {
+        const reports = await User.find({ reportsTo: user._id, isActive: true });
+
+        for (const report of reports) {
+            const before = auditService.snapshot(report);
+            report.reportsTo = user.reportsTo || null;
+            await report.save();
+            await auditService.record({ action: 'update', entityType: 'User', entityId: report._id, before, after: report });
+        }
+
+        return reports.length;
+    }
+
+    /**
+     * Get a user's managers, nearest first
+     * @param {string} userId - User ID
+     * @returns {Array} Managers
+     * @throws {Error} If the user does not exist
+     */
+    async getManagementChain(userId) {
+        if (!(await User.exists({ _id: userId, isActive: true }))) {
+            throw new Error('User not found');
+        }
+
+        const chainIds = await this.getManagementChainIds(userId);
+        const managers = await User.find({ _id: { $in: chainIds } })
+            .select(ORG_FIELDS)
+            .populate('department', 'name')
+            .lean();
+
+        return chainIds.map(id => managers.find(manager => manager._id.toString() === id)).filter(Boolean);
+    }
+
+    /**
+     * Get a user's direct reports
+     * @param {string} userId - User ID
+     * @returns {Array} Direct reports sorted by name
+     * @throws {Error} If the user does not exist
+     */
+    async getDirectReports(userId) {
+        if (!(await User.exists({ _id: userId, isActive: true }))) {
+            throw new Error('User not found');
+        }
+
+        return await User.find({ reportsTo: userId, isActive: true })
+            .select(ORG_FIELDS)
+            .populate('department', 'name')
+            .sort({ name: 1 })
+            .lean();
+    }
+
+    /**
+     * Get everyone below a user as a flat list
+     * @param {string} userId - User ID
+     * @param {number} maxDepth - Optional number of levels below the direct reports
+     * @returns {Array} Users with `depth` (1 for direct reports), nearest first
+     * @throws {Error} If the user does not exist
+     */
+    async getReports(userId, maxDepth) {
+        if (!(await User.exists({ _id: userId, isActive: true }))) {
+            throw new Error('User not found');
+        }
+
+        const reports = await this.getReportsWithDepth(userId, maxDepth);
+        const depthById = new Map(reports.map(report => [report._id.toString(), report.depth + 1]));
+
+        const users = await User.find({ _id: { $in: [...depthById.keys()] } })
+            .select(ORG_FIELDS)
+            .populate('department', 'name')
+            .sort({ name: 1 })
+            .lean();
+
+        return users
+            .map(user => ({ ...user, depth: depthById.get(user._id.toString()) }))
+            .sort((a, b) => a.depth - b.depth);
+    }
+
+    /**
+     * Build org-chart trees from a flat list of users
+     * Users whose manager is not in the list (or who have none) become roots
+     * @param {Array} users - Plain users with reportsTo
+     * @param {Function} serialize - Maps each user to the node data to return
+     * @returns {Array} Root nodes, each with nested `reports`
+     */
+    buildTree(users, serialize = user => user) {
+        const nodes = new Map(users.map(user => [user._id.toString(), { ...serialize(user), reports: [] }]));
+        const roots = [];
+
+        for (const user of users) {
+            const node = nodes.get(user._id.toString());
+            const parent = user.reportsTo && nodes.get(user.reportsTo.toString());
+            if (parent) {
+                parent.reports.push(node);
+            } else {
+                roots.push(node);
+            }
+        }
+
+        return roots;
+    }
+
+    /**
+     * Get the org chart of a department or the whole company
+     * @param {Object} options - department (ID) and root (user ID whose subtree is charted)
+     * @param {Function} serialize - Maps each user to the node data to return
+     * @returns {Array} Root nodes, each with nested `reports`
+     * @throws {Error} If the root user does not exist
+     */
+    async getOrgChart(options = {}, serialize) {
+        const { department, root } = options;
+        const query = { isActive: true };
+
+        if (department) {
+            query.department = department;
+        }
+
+        if (root) {
+            if (!(await User.exists({ _id: root, isActive: true }))) {
+                throw new Error('User not found');
+            }
+            query._id = { $in: [root, ...(await this.getReportIds(root))] };
+        }
+
+        const users = await User.find(query)
+            .select(ORG_FIELDS)
+            .populate('department', 'name')
+            .sort({ name: 1 })
+            .lean();
+
+        return this.buildTree(users, serialize);
+    }
+
+    /**
+     * Check that a user may act on another user's request (e.g. approve leave)
+     * Holders of the "any" permission may act for everyone; others only for the people
+     * below them in the reporting line. Nobody may act on their own requests.
+     * @param {Object} actor - Acting user (null for API keys)
+     * @param {Array} permissions - Permissions of the actor
+     * @param {string} subjectUserId - Owner of the request
+     * @param {string} anyPermission - Permission that lifts the reporting-line restriction
+     * @throws {Error} With code NOT_IN_REPORTING_LINE if the actor may not act
+     */
+    async assertCanActFor(actor, permissions, subjectUserId, anyPermission) {
+        if (actor && actor._id.toString() === String(subjectUserId)) {
+            const error = new Error('You cannot approve your own requests');
+            error.code = 'NOT_IN_REPORTING_LINE';
+            throw error;
+        }
+
+        if (permissions.includes(anyPermission)) {
+            return;
+        }
+
+        if (actor && await this.isInManagementChain(actor._id, subjectUserId)) {
+            return;
+        }
+
+        const error = new Error('You can only act on requests of employees in your reporting line');
+        error.code = 'NOT_IN_REPORTING_LINE';
+        throw error;
+    }
+}
+
+export default new OrgService();
@@ -0,0 +1,191 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import bcrypt from 'bcryptjs';
+import { validatePassword } from '../utils/validation.js';
+import logger from '../utils/logger.js';
+import {
+    PASSWORD_MIN_LENGTH,
+    PASSWORD_MAX_LENGTH,
+    PASSWORD_REQUIRE_UPPERCASE,
+    PASSWORD_REQUIRE_LOWERCASE,
+    PASSWORD_REQUIRE_DIGIT,
+    PASSWORD_REQUIRE_SYMBOL,
+    PASSWORD_DENYLIST_FILE,
+    PASSWORD_HISTORY_COUNT,
+    PASSWORD_MAX_AGE_DAYS
+} from '../config/config.js';
+
+const BUNDLED_DENYLIST = path.join(path.dirname(fileURLToPath(import.meta.url)), '../data/breached-passwords.txt');
+
+/**
+ * PasswordPolicyService class enforces one password policy wherever a password is set
+ * Provides methods for strength checks, the breached-password denylist, password history,
+ * and forced rotation
+ */
+class PasswordPolicyService {
+    constructor() {
+        this.denylist = null;
+    }
+
+    /**
+     * Get the policy in a form clients can display
+     * @returns {Object} Policy settings
+     */
+    getPolicy() {
+        return {
+            minLength: PASSWORD_MIN_LENGTH,
+            maxLength: PASSWORD_MAX_LENGTH,
+            requireUppercase: PASSWORD_REQUIRE_UPPERCASE,
+            requireLowercase: PASSWORD_REQUIRE_LOWERCASE,
+            requireDigit: PASSWORD_REQUIRE_DIGIT,
+            requireSymbol: PASSWORD_REQUIRE_SYMBOL,
+            rejectsBreachedPasswords: true,
+            historyCount: PASSWORD_HISTORY_COUNT,
+            maxAgeDays: PASSWORD_MAX_AGE_DAYS
+        };
+    }
+
+    /**
+     * Load the breached-password denylist, once per process
+     * @returns {Set} Lowercased passwords
+     */
+    getDenylist() {
+        if (!this.denylist) {
+            const file = PASSWORD_DENYLIST_FILE || BUNDLED_DENYLIST;
+            try {
+                this.denylist = new Set(
+                    fs.readFileSync(file, 'utf8')
+                        .split(/\r?\n/)
+                        .map(line => line.trim())
+                        .filter(line => line && !line.startsWith('#'))
+                        .map(line => line.toLowerCase())
+                );
+            } catch (error) {
+                logger.error(`Could not read password denylist ${file}: ${error.message}`);
+                this.denylist = new Set();
+            }
+        }
+
+        return this.denylist;
+    }
+
+    /**
+     * Check a password against the policy
+     * @param {string} password - Candidate password
+     * @param {Object} user - Owner of the password (email and name), used to reject personal passwords
+     * @returns {Array} Policy violations, empty if the password is acceptable
+     */
+    getViolations(password, user = {}) {
+        const { errors } = validatePassword(password);
+        if (typeof password !== 'string' || errors.length > 0) {
+            return errors;
+        }
+
+        const normalized = password.toLowerCase();
+        if (this.getDenylist().has(normalized)) {
+            errors.push('Password appears in a list of breached passwords, choose a different one');
+        }
+
+        const personal = [user.email?.split('@')[0], user.name]
+            .filter(value => value && value.length >= 3)
+            .map(value => value.toLowerCase());
+        if (personal.some(value => normalized.includes(value))) {
+            errors.push('Password must not contain your name or email');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Build the error thrown when a password is rejected
+     * @param {Array} violations - Policy violations
+     * @returns {Error} Error with code PASSWORD_POLICY and the violations
+     */
+    policyError(violations) {
+        const error = new Error(violations.join('. '));
+        error.code = 'PASSWORD_POLICY';
+        error.violations = violations;
+        return error;
+    }
+
+    /**
+     * Reject a password that does not meet the policy
+     * @param {string} password - Candidate password
+     * @param {Object} user - Owner of the password (email and name)
+     * @throws {Error} If the password violates the policy
+     */
+    assertAcceptable(password, user = {}) {
+        const violations = this.getViolations(password, user);
+        if (violations.length > 0) {
+            throw this.policyError(violations);
+        }
+    }
+
+    /**
+     * Reject a password that matches the current one or one in the history
+     * @param {Object} user - User document loaded with password and +passwordHistory
+     * @param {string} password - Candidate password
+     * @throws {Error} If the password was used recently
+     */
+    async assertNotReused(user, password) {
+        if (PASSWORD_HISTORY_COUNT <= 0) {
+            return;
+        }
+
+        const recentHashes = [user.password, ...(user.passwordHistory || [])]
+            .filter(Boolean)
+            .slice(0, PASSWORD_HISTORY_COUNT);
+
+        for (const hash of recentHashes) {
+            if (await bcrypt.compare(password, hash)) {
+                throw this.policyError([`Password must differ from your last ${PASSWORD_HISTORY_COUNT} passwords`]);
+            }
+        }
+    }
+
+    /**
+     * Validate a new password for an existing user and apply it (the caller saves the user)
+     * The current hash moves into the history; hashing happens in the model's pre-save hook
+     * @param {Object} user - User document loaded with password and +passwordHistory
+     * @param {string} password - New password
+     * @throws {Error} If the password violates the policy or was used recently
+     */
+    async applyNewPassword(user, password) {
+        this.assertAcceptable(password, user);
+        await this.assertNotReused(user, password);
+
+        if (PASSWORD_HISTORY_COUNT > 1 && user.password) {
+            user.passwordHistory = [user.password, ...(user.passwordHistory || [])].slice(0, PASSWORD_HISTORY_COUNT - 1);
+        } else {
+            user.passwordHistory = [];
+        }
+
+        user.password = password;
+    }
+
+    /**
+     * Check whether a user has to change their password before using the API
+     * SSO-only accounts are exempt, they never use their password
+     * @param {Object} user - User document
+     * @returns {boolean} True if a password change is required
+     */
+    isChangeRequired(user) {
+        if (user.passwordLoginDisabled) {
+            return false;
+        }
+
+        if (user.mustChangePassword) {
+            return true;
+        }
+
+        if (PASSWORD_MAX_AGE_DAYS > 0) {
+            const changedAt = new Date(user.passwordChangedAt || user.createdAt).getTime();
+            return Date.now() - changedAt > PASSWORD_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+        }
+
+        return false;
+    }
+}
+
+export default new PasswordPolicyService();
@@ -1,5 +1,10 @@
 import { Payroll } from '../models/payrollModel.js';
+import { User } from '../models/userModel.js';
 import { validateSalary } from '../utils/validation.js';
+import auditService from './auditService.js';
+import lifecycleService from './lifecycleService.js';
+import jobHistoryService from './jobHistoryService.js';
+import dependentService from './dependentService.js';
 
 /**
  * PayrollService class handles all payroll-related business logic
@@ -68,12 +73,28 @@ class PayrollService {
 
     /**
      * Create payroll record
-     * @param {Object} payrollData - Payroll data
+     * @param {Object} payrollData - Payroll data; without basicSalary the salary in effect in that month is used,
+     *                               without deductions.insurance the premium for the employee and their insured dependents
      * @returns {Object} Created payroll record
      * @throws {Error} If payroll already exists or validation fails
      */
     async createPayroll(payrollData) {
-        const { userId, month, year, basicSalary, allowances, deductions } = payrollData;
+        const { userId, month, year, allowances } = payrollData;
+        let { basicSalary, deductions } = payrollData;
+
+        const isMissing = (value) => value === undefined || value === null || value === '';
+        if (isMissing(basicSalary) || isMissing(deductions?.insurance)) {
+            const user = await User.findById(userId).select('salary dependents');
+            if (!user) {
+                throw new Error('User not found');
+            }
+            if (isMissing(basicSalary)) {
+                basicSalary = await jobHistoryService.getSalaryForMonth(user, month, year);
+            }
+            if (isMissing(deductions?.insurance)) {
+                deductions = { ...deductions, insurance: dependentService.getInsuranceDeduction(user, month, year) };
+            }
+        }
 
         // Validate basic salary
         const salaryValidation = validateSalary(basicSalary);
@@ -116,6 +137,8 @@ class PayrollService {
             netSalary
         });
 
+        await auditService.record({ action: 'create', entityType: 'Payroll', entityId: payroll._id, after: payroll });
+
         return await Payroll.findById(payroll._id)
             .populate('userId', 'name email department designation');
     }
@@ -141,6 +164,8 @@ class PayrollService {
             }
         }
 
+        const before = auditService.snapshot(payroll);
+
         // Update only provided fields
         Object.keys(updateData).forEach(key => {
             if (updateData[key] !== undefined && updateData[key] !== null) {
@@ -160,6 +185,8 @@ class PayrollService {
         payroll.netSalary = payroll.grossSalary - payroll.totalDeductions;
 
         const updatedPayroll = await payroll.save();
+        await auditService.record({ action: 'update', entityType: 'Payroll', entityId: updatedPayroll._id, before, after: updatedPayroll });
+
         return await Payroll.findById(updatedPayroll._id)
             .populate('userId', 'name email department designation');
     }
@@ -199,13 +226,18 @@ class PayrollService {
         }
 
         await Payroll.findByIdAndDelete(id);
+        await auditService.record({ action: 'delete', entityType: 'Payroll', entityId: payroll._id, before: payroll });
+
         return { message: 'Payroll removed successfully' };
     }
 
-    // Generate payroll for all employees
+    // Generate payroll for all employees (skips employees whose last working day was before the month)
     async generateMonthlyPayroll(month, year) {
-        const { User } = require('../models/userModel.js');
-        const activeUsers = await User.find({ isActive: true, role: { $ne: 'admin' } });
+        const activeUsers = await User.find({
+            isActive: true,
+            role: { $ne: 'admin' },
+            ...lifecycleService.getPayrollEligibilityQuery(month, year)
+        });
 
         const generatedPayrolls = [];
 
@@ -223,7 +255,8 @@ class PayrollService {
                         userId: user._id,
                         month,
                         year,
-                        basicSalary: user.salary || 0,
+                        // Salary in effect in that month, not today's
+                        basicSalary: await jobHistoryService.getSalaryForMonth(user, month, year),
                         allowances: {},
                         deductions: {}
                     });
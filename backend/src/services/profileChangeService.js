@@ -0,0 +1,438 @@
+import { ProfileChangeRequest } from '../models/profileChangeRequestModel.js';
+import { User } from '../models/userModel.js';
+import auditService from './auditService.js';
+import mailService from './mailService.js';
+import logger from '../utils/logger.js';
+import { validateEmail, validatePhoneNumber } from '../utils/validation.js';
+import { SELF_SERVICE_PROFILE_FIELDS } from '../config/profileFields.js';
+import { PROFILE_DIRECT_EDIT_FIELDS } from '../config/config.js';
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Normalize a bank details object
+ * @param {Object} value - accountHolder, bankName, accountNumber, routingCode
+ * @returns {Object} Bank details to store
+ * @throws {Error} If a detail is missing or malformed
+ */
+const normalizeBankDetails = (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('bankDetails must be an object with accountHolder, bankName, accountNumber, and routingCode');
+    }
+
+    const accountHolder = String(value.accountHolder ?? '').trim();
+    const bankName = String(value.bankName ?? '').trim();
+    const accountNumber = String(value.accountNumber ?? '').replace(/\s+/g, '').toUpperCase();
+    const routingCode = String(value.routingCode ?? '').replace(/\s+/g, '').toUpperCase();
+
+    if (!accountHolder || !bankName) {
+        throw new Error('bankDetails needs accountHolder and bankName');
+    }
+    // Long enough for IBANs
+    if (!/^[A-Z0-9]{6,34}$/.test(accountNumber)) {
+        throw new Error('bankDetails.accountNumber must be 6 to 34 letters or digits');
+    }
+    if (routingCode && !/^[A-Z0-9-]{4,15}$/.test(routingCode)) {
+        throw new Error('bankDetails.routingCode must be 4 to 15 letters or digits');
+    }
+
+    return { accountHolder, bankName, accountNumber, ...(routingCode && { routingCode }) };
+};
+
+// Validation and normalization of every self-service field
+const FIELD_NORMALIZERS = {
+    name: (value) => {
+        const name = String(value).trim();
+        if (name.length < 2 || name.length > 50) {
+            throw new Error('name must be 2 to 50 characters');
+        }
+        return name;
+    },
+    email: (value) => {
+        const email = String(value).trim().toLowerCase();
+        if (!validateEmail(email)) {
+            throw new Error('email is not a valid email address');
+        }
+        return email;
+    },
+    phoneNumber: (value) => {
+        const phoneNumber = String(value).trim();
+        if (!validatePhoneNumber(phoneNumber)) {
+            throw new Error('phoneNumber must be 10 to 15 digits');
+        }
+        return phoneNumber;
+    },
+    address: (value) => {
+        const address = String(value).trim();
+        if (address.length > 500) {
+            throw new Error('address must be at most 500 characters');
+        }
+        return address;
+    },
+    bankDetails: normalizeBankDetails
+};
+
+/**
+ * ProfileChangeService class runs the profile change request workflow
+ * Employees edit their own profile through PUT /api/auth/profile: fields configured in
+ * PROFILE_DIRECT_EDIT_FIELDS change immediately, the others are collected into a change
+ * request that a holder of profile-changes:approve approves (applying it) or rejects
+ */
+class ProfileChangeService {
+    /**
+     * Check whether an employee's change of a field needs HR approval
+     * @param {string} field - Self-service profile field
+     * @returns {boolean} True unless the field is directly editable
+     */
+    requiresApproval(field) {
+        return !PROFILE_DIRECT_EDIT_FIELDS.includes(field);
+    }
+
+    /**
+     * Get the self-service profile fields and how they are changed
+     * @returns {Array} field, label, requiresApproval
+     */
+    getFields() {
+        return Object.entries(SELF_SERVICE_PROFILE_FIELDS).map(([field, { label }]) => ({
+            field,
+            label,
+            requiresApproval: this.requiresApproval(field)
+        }));
+    }
+
+    /**
+     * Make sure no other user has an email address
+     * @param {string} email - Email address
+     * @param {string} userId - User who wants it
+     * @throws {Error} If the address is taken
+     */
+    async assertEmailAvailable(email, userId) {
+        if (await User.exists({ email, _id: { $ne: userId } })) {
+            throw new Error('Email already exists');
+        }
+    }
+
+    /**
+     * Split a profile update into direct changes and changes that need approval
+     * Only self-service fields are considered; empty and unchanged values are ignored
+     * @param {Object} user - User document
+     * @param {Object} updateData - Profile update
+     * @returns {Object} { direct, approval }, each a map of field to normalized value
+     * @throws {Error} If a value is invalid
+     */
+    async splitChanges(user, updateData) {
+        const current = user.toObject();
+        const direct = {};
+        const approval = {};
+
+        for (const field of Object.keys(SELF_SERVICE_PROFILE_FIELDS)) {
+            if (isEmpty(updateData[field])) continue;
+
+            const value = FIELD_NORMALIZERS[field](updateData[field]);
+            if (sameValue(value, current[field])) continue;
+
+            if (field === 'email') {
+                await this.assertEmailAvailable(value, user._id);
+            }
+
+            (this.requiresApproval(field) ? approval : direct)[field] = value;
+        }
+
+        return { direct, approval };
+    }
+
+    /**
+     * Populate a change request for responses
+     * @param {string} id - Request ID
+     * @returns {Object} Change request
+     */
+    async findPopulated(id) {
+        return await ProfileChangeRequest.findById(id)
+            .populate('userId', 'name email department')
+            .populate('reviewedBy', 'name email');
+    }
+
+    /**
+     * Make sure none of the fields already has a pending change request
+     * @param {string} userId - Requesting user ID
+     * @param {Array} fields - Fields to request
+     * @throws {Error} If a field already has a pending request
+     */
+    async assertNoPending(userId, fields) {
+        const pending = await ProfileChangeRequest.findOne({
+            userId,
+            status: 'pending',
+            'changes.field': { $in: fields }
+        });
+        if (pending) {
+            const pendingFields = pending.changes.map(change => change.field).filter(field => fields.includes(field));
+            throw new Error(`A change of ${pendingFields.join(', ')} is already awaiting approval; cancel it first`);
+        }
+    }
+
+    /**
+     * Create a change request
+     * @param {Object} user - Requesting user document
+     * @param {Object} changes - Normalized values by field (see splitChanges)
+     * @param {string} reason - Why the change is needed
+     * @returns {Object} Created change request
+     * @throws {Error} If a field already has a pending request
+     */
+    async createRequest(user, changes, reason) {
+        const fields = Object.keys(changes);
+        if (fields.length === 0) {
+            throw new Error('No changes to request');
+        }
+
+        await this.assertNoPending(user._id, fields);
+
+        const current = user.toObject();
+        const request = await ProfileChangeRequest.create({
+            userId: user._id,
+            changes: fields.map(field => ({
+                field,
+                currentValue: current[field] ?? null,
+                requestedValue: changes[field]
+            })),
+            reason: reason ? String(reason).trim() : undefined
+        });
+
+        await auditService.record({ action: 'create', entityType: 'ProfileChangeRequest', entityId: request._id, after: request });
+
+        return await this.findPopulated(request._id);
+    }
+
+    /**
+     * Remove a change request created as part of a profile update that failed to save
+     * @param {string} id - Request ID
+     */
+    async discardRequest(id) {
+        const request = await ProfileChangeRequest.findByIdAndDelete(id);
+        if (request) {
+            await auditService.record({ action: 'delete', entityType: 'ProfileChangeRequest', entityId: request._id, before: request });
+        }
+    }
+
+    /**
+     * Request changes to one's own profile
+     * @param {string} userId - Requesting user ID
+     * @param {Object} changes - New values by field; all must need approval
+     * @param {string} reason - Why the change is needed
+     * @returns {Object} Created change request
+     * @throws {Error} If a value is invalid or a field is directly editable
+     */
+    async submitRequest(userId, changes, reason) {
+        const user = await User.findById(userId);
+        if (!user || !user.isActive) {
+            throw new Error('User not found');
+        }
+
+        const { direct, approval } = await this.splitChanges(user, changes);
+        const directFields = Object.keys(direct);
+        if (directFields.length) {
+            throw new Error(`${directFields.join(', ')} can be changed directly with PUT /api/auth/profile`);
+        }
+
+        return await this.createRequest(user, approval, reason);
+    }
+
+    /**
+     * Get change requests
+     * @param {Object} filters - status, userId
+     * @param {Object} pagination - page, limit
+     * @returns {Object} Change requests with pagination info, oldest first
+     */
+    async getRequests(filters = {}, pagination = {}) {
+        const { status, userId } = filters;
+        const { page = 1, limit = 10 } = pagination;
+        const skip = (page - 1) * limit;
+
+        const query = {};
+        if (status) query.status = status;
+        if (userId) query.userId = userId;
+
+        const [requests, total] = await Promise.all([
+            ProfileChangeRequest.find(query)
+                .populate('userId', 'name email department')
+                .populate('reviewedBy', 'name email')
+                .sort({ createdAt: status === 'pending' ? 1 : -1 })
+                .skip(skip)
+                .limit(limit),
+            ProfileChangeRequest.countDocuments(query)
+        ]);
+
+        return {
+            requests,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalRequests: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Get a change request the viewer may see (their own, or any with profile-changes:approve)
+     * @param {string} id - Request ID
+     * @param {Object} viewer - { user, permissions }
+     * @returns {Object} Change request
+     * @throws {Error} If the request is not found or hidden from the viewer
+     */
+    async getRequestById(id, viewer) {
+        const request = await this.findPopulated(id);
+        const isOwn = request && request.userId?._id.toString() === viewer.user._id.toString();
+        if (!request || (!isOwn && !viewer.permissions.includes('profile-changes:approve'))) {
+            throw new Error('Change request not found');
+        }
+        return request;
+    }
+
+    /**
+     * Load a pending request for a decision
+     * @param {string} id - Request ID
+     * @returns {Object} Change request document
+     * @throws {Error} If the request is not found or no longer pending
+     */
+    async findPending(id) {
+        const request = await ProfileChangeRequest.findById(id);
+        if (!request) {
+            throw new Error('Change request not found');
+        }
+        if (request.status !== 'pending') {
+            throw new Error(`Change request is already ${request.status}`);
+        }
+        return request;
+    }
+
+    /**
+     * Approve a change request and apply it to the employee's profile
+     * @param {string} id - Request ID
+     * @param {Object} reviewer - Approving user
+     * @param {string} comment - Optional comment for the employee
+     * @returns {Object} Approved change request
+     * @throws {Error} If the request cannot be approved or a value is no longer valid
+     */
+    async approveRequest(id, reviewer, comment) {
+        const request = await this.findPending(id);
+        if (request.userId.toString() === reviewer._id.toString()) {
+            throw new Error('You cannot approve your own change request');
+        }
+
+        const user = await User.findById(request.userId);
+        if (!user || !user.isActive) {
+            throw new Error('User not found');
+        }
+
+        const before = auditService.snapshot(user);
+
+        // Values are checked again, e.g. another user may have taken the email address since
+        for (const change of request.changes) {
+            const value = FIELD_NORMALIZERS[change.field](change.requestedValue);
+            if (change.field === 'email') {
+                await this.assertEmailAvailable(value, user._id);
+            }
+            user[change.field] = value;
+        }
+
+        const updatedUser = await user.save();
+        await auditService.record({ action: 'update', entityType: 'User', entityId: updatedUser._id, before, after: updatedUser });
+
+        const decided = await this.decide(request, 'approved', reviewer, comment);
+        await this.notify(decided, updatedUser);
+        return decided;
+    }
+
+    /**
+     * Reject a change request
+     * @param {string} id - Request ID
+     * @param {Object} reviewer - Rejecting user
+     * @param {string} comment - Why the change was rejected (required)
+     * @returns {Object} Rejected change request
+     * @throws {Error} If the request cannot be rejected
+     */
+    async rejectRequest(id, reviewer, comment) {
+        if (!comment || !String(comment).trim()) {
+            throw new Error('A comment is required to reject a change request');
+        }
+
+        const request = await this.findPending(id);
+        if (request.userId.toString() === reviewer._id.toString()) {
+            throw new Error('You cannot reject your own change request');
+        }
+
+        const decided = await this.decide(request, 'rejected', reviewer, comment);
+        await this.notify(decided, await User.findById(request.userId).select('name email'));
+        return decided;
+    }
+
+    /**
+     * Cancel one's own pending change request
+     * @param {string} id - Request ID
+     * @param {Object} user - Requesting user
+     * @returns {Object} Cancelled change request
+     * @throws {Error} If the request is not the user's or no longer pending
+     */
+    async cancelRequest(id, user) {
+        const request = await ProfileChangeRequest.findById(id);
+        if (!request || request.userId.toString() !== user._id.toString()) {
+            throw new Error('Change request not found');
+        }
+        if (request.status !== 'pending') {
+            throw new Error(`Change request is already ${request.status}`);
+        }
+
+        const before = auditService.snapshot(request);
+        request.status = 'cancelled';
+        await request.save();
+        await auditService.record({ action: 'update', entityType: 'ProfileChangeRequest', entityId: request._id, before, after: request });
+
+        return await this.findPopulated(request._id);
+    }
+
+    /**
+     * Record the decision on a request
+     * @param {Object} request - Pending change request document
+     * @param {string} status - approved or rejected
+     * @param {Object} reviewer - Deciding user
+     * @param {string} comment - Reviewer comment
+     * @returns {Object} Updated change request
+     */
+    async decide(request, status, reviewer, comment) {
+        const before = auditService.snapshot(request);
+        request.status = status;
+        request.reviewedBy = reviewer._id;
+        request.reviewedAt = new Date();
+        request.reviewComment = comment ? String(comment).trim() : undefined;
+        await request.save();
+        await auditService.record({ action: 'update', entityType: 'ProfileChangeRequest', entityId: request._id, before, after: request });
+
+        return await this.findPopulated(request._id);
+    }
+
+    /**
+     * Tell the employee about the decision (failures are only logged)
+     * @param {Object} request - Decided change request
+     * @param {Object} user - Employee with name and email
+     */
+    async notify(request, user) {
+        if (!user?.email) return;
+
+        const fields = request.changes.map(change => SELF_SERVICE_PROFILE_FIELDS[change.field].label.toLowerCase()).join(', ');
+        try {
+            await mailService.sendMail({
+                to: user.email,
+                subject: `Your profile change request was ${request.status}`,
+                text: `Hello ${user.name},\n\n` +
+                    `Your request to change your ${fields} was ${request.status}.` +
+                    (request.reviewComment ? `\n\nComment: ${request.reviewComment}` : '')
+            });
+        } catch (error) {
+            logger.error(`Failed to send the decision on profile change request ${request._id}`, error);
+        }
+    }
+}
+
+export default new ProfileChangeService();
@@ -0,0 +1,247 @@
+import { Role } from '../models/roleModel.js';
+import { User } from '../models/userModel.js';
+import auditService from './auditService.js';
+import { PERMISSIONS, ALL_PERMISSIONS, DEFAULT_ROLES } from '../config/permissions.js';
+
+// Role permissions are cached briefly so `protect` does not hit the database on every request
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * RoleService class handles roles and the permissions they bundle
+ * Provides methods for role CRUD, permission lookup, and default role seeding
+ */
+class RoleService {
+    constructor() {
+        this.cache = new Map();
+    }
+
+    /**
+     * Clear cached role permissions after a role changes
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+
+    /**
+     * Get the permissions granted by a role
+     * @param {string} roleName - Role name
+     * @returns {Array} Permission names (empty if the role does not exist)
+     */
+    async getPermissions(roleName) {
+        const cached = this.cache.get(roleName);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.permissions;
+        }
+
+        const role = await Role.findOne({ name: roleName }).select('name permissions');
+        let permissions = role ? role.permissions : [];
+
+        // The admin role always holds every permission, even ones added after it was created
+        if (roleName === 'admin') {
+            permissions = ALL_PERMISSIONS;
+        }
+
+        this.cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+        return permissions;
+    }
+
+    /**
+     * Check if a role exists
+     * @param {string} roleName - Role name
+     * @returns {boolean} True if the role exists
+     */
+    async roleExists(roleName) {
+        return !!(await Role.exists({ name: roleName }));
+    }
+
+    /**
+     * Make sure the actor holds every permission of a user's role before acting on that user's account
+     * Keeps holders of users:write from deactivating, unlocking, or signing out users with more access
+     * @param {string} roleName - Role of the user acted on
+     * @param {Array} permissions - Permissions of the actor
+     * @throws {Error} With code ROLE_NOT_MANAGEABLE if the role grants permissions the actor lacks
+     */
+    async assertCanManage(roleName, permissions = []) {
+        const rolePermissions = await this.getPermissions(roleName);
+        if (rolePermissions.some(permission => !permissions.includes(permission))) {
+            const error = new Error(`You cannot manage users with the '${roleName}' role`);
+            error.code = 'ROLE_NOT_MANAGEABLE';
+            throw error;
+        }
+    }
+
+    /**
+     * Validate a list of permissions against the catalog
+     * @param {Array} permissions - Permission names
+     * @throws {Error} If any permission is unknown
+     */
+    validatePermissions(permissions) {
+        if (!Array.isArray(permissions)) {
+            throw new Error('Permissions must be an array');
+        }
+
+        const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+        }
+    }
+
+    /**
+     * Create default roles that do not exist yet and keep the admin role complete
+     * Roles that were edited by an admin are left untouched
+     */
+    async ensureDefaultRoles() {
+        for (const defaultRole of DEFAULT_ROLES) {
+            const exists = await Role.exists({ name: defaultRole.name });
+            if (!exists) {
+                await Role.create(defaultRole);
+            }
+        }
+
+        await Role.updateOne({ name: 'admin' }, { permissions: ALL_PERMISSIONS, isSystem: true });
+        this.clearCache();
+    }
+
+    /**
+     * Get the permission catalog
+     * @returns {Array} Permissions with descriptions
+     */
+    getPermissionCatalog() {
+        return Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+    }
+
+    /**
+     * Get all roles with the number of active users holding each
+     * @returns {Object} Roles data
+     */
+    async getAllRoles() {
+        const [roles, userCounts] = await Promise.all([
+            Role.find({}).sort({ name: 1 }),
+            User.aggregate([
+                { $match: { isActive: true } },
+                { $group: { _id: '$role', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const countByRole = userCounts.reduce((acc, item) => {
+            acc[item._id] = item.count;
+            return acc;
+        }, {});
+
+        return {
+            count: roles.length,
+            roles: roles.map(role => ({
+                ...role.toObject(),
+                userCount: countByRole[role.name] || 0
+            }))
+        };
+    }
+
+    /**
+     * Get role by ID
+     * @param {string} id - Role ID
+     * @returns {Object} Role data
+     * @throws {Error} If role not found
+     */
+    async getRoleById(id) {
+        const role = await Role.findById(id);
+        if (!role) {
+            throw new Error('Role not found');
+        }
+        return role;
+    }
+
+    /**
+     * Create new role
+     * @param {Object} roleData - Role name, description, and permissions
+     * @returns {Object} Created role
+     * @throws {Error} If role already exists or permissions are invalid
+     */
+    async createRole(roleData) {
+        const { name, description, permissions = [] } = roleData;
+
+        this.validatePermissions(permissions);
+
+        if (await this.roleExists(name.toLowerCase().trim())) {
+            throw new Error('Role with this name already exists');
+        }
+
+        const role = await Role.create({
+            name,
+            description,
+            permissions: [...new Set(permissions)]
+        });
+        await auditService.record({ action: 'create', entityType: 'Role', entityId: role._id, after: role });
+
+        this.clearCache();
+        return role;
+    }
+
+    /**
+     * Update role description and permissions
+     * @param {string} id - Role ID
+     * @param {Object} updateData - Description and/or permissions
+     * @returns {Object} Updated role
+     * @throws {Error} If role not found or the change is not allowed
+     */
+    async updateRole(id, updateData) {
+        const role = await Role.findById(id);
+        if (!role) {
+            throw new Error('Role not found');
+        }
+
+        const before = auditService.snapshot(role);
+
+        if (updateData.name && updateData.name.toLowerCase().trim() !== role.name) {
+            throw new Error('Role names cannot be changed, create a new role instead');
+        }
+
+        if (updateData.permissions !== undefined) {
+            if (role.name === 'admin') {
+                throw new Error('The admin role always has every permission and cannot be edited');
+            }
+            this.validatePermissions(updateData.permissions);
+            role.permissions = [...new Set(updateData.permissions)];
+        }
+
+        if (updateData.description !== undefined) {
+            role.description = updateData.description;
+        }
+
+        const updatedRole = await role.save();
+        await auditService.record({ action: 'update', entityType: 'Role', entityId: updatedRole._id, before, after: updatedRole });
+
+        this.clearCache();
+        return updatedRole;
+    }
+
+    /**
+     * Delete role
+     * @param {string} id - Role ID
+     * @returns {Object} Success message
+     * @throws {Error} If role not found, is a system role, or is still assigned
+     */
+    async deleteRole(id) {
+        const role = await Role.findById(id);
+        if (!role) {
+            throw new Error('Role not found');
+        }
+
+        if (role.isSystem) {
+            throw new Error('System roles cannot be deleted');
+        }
+
+        const assignedCount = await User.countDocuments({ role: role.name });
+        if (assignedCount > 0) {
+            throw new Error(`Cannot delete role. It is assigned to ${assignedCount} user(s). Please reassign them first.`);
+        }
+
+        await Role.findByIdAndDelete(id);
+        await auditService.record({ action: 'delete', entityType: 'Role', entityId: role._id, before: role });
+
+        this.clearCache();
+        return { message: 'Role deleted successfully' };
+    }
+}
+
+export default new RoleService();
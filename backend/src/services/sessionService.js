@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+import { Session } from '../models/sessionModel.js';
+import { generateRefreshToken, verifyToken } from '../utils/generateToken.js';
+import { parseUserAgent } from '../utils/userAgent.js';
+import { REFRESH_TOKEN_EXPIRES_DAYS } from '../config/config.js';
+
+// Last-seen times are refreshed at most this often to avoid a write on every request
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * SessionService class handles server-side sessions backing refresh tokens
+ * Provides methods for creating, rotating, and revoking sessions
+ */
+class SessionService {
+    /**
+     * Hash a refresh token for storage
+     * @param {string} token - Refresh token
+     * @returns {string} SHA-256 hex digest
+     */
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Calculate expiry date for a newly issued refresh token
+     * @returns {Date} Expiry date
+     */
+    getExpiryDate() {
+        return new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Create a session and issue its first refresh token
+     * @param {string} userId - User ID
+     * @param {Object} context - Client metadata (ipAddress, userAgent)
+     * @returns {Object} Created session and refresh token
+     */
+    async createSession(userId, context = {}) {
+        const session = new Session({
+            userId,
+            userAgent: context.userAgent,
+            ipAddress: context.ipAddress,
+            expiresAt: this.getExpiryDate()
+        });
+
+        const refreshToken = generateRefreshToken(userId, session._id);
+        session.refreshTokenHash = this.hashToken(refreshToken);
+        await session.save();
+
+        return { session, refreshToken };
+    }
+
+    /**
+     * Rotate a refresh token, replacing it with a new one
+     * Presenting a token that was already rotated revokes the session
+     * @param {string} refreshToken - Refresh token presented by the client
+     * @param {Object} context - Client metadata (ipAddress, userAgent)
+     * @returns {Object} Updated session and new refresh token
+     * @throws {Error} If token is invalid, session is revoked, or reuse is detected
+     */
+    async rotateSession(refreshToken, context = {}) {
+        let decoded;
+        try {
+            decoded = verifyToken(refreshToken);
+        } catch (error) {
+            throw new Error('Invalid or expired refresh token');
+        }
+
+        if (decoded.type !== 'refresh' || !decoded.sid) {
+            throw new Error('Invalid or expired refresh token');
+        }
+
+        const session = await Session.findById(decoded.sid);
+        if (!session || session.userId.toString() !== decoded.id) {
+            throw new Error('Session not found');
+        }
+
+        if (!session.isActive()) {
+            throw new Error('Session has been revoked, please login again');
+        }
+
+        const presentedHash = this.hashToken(refreshToken);
+        if (session.refreshTokenHash !== presentedHash) {
+            await this.revokeSession(session._id, 'refresh_token_reuse');
+            throw new Error('Refresh token reuse detected, session has been revoked');
+        }
+
+        const newRefreshToken = generateRefreshToken(decoded.id, session._id);
+
+        // Only rotate if nobody else rotated the same token in the meantime
+        const updatedSession = await Session.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+            {
+                refreshTokenHash: this.hashToken(newRefreshToken),
+                lastSeenAt: new Date(),
+                expiresAt: this.getExpiryDate(),
+                ...(context.ipAddress && { ipAddress: context.ipAddress }),
+                ...(context.userAgent && { userAgent: context.userAgent })
+            },
+            { new: true }
+        );
+
+        if (!updatedSession) {
+            await this.revokeSession(session._id, 'refresh_token_reuse');
+            throw new Error('Refresh token reuse detected, session has been revoked');
+        }
+
+        return { session: updatedSession, refreshToken: newRefreshToken };
+    }
+
+    /**
+     * Revoke a session so its refresh token can no longer be used
+     * @param {string} sessionId - Session ID
+     * @param {string} reason - Reason for revocation
+     */
+    async revokeSession(sessionId, reason = 'revoked') {
+        await Session.updateOne(
+            { _id: sessionId, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: reason }
+        );
+    }
+
+    /**
+     * Revoke every active session of a user
+     * @param {string} userId - User ID
+     * @param {string} reason - Reason for revocation
+     * @param {string} exceptSessionId - Optional session to keep (e.g. the current one)
+     */
+    async revokeUserSessions(userId, reason = 'revoked', exceptSessionId = null) {
+        const query = { userId, revokedAt: null };
+        if (exceptSessionId) {
+            query._id = { $ne: exceptSessionId };
+        }
+
+        await Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+    }
+
+    /**
+     * Get a session if it exists and has not been revoked or expired
+     * @param {string} sessionId - Session ID
+     * @returns {Object|null} Active session or null
+     */
+    async getActiveSession(sessionId) {
+        const session = await Session.findById(sessionId).select('userId revokedAt expiresAt lastSeenAt');
+        return session && session.isActive() ? session : null;
+    }
+
+    /**
+     * Record activity on a session, at most once per minute
+     * @param {Object} session - Session document
+     */
+    async touchSession(session) {
+        if (Date.now() - new Date(session.lastSeenAt).getTime() < LAST_SEEN_UPDATE_INTERVAL_MS) {
+            return;
+        }
+
+        await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+    }
+
+    /**
+     * Format a session for display
+     * @param {Object} session - Session document
+     * @param {string} currentSessionId - Session of the request, flagged as current
+     * @returns {Object} Session summary
+     */
+    formatSession(session, currentSessionId = null) {
+        return {
+            _id: session._id,
+            device: parseUserAgent(session.userAgent),
+            userAgent: session.userAgent,
+            ipAddress: session.ipAddress,
+            createdAt: session.createdAt,
+            lastSeenAt: session.lastSeenAt,
+            expiresAt: session.expiresAt,
+            current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+        };
+    }
+
+    /**
+     * List the active sessions of a user, most recently used first
+     * @param {string} userId - User ID
+     * @param {string} currentSessionId - Session of the request, flagged as current
+     * @returns {Object} Sessions data
+     */
+    async getUserSessions(userId, currentSessionId = null) {
+        const sessions = await Session.find({
+            userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastSeenAt: -1 });
+
+        return {
+            count: sessions.length,
+            sessions: sessions.map(session => this.formatSession(session, currentSessionId))
+        };
+    }
+
+    /**
+     * Revoke one active session belonging to a user
+     * @param {string} userId - User ID
+     * @param {string} sessionId - Session ID
+     * @param {string} reason - Reason for revocation
+     * @throws {Error} If the session does not belong to the user or is no longer active
+     */
+    async revokeUserSession(userId, sessionId, reason = 'revoked') {
+        const result = await Session.updateOne(
+            { _id: sessionId, userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+            { revokedAt: new Date(), revokedReason: reason }
+        );
+
+        if (result.matchedCount === 0) {
+            throw new Error('Session not found');
+        }
+    }
+}
+
+export default new SessionService();
@@ -0,0 +1,267 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import { stringify as createCsvStringifier } from 'csv-stringify';
+import { User } from '../models/userModel.js';
+import userVisibilityService from './userVisibilityService.js';
+import customFieldService from './customFieldService.js';
+import { validateObjectId, validateDate } from '../utils/validation.js';
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// Directory columns in export order; `width` is the share of the PDF line a column gets
+const EXPORT_COLUMNS = [
+    { field: 'name', header: 'Name', width: 3, value: user => user.name },
+    { field: 'email', header: 'Email', width: 4, value: user => user.email },
+    { field: 'designation', header: 'Designation', width: 3, value: user => user.designation || '' },
+    { field: 'department', header: 'Department', width: 3, value: user => user.department?.name || '' },
+    { field: 'role', header: 'Role', width: 2, value: user => user.role || '' },
+    { field: 'phoneNumber', header: 'Phone', width: 2.5, value: user => user.phoneNumber || '' },
+    { field: 'address', header: 'Address', width: 4, value: user => user.address || '' },
+    { field: 'dateOfJoining', header: 'Date of Joining', width: 2, value: user => formatDate(user.dateOfJoining) },
+    { field: 'isActive', header: 'Active', width: 1.2, value: user => (user.isActive ? 'Yes' : 'No') },
+    { field: 'salary', header: 'Salary', width: 2, value: user => user.salary ?? '' }
+];
+
+// Users are read from the database in batches of this size
+const CURSOR_BATCH_SIZE = 200;
+
+/**
+ * UserExportService class exports the employee directory as CSV, XLSX, or a PDF roster
+ * Users are streamed from a cursor straight into the response, so the export never holds
+ * the whole directory in memory. Columns follow the viewer's field-level permissions.
+ */
+class UserExportService {
+    /**
+     * Build the user query from export filters
+     * @param {Object} filters - role, department, status (active, inactive, all), joinedFrom, joinedTo (YYYY-MM-DD),
+     *                           and customFields.<key> values of custom fields the viewer may see on everyone
+     * @param {Object} viewer - Viewer from userVisibilityService.getViewer
+     * @returns {Object} MongoDB query
+     * @throws {Error} If a filter is invalid
+     */
+    buildQuery(filters = {}, viewer) {
+        const { role, department, status = 'active', joinedFrom, joinedTo } = filters;
+        const query = {};
+
+        if (!['active', 'inactive', 'all'].includes(status)) {
+            throw new Error('status must be active, inactive, or all');
+        }
+        if (status !== 'all') query.isActive = status === 'active';
+
+        if (role) query.role = String(role).toLowerCase();
+
+        if (department) {
+            if (!validateObjectId(department)) {
+                throw new Error('department must be a department ID');
+            }
+            query.department = department;
+        }
+
+        if (joinedFrom || joinedTo) {
+            query.dateOfJoining = {};
+            if (joinedFrom) {
+                if (!validateDate(joinedFrom)) throw new Error('joinedFrom must be a date (YYYY-MM-DD)');
+                query.dateOfJoining.$gte = new Date(`${joinedFrom}T00:00:00.000Z`);
+            }
+            if (joinedTo) {
+                if (!validateDate(joinedTo)) throw new Error('joinedTo must be a date (YYYY-MM-DD)');
+                query.dateOfJoining.$lte = new Date(`${joinedTo}T23:59:59.999Z`);
+            }
+        }
+
+        Object.assign(query, customFieldService.buildSearchQuery(filters, userVisibilityService.getPermittedCustomFields(viewer)));
+
+        return query;
+    }
+
+    /**
+     * Get the columns a viewer may export: the directory columns, then the custom fields
+     * @param {Object} viewer - Viewer from userVisibilityService.getViewer
+     * @returns {Array} Export columns
+     */
+    getColumns(viewer) {
+        const permitted = userVisibilityService.getPermittedFields(viewer);
+        const customColumns = userVisibilityService.getPermittedCustomFields(viewer).map(definition => ({
+            field: `customFields.${definition.key}`,
+            header: definition.label,
+            width: 2,
+            value: user => {
+                const value = user.customFields?.[definition.key];
+                if (value === undefined || value === null) return '';
+                if (definition.type === 'boolean') return value ? 'Yes' : 'No';
+                return value;
+            }
+        }));
+
+        return [...EXPORT_COLUMNS.filter(column => permitted.includes(column.field)), ...customColumns];
+    }
+
+    /**
+     * Stream the matching users, serialized for the viewer
+     * @param {Object} query - MongoDB query
+     * @param {Object} viewer - Viewer from userVisibilityService.getViewer
+     */
+    async *iterateUsers(query, viewer) {
+        const cursor = User.find(query)
+            .populate('department', 'name')
+            .select('-password')
+            .sort({ name: 1 })
+            .lean()
+            .cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+        for await (const user of cursor) {
+            yield userVisibilityService.serialize(user, viewer);
+        }
+    }
+
+    /**
+     * Write the export to a stream (usually the response)
+     * @param {Object} output - Writable stream
+     * @param {string} format - csv, xlsx, or pdf
+     * @param {Object} filters - Export filters, see buildQuery
+     * @param {Object} viewer - Viewer from userVisibilityService.getViewer
+     * @returns {number} Number of exported users
+     */
+    async writeExport(output, format, filters, viewer) {
+        const query = this.buildQuery(filters, viewer);
+        const columns = this.getColumns(viewer);
+        const users = this.iterateUsers(query, viewer);
+
+        switch (format) {
+            case 'csv':
+                return this.writeCsv(output, columns, users);
+            case 'xlsx':
+                return this.writeXlsx(output, columns, users);
+            case 'pdf':
+                return this.writePdf(output, columns, users, filters);
+            default:
+                throw new Error(`Unsupported export format '${format}'`);
+        }
+    }
+
+    /**
+     * Write users as CSV
+     * @param {Object} output - Writable stream
+     * @param {Array} columns - Export columns
+     * @param {AsyncIterable} users - Serialized users
+     * @returns {number} Number of exported users
+     */
+    async writeCsv(output, columns, users) {
+        const stringifier = createCsvStringifier({ header: true, columns: columns.map(column => column.header) });
+        stringifier.pipe(output);
+
+        let count = 0;
+        for await (const user of users) {
+            if (!stringifier.write(columns.map(column => column.value(user)))) {
+                await once(stringifier, 'drain');
+            }
+            count += 1;
+        }
+
+        stringifier.end();
+        await once(output, 'finish');
+        return count;
+    }
+
+    /**
+     * Write users as an XLSX workbook (streamed, rows are flushed as they are written)
+     * @param {Object} output - Writable stream
+     * @param {Array} columns - Export columns
+     * @param {AsyncIterable} users - Serialized users
+     * @returns {number} Number of exported users
+     */
+    async writeXlsx(output, columns, users) {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+        const worksheet = workbook.addWorksheet('Employees', { views: [{ state: 'frozen', ySplit: 1 }] });
+        worksheet.columns = columns.map(column => ({ header: column.header, key: column.field, width: column.width * 8 }));
+        worksheet.getRow(1).font = { bold: true };
+
+        let count = 0;
+        for await (const user of users) {
+            const values = Object.fromEntries(columns.map(column => [column.field, column.value(user)]));
+            worksheet.addRow(values).commit();
+            count += 1;
+        }
+
+        worksheet.commit();
+        await workbook.commit();
+        return count;
+    }
+
+    /**
+     * Write users as a PDF roster (landscape A4, header repeated on every page)
+     * @param {Object} output - Writable stream
+     * @param {Array} columns - Export columns
+     * @param {AsyncIterable} users - Serialized users
+     * @param {Object} filters - Export filters, printed under the title
+     * @returns {number} Number of exported users
+     */
+    async writePdf(output, columns, users, filters = {}) {
+        const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36, bufferPages: false });
+        doc.pipe(output);
+
+        const left = doc.page.margins.left;
+        const usableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        const totalWeight = columns.reduce((sum, column) => sum + column.width, 0);
+        const widths = columns.map(column => (column.width / totalWeight) * usableWidth);
+        const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+        const drawRow = (cells, font) => {
+            doc.font(font).fontSize(8);
+            const height = Math.max(...cells.map((cell, index) =>
+                doc.heightOfString(String(cell), { width: widths[index] - 4 })
+            )) + 4;
+
+            if (doc.y + height > bottom()) {
+                doc.addPage();
+                drawHeader();
+                doc.font(font).fontSize(8);
+            }
+
+            const top = doc.y;
+            let x = left;
+            cells.forEach((cell, index) => {
+                doc.text(String(cell), x + 2, top + 2, { width: widths[index] - 4 });
+                x += widths[index];
+            });
+            doc.y = top + height;
+            doc.moveTo(left, doc.y).lineTo(left + usableWidth, doc.y).lineWidth(0.25).strokeColor('#cccccc').stroke();
+        };
+
+        const drawHeader = () => {
+            doc.y = doc.page.margins.top;
+            drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+        };
+
+        const appliedFilters = Object.entries(filters)
+            .filter(([, value]) => value)
+            .map(([key, value]) => `${key}: ${value}`)
+            .join(', ');
+
+        doc.font('Helvetica-Bold').fontSize(14).text('Employee Roster', left, doc.page.margins.top);
+        doc.font('Helvetica').fontSize(8).fillColor('#555555')
+            .text(`Generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC${appliedFilters ? ` | ${appliedFilters}` : ''}`);
+        doc.fillColor('#000000').moveDown();
+        drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+
+        let count = 0;
+        for await (const user of users) {
+            drawRow(columns.map(column => column.value(user)), 'Helvetica');
+            count += 1;
+        }
+
+        doc.moveDown().font('Helvetica').fontSize(8).text(`${count} employee(s)`, left);
+        doc.end();
+        await once(output, 'finish');
+        return count;
+    }
+}
+
+export default new UserExportService();
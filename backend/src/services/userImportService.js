@@ -0,0 +1,547 @@
+import path from 'path';
+import crypto from 'crypto';
+import ExcelJS from 'exceljs';
+import { parse as parseCsv } from 'csv-parse/sync';
+import { stringify as stringifyCsv } from 'csv-stringify/sync';
+import { User } from '../models/userModel.js';
+import { Department } from '../models/departmentModel.js';
+import { ImportJob } from '../models/importJobModel.js';
+import invitationService from './invitationService.js';
+import authService from './authService.js';
+import auditService from './auditService.js';
+import logger from '../utils/logger.js';
+import { getCurrentContext } from '../utils/requestContext.js';
+import { validateEmail, validatePhoneNumber, validateObjectId, validateSalary } from '../utils/validation.js';
+import { IMPORT_MAX_ROWS } from '../config/config.js';
+
+// User fields an import can set, with the spreadsheet headers recognised for each
+// Headers are compared lowercased with everything but letters and digits removed
+const IMPORT_FIELDS = {
+    name: ['name', 'fullname', 'employeename'],
+    email: ['email', 'emailaddress', 'workemail'],
+    phoneNumber: ['phone', 'phonenumber', 'mobile', 'mobilenumber'],
+    department: ['department', 'dept', 'departmentname'],
+    designation: ['designation', 'title', 'jobtitle', 'position'],
+    role: ['role'],
+    salary: ['salary', 'basesalary'],
+    address: ['address'],
+    dateOfJoining: ['dateofjoining', 'joiningdate', 'joindate', 'startdate', 'hiredate']
+};
+
+const REQUIRED_FIELDS = ['name', 'email'];
+
+// Job progress is saved every this many rows
+const PROGRESS_INTERVAL = 50;
+
+/**
+ * UserImportService class handles bulk employee imports from CSV and XLSX files
+ * Provides methods for parsing and validating a file (dry run), running the import
+ * as a background job, and building the result report
+ */
+class UserImportService {
+    /**
+     * Normalize a spreadsheet header for matching
+     * @param {string} header - Header as written in the file
+     * @returns {string} Lowercased header with only letters and digits
+     */
+    normalizeHeader(header) {
+        return String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Convert an XLSX cell value into a plain value
+     * @param {*} value - ExcelJS cell value
+     * @returns {*} String, number, Date, or null
+     */
+    normalizeCell(value) {
+        if (value === null || value === undefined) return null;
+        if (value instanceof Date || typeof value !== 'object') return value;
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return value.text;
+        if (value.result !== undefined) return this.normalizeCell(value.result);
+        return null;
+    }
+
+    /**
+     * Read the header row and data rows of an uploaded file
+     * @param {Object} file - Multer file object (memory storage)
+     * @returns {Object} Headers and rows ({ row, values } with values keyed by header)
+     * @throws {Error} If the file cannot be read, is empty, or has too many rows
+     */
+    async parseFile(file) {
+        if (!file) {
+            throw new Error('No file provided');
+        }
+
+        let table;
+        try {
+            if (path.extname(file.originalname).toLowerCase() === '.xlsx') {
+                const workbook = new ExcelJS.Workbook();
+                await workbook.xlsx.load(file.buffer);
+                const worksheet = workbook.worksheets[0];
+                table = [];
+                worksheet?.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+                    table[rowNumber - 1] = row.values.slice(1).map(value => this.normalizeCell(value));
+                });
+            } else {
+                table = parseCsv(file.buffer, { bom: true, relax_column_count: true, skip_empty_lines: false });
+            }
+        } catch (error) {
+            throw new Error(`Could not read ${file.originalname}: ${error.message}`);
+        }
+
+        const [headerRow = [], ...dataRows] = table;
+        const headers = headerRow.map(header => String(header ?? '').trim());
+        if (headers.filter(Boolean).length === 0) {
+            throw new Error('The first row must contain column headers');
+        }
+
+        // Spreadsheet row numbers (the header is row 1), blank rows skipped
+        const rows = [];
+        dataRows.forEach((cells = [], index) => {
+            const values = {};
+            headers.forEach((header, column) => {
+                const cell = cells[column];
+                values[header] = typeof cell === 'string' ? cell.trim() : cell ?? null;
+            });
+            if (Object.values(values).some(value => value !== null && value !== '')) {
+                rows.push({ row: index + 2, values });
+            }
+        });
+
+        if (rows.length === 0) {
+            throw new Error('The file has no data rows');
+        }
+        if (rows.length > IMPORT_MAX_ROWS) {
+            throw new Error(`The file has ${rows.length} rows, the maximum per import is ${IMPORT_MAX_ROWS}`);
+        }
+
+        return { headers, rows };
+    }
+
+    /**
+     * Work out which column feeds which User field
+     * @param {Array} headers - Headers of the file
+     * @param {Object} mapping - Optional explicit { header: field } mapping, overrides recognised headers
+     * @returns {Object} columns ({ header: field }) and ignored headers
+     * @throws {Error} If the mapping is invalid or a required field has no column
+     */
+    resolveColumns(headers, mapping = {}) {
+        const columns = {};
+        const ignored = [];
+
+        for (const [header, field] of Object.entries(mapping)) {
+            if (!headers.includes(header)) {
+                throw new Error(`Mapped column '${header}' is not in the file`);
+            }
+            if (!IMPORT_FIELDS[field]) {
+                throw new Error(`'${field}' cannot be imported. Importable fields: ${Object.keys(IMPORT_FIELDS).join(', ')}`);
+            }
+        }
+
+        for (const header of headers.filter(Boolean)) {
+            const field = mapping[header]
+                || Object.keys(IMPORT_FIELDS).find(key => IMPORT_FIELDS[key].includes(this.normalizeHeader(header)));
+
+            if (field && !Object.values(columns).includes(field)) {
+                columns[header] = field;
+            } else {
+                ignored.push(header);
+            }
+        }
+
+        const missing = REQUIRED_FIELDS.filter(field => !Object.values(columns).includes(field));
+        if (missing.length > 0) {
+            throw new Error(`No column found for: ${missing.join(', ')}`);
+        }
+
+        return { columns, ignored };
+    }
+
+    /**
+     * Parse a date cell (Excel date or YYYY-MM-DD text)
+     * @param {*} value - Cell value
+     * @returns {Date|null} Date, or null if it is not a valid date
+     */
+    parseDate(value) {
+        if (value instanceof Date) {
+            return isNaN(value) ? null : value;
+        }
+
+        const text = String(value);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+            return null;
+        }
+
+        const date = new Date(`${text}T00:00:00.000Z`);
+        return isNaN(date) || date.toISOString().slice(0, 10) !== text ? null : date;
+    }
+
+    /**
+     * Validate every row and build the User data to create
+     * Checks are done against the database as it is now, so they are repeated when the job runs
+     * @param {Array} rows - Parsed rows
+     * @param {Object} columns - { header: field } mapping
+     * @param {Array} importerPermissions - Permissions of the importing user
+     * @returns {Array} { row, data, errors } per row; errors are { field, message }
+     */
+    async validateRows(rows, columns, importerPermissions = []) {
+        const departments = await Department.find({ isActive: true }).select('name');
+        const departmentsByName = new Map(departments.map(department => [department.name.toLowerCase(), department._id]));
+        const departmentIds = new Set(departments.map(department => department._id.toString()));
+
+        const emailHeader = Object.keys(columns).find(header => columns[header] === 'email');
+        const emails = rows
+            .map(({ values }) => String(values[emailHeader] ?? '').toLowerCase())
+            .filter(Boolean);
+        const existingEmails = new Set(
+            (await User.find({ email: { $in: emails } }).select('email')).map(user => user.email)
+        );
+
+        const roleErrors = new Map();
+        const firstRowByEmail = new Map();
+        const results = [];
+
+        for (const { row, values } of rows) {
+            const data = {};
+            const errors = [];
+            const addError = (field, message) => errors.push({ field, message });
+
+            for (const [header, field] of Object.entries(columns)) {
+                const value = values[header];
+                if (value !== null && value !== undefined && value !== '') {
+                    data[field] = value;
+                }
+            }
+
+            // Name and email
+            if (!data.name) {
+                addError('name', 'Name is required');
+            } else {
+                data.name = String(data.name);
+                if (data.name.length < 2 || data.name.length > 50) {
+                    addError('name', 'Name must be between 2 and 50 characters');
+                }
+            }
+
+            if (!data.email) {
+                addError('email', 'Email is required');
+            } else {
+                data.email = String(data.email).toLowerCase();
+                if (!validateEmail(data.email)) {
+                    addError('email', `Invalid email '${data.email}'`);
+                } else if (existingEmails.has(data.email)) {
+                    addError('email', `A user with email ${data.email} already exists`);
+                } else if (firstRowByEmail.has(data.email)) {
+                    addError('email', `Duplicate email, already used in row ${firstRowByEmail.get(data.email)}`);
+                } else {
+                    firstRowByEmail.set(data.email, row);
+                }
+            }
+
+            // Phone numbers are stored as digits only
+            if (data.phoneNumber !== undefined) {
+                const phone = String(data.phoneNumber).replace(/[\s\-().+]/g, '');
+                if (!validatePhoneNumber(phone)) {
+                    addError('phoneNumber', `Invalid phone number '${data.phoneNumber}', expected 10-15 digits`);
+                }
+                data.phoneNumber = phone;
+            }
+
+            // Departments are referenced by name (or ID)
+            if (data.department !== undefined) {
+                const reference = String(data.department);
+                const departmentId = departmentsByName.get(reference.toLowerCase())
+                    || (validateObjectId(reference) && departmentIds.has(reference) ? reference : null);
+                if (!departmentId) {
+                    addError('department', `Unknown department '${reference}'`);
+                }
+                data.department = departmentId;
+            }
+
+            if (data.designation !== undefined) {
+                data.designation = String(data.designation);
+            }
+
+            if (data.address !== undefined) {
+                data.address = String(data.address);
+            }
+
+            // Importers cannot hand out more access than they hold, like invitations
+            data.role = String(data.role || 'employee').toLowerCase().trim();
+            if (!roleErrors.has(data.role)) {
+                try {
+                    await invitationService.assertCanAssignRole(data.role, importerPermissions);
+                    roleErrors.set(data.role, null);
+                } catch (error) {
+                    roleErrors.set(data.role, error.message);
+                }
+            }
+            if (roleErrors.get(data.role)) {
+                addError('role', roleErrors.get(data.role));
+            }
+
+            if (data.salary !== undefined) {
+                const salary = typeof data.salary === 'number' ? data.salary : Number(String(data.salary).replace(/,/g, ''));
+                const salaryValidation = validateSalary(salary);
+                if (Number.isNaN(salary) || !salaryValidation.isValid) {
+                    addError('salary', Number.isNaN(salary) ? `Invalid salary '${data.salary}'` : salaryValidation.message);
+                }
+                data.salary = salary;
+            }
+
+            if (data.dateOfJoining !== undefined) {
+                const dateOfJoining = this.parseDate(data.dateOfJoining);
+                if (!dateOfJoining) {
+                    addError('dateOfJoining', `Invalid date of joining '${data.dateOfJoining}', use YYYY-MM-DD`);
+                }
+                data.dateOfJoining = dateOfJoining;
+            }
+
+            results.push({ row, data, errors });
+        }
+
+        return results;
+    }
+
+    /**
+     * Parse a file and resolve its columns
+     * @param {Object} file - Multer file object
+     * @param {Object} mapping - Optional { header: field } mapping
+     * @returns {Object} rows, columns, and ignored headers
+     */
+    async prepare(file, mapping) {
+        const { headers, rows } = await this.parseFile(file);
+        const { columns, ignored } = this.resolveColumns(headers, mapping);
+        return { rows, columns, ignored };
+    }
+
+    /**
+     * Validate a file without importing anything
+     * @param {Object} file - Multer file object
+     * @param {Object} mapping - Optional { header: field } mapping
+     * @param {Array} importerPermissions - Permissions of the importing user
+     * @returns {Object} Row counts, column mapping, and every row-level error
+     */
+    async dryRun(file, mapping, importerPermissions = []) {
+        const { rows, columns, ignored } = await this.prepare(file, mapping);
+        const results = await this.validateRows(rows, columns, importerPermissions);
+        const invalid = results.filter(result => result.errors.length > 0);
+
+        return {
+            fileName: file.originalname,
+            totalRows: results.length,
+            validRows: results.length - invalid.length,
+            invalidRows: invalid.length,
+            columns,
+            ignoredColumns: ignored,
+            errors: invalid.flatMap(({ row, data, errors }) =>
+                errors.map(error => ({ row, email: data.email || null, ...error }))
+            )
+        };
+    }
+
+    /**
+     * Start an import job; rows are processed in the background
+     * @param {Object} file - Multer file object
+     * @param {Object} options - mapping and sendSetupEmails
+     * @param {Object} importer - Importing user
+     * @param {Array} importerPermissions - Permissions of the importing user
+     * @returns {Object} Queued import job
+     */
+    async startImport(file, options, importer, importerPermissions = []) {
+        const { mapping, sendSetupEmails = true } = options;
+        const { rows, columns } = await this.prepare(file, mapping);
+
+        const job = await ImportJob.create({
+            fileName: file.originalname,
+            columns,
+            sendSetupEmails,
+            totalRows: rows.length,
+            createdBy: importer._id
+        });
+
+        // Runs after the response, so the importer is handed to the audit trail explicitly
+        const context = { ...getCurrentContext(), actor: importer };
+        setImmediate(() => {
+            this.runJob(job._id, rows, columns, importerPermissions, context).catch(error => {
+                logger.error(`Import job ${job._id} failed`, error);
+            });
+        });
+
+        return job;
+    }
+
+    /**
+     * Process an import job: validate every row again and create the valid ones
+     * @param {string} jobId - Import job ID
+     * @param {Array} rows - Parsed rows
+     * @param {Object} columns - { header: field } mapping
+     * @param {Array} importerPermissions - Permissions of the importing user
+     * @param {Object} context - Request context of the import (importer, IP address, user agent) for the audit trail
+     */
+    async runJob(jobId, rows, columns, importerPermissions = [], context = {}) {
+        const job = await ImportJob.findById(jobId).select('+results');
+        job.status = 'running';
+        job.startedAt = new Date();
+        await job.save();
+
+        try {
+            const validated = await this.validateRows(rows, columns, importerPermissions);
+
+            for (const { row, data, errors } of validated) {
+                const result = { row, email: data.email, name: data.name };
+
+                if (errors.length > 0) {
+                    job.results.push({ ...result, status: 'failed', messages: errors.map(error => error.message) });
+                    job.failedCount += 1;
+                } else {
+                    try {
+                        const user = await this.createUser(data, job.sendSetupEmails, context);
+                        job.results.push({ ...result, status: 'created', user: user._id });
+                        job.createdCount += 1;
+                    } catch (error) {
+                        job.results.push({ ...result, status: 'failed', messages: [error.message] });
+                        job.failedCount += 1;
+                    }
+                }
+
+                job.processedRows += 1;
+                if (job.processedRows % PROGRESS_INTERVAL === 0) {
+                    await job.save();
+                }
+            }
+
+            job.status = 'completed';
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+        }
+
+        job.finishedAt = new Date();
+        await job.save();
+        logger.info(`Import job ${job._id} ${job.status}: ${job.createdCount} created, ${job.failedCount} failed`);
+    }
+
+    /**
+     * Create one imported user
+     * Imported users get an unusable random password and choose their own through the setup email
+     * @param {Object} data - Validated user data
+     * @param {boolean} sendSetupEmail - Email the password setup link
+     * @param {Object} context - Request context of the import for the audit trail
+     * @returns {Object} Created user
+     */
+    async createUser(data, sendSetupEmail, context = {}) {
+        const user = await User.create({
+            ...data,
+            password: crypto.randomBytes(32).toString('hex')
+        });
+        await auditService.record({ action: 'create', entityType: 'User', entityId: user._id, after: user }, context);
+
+        if (sendSetupEmail) {
+            try {
+                await authService.sendPasswordSetupEmail(user);
+            } catch (error) {
+                // The account exists either way; the user can still use forgot password
+                logger.warn(`Password setup email to ${user.email} failed: ${error.message}`);
+            }
+        }
+
+        return user;
+    }
+
+    /**
+     * Get import jobs, newest first
+     * @param {Object} pagination - page, limit
+     * @returns {Object} Jobs with pagination info
+     */
+    async getJobs(pagination = {}) {
+        const { page = 1, limit = 20 } = pagination;
+        const skip = (page - 1) * limit;
+
+        const [jobs, total] = await Promise.all([
+            ImportJob.find()
+                .populate('createdBy', 'name email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            ImportJob.countDocuments()
+        ]);
+
+        return {
+            jobs,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalJobs: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Get an import job with its row results
+     * @param {string} id - Import job ID
+     * @returns {Object} Import job
+     * @throws {Error} If the job does not exist
+     */
+    async getJob(id) {
+        const job = await ImportJob.findById(id)
+            .select('+results')
+            .populate('createdBy', 'name email');
+
+        if (!job) {
+            throw new Error('Import job not found');
+        }
+
+        return job;
+    }
+
+    /**
+     * Build the CSV result report of a finished job
+     * @param {string} id - Import job ID
+     * @returns {Object} fileName and CSV content
+     * @throws {Error} If the job does not exist or is still running
+     */
+    async getReport(id) {
+        const job = await this.getJob(id);
+        if (!['completed', 'failed'].includes(job.status)) {
+            throw new Error('The import is still running, try again when it has finished');
+        }
+
+        const csv = stringifyCsv(
+            job.results.map(result => ({
+                row: result.row,
+                email: result.email || '',
+                name: result.name || '',
+                status: result.status,
+                userId: result.user ? result.user.toString() : '',
+                errors: result.messages.join('; ')
+            })),
+            { header: true, columns: ['row', 'email', 'name', 'status', 'userId', 'errors'] }
+        );
+
+        return {
+            fileName: `import-${job._id}-report.csv`,
+            csv
+        };
+    }
+
+    /**
+     * Mark jobs interrupted by a restart as failed
+     * Rows are held in memory while a job runs, so they cannot be resumed
+     */
+    async failInterruptedJobs() {
+        const { modifiedCount } = await ImportJob.updateMany(
+            { status: { $in: ['queued', 'running'] } },
+            { status: 'failed', error: 'Interrupted by a server restart, import the remaining rows again', finishedAt: new Date() }
+        );
+
+        if (modifiedCount > 0) {
+            logger.warn(`${modifiedCount} import job(s) interrupted by a restart marked as failed`);
+        }
+    }
+}
+
+export default new UserImportService();
@@ -1,5 +1,47 @@
+import { mongoose } from 'mongoose';
 import { User } from '../models/userModel.js';
+import { Department } from '../models/departmentModel.js';
 import fileService from './fileService.js';
+import sessionService from './sessionService.js';
+import auditService from './auditService.js';
+import passwordPolicyService from './passwordPolicyService.js';
+import orgService from './orgService.js';
+import lifecycleService from './lifecycleService.js';
+import jobHistoryService from './jobHistoryService.js';
+import customFieldService from './customFieldService.js';
+import invitationService from './invitationService.js';
+import roleService from './roleService.js';
+import logger from '../utils/logger.js';
+import { validateObjectId, escapeRegex } from '../utils/validation.js';
+import { ADMIN_EMAIL, ADMIN_PASSWORD } from '../config/config.js';
+
+// Longest accepted search input
+const SEARCH_TERM_MAX_LENGTH = 100;
+// Values listed per search facet
+const SEARCH_FACET_LIMIT = 20;
+
+// Fields managed internally that must never be set through the update API
+const NON_UPDATABLE_FIELDS = [
+    'tokenVersion',
+    'passwordHistory',
+    'passwordChangedAt',
+    'passwordResetTokenHash',
+    'passwordResetExpiresAt',
+    'failedLoginAttempts',
+    'lockCount',
+    'lockUntil',
+    'mfa',
+    'oidc',
+    // Derived from the name on save
+    'nameSearchKeys',
+    // Changed through lifecycleService.transition only
+    'employmentStatus',
+    'employmentHistory',
+    'lastWorkingDay',
+    // Changed through dependentService only
+    'emergencyContacts',
+    'dependents'
+];
 
 /**
  * UserService class handles all user-related business logic
@@ -8,7 +50,7 @@ import fileService from './fileService.js';
 class UserService {
     /**
      * Get all users with optional filtering and pagination
-     * @param {Object} filters - Filter criteria (role, department, etc.)
+     * @param {Object} filters - Filter criteria (role, department, etc.); customFields holds conditions from customFieldService.buildSearchQuery
      * @param {Object} options - Pagination options (page, limit)
      * @returns {Object} Users data with pagination info
      */
@@ -20,6 +62,7 @@ class UserService {
         const query = { isActive: true };
         if (filters.role) query.role = filters.role;
         if (filters.department) query.department = filters.department;
+        Object.assign(query, filters.customFields);
 
         const [users, total] = await Promise.all([
             User.find(query)
@@ -52,6 +95,7 @@ class UserService {
     async getUserById(id) {
         const user = await User.findById(id)
             .populate('department', 'name description')
+            .populate('reportsTo', 'name email designation')
             .select('-password');
 
         if (!user || !user.isActive) {
@@ -63,11 +107,23 @@ class UserService {
     /**
      * Create new user
      * @param {Object} userData - User data
+     * @param {Object} actor - User creating the employee (recorded in the employment history)
+     * @param {Array} permissions - Permissions of the creator; the role may not grant more
      * @returns {Object} Created user data
-     * @throws {Error} If user already exists or validation fails
+     * @throws {Error} If user already exists, the role cannot be assigned, or validation fails
      */
-    async createUser(userData) {
-        const { name, email, password, role, department, designation, salary, phoneNumber, address } = userData;
+    async createUser(userData, actor = null, permissions = []) {
+        const {
+            name, email, password, role, department, designation, reportsTo, salary, phoneNumber, address, mustChangePassword,
+            employmentStatus, customFields
+        } = userData;
+
+        passwordPolicyService.assertAcceptable(password, { name, email });
+        const userRole = String(role || 'employee').toLowerCase().trim();
+        await invitationService.assertCanAssignRole(userRole, permissions);
+        const manager = reportsTo ? await orgService.assertValidManager(null, reportsTo) : null;
+        const lifecycle = lifecycleService.getInitialStatus(employmentStatus || undefined, actor);
+        const customFieldValues = await customFieldService.validateValues(customFields);
 
         // Check if user exists
         const userExists = await User.findOne({ email });
@@ -80,32 +136,117 @@ class UserService {
             name,
             email,
             password,
-            role: role || 'employee',
+            role: userRole,
             department,
             designation,
+            reportsTo: manager,
             salary,
             phoneNumber,
-            address
+            address,
+            customFields: customFieldValues,
+            ...lifecycle,
+            // The admin chose this password, so the user replaces it on first login unless told otherwise
+            mustChangePassword: mustChangePassword ?? true
         });
 
+        await auditService.record({ action: 'create', entityType: 'User', entityId: user._id, after: user });
+
         return await User.findById(user._id)
             .populate('department', 'name description')
             .select('-password');
     }
 
+    /**
+     * Create the first admin from ADMIN_EMAIL/ADMIN_PASSWORD when no admin exists
+     * Registration is invite-only, so this is how a fresh installation gets its first user
+     */
+    async ensureInitialAdmin() {
+        if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+            return;
+        }
+
+        if (await User.exists({ role: 'admin' })) {
+            return;
+        }
+
+        if (await User.exists({ email: ADMIN_EMAIL.toLowerCase() })) {
+            logger.warn(`ADMIN_EMAIL ${ADMIN_EMAIL} belongs to an existing non-admin user, initial admin not created`);
+            return;
+        }
+
+        const violations = passwordPolicyService.getViolations(ADMIN_PASSWORD, { email: ADMIN_EMAIL });
+        if (violations.length > 0) {
+            logger.error(`ADMIN_PASSWORD does not meet the password policy, initial admin not created: ${violations.join('. ')}`);
+            return;
+        }
+
+        // ADMIN_PASSWORD sits in the environment, so it is only good for the first login
+        const admin = await User.create({
+            name: 'Administrator',
+            email: ADMIN_EMAIL,
+            password: ADMIN_PASSWORD,
+            role: 'admin',
+            mustChangePassword: true
+        });
+        await auditService.record({ action: 'create', entityType: 'User', entityId: admin._id, after: admin });
+        logger.info(`Initial admin account created for ${ADMIN_EMAIL}`);
+    }
+
+    /**
+     * Fill in the type-ahead keys of users saved before they existed
+     * Runs on startup; users saved since then get them from the model's save hook
+     */
+    async ensureNameSearchKeys() {
+        const cursor = User.find({ nameSearchKeys: { $exists: false } }).select('name').lean().cursor();
+
+        let updates = [];
+        let updated = 0;
+        for await (const user of cursor) {
+            updates.push({
+                updateOne: {
+                    filter: { _id: user._id },
+                    update: { $set: { nameSearchKeys: User.buildNameSearchKeys(user.name) } }
+                }
+            });
+            if (updates.length === 500) {
+                await User.bulkWrite(updates);
+                updated += updates.length;
+                updates = [];
+            }
+        }
+        if (updates.length) {
+            await User.bulkWrite(updates);
+            updated += updates.length;
+        }
+
+        if (updated) {
+            logger.info(`Type-ahead search keys added for ${updated} users`);
+        }
+    }
+
     /**
      * Update user
      * @param {string} id - User ID
-     * @param {Object} updateData - Data to update
+     * @param {Object} updateData - Data to update; effectiveDate and changeReason describe salary, designation, and department changes
+     * @param {Object} actor - User making the change (recorded in the job history)
+     * @param {Array} permissions - Permissions of the editor; they must cover the user's current and new role
      * @returns {Object} Updated user data
-     * @throws {Error} If user not found
+     * @throws {Error} If user not found or the editor holds less access than the user's role
      */
-    async updateUser(id, updateData) {
-        const user = await User.findById(id);
+    async updateUser(id, updateData, actor = null, permissions = []) {
+        const user = await User.findById(id).select('+passwordHistory');
         if (!user || !user.isActive) {
             throw new Error('User not found');
         }
 
+        // Editors cannot take over accounts that hold more access than they do, nor promote anyone past themselves
+        await roleService.assertCanManage(user.role, permissions);
+        const roleChanged = updateData.role !== undefined && updateData.role !== null
+            && String(updateData.role).toLowerCase().trim() !== user.role;
+        if (roleChanged) {
+            await invitationService.assertCanAssignRole(String(updateData.role).toLowerCase().trim(), permissions);
+        }
+
         // Check if email is being updated and already exists
         if (updateData.email && updateData.email !== user.email) {
             const emailExists = await User.findOne({ email: updateData.email });
@@ -114,14 +255,77 @@ class UserService {
             }
         }
 
+        // Switching off password login would lock out a user who cannot sign in through SSO
+        if (updateData.passwordLoginDisabled === true && !user.hasOidcLink()) {
+            throw new Error('Password login can only be disabled for users linked to single sign-on');
+        }
+
+        // Manager changes are checked for cycles; null clears the manager
+        const managerChanged = updateData.reportsTo !== undefined;
+        const manager = managerChanged ? await orgService.assertValidManager(user._id, updateData.reportsTo) : null;
+
+        // Salary, designation, and department changes are kept as effective-dated history
+        const jobChanges = jobHistoryService.getChangedFields(user, updateData);
+        const effectiveDate = jobChanges.length
+            ? await jobHistoryService.resolveEffectiveDate(user._id, jobChanges, updateData.effectiveDate)
+            : null;
+        const previousJob = Object.fromEntries(jobChanges.map(field => [field, user[field]]));
+
+        // Custom field values are merged into the stored ones; null clears a value
+        const customFields = updateData.customFields !== undefined
+            ? await customFieldService.validateValues(updateData.customFields, user.customFields)
+            : null;
+
+        const before = auditService.snapshot(user);
+
         // Update only provided fields
         Object.keys(updateData).forEach(key => {
+            if (NON_UPDATABLE_FIELDS.includes(key) || ['password', 'reportsTo', 'customFields', 'effectiveDate', 'changeReason'].includes(key)) return;
             if (updateData[key] !== undefined && updateData[key] !== null) {
                 user[key] = updateData[key];
             }
         });
 
+        if (managerChanged) {
+            user.reportsTo = manager;
+        }
+
+        if (customFields) {
+            user.customFields = customFields;
+        }
+
+        // A password set by an admin goes through the policy and must be changed on next login
+        if (updateData.password) {
+            await passwordPolicyService.applyNewPassword(user, updateData.password);
+            user.mustChangePassword = updateData.mustChangePassword ?? true;
+        }
+
+        // Password reset or deactivation by an admin signs the user out everywhere
+        const revokeAccess = !!updateData.password || user.isActive === false;
+        if (revokeAccess) {
+            user.revokeTokens();
+        }
+
         const updatedUser = await user.save();
+        await auditService.record({ action: 'update', entityType: 'User', entityId: updatedUser._id, before, after: updatedUser });
+
+        if (jobChanges.length) {
+            await jobHistoryService.recordChanges(previousJob, updatedUser, jobChanges, {
+                effectiveDate,
+                reason: updateData.changeReason,
+                actor
+            });
+        }
+
+        if (revokeAccess) {
+            await sessionService.revokeUserSessions(updatedUser._id, updateData.password ? 'password_reset' : 'user_deactivated');
+        }
+
+        // Nobody keeps reporting to a deactivated user
+        if (updatedUser.isActive === false) {
+            await orgService.reassignReports(updatedUser);
+        }
+
         return await User.findById(updatedUser._id)
             .populate('department', 'name description')
             .select('-password');
@@ -130,21 +334,124 @@ class UserService {
     /**
      * Delete user (soft delete by setting isActive to false)
      * @param {string} id - User ID
-     * @throws {Error} If user not found
+     * @param {Array} permissions - Permissions of the actor; they must cover the user's role
+     * @throws {Error} If user not found or their role grants permissions the actor lacks
      */
-    async deleteUser(id) {
+    async deleteUser(id, permissions = []) {
         const user = await User.findById(id);
         if (!user || !user.isActive) {
             throw new Error('User not found');
         }
 
-        // Soft delete by setting isActive to false
+        await roleService.assertCanManage(user.role, permissions);
+
+        const before = auditService.snapshot(user);
+
+        // Soft delete by setting isActive to false and revoking every outstanding token
         user.isActive = false;
+        user.revokeTokens();
         await user.save();
+        await auditService.record({ action: 'delete', entityType: 'User', entityId: user._id, before, after: user });
+        await sessionService.revokeUserSessions(user._id, 'user_deactivated');
+
+        // Their reports move up to their own manager
+        await orgService.reassignReports(user);
 
         return { message: 'User deactivated successfully' };
     }
 
+    /**
+     * Unlock a user account locked after too many failed logins
+     * @param {string} id - User ID
+     * @param {Array} permissions - Permissions of the actor; they must cover the user's role
+     * @returns {Object} Updated user data
+     * @throws {Error} If user not found or their role grants permissions the actor lacks
+     */
+    async unlockUser(id, permissions = []) {
+        const user = await User.findById(id);
+        if (!user || !user.isActive) {
+            throw new Error('User not found');
+        }
+
+        await roleService.assertCanManage(user.role, permissions);
+
+        const before = auditService.snapshot(user);
+        user.resetLoginAttempts();
+        await user.save();
+        await auditService.record({ action: 'update', entityType: 'User', entityId: user._id, before, after: user });
+
+        return await User.findById(user._id)
+            .populate('department', 'name description')
+            .select('-password');
+    }
+
+    /**
+     * List the active sessions of a user
+     * @param {string} id - User ID
+     * @returns {Object} Sessions data
+     * @throws {Error} If user not found
+     */
+    async getUserSessions(id) {
+        const user = await User.findById(id);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        return sessionService.getUserSessions(user._id);
+    }
+
+    /**
+     * Sign out one session of a user
+     * @param {string} id - User ID
+     * @param {string} sessionId - Session ID
+     * @param {Array} permissions - Permissions of the actor; they must cover the user's role
+     * @returns {Object} Success message
+     * @throws {Error} If user or session not found, or the user's role grants permissions the actor lacks
+     */
+    async revokeUserSession(id, sessionId, permissions = []) {
+        const user = await User.findById(id);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        await roleService.assertCanManage(user.role, permissions);
+
+        await sessionService.revokeUserSession(user._id, sessionId, 'revoked_by_admin');
+        await auditService.record({
+            action: 'delete',
+            entityType: 'Session',
+            entityId: sessionId,
+            before: { userId: user._id.toString(), revokedAt: null },
+            after: { userId: user._id.toString(), revokedAt: new Date() }
+        });
+
+        return { message: 'Session revoked successfully' };
+    }
+
+    /**
+     * Sign out every session of a user and invalidate all their tokens
+     * @param {string} id - User ID
+     * @param {Array} permissions - Permissions of the actor; they must cover the user's role
+     * @returns {Object} Success message
+     * @throws {Error} If user not found or their role grants permissions the actor lacks
+     */
+    async revokeAllUserSessions(id, permissions = []) {
+        const user = await User.findById(id);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        await roleService.assertCanManage(user.role, permissions);
+
+        const before = auditService.snapshot(user);
+        user.revokeTokens();
+        await user.save();
+        await sessionService.revokeUserSessions(user._id, 'revoked_by_admin');
+        await auditService.record({ action: 'update', entityType: 'User', entityId: user._id, before, after: user });
+
+        return { message: 'All sessions revoked successfully' };
+    }
+
     /**
      * Get users by department
      * @param {string} departmentId - Department ID
@@ -178,22 +485,126 @@ class UserService {
     }
 
     /**
-     * Search users by name, email, or designation
-     * @param {string} searchTerm - Search term
-     * @returns {Array} Matching users
+     * Validate a search term
+     * @param {string} searchTerm - Raw search input
+     * @returns {string} Trimmed search term
+     * @throws {Error} If the term is empty or too long
      */
-    async searchUsers(searchTerm) {
+    normalizeSearchTerm(searchTerm) {
+        const term = String(searchTerm ?? '').trim();
+        if (!term) {
+            throw new Error('Search term is required');
+        }
+        if (term.length > SEARCH_TERM_MAX_LENGTH) {
+            throw new Error(`Search term must be at most ${SEARCH_TERM_MAX_LENGTH} characters`);
+        }
+        return term;
+    }
+
+    /**
+     * Search active users by name, email, or designation through the text index
+     * Results are ranked by relevance (name matches weigh most) and come with facet counts
+     * by department, role, and designation over all matches
+     * @param {string} searchTerm - Words to search for (quotes and leading hyphens are treated as plain text)
+     * @param {Object} filters - department, role, designation; customFields holds conditions from customFieldService.buildSearchQuery
+     * @param {Object} options - Pagination options (page, limit)
+     * @returns {Object} Users, pagination info, and facets
+     * @throws {Error} If the search term or a filter is invalid
+     */
+    async searchUsers(searchTerm, filters = {}, options = {}) {
+        const { page = 1, limit = 10 } = options;
+        const skip = (page - 1) * limit;
+
+        // $text treats quotes as phrases and a leading hyphen as negation; search for the words only
+        const words = this.normalizeSearchTerm(searchTerm).replace(/["\\]/g, ' ').replace(/(^|\s)-+/g, '$1').trim();
+        if (!words) {
+            throw new Error('Search term must contain letters or digits');
+        }
+
+        const query = { $text: { $search: words }, isActive: true, ...filters.customFields };
+        if (filters.role) query.role = String(filters.role).toLowerCase();
+        if (filters.designation) query.designation = String(filters.designation);
+        if (filters.department) {
+            if (!validateObjectId(filters.department)) {
+                throw new Error('department must be a department ID');
+            }
+            // Aggregations do not cast, so the facet query needs a real ObjectId
+            query.department = new mongoose.Types.ObjectId(String(filters.department));
+        }
+
+        const countBy = (field) => [
+            { $match: { [field]: { $nin: [null, ''] } } },
+            { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: SEARCH_FACET_LIMIT }
+        ];
+
+        const [users, [facetCounts]] = await Promise.all([
+            User.find(query, { score: { $meta: 'textScore' } })
+                .populate('department', 'name description')
+                .select('-password')
+                .sort({ score: { $meta: 'textScore' }, name: 1 })
+                .skip(skip)
+                .limit(limit),
+            User.aggregate([
+                { $match: query },
+                {
+                    $facet: {
+                        total: [{ $count: 'count' }],
+                        department: countBy('department'),
+                        role: countBy('role'),
+                        designation: countBy('designation')
+                    }
+                }
+            ])
+        ]);
+
+        const total = facetCounts.total[0]?.count || 0;
+        const departments = await Department.find({ _id: { $in: facetCounts.department.map(facet => facet._id) } }).select('name');
+        const departmentName = (id) => departments.find(department => department._id.equals(id))?.name || null;
+
+        return {
+            users,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalUsers: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            },
+            facets: {
+                department: facetCounts.department.map(facet => ({ value: facet._id, name: departmentName(facet._id), count: facet.count })),
+                role: facetCounts.role.map(facet => ({ value: facet._id, count: facet.count })),
+                designation: facetCounts.designation.map(facet => ({ value: facet._id, count: facet.count }))
+            }
+        };
+    }
+
+    /**
+     * Suggest active users for a people picker as the user types
+     * Matches the start of any word of the name, or the start of the email address
+     * @param {string} searchTerm - Text typed so far
+     * @param {number} limit - Maximum number of suggestions
+     * @returns {Array} Users with profile fields only, sorted by name
+     * @throws {Error} If the search term is invalid
+     */
+    async suggestUsers(searchTerm, limit = 10) {
+        // Escaped, so the input can only match literally (no ReDoS through crafted patterns).
+        // Both fields are stored lower-cased, so an anchored, case-sensitive prefix can use their indexes.
+        const term = this.normalizeSearchTerm(searchTerm).toLowerCase().replace(/\s+/g, ' ');
+        const pattern = escapeRegex(term);
+
         return await User.find({
             isActive: true,
             $or: [
-                { name: { $regex: searchTerm, $options: 'i' } },
-                { email: { $regex: searchTerm, $options: 'i' } },
-                { designation: { $regex: searchTerm, $options: 'i' } }
+                { nameSearchKeys: { $regex: `^${pattern}` } },
+                { email: { $regex: `^${pattern}` } }
             ]
         })
-            .populate('department', 'name description')
-            .select('-password')
-            .sort({ name: 1 });
+            .populate('department', 'name')
+            .select('name email designation department profilePicture')
+            .sort({ name: 1 })
+            .limit(limit);
     }
 
     /**
@@ -215,6 +626,8 @@ class UserService {
             await fileService.deleteProfilePicture(user.profilePicture);
         }
 
+        const before = auditService.snapshot(user);
+
         // Process and save new profile picture
         const processedFile = await fileService.processProfilePicture(file, req);
 
@@ -226,6 +639,7 @@ class UserService {
         });
 
         await user.save();
+        await auditService.record({ action: 'update', entityType: 'User', entityId: user._id, before, after: user });
 
         return await User.findById(user._id)
             .populate('department', 'name description')
@@ -244,6 +658,8 @@ class UserService {
             throw new Error('User not found');
         }
 
+        const before = auditService.snapshot(user);
+
         // Delete profile picture files
         if (user.hasProfilePicture()) {
             await fileService.deleteProfilePicture(user.profilePicture);
@@ -252,6 +668,7 @@ class UserService {
         // Remove profile picture data from user
         user.removeProfilePicture();
         await user.save();
+        await auditService.record({ action: 'update', entityType: 'User', entityId: user._id, before, after: user });
 
         return await User.findById(user._id)
             .populate('department', 'name description')
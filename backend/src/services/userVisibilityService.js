@@ -0,0 +1,161 @@
+import { Department } from '../models/departmentModel.js';
+import { USER_FIELD_GROUPS } from '../config/userFields.js';
+import orgService from './orgService.js';
+import customFieldService from './customFieldService.js';
+
+/**
+ * UserVisibilityService class applies field-level access rules to users
+ * Every user returned by the API goes through `serialize` so a viewer only gets the
+ * fields their relationship to the user (self, manager) and their permissions allow
+ */
+class UserVisibilityService {
+    /**
+     * Build the viewer of a request (cached on the request)
+     * @param {Object} req - Express request object after `protect`
+     * @returns {Object} Viewing user, permissions, IDs of the departments they head, and IDs of their reports
+     */
+    async getViewer(req) {
+        // Custom field definitions are read synchronously while serializing
+        await customFieldService.ensureFresh();
+
+        if (!req.viewer) {
+            const user = req.user || null;
+            const [managedDepartments, reports] = user
+                ? await Promise.all([
+                    Department.find({ head: user._id, isActive: true }).distinct('_id'),
+                    orgService.getReportIds(user._id)
+                ])
+                : [[], []];
+
+            req.viewer = {
+                user,
+                permissions: req.permissions || [],
+                managedDepartments: managedDepartments.map(id => id.toString()),
+                reports: new Set(reports)
+            };
+        }
+
+        return req.viewer;
+    }
+
+    /**
+     * Work out how the viewer relates to a user
+     * @param {Object} viewer - Viewer from getViewer
+     * @param {Object} user - Plain user object
+     * @returns {Object} Relationship flags (self, manager: department head or above in the reporting line)
+     */
+    getRelationships(viewer, user) {
+        const departmentId = (user.department?._id || user.department)?.toString();
+
+        return {
+            self: !!viewer.user && viewer.user._id.toString() === user._id?.toString(),
+            manager: (!!departmentId && viewer.managedDepartments.includes(departmentId))
+                || viewer.reports.has(user._id?.toString())
+        };
+    }
+
+    /**
+     * Check a visibility rule (see USER_FIELD_GROUPS) against the viewer
+     * @param {Object} visibleTo - Rule with everyone, self, manager, permissions
+     * @param {Object} relationships - Relationship flags from getRelationships
+     * @param {Object} viewer - Viewer from getViewer
+     * @returns {boolean} True if the viewer passes the rule
+     */
+    isVisible(visibleTo, relationships, viewer) {
+        return !!visibleTo.everyone
+            || (!!visibleTo.self && relationships.self)
+            || (!!visibleTo.manager && relationships.manager)
+            || (visibleTo.permissions || []).some(permission => viewer.permissions.includes(permission));
+    }
+
+    /**
+     * Get the user fields the viewer may see
+     * @param {Object} viewer - Viewer from getViewer
+     * @param {Object} user - Plain user object
+     * @returns {Array} Visible field names
+     */
+    getVisibleFields(viewer, user) {
+        const relationships = this.getRelationships(viewer, user);
+
+        return Object.values(USER_FIELD_GROUPS)
+            .filter(({ visibleTo }) => this.isVisible(visibleTo, relationships, viewer))
+            .flatMap(group => group.fields);
+    }
+
+    /**
+     * Get the custom fields the viewer may see
+     * @param {Object} viewer - Viewer from getViewer
+     * @param {Object} user - Plain user object ({} for fields visible on any user)
+     * @returns {Array} Custom field definitions
+     */
+    getVisibleCustomFields(viewer, user) {
+        const relationships = this.getRelationships(viewer, user);
+
+        return customFieldService.getDefinitions()
+            .filter(definition => this.isVisible(customFieldService.getVisibilityRule(definition), relationships, viewer));
+    }
+
+    /**
+     * Get the user fields the viewer may see on any user, whatever their relationship
+     * Used where one set of columns has to fit every user (e.g. exports)
+     * @param {Object} viewer - Viewer from getViewer
+     * @returns {Array} Field names granted to everyone or by the viewer's permissions
+     */
+    getPermittedFields(viewer) {
+        return this.getVisibleFields(viewer, {});
+    }
+
+    /**
+     * Get the custom fields the viewer may see on any user (export columns and search filters)
+     * @param {Object} viewer - Viewer from getViewer
+     * @returns {Array} Custom field definitions
+     */
+    getPermittedCustomFields(viewer) {
+        return this.getVisibleCustomFields(viewer, {});
+    }
+
+    /**
+     * Serialize a user for a viewer, dropping every field they may not see
+     * @param {Object} user - User document or plain object
+     * @param {Object} viewer - Viewer from getViewer
+     * @returns {Object} Plain user with visible fields only
+     */
+    serialize(user, viewer) {
+        if (!user) {
+            return user;
+        }
+
+        const plain = typeof user.toObject === 'function' ? user.toObject() : user;
+
+        const visible = this.getVisibleFields(viewer, plain).reduce((visible, field) => {
+            if (plain[field] !== undefined) {
+                visible[field] = plain[field];
+            }
+            return visible;
+        }, {});
+
+        // Custom fields are filtered one by one, by each definition's visibility
+        if (plain.customFields) {
+            visible.customFields = this.getVisibleCustomFields(viewer, plain).reduce((fields, definition) => {
+                if (plain.customFields[definition.key] !== undefined) {
+                    fields[definition.key] = plain.customFields[definition.key];
+                }
+                return fields;
+            }, {});
+        }
+
+        return visible;
+    }
+
+    /**
+     * Serialize a list of users for a viewer
+     * @param {Array} users - User documents or plain objects
+     * @param {Object} viewer - Viewer from getViewer
+     * @returns {Array} Plain users with visible fields only
+     */
+    serializeMany(users, viewer) {
+        return users.map(user => this.serialize(user, viewer));
+    }
+}
+
+export default new UserVisibilityService();
@@ -1,3 +1,5 @@
+import { REFRESH_TOKEN_EXPIRES_DAYS } from '../config/config.js';
+
 /**
  * Cookie configuration utility for JWT authentication
  * Provides secure cookie settings for different environments
@@ -57,7 +59,52 @@ export const getClearCookieConfig = (environment = process.env.NODE_ENV) => {
  */
 export const COOKIE_NAMES = {
     JWT: 'jwt',
-    REFRESH_TOKEN: 'refreshToken',  // For future refresh token implementation
+    REFRESH_TOKEN: 'refreshToken',
+    OIDC_FLOW: 'oidcFlow',
+    CSRF: 'csrfToken',
+};
+
+/**
+ * Get cookie configuration for the refresh token
+ * The refresh cookie is only sent to auth endpoints and lives as long as the session
+ * @param {string} environment - Current environment
+ * @returns {Object} Cookie configuration for the refresh token
+ */
+export const getRefreshCookieConfig = (environment = process.env.NODE_ENV) => {
+    return {
+        ...getCookieConfig(environment),
+        maxAge: REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000,
+        path: '/api/auth',
+    };
+};
+
+/**
+ * Get cookie configuration for the CSRF token
+ * Readable by scripts (it is echoed in the X-CSRF-Token header) and as long-lived as the session
+ * @param {string} environment - Current environment
+ * @returns {Object} Cookie configuration for the CSRF token
+ */
+export const getCsrfCookieConfig = (environment = process.env.NODE_ENV) => {
+    return {
+        ...getCookieConfig(environment),
+        httpOnly: false,
+        maxAge: REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000,
+    };
+};
+
+/**
+ * Get cookie configuration for the OIDC login flow state
+ * Must be 'lax' so the browser sends it on the redirect back from the identity provider
+ * @param {string} environment - Current environment
+ * @returns {Object} Cookie configuration for the OIDC flow state
+ */
+export const getOidcFlowCookieConfig = (environment = process.env.NODE_ENV) => {
+    return {
+        ...getCookieConfig(environment),
+        sameSite: 'lax',
+        maxAge: 10 * 60 * 1000,  // 10 minutes to complete the login at the provider
+        path: '/api/auth/oidc',
+    };
 };
 
 /**
@@ -81,6 +128,92 @@ export const clearJWTCookie = (res, environment = process.env.NODE_ENV) => {
     res.cookie(COOKIE_NAMES.JWT, '', clearConfig);
 };
 
+/**
+ * Set refresh token cookie in response
+ * @param {Object} res - Express response object
+ * @param {string} token - Refresh token to set
+ * @param {string} environment - Current environment
+ */
+export const setRefreshTokenCookie = (res, token, environment = process.env.NODE_ENV) => {
+    res.cookie(COOKIE_NAMES.REFRESH_TOKEN, token, getRefreshCookieConfig(environment));
+};
+
+/**
+ * Clear refresh token cookie from response
+ * @param {Object} res - Express response object
+ * @param {string} environment - Current environment
+ */
+export const clearRefreshTokenCookie = (res, environment = process.env.NODE_ENV) => {
+    res.cookie(COOKIE_NAMES.REFRESH_TOKEN, '', {
+        ...getRefreshCookieConfig(environment),
+        maxAge: 0,
+        expires: new Date(0),
+    });
+};
+
+/**
+ * Set CSRF token cookie in response
+ * @param {Object} res - Express response object
+ * @param {string} token - CSRF token to set
+ * @param {string} environment - Current environment
+ */
+export const setCsrfCookie = (res, token, environment = process.env.NODE_ENV) => {
+    res.cookie(COOKIE_NAMES.CSRF, token, getCsrfCookieConfig(environment));
+};
+
+/**
+ * Clear CSRF token cookie from response
+ * @param {Object} res - Express response object
+ * @param {string} environment - Current environment
+ */
+export const clearCsrfCookie = (res, environment = process.env.NODE_ENV) => {
+    res.cookie(COOKIE_NAMES.CSRF, '', {
+        ...getCsrfCookieConfig(environment),
+        maxAge: 0,
+        expires: new Date(0),
+    });
+};
+
+/**
+ * Set OIDC login flow state cookie in response
+ * @param {Object} res - Express response object
+ * @param {string} token - Signed flow state
+ * @param {string} environment - Current environment
+ */
+export const setOidcFlowCookie = (res, token, environment = process.env.NODE_ENV) => {
+    res.cookie(COOKIE_NAMES.OIDC_FLOW, token, getOidcFlowCookieConfig(environment));
+};
+
+/**
+ * Clear OIDC login flow state cookie from response
+ * @param {Object} res - Express response object
+ * @param {string} environment - Current environment
+ */
+export const clearOidcFlowCookie = (res, environment = process.env.NODE_ENV) => {
+    res.cookie(COOKIE_NAMES.OIDC_FLOW, '', {
+        ...getOidcFlowCookieConfig(environment),
+        maxAge: 0,
+        expires: new Date(0),
+    });
+};
+
+/**
+ * Extract refresh token from request (cookie or request body)
+ * @param {Object} req - Express request object
+ * @returns {string|null} Refresh token or null if not found
+ */
+export const extractRefreshToken = (req) => {
+    if (req.cookies && req.cookies[COOKIE_NAMES.REFRESH_TOKEN]) {
+        return req.cookies[COOKIE_NAMES.REFRESH_TOKEN];
+    }
+
+    if (req.body && req.body.refreshToken) {
+        return req.body.refreshToken;
+    }
+
+    return null;
+};
+
 /**
  * Extract JWT token from request (cookies or headers)
  * @param {Object} req - Express request object
@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+
+/**
+ * CSRF token utilities (signed double-submit cookie)
+ * A token is a random value plus an HMAC that binds it to the session it was issued for,
+ * so a token planted by another site or subdomain is never accepted for the victim's session.
+ */
+
+export const CSRF_HEADER = 'x-csrf-token';
+
+/**
+ * Compute the signature of a token value for a session
+ * @param {string} value - Random token value
+ * @param {string} binding - Session ID (or user ID for tokens without a session)
+ * @returns {string} Base64url HMAC
+ */
+const sign = (value, binding) => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET environment variable is not set');
+    }
+
+    return crypto
+        .createHmac('sha256', process.env.JWT_SECRET)
+        .update(`csrf:${binding}:${value}`)
+        .digest('base64url');
+};
+
+/**
+ * Generate a CSRF token bound to a session
+ * @param {string} binding - Session ID (or user ID for tokens without a session)
+ * @returns {string} CSRF token
+ */
+export const generateCsrfToken = (binding) => {
+    const value = crypto.randomBytes(32).toString('base64url');
+    return `${value}.${sign(value, String(binding))}`;
+};
+
+/**
+ * Check that a CSRF token was issued for a session
+ * @param {string} token - CSRF token
+ * @param {string} binding - Session ID (or user ID for tokens without a session)
+ * @returns {boolean} True if the token is valid for the session
+ */
+export const isValidCsrfToken = (token, binding) => {
+    if (typeof token !== 'string' || !binding) {
+        return false;
+    }
+
+    const [value, signature] = token.split('.');
+    if (!value || !signature) {
+        return false;
+    }
+
+    const expected = Buffer.from(sign(value, String(binding)));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
@@ -1,4 +1,6 @@
 import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { ACCESS_TOKEN_EXPIRES_IN, REFRESH_TOKEN_EXPIRES_DAYS, MFA_TOKEN_EXPIRES_IN, INVITE_EXPIRES_DAYS } from '../config/config.js';
 
 /**
  * JWT token generation utilities
@@ -6,33 +8,85 @@ import jwt from 'jsonwebtoken';
  */
 
 /**
- * Generate JWT token for user authentication
+ * Generate short-lived access token for user authentication
  * @param {string} id - User ID to include in token payload
- * @param {string} expiresIn - Token expiration time (default: 30d)
+ * @param {Object} claims - Additional claims such as the session ID (sid)
+ * @param {string} expiresIn - Token expiration time (default: ACCESS_TOKEN_EXPIRES_IN)
  * @returns {string} JWT token
  */
-export const generateToken = (id, expiresIn = '30d') => {
+export const generateToken = (id, claims = {}, expiresIn = ACCESS_TOKEN_EXPIRES_IN) => {
     if (!process.env.JWT_SECRET) {
         throw new Error('JWT_SECRET environment variable is not set');
     }
 
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
+    return jwt.sign({ ...claims, id, type: 'access' }, process.env.JWT_SECRET, {
         expiresIn,
     });
 };
 
 /**
- * Generate refresh token for extended authentication
+ * Generate refresh token bound to a server-side session
+ * Each token gets a unique ID so rotated tokens never repeat
  * @param {string} id - User ID to include in token payload
+ * @param {string} sessionId - Session the refresh token belongs to
  * @returns {string} Refresh token
  */
-export const generateRefreshToken = (id) => {
+export const generateRefreshToken = (id, sessionId) => {
     if (!process.env.JWT_SECRET) {
         throw new Error('JWT_SECRET environment variable is not set');
     }
 
-    return jwt.sign({ id, type: 'refresh' }, process.env.JWT_SECRET, {
-        expiresIn: '7d', // Refresh tokens last 7 days
+    return jwt.sign({ id, sid: sessionId, type: 'refresh' }, process.env.JWT_SECRET, {
+        expiresIn: `${REFRESH_TOKEN_EXPIRES_DAYS}d`,
+        jwtid: uuidv4(),
+    });
+};
+
+/**
+ * Generate short-lived token proving the password step of an MFA login succeeded
+ * @param {string} id - User ID to include in token payload
+ * @returns {string} MFA challenge token
+ */
+export const generateMfaToken = (id) => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET environment variable is not set');
+    }
+
+    return jwt.sign({ id, type: 'mfa' }, process.env.JWT_SECRET, {
+        expiresIn: MFA_TOKEN_EXPIRES_IN,
+    });
+};
+
+/**
+ * Generate signed invitation token
+ * @param {string} invitationId - Invitation the token redeems
+ * @param {string} email - Invited email address
+ * @returns {string} Invitation token
+ */
+export const generateInviteToken = (invitationId, email) => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET environment variable is not set');
+    }
+
+    return jwt.sign({ iid: invitationId, email, type: 'invite' }, process.env.JWT_SECRET, {
+        expiresIn: `${INVITE_EXPIRES_DAYS}d`,
+        jwtid: uuidv4(),
+    });
+};
+
+/**
+ * Generate short-lived token carrying the state of an OIDC login
+ * Stored in a cookie between the redirect to the provider and the callback
+ * @param {Object} flow - State, nonce, PKCE code verifier, and return path
+ * @returns {string} OIDC flow token
+ */
+export const generateOidcFlowToken = (flow) => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET environment variable is not set');
+    }
+
+    return jwt.sign({ ...flow, type: 'oidc_flow' }, process.env.JWT_SECRET, {
+        expiresIn: '10m',
     });
 };
 
@@ -0,0 +1,60 @@
+import net from 'net';
+
+/**
+ * IP range utilities
+ * Parses and matches allow-lists of addresses and CIDR ranges (IPv4 and IPv6)
+ */
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Node reports for IPv4 clients on dual-stack sockets
+ * @param {string} address - IP address
+ * @returns {string} Normalized address
+ */
+export const normalizeIp = (address = '') => address.replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+
+/**
+ * Parse an address or CIDR range
+ * @param {string} entry - e.g. '10.0.0.0/8', '192.168.1.20', or '2001:db8::/32'
+ * @returns {Object|null} { address, prefix, type } or null if invalid
+ */
+export const parseIpRange = (entry) => {
+    const [address, prefixPart] = String(entry).trim().split('/');
+    const version = net.isIP(address);
+    if (!version) {
+        return null;
+    }
+
+    const type = version === 4 ? 'ipv4' : 'ipv6';
+    const maxPrefix = version === 4 ? 32 : 128;
+    const prefix = prefixPart === undefined ? maxPrefix : Number(prefixPart);
+
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+        return null;
+    }
+
+    return { address, prefix, type };
+};
+
+/**
+ * Check whether an address falls inside any of the given ranges
+ * @param {string} address - Client IP address
+ * @param {Array} ranges - Addresses and CIDR ranges
+ * @returns {boolean} True if the address is allowed
+ */
+export const isIpInRanges = (address, ranges = []) => {
+    const ip = normalizeIp(address);
+    const version = net.isIP(ip);
+    if (!version) {
+        return false;
+    }
+
+    const blockList = new net.BlockList();
+    for (const range of ranges) {
+        const parsed = parseIpRange(range);
+        if (parsed) {
+            blockList.addSubnet(parsed.address, parsed.prefix, parsed.type);
+        }
+    }
+
+    return blockList.check(ip, version === 4 ? 'ipv4' : 'ipv6');
+};
@@ -0,0 +1,83 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Request context utilities
+ * Extracts client metadata that is stored alongside sessions and audit logs,
+ * and keeps it available to services for the lifetime of a request
+ */
+
+const requestContextStorage = new AsyncLocalStorage();
+
+/**
+ * Get client metadata from an Express request
+ * @param {Object} req - Express request object
+ * @returns {Object} Client IP address and user agent
+ */
+export const getRequestContext = (req) => ({
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent') || null
+});
+
+/**
+ * Run a function with a request context available to everything it calls
+ * @param {Object} context - Context values (ipAddress, userAgent, actor, apiKey, impersonator)
+ * @param {Function} callback - Function to run
+ * @returns {*} Callback result
+ */
+export const runWithRequestContext = (context, callback) => {
+    return requestContextStorage.run({ actor: null, apiKey: null, impersonator: null, ...context }, callback);
+};
+
+/**
+ * Bind a callback to the context of the current request
+ * Middleware that resumes through its own callbacks (e.g. multer parsing a multipart body)
+ * loses the context, so its `next` is bound before it runs
+ * @param {Function} callback - Function to run later (e.g. Express next)
+ * @returns {Function} Callback that runs in the current context
+ */
+export const bindRequestContext = (callback) => {
+    const store = requestContextStorage.getStore();
+    if (!store) {
+        return callback;
+    }
+    return (...args) => requestContextStorage.run(store, () => callback(...args));
+};
+
+/**
+ * Get the context of the request currently being handled
+ * @returns {Object} Context values, empty outside of a request (e.g. startup tasks)
+ */
+export const getCurrentContext = () => requestContextStorage.getStore() || {};
+
+/**
+ * Record the authenticated user on the current request context
+ * @param {Object} user - Authenticated user
+ */
+export const setContextActor = (user) => {
+    const store = requestContextStorage.getStore();
+    if (store) {
+        store.actor = user;
+    }
+};
+
+/**
+ * Record the API key authenticating the current request
+ * @param {Object} apiKey - API key document
+ */
+export const setContextApiKey = (apiKey) => {
+    const store = requestContextStorage.getStore();
+    if (store) {
+        store.apiKey = apiKey;
+    }
+};
+
+/**
+ * Record the admin impersonating the actor of the current request
+ * @param {Object} user - Impersonating admin
+ */
+export const setContextImpersonator = (user) => {
+    const store = requestContextStorage.getStore();
+    if (store) {
+        store.impersonator = user;
+    }
+};
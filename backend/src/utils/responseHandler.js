@@ -26,6 +26,21 @@ export const sendErrorResponse = (res, statusCode, message, error = null) => {
     return res.status(statusCode).json(response);
 };
 
+// Send error response with a machine-readable error code the client can act on
+export const sendCodedErrorResponse = (res, statusCode, code, message, details = null) => {
+    const response = {
+        success: false,
+        code,
+        message
+    };
+
+    if (details) {
+        response.details = details;
+    }
+
+    return res.status(statusCode).json(response);
+};
+
 // Handle async errors
 export const asyncHandler = (fn) => {
     return (req, res, next) => {
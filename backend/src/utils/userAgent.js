@@ -0,0 +1,53 @@
+/**
+ * User agent utilities
+ * Turns a raw User-Agent header into a short device label for session listings
+ */
+
+// Checked in order, the first match wins (Edge and Opera also claim to be Chrome)
+const BROWSERS = [
+    ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+    ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+    ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+    ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+    ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+    ['Safari', /Version\/([\d.]+).*Safari/],
+    ['Postman', /PostmanRuntime\/([\d.]+)/],
+    ['curl', /curl\/([\d.]+)/]
+];
+
+const OPERATING_SYSTEMS = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['ChromeOS', /CrOS/],
+    ['Linux', /Linux/]
+];
+
+/**
+ * Parse a User-Agent header
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {Object} Browser, operating system, whether it is a mobile device, and a display label
+ */
+export const parseUserAgent = (userAgent) => {
+    if (!userAgent) {
+        return { browser: null, os: null, isMobile: false, label: 'Unknown device' };
+    }
+
+    const browserMatch = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+    const osMatch = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+    const browser = browserMatch ? browserMatch[0] : null;
+    const os = osMatch ? osMatch[0] : null;
+
+    let label = 'Unknown device';
+    if (browser && os) label = `${browser} on ${os}`;
+    else if (browser || os) label = browser || os;
+
+    return {
+        browser,
+        os,
+        isMobile: /Mobi|Android|iPhone|iPad/.test(userAgent),
+        label
+    };
+};
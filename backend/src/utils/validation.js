@@ -1,3 +1,12 @@
+import {
+    PASSWORD_MIN_LENGTH,
+    PASSWORD_MAX_LENGTH,
+    PASSWORD_REQUIRE_UPPERCASE,
+    PASSWORD_REQUIRE_LOWERCASE,
+    PASSWORD_REQUIRE_DIGIT,
+    PASSWORD_REQUIRE_SYMBOL
+} from '../config/config.js';
+
 /**
  * Validation utilities for input data validation
  * Contains functions for validating various data types and formats
@@ -24,31 +33,39 @@ export const validatePhoneNumber = (phone) => {
 };
 
 /**
- * Validate password strength with multiple criteria
+ * Validate password length and character classes against the configured policy
+ * Breached-password and reuse checks need more context and live in passwordPolicyService
  * @param {string} password - Password to validate
- * @returns {Object} Validation result with isValid flag and message
+ * @returns {Object} Validation result with isValid flag, first message, and every error
  */
 export const validatePassword = (password) => {
-    if (!password || password.length < 6) {
-        return { isValid: false, message: 'Password must be at least 6 characters long' };
-    }
+    const errors = [];
+    const value = typeof password === 'string' ? password : '';
 
-    // Check for at least one uppercase letter
-    if (!/[A-Z]/.test(password)) {
-        return { isValid: false, message: 'Password must contain at least one uppercase letter' };
+    if (value.length < PASSWORD_MIN_LENGTH) {
+        errors.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters long`);
     }
-
-    // Check for at least one lowercase letter
-    if (!/[a-z]/.test(password)) {
-        return { isValid: false, message: 'Password must contain at least one lowercase letter' };
+    if (Buffer.byteLength(value) > PASSWORD_MAX_LENGTH) {
+        errors.push(`Password must be at most ${PASSWORD_MAX_LENGTH} characters long`);
     }
-
-    // Check for at least one number
-    if (!/\d/.test(password)) {
-        return { isValid: false, message: 'Password must contain at least one number' };
+    if (PASSWORD_REQUIRE_UPPERCASE && !/[A-Z]/.test(value)) {
+        errors.push('Password must contain at least one uppercase letter');
+    }
+    if (PASSWORD_REQUIRE_LOWERCASE && !/[a-z]/.test(value)) {
+        errors.push('Password must contain at least one lowercase letter');
+    }
+    if (PASSWORD_REQUIRE_DIGIT && !/\d/.test(value)) {
+        errors.push('Password must contain at least one number');
+    }
+    if (PASSWORD_REQUIRE_SYMBOL && !/[^A-Za-z0-9]/.test(value)) {
+        errors.push('Password must contain at least one symbol');
     }
 
-    return { isValid: true, message: 'Password is valid' };
+    return {
+        isValid: errors.length === 0,
+        message: errors[0] || 'Password is valid',
+        errors
+    };
 };
 
 /**
@@ -122,6 +139,13 @@ export const validateUserRole = (role) => {
     return validRoles.includes(role);
 };
 
+/**
+ * Escape user input for use inside a regular expression, so it only matches literally
+ * @param {string} text - User input
+ * @returns {string} Escaped text
+ */
+export const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 /**
  * Validate leave type
  * @param {string} leaveType - Leave type to validate
@@ -0,0 +1,118 @@
+import './setup.js';
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mongoose } from 'mongoose';
+import payrollRoutes from '../src/routes/payrollRoutes.js';
+import userRoutes from '../src/routes/userRoutes.js';
+import { ApiKey } from '../src/models/apiKeyModel.js';
+import apiKeyService from '../src/services/apiKeyService.js';
+import payrollService from '../src/services/payrollService.js';
+import { mockDatabase, startApp } from './helpers.js';
+
+const PLAIN_KEY = 'hrm_test_0123456789abcdef';
+
+describe('API key scoping', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(server => {
+            server.use('/api/payroll', payrollRoutes);
+            server.use('/api/users', userRoutes);
+        });
+    });
+
+    after(() => app.close());
+    afterEach(() => mock.restoreAll());
+
+    /**
+     * Serve one API key from memory
+     * @param {Object} fields - Key fields such as permissions and allowedIps
+     * @returns {Object} Captured audit entries
+     */
+    const useKey = (fields = {}) => {
+        const apiKey = new ApiKey({
+            name: 'BI export',
+            keyPrefix: PLAIN_KEY.slice(0, 8),
+            keyHash: apiKeyService.hashKey(PLAIN_KEY),
+            createdBy: new mongoose.Types.ObjectId(),
+            lastUsedAt: new Date(),
+            ...fields
+        });
+        mock.method(ApiKey, 'findOne', async (filter) => (filter.keyHash === apiKey.keyHash ? apiKey : null));
+        mock.method(payrollService, 'getAllPayrolls', async () => ({ payrolls: [] }));
+        return mockDatabase();
+    };
+
+    const withKey = (key = PLAIN_KEY) => ({ headers: { 'x-api-key': key } });
+
+    it('allows endpoints covered by the key\'s permissions', async () => {
+        useKey({ permissions: ['payroll:read'] });
+
+        const response = await app.request('GET', '/api/payroll', withKey());
+
+        assert.equal(response.status, 200);
+        assert.equal(payrollService.getAllPayrolls.mock.callCount(), 1);
+    });
+
+    it('refuses endpoints outside the key\'s permissions', async () => {
+        useKey({ permissions: ['payroll:read'] });
+
+        const response = await app.request('POST', '/api/payroll', { ...withKey(), body: {} });
+
+        assert.equal(response.status, 403);
+        assert.match(response.body.message, /Missing permission: payroll:write/);
+    });
+
+    it('refuses endpoints that act on behalf of a user', async () => {
+        useKey({ permissions: ['payroll:read'] });
+
+        const response = await app.request('GET', `/api/payroll/slip/${new mongoose.Types.ObjectId()}`, withKey());
+
+        assert.equal(response.status, 403);
+        assert.match(response.body.message, /requires a user account/);
+    });
+
+    it('is not accepted on endpoints not opened to API keys', async () => {
+        useKey({ permissions: ['users:read', 'users:write'] });
+
+        const response = await app.request('GET', '/api/users', withKey());
+
+        assert.equal(response.status, 401);
+        assert.equal(response.body.message, 'API keys are not accepted on this endpoint');
+    });
+
+    it('rejects unknown, revoked, and expired keys', async () => {
+        useKey({ permissions: ['payroll:read'] });
+        const unknown = await app.request('GET', '/api/payroll', withKey('hrm_test_unknown'));
+        assert.equal(unknown.status, 401);
+        mock.restoreAll();
+
+        useKey({ permissions: ['payroll:read'], revokedAt: new Date() });
+        const revoked = await app.request('GET', '/api/payroll', withKey());
+        assert.equal(revoked.status, 401);
+        assert.equal(revoked.body.message, 'API key has been revoked');
+        mock.restoreAll();
+
+        useKey({ permissions: ['payroll:read'], expiresAt: new Date(Date.now() - 1000) });
+        const expired = await app.request('GET', '/api/payroll', withKey());
+        assert.equal(expired.status, 401);
+        assert.equal(expired.body.message, 'API key has expired');
+    });
+
+    it('rejects requests from outside the allowed IP ranges', async () => {
+        useKey({ permissions: ['payroll:read'], allowedIps: ['10.0.0.0/8'] });
+
+        const response = await app.request('GET', '/api/payroll', withKey());
+
+        assert.equal(response.status, 401);
+        assert.equal(response.body.message, 'API key is not allowed from this IP address');
+    });
+
+    it('accepts requests from an allowed IP range', async () => {
+        useKey({ permissions: ['payroll:read'], allowedIps: ['127.0.0.0/8'] });
+
+        const response = await app.request('GET', '/api/payroll', withKey());
+
+        assert.equal(response.status, 200);
+    });
+});
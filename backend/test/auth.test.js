@@ -0,0 +1,157 @@
+import './setup.js';
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { Session } from '../src/models/sessionModel.js';
+import { protect } from '../src/middleware/authMiddleware.js';
+import sessionService from '../src/services/sessionService.js';
+import { generateRefreshToken, generateMfaToken } from '../src/utils/generateToken.js';
+import { mockDatabase, makeUser, makeSession, accessToken, fakeQuery, startApp } from './helpers.js';
+
+describe('access tokens', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(server => {
+            server.get('/protected', protect, (req, res) => {
+                res.json({ userId: req.user._id.toString(), sessionId: req.sessionId, authMethod: req.authMethod });
+            });
+        });
+    });
+
+    after(() => app.close());
+    afterEach(() => mock.restoreAll());
+
+    it('accepts an access token for an active session', async () => {
+        const user = makeUser();
+        const session = makeSession(user);
+        mockDatabase({ users: [user], sessions: [session] });
+
+        const response = await app.request('GET', '/protected', { token: accessToken(user, session) });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.userId, user._id.toString());
+        assert.equal(response.body.sessionId, session._id.toString());
+        assert.equal(response.body.authMethod, 'bearer');
+    });
+
+    it('rejects refresh, MFA, and untyped tokens', async () => {
+        const user = makeUser();
+        const session = makeSession(user);
+        mockDatabase({ users: [user], sessions: [session] });
+
+        const tokens = [
+            generateRefreshToken(user._id.toString(), session._id.toString()),
+            generateMfaToken(user._id.toString()),
+            // Issued before tokens carried a type
+            jwt.sign({ id: user._id.toString(), sid: session._id.toString() }, process.env.JWT_SECRET)
+        ];
+
+        for (const token of tokens) {
+            const response = await app.request('GET', '/protected', { token });
+            assert.equal(response.status, 401);
+            assert.equal(response.body.message, 'Invalid token');
+        }
+    });
+
+    it('rejects tokens of a revoked session', async () => {
+        const user = makeUser();
+        const session = makeSession(user, { revokedAt: new Date(), revokedReason: 'logout' });
+        mockDatabase({ users: [user], sessions: [session] });
+
+        const response = await app.request('GET', '/protected', { token: accessToken(user, session) });
+
+        assert.equal(response.status, 401);
+        assert.match(response.body.message, /Session has been revoked/);
+    });
+
+    it('rejects tokens issued before the token version was bumped', async () => {
+        const user = makeUser();
+        const session = makeSession(user);
+        const token = accessToken(user, session);
+        user.revokeTokens();
+        mockDatabase({ users: [user], sessions: [session] });
+
+        const response = await app.request('GET', '/protected', { token });
+
+        assert.equal(response.status, 401);
+        assert.match(response.body.message, /Token has been revoked/);
+    });
+
+    it('rejects deactivated users', async () => {
+        const user = makeUser({ isActive: false });
+        const session = makeSession(user);
+        mockDatabase({ users: [user], sessions: [session] });
+
+        const response = await app.request('GET', '/protected', { token: accessToken(user, session) });
+
+        assert.equal(response.status, 401);
+        assert.equal(response.body.message, 'User account is deactivated');
+    });
+});
+
+describe('session rotation', () => {
+    afterEach(() => mock.restoreAll());
+
+    /**
+     * Set up a session whose stored hash matches a freshly issued refresh token
+     * @returns {Object} Session and its current refresh token
+     */
+    const issueSession = () => {
+        const user = makeUser();
+        const session = makeSession(user);
+        const refreshToken = generateRefreshToken(user._id.toString(), session._id.toString());
+        session.refreshTokenHash = sessionService.hashToken(refreshToken);
+        mockDatabase({ users: [user], sessions: [session] });
+        return { session, refreshToken };
+    };
+
+    it('rotates the refresh token and stores the hash of the new one', async () => {
+        const { session, refreshToken } = issueSession();
+        const update = mock.method(Session, 'findOneAndUpdate', (filter, changes) => {
+            return fakeQuery(Object.assign(session, changes));
+        });
+
+        const result = await sessionService.rotateSession(refreshToken);
+
+        assert.notEqual(result.refreshToken, refreshToken);
+        const [filter, changes] = update.mock.calls[0].arguments;
+        assert.equal(filter.refreshTokenHash, sessionService.hashToken(refreshToken));
+        assert.equal(changes.refreshTokenHash, sessionService.hashToken(result.refreshToken));
+    });
+
+    it('revokes the session when a rotated refresh token is reused', async () => {
+        const { session, refreshToken } = issueSession();
+        mock.method(Session, 'findOneAndUpdate', (filter, changes) => fakeQuery(Object.assign(session, changes)));
+        await sessionService.rotateSession(refreshToken);
+
+        await assert.rejects(sessionService.rotateSession(refreshToken), /Refresh token reuse detected/);
+
+        const [filter, changes] = Session.updateOne.mock.calls.at(-1).arguments;
+        assert.equal(filter._id.toString(), session._id.toString());
+        assert.equal(changes.revokedReason, 'refresh_token_reuse');
+    });
+
+    it('revokes the session when two refreshes race with the same token', async () => {
+        const { refreshToken } = issueSession();
+        mock.method(Session, 'findOneAndUpdate', () => fakeQuery(null));
+
+        await assert.rejects(sessionService.rotateSession(refreshToken), /Refresh token reuse detected/);
+        assert.equal(Session.updateOne.mock.calls.at(-1).arguments[1].revokedReason, 'refresh_token_reuse');
+    });
+
+    it('only accepts refresh tokens', async () => {
+        const user = makeUser();
+        const session = makeSession(user);
+        mockDatabase({ users: [user], sessions: [session] });
+
+        await assert.rejects(sessionService.rotateSession(accessToken(user, session)), /Invalid or expired refresh token/);
+    });
+
+    it('refuses to rotate a revoked session', async () => {
+        const { session, refreshToken } = issueSession();
+        session.revokedAt = new Date();
+
+        await assert.rejects(sessionService.rotateSession(refreshToken), /Session has been revoked/);
+    });
+});
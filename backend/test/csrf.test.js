@@ -0,0 +1,98 @@
+import './setup.js';
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { protect } from '../src/middleware/authMiddleware.js';
+import { generateCsrfToken } from '../src/utils/csrf.js';
+import { mockDatabase, makeUser, makeSession, accessToken, browserCookies, startApp } from './helpers.js';
+
+describe('CSRF protection', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(server => {
+            const handler = (req, res) => res.json({ authMethod: req.authMethod });
+            server.get('/resource', protect, handler);
+            server.post('/resource', protect, handler);
+        });
+    });
+
+    after(() => app.close());
+    afterEach(() => mock.restoreAll());
+
+    /**
+     * Signed-in browser with a user and session served from memory
+     * @returns {Object} User, session, cookies, and CSRF token
+     */
+    const signIn = () => {
+        const user = makeUser();
+        const session = makeSession(user);
+        mockDatabase({ users: [user], sessions: [session] });
+        return { user, session, ...browserCookies(user, session) };
+    };
+
+    it('rejects a cookie-authenticated POST without a CSRF token', async () => {
+        const { cookies } = signIn();
+
+        const response = await app.request('POST', '/resource', { cookies, body: {} });
+
+        assert.equal(response.status, 403);
+        assert.equal(response.body.code, 'CSRF_TOKEN_INVALID');
+    });
+
+    it('accepts a cookie-authenticated POST that echoes the CSRF cookie', async () => {
+        const { cookies, csrfToken } = signIn();
+
+        const response = await app.request('POST', '/resource', {
+            cookies,
+            headers: { 'x-csrf-token': csrfToken },
+            body: {}
+        });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.authMethod, 'cookie');
+    });
+
+    it('rejects a header that does not match the cookie', async () => {
+        const { session, cookies } = signIn();
+
+        const response = await app.request('POST', '/resource', {
+            cookies,
+            headers: { 'x-csrf-token': generateCsrfToken(session._id.toString()) },
+            body: {}
+        });
+
+        assert.equal(response.status, 403);
+        assert.equal(response.body.code, 'CSRF_TOKEN_INVALID');
+    });
+
+    it('rejects a token issued for another session', async () => {
+        const { user, cookies } = signIn();
+        const plantedToken = generateCsrfToken(makeSession(user)._id.toString());
+
+        const response = await app.request('POST', '/resource', {
+            cookies: { ...cookies, csrfToken: plantedToken },
+            headers: { 'x-csrf-token': plantedToken },
+            body: {}
+        });
+
+        assert.equal(response.status, 403);
+        assert.equal(response.body.code, 'CSRF_TOKEN_INVALID');
+    });
+
+    it('does not check safe methods', async () => {
+        const { cookies } = signIn();
+
+        const response = await app.request('GET', '/resource', { cookies });
+
+        assert.equal(response.status, 200);
+    });
+
+    it('does not check Bearer-authenticated requests', async () => {
+        const { user, session } = signIn();
+
+        const response = await app.request('POST', '/resource', { token: accessToken(user, session), body: {} });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.authMethod, 'bearer');
+    });
+});
@@ -0,0 +1,172 @@
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import { mock } from 'node:test';
+import { User } from '../src/models/userModel.js';
+import { Session } from '../src/models/sessionModel.js';
+import { AuditLog } from '../src/models/auditLogModel.js';
+import roleService from '../src/services/roleService.js';
+import { DEFAULT_ROLES } from '../src/config/permissions.js';
+import { requestContext } from '../src/middleware/requestContextMiddleware.js';
+import { generateToken } from '../src/utils/generateToken.js';
+import { generateCsrfToken } from '../src/utils/csrf.js';
+
+/**
+ * Integration test helpers
+ * Requests go through real routers and middleware; only the database is replaced,
+ * by mocking the model statics the code under test calls
+ */
+
+export const ROLE_PERMISSIONS = Object.fromEntries(DEFAULT_ROLES.map(role => [role.name, role.permissions]));
+
+/**
+ * Stand-in for a Mongoose query: chainable and awaitable
+ * @param {*} result - Value the query resolves to
+ * @returns {Object} Fake query
+ */
+export const fakeQuery = (result) => {
+    const query = {
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    for (const method of ['select', 'populate', 'lean', 'sort', 'skip', 'limit']) {
+        query[method] = () => query;
+    }
+    return query;
+};
+
+/**
+ * Build an unsaved user document; save() resolves without a database
+ * @param {Object} overrides - Field values
+ * @returns {Object} User document
+ */
+export const makeUser = (overrides = {}) => {
+    const user = new User({
+        name: 'Test User',
+        email: `user-${Math.random().toString(36).slice(2)}@example.com`,
+        password: 'Str0ng!Passw0rd',
+        role: 'employee',
+        passwordChangedAt: new Date(),
+        ...overrides
+    });
+    user.save = async function() {
+        return this;
+    };
+    return user;
+};
+
+/**
+ * Build an active session for a user
+ * @param {Object} user - User document
+ * @param {Object} overrides - Field values
+ * @returns {Object} Session document
+ */
+export const makeSession = (user, overrides = {}) => new Session({
+    userId: user._id,
+    refreshTokenHash: 'unused',
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...overrides
+});
+
+/**
+ * Issue an access token for a user's session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @param {Object} claims - Extra claims
+ * @returns {string} Access token
+ */
+export const accessToken = (user, session, claims = {}) => generateToken(user._id.toString(), {
+    sid: session._id.toString(),
+    tv: user.tokenVersion || 0,
+    ...claims
+});
+
+/**
+ * Cookies a browser holds after signing in
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {Object} Cookie values and the matching CSRF token
+ */
+export const browserCookies = (user, session) => {
+    const csrfToken = generateCsrfToken(session._id.toString());
+    return { cookies: { jwt: accessToken(user, session), csrfToken }, csrfToken };
+};
+
+/**
+ * Serve users, sessions, and roles from memory and capture audit entries
+ * @param {Object} data - Users and sessions to serve
+ * @returns {Object} Captured audit entries
+ */
+export const mockDatabase = ({ users = [], sessions = [] } = {}) => {
+    const findIn = (documents, id) => documents.find(document => document._id.toString() === String(id)) || null;
+    const audit = [];
+
+    mock.method(User, 'findById', (id) => fakeQuery(findIn(users, id)));
+    mock.method(User, 'findOne', () => fakeQuery(null));
+    mock.method(Session, 'findById', (id) => fakeQuery(findIn(sessions, id)));
+    mock.method(Session, 'updateOne', async () => ({ acknowledged: true }));
+    mock.method(roleService, 'getPermissions', async (role) => ROLE_PERMISSIONS[role] || []);
+    mock.method(roleService, 'roleExists', async (role) => role in ROLE_PERMISSIONS);
+    mock.method(AuditLog, 'create', async (entry) => {
+        audit.push(entry);
+        return entry;
+    });
+
+    return { audit };
+};
+
+/**
+ * Start an app with the same base middleware as the server
+ * @param {Function} mount - Adds the routes under test to the app
+ * @returns {Promise<Object>} Request helper and close function
+ */
+export const startApp = async (mount) => {
+    const app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+    app.use(requestContext);
+    mount(app);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * Send a request to the app
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @param {Object} options - Bearer token, cookies, extra headers, and JSON body
+     * @returns {Promise<Object>} Status, headers, and parsed body
+     */
+    const request = async (method, path, { token, cookies, headers = {}, body } = {}) => {
+        const requestHeaders = { ...headers };
+        if (token) {
+            requestHeaders.authorization = `Bearer ${token}`;
+        }
+        if (cookies) {
+            requestHeaders.cookie = Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ');
+        }
+        if (body !== undefined) {
+            requestHeaders['content-type'] = 'application/json';
+        }
+
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: requestHeaders,
+            ...(body !== undefined && { body: JSON.stringify(body) })
+        });
+        const text = await response.text();
+
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: text ? JSON.parse(text) : null
+        };
+    };
+
+    const close = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+
+    return { request, close };
+};
@@ -0,0 +1,119 @@
+import './setup.js';
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import authRoutes from '../src/routes/authRoutes.js';
+import payrollRoutes from '../src/routes/payrollRoutes.js';
+import { protect } from '../src/middleware/authMiddleware.js';
+import { mockDatabase, makeUser, makeSession, accessToken, browserCookies, startApp } from './helpers.js';
+
+describe('impersonation', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(server => {
+            server.use('/api/auth', authRoutes);
+            server.use('/api/payroll', payrollRoutes);
+            server.get('/whoami', protect, (req, res) => {
+                res.json({ user: req.user.email, impersonator: req.impersonator?.email || null });
+            });
+        });
+    });
+
+    after(() => app.close());
+    afterEach(() => mock.restoreAll());
+
+    /**
+     * Admin signed in with a session, an employee, and the admin's impersonation token for the employee
+     * @returns {Promise<Object>} Users, admin session, impersonation token, and captured audit entries
+     */
+    const impersonateEmployee = async () => {
+        const admin = makeUser({ role: 'admin', email: 'admin@example.com', mfa: { enabled: true } });
+        const employee = makeUser({ email: 'employee@example.com' });
+        const adminSession = makeSession(admin);
+        const { audit } = mockDatabase({ users: [admin, employee], sessions: [adminSession] });
+
+        const response = await app.request('POST', `/api/auth/impersonate/${employee._id}`, {
+            token: accessToken(admin, adminSession)
+        });
+        assert.equal(response.status, 200);
+
+        return { admin, employee, adminSession, token: response.body.data.token, audit };
+    };
+
+    it('acts as the user while the admin keeps their own cookies', async () => {
+        const { admin, adminSession, token } = await impersonateEmployee();
+
+        const response = await app.request('GET', '/whoami', {
+            token,
+            cookies: browserCookies(admin, adminSession).cookies
+        });
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body, { user: 'employee@example.com', impersonator: 'admin@example.com' });
+        assert.equal(response.headers.get('x-impersonated-by'), 'admin@example.com');
+    });
+
+    it('records every request with both identities', async () => {
+        const { admin, employee, token, audit } = await impersonateEmployee();
+
+        await app.request('GET', '/whoami', { token });
+
+        const entry = audit.find(logged => logged.action === 'access');
+        assert.ok(entry);
+        assert.equal(entry.actor.toString(), employee._id.toString());
+        assert.equal(entry.impersonator.toString(), admin._id.toString());
+        assert.equal(entry.request.path, '/whoami');
+    });
+
+    it('blocks actions that must be taken under the admin\'s own name', async () => {
+        const { token } = await impersonateEmployee();
+
+        const response = await app.request('POST', '/api/payroll', { token, body: {} });
+
+        assert.equal(response.status, 403);
+        assert.equal(response.body.code, 'IMPERSONATION_FORBIDDEN');
+    });
+
+    it('cannot be chained from an impersonated session', async () => {
+        const { admin, token } = await impersonateEmployee();
+
+        const response = await app.request('POST', `/api/auth/impersonate/${admin._id}`, { token });
+
+        assert.equal(response.status, 403);
+        assert.equal(response.body.code, 'IMPERSONATION_FORBIDDEN');
+    });
+
+    it('ends when the admin signs out', async () => {
+        const { adminSession, token } = await impersonateEmployee();
+        adminSession.revokedAt = new Date();
+
+        const response = await app.request('GET', '/whoami', { token });
+
+        assert.equal(response.status, 401);
+        assert.match(response.body.message, /Impersonation has ended/);
+    });
+
+    it('ends when the admin loses the impersonate permission', async () => {
+        const { admin, token } = await impersonateEmployee();
+        admin.role = 'hr';
+
+        const response = await app.request('GET', '/whoami', { token });
+
+        assert.equal(response.status, 401);
+        assert.match(response.body.message, /Impersonation has ended/);
+    });
+
+    it('refuses to impersonate users who can impersonate', async () => {
+        const admin = makeUser({ role: 'admin', mfa: { enabled: true } });
+        const otherAdmin = makeUser({ role: 'admin', mfa: { enabled: true } });
+        const adminSession = makeSession(admin);
+        mockDatabase({ users: [admin, otherAdmin], sessions: [adminSession] });
+
+        const response = await app.request('POST', `/api/auth/impersonate/${otherAdmin._id}`, {
+            token: accessToken(admin, adminSession)
+        });
+
+        assert.equal(response.status, 403);
+        assert.match(response.body.message, /cannot be impersonated/);
+    });
+});
@@ -0,0 +1,110 @@
+import './setup.js';
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import userRoutes from '../src/routes/userRoutes.js';
+import roleService from '../src/services/roleService.js';
+import sessionService from '../src/services/sessionService.js';
+import orgService from '../src/services/orgService.js';
+import { mockDatabase, makeUser, makeSession, accessToken, startApp, ROLE_PERMISSIONS } from './helpers.js';
+
+describe('role hierarchy', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('lets a caller manage roles whose permissions they all hold', async () => {
+        mockDatabase();
+
+        await roleService.assertCanManage('employee', ROLE_PERMISSIONS.hr);
+        await roleService.assertCanManage('hr', ROLE_PERMISSIONS.admin);
+    });
+
+    it('refuses roles with a permission the caller lacks', async () => {
+        mockDatabase();
+
+        await assert.rejects(roleService.assertCanManage('admin', ROLE_PERMISSIONS.hr), { code: 'ROLE_NOT_MANAGEABLE' });
+        // Finance holds payroll permissions HR does not have
+        await assert.rejects(roleService.assertCanManage('finance', ROLE_PERMISSIONS.hr), { code: 'ROLE_NOT_MANAGEABLE' });
+    });
+});
+
+describe('user management across roles', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(server => server.use('/api/users', userRoutes));
+    });
+
+    after(() => app.close());
+    afterEach(() => mock.restoreAll());
+
+    /**
+     * HR user with a session, and a target user of the given role
+     * @param {string} targetRole - Role of the user being managed
+     * @returns {Object} Target user and the HR user's access token
+     */
+    const setup = (targetRole) => {
+        const hr = makeUser({ role: 'hr' });
+        const session = makeSession(hr);
+        const target = makeUser({ role: targetRole, ...(targetRole === 'admin' && { mfa: { enabled: true } }) });
+        mock.method(target, 'save', async function() {
+            return this;
+        });
+        mockDatabase({ users: [hr, target], sessions: [session] });
+        return { target, token: accessToken(hr, session) };
+    };
+
+    const protectedActions = [
+        ['PUT', '', { department: null, designation: 'Intern' }],
+        ['DELETE', ''],
+        ['POST', '/unlock'],
+        ['POST', '/employment-status', { status: 'suspended', reason: 'Test', effectiveDate: '2026-01-01' }],
+        ['DELETE', '/sessions'],
+        ['PUT', '/emergency-contacts', { emergencyContacts: [] }],
+        ['PUT', '/dependents', { dependents: [] }]
+    ];
+
+    for (const [method, path, body] of protectedActions) {
+        it(`refuses HR ${method} /api/users/:id${path} on an admin`, async () => {
+            const { target, token } = setup('admin');
+
+            const response = await app.request(method, `/api/users/${target._id}${path}`, { token, body });
+
+            assert.equal(response.status, 403);
+            assert.match(response.body.message, /cannot manage users with the 'admin' role/);
+            assert.equal(target.save.mock.callCount(), 0);
+            assert.equal(target.isActive, true);
+        });
+    }
+
+    it('lets HR deactivate an employee', async () => {
+        const { target, token } = setup('employee');
+        mock.method(sessionService, 'revokeUserSessions', async () => {});
+        mock.method(orgService, 'reassignReports', async () => {});
+
+        const response = await app.request('DELETE', `/api/users/${target._id}`, { token });
+
+        assert.equal(response.status, 200);
+        assert.equal(target.isActive, false);
+    });
+
+    it('refuses to let HR promote an employee to admin', async () => {
+        const { target, token } = setup('employee');
+
+        const response = await app.request('PUT', `/api/users/${target._id}`, { token, body: { role: 'admin' } });
+
+        assert.equal(response.status, 403);
+        assert.equal(target.role, 'employee');
+        assert.equal(target.save.mock.callCount(), 0);
+    });
+
+    it('refuses to let HR create an admin', async () => {
+        const { token } = setup('employee');
+
+        const response = await app.request('POST', '/api/users', {
+            token,
+            body: { name: 'New Admin', email: 'new.admin@example.com', password: 'Str0ng!Passw0rd#2024', role: 'admin' }
+        });
+
+        assert.equal(response.status, 403);
+        assert.match(response.body.message, /cannot assign the 'admin' role/);
+    });
+});
@@ -0,0 +1,12 @@
+import mongoose from 'mongoose';
+
+/**
+ * Test environment
+ * Import first in every test file so configuration is read with these values
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+// There is no database in tests; a query that is not mocked fails instead of hanging
+mongoose.set('bufferCommands', false);